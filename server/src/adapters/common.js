@@ -0,0 +1,65 @@
+const { decrypt } = require('../crypto');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// 拼接接口地址（使用相对路径以保留 baseUrl 中的路径部分，如 /api）
+function resolveUrl(baseUrl, path) {
+  return new URL(path, baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
+}
+
+// 去掉末尾斜杠，供代理接口拼接路径
+function trimBaseUrl(baseUrl) {
+  return baseUrl.replace(/\/$/, '');
+}
+
+/**
+ * 创建带HTTP状态码的错误，路由层据此返回对应状态码
+ * @param {string} message - 错误信息
+ * @param {number} statusCode - HTTP状态码
+ * @returns {Error}
+ */
+function siteError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// 解密站点API令牌，未配置时抛出400错误
+function requireApiKey(site) {
+  const token = site.apiKeyEnc ? decrypt(site.apiKeyEnc) : null;
+  if (!token) throw siteError('站点未配置API令牌');
+  return token;
+}
+
+// 解密站点JWT令牌（存放在 billingAuthValue 中），未配置时抛出400错误
+function requireJwtToken(site, message = '站点未配置JWT令牌') {
+  const token = site.billingAuthValue ? decrypt(site.billingAuthValue) : null;
+  if (!token) throw siteError(message);
+  return token;
+}
+
+/**
+ * 发起代理请求并解析JSON，HTTP状态异常时抛出错误
+ * @param {string|URL} url - 请求地址
+ * @param {Object} init - fetch 参数
+ * @param {string} fallbackMessage - 上游未返回 message 时使用的错误信息
+ * @returns {Promise<Object>}
+ */
+async function proxyJson(url, init, fallbackMessage) {
+  const res = await fetch(url, init);
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.message || fallbackMessage);
+  }
+  return data;
+}
+
+module.exports = {
+  USER_AGENT,
+  resolveUrl,
+  trimBaseUrl,
+  siteError,
+  requireApiKey,
+  requireJwtToken,
+  proxyJson
+};
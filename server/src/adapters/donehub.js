@@ -0,0 +1,175 @@
+// DoneHub 站点：不需要用户ID，模型列表和价格来自 /api/available_model
+const { USER_AGENT, resolveUrl, trimBaseUrl, requireApiKey, proxyJson } = require('./common');
+const { createNewapiAdapter } = require('./newapi-base');
+
+const base = createNewapiAdapter({
+  type: 'donehub',
+  label: 'DoneHub',
+  logTag: 'DONEHUB'
+});
+
+function proxyHeaders(site) {
+  return {
+    'Authorization': `Bearer ${requireApiKey(site)}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+// 获取模型列表
+async function fetchModels(site, { apiKey }) {
+  const url = resolveUrl(site.baseUrl, 'api/available_model');
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), 15000);
+  const startTime = Date.now();
+
+  try {
+    console.log(`[DONEHUB-REQ] GET ${url}`);
+    const res = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/json'
+      },
+      signal: ac.signal
+    });
+
+    const responseTime = Date.now() - startTime;
+    const rawText = await res.text();
+    console.log(`[DONEHUB-RES] Status: ${res.status}`);
+    console.log(`[DONEHUB-RES] Body: ${rawText.substring(0, 500)}...`);
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${rawText}`);
+    }
+
+    const json = JSON.parse(rawText);
+    if (!json.data) {
+      throw new Error('Invalid response format');
+    }
+
+    // 提取模型名称
+    const models = Object.keys(json.data).map(modelId => ({
+      id: modelId,
+      object: 'model',
+      owned_by: json.data[modelId].owned_by || 'unknown',
+      created: Date.now() / 1000
+    }));
+
+    return {
+      models,
+      rawResponse: rawText,
+      statusCode: res.status,
+      responseTime,
+      errorMessage: null
+    };
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    console.log(`[DONEHUB-ERR] ${error.message}`);
+    throw {
+      error,
+      rawResponse: null,
+      statusCode: null,
+      responseTime,
+      errorMessage: error.message
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// 创建令牌（DoneHub的负载格式）
+async function createToken(site, tokenData) {
+  const payload = {
+    name: tokenData.name || '',
+    remain_quota: tokenData.unlimitedQuota ? 0 : (tokenData.remainQuota || 0),
+    unlimited_quota: tokenData.unlimitedQuota !== undefined ? tokenData.unlimitedQuota : false,
+    group: tokenData.group || '',
+    expired_time: tokenData.expiredTime !== undefined ? tokenData.expiredTime : -1,
+    is_edit: false,
+    setting: {
+      heartbeat: {
+        enabled: false,
+        timeout_seconds: 30
+      }
+    }
+  };
+  return proxyJson(`${trimBaseUrl(site.baseUrl)}/api/token/`, {
+    method: 'POST',
+    headers: proxyHeaders(site),
+    body: JSON.stringify(payload)
+  }, '创建令牌失败');
+}
+
+// 分组列表
+async function listGroups(site) {
+  return proxyJson(`${trimBaseUrl(site.baseUrl)}/api/user_group_map`, {
+    headers: proxyHeaders(site)
+  }, '获取分组列表失败');
+}
+
+// 模型价格：转换为 New API /api/pricing 的统一格式
+async function pricing(site) {
+  const data = await proxyJson(`${trimBaseUrl(site.baseUrl)}/api/available_model`, {
+    method: 'GET',
+    headers: proxyHeaders(site)
+  }, '获取pricing信息失败');
+
+  if (!data.success || !data.data) return data;
+
+  const allGroups = new Set();
+  const normalizedModels = Object.entries(data.data).map(([modelName, info]) => {
+    const groups = info.groups || ['default'];
+    groups.forEach(g => allGroups.add(g));
+    const priceType = info.price?.type || 'tokens';
+
+    if (priceType === 'tokens') {
+      // 按量计费：价格*2，有输入输出两个价格
+      const inputPrice = (info.price.input || 0) * 2;
+      const outputPrice = (info.price.output || 0) * 2;
+      return {
+        model_name: modelName,
+        quota_type: 0, // 按量计费
+        model_price: null,
+        model_ratio: inputPrice / 2, // 存储时需要除以2，因为前端计算价格时会*2
+        completion_ratio: inputPrice > 0 ? outputPrice / inputPrice : 1,
+        enable_groups: groups
+      };
+    }
+
+    // 按次计费：价格*0.002，也有输入输出两个价格，使用平均值作为按次价格
+    const inputPrice = (info.price.input || 0) * 0.002;
+    const outputPrice = (info.price.output || 0) * 0.002;
+    return {
+      model_name: modelName,
+      quota_type: 1, // 按次计费
+      model_price: (inputPrice + outputPrice) / 2,
+      model_ratio: null,
+      completion_ratio: 1,
+      enable_groups: groups,
+      // 保存原始输入输出价格以便显示
+      _donehub_input_price: inputPrice,
+      _donehub_output_price: outputPrice
+    };
+  });
+
+  const usableGroup = {};
+  const groupRatio = {};
+  allGroups.forEach(g => {
+    usableGroup[g] = g === 'default' ? '默认分组' : g;
+    groupRatio[g] = 1;
+  });
+
+  return {
+    success: true,
+    data: normalizedModels,
+    usable_group: usableGroup,
+    group_ratio: groupRatio
+  };
+}
+
+// DoneHub 的渠道接口分页参数和返回格式与 One API 不同，暂不支持管理员模式
+const { listChannels, ...rest } = base;
+
+module.exports = { ...rest, fetchModels, createToken, listGroups, pricing };
@@ -0,0 +1,72 @@
+/**
+ * 站点平台适配器注册表
+ *
+ * 每个平台一个模块，导出 { type, label, ...方法 }，可实现的方法：
+ *   fetchModels(site, { apiKey, fastify })  -> { models, rawResponse, statusCode, responseTime, errorMessage }
+ *   fetchBalance(site, { apiKey, fastify }) -> { billingLimit, billingUsage, billingError } | null（未配置）
+ *   checkIn(site)                           -> { success, message, quota, error }
+ *   listTokens / createToken / updateToken / deleteToken / listGroups / pricing / redeem
+ *   listChannels(site, { apiKey })          -> [{ channelId, name, type, status, balance, group, models }]（管理员模式）
+ * 未实现的方法对应能力为 false，路由和前端据此判断是否提供该功能。
+ * 新增平台只需在此注册一个模块。
+ */
+
+const CAPABILITIES = [
+  'fetchModels',
+  'fetchBalance',
+  'checkIn',
+  'listTokens',
+  'createToken',
+  'updateToken',
+  'deleteToken',
+  'listGroups',
+  'pricing',
+  'redeem',
+  'listChannels'
+];
+
+const DEFAULT_TYPE = 'other';
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+  if (!adapter?.type || typeof adapter.fetchModels !== 'function') {
+    throw new Error('适配器必须提供 type 和 fetchModels');
+  }
+  const capabilities = {};
+  for (const name of CAPABILITIES) {
+    capabilities[name] = typeof adapter[name] === 'function';
+  }
+  adapters.set(adapter.type, { ...adapter, capabilities });
+}
+
+registerAdapter(require('./newapi'));
+registerAdapter(require('./veloera'));
+registerAdapter(require('./donehub'));
+registerAdapter(require('./voapi'));
+registerAdapter(require('./other'));
+
+// 获取站点类型对应的适配器，未知类型按"其他"处理
+function getAdapter(apiType) {
+  return adapters.get(apiType) || adapters.get(DEFAULT_TYPE);
+}
+
+// 所有已注册的站点类型，用于请求参数校验
+function listAdapterTypes() {
+  return Array.from(adapters.keys());
+}
+
+// 供前端使用的适配器描述（不含方法）
+function describeAdapters() {
+  return Array.from(adapters.values()).map(a => ({
+    type: a.type,
+    label: a.label,
+    requiresUserId: Boolean(a.requiresUserId),
+    requiresJwtToken: Boolean(a.requiresJwtToken),
+    customBilling: Boolean(a.customBilling),
+    modelProtocols: a.modelProtocols || null,
+    capabilities: a.capabilities
+  }));
+}
+
+module.exports = { CAPABILITIES, registerAdapter, getAdapter, listAdapterTypes, describeAdapters };
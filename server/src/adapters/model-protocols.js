@@ -0,0 +1,158 @@
+// 模型列表协议：OpenAI（/v1/models）、Anthropic（/v1/models 分页）、Gemini（/v1beta/models 分页）
+const { resolveUrl } = require('./common');
+const openai = require('./openai');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const PAGE_SIZE = 1000;
+const MAX_PAGES = 50; // 防止上游返回重复游标导致死循环
+
+const MODEL_PROTOCOLS = [
+  { value: 'openai', label: 'OpenAI (/v1/models)' },
+  { value: 'anthropic', label: 'Anthropic (x-api-key)' },
+  { value: 'gemini', label: 'Gemini (/v1beta/models)' }
+];
+
+/**
+ * 逐页请求模型列表直到没有下一页
+ * @param {Function} buildRequest - (cursor) => { url, headers }
+ * @param {Function} parsePage - (json) => { items: Array, nextCursor: string|null }
+ * @param {Object} fastify - 日志
+ * @param {string} logTag - 日志前缀
+ * @returns {Promise<Object>} - { items, rawResponse, statusCode, responseTime }
+ */
+async function fetchAllPages(buildRequest, parsePage, fastify, logTag) {
+  const startTime = Date.now();
+  const items = [];
+  const rawPages = [];
+  let statusCode = null;
+  let cursor = null;
+
+  try {
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const { url, headers, logUrl } = buildRequest(cursor);
+      const ac = new AbortController();
+      const timeout = setTimeout(() => ac.abort(), 15000);
+      let res;
+      let rawText;
+      try {
+        console.log(`[${logTag}-REQ] GET ${logUrl || url}`);
+        res = await fetch(url, { method: 'GET', headers, signal: ac.signal });
+        rawText = await res.text();
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      statusCode = res.status;
+      rawPages.push(rawText);
+      console.log(`[${logTag}-RES] Status: ${res.status}`);
+
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}: ${rawText.substring(0, 200)}`);
+      }
+
+      let json;
+      try {
+        json = JSON.parse(rawText);
+      } catch (e) {
+        throw new Error(`Invalid JSON response: ${rawText.substring(0, 200)}`);
+      }
+
+      const { items: pageItems, nextCursor } = parsePage(json);
+      items.push(...pageItems);
+      if (!nextCursor || nextCursor === cursor) break;
+      cursor = nextCursor;
+    }
+
+    return {
+      items,
+      rawResponse: rawPages.join('\n'),
+      statusCode,
+      responseTime: Date.now() - startTime
+    };
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    console.log(`[${logTag}-ERR] ${error.message}`);
+    fastify?.log?.error({ msg: 'Fetch error details', errorMessage: error.message, responseTime });
+    throw {
+      error,
+      rawResponse: rawPages.length > 0 ? rawPages.join('\n') : null,
+      statusCode,
+      responseTime,
+      errorMessage: error.message
+    };
+  }
+}
+
+// Anthropic：x-api-key + anthropic-version，使用 has_more / last_id 分页
+async function fetchModelsAnthropic(baseUrl, apiKey, fastify) {
+  const { normalizeModels } = require('../run');
+  const result = await fetchAllPages((afterId) => {
+    const url = resolveUrl(baseUrl, 'v1/models');
+    url.searchParams.set('limit', String(PAGE_SIZE));
+    if (afterId) url.searchParams.set('after_id', afterId);
+    return {
+      url,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'Content-Type': 'application/json'
+      }
+    };
+  }, (json) => ({
+    items: Array.isArray(json.data) ? json.data : [],
+    nextCursor: json.has_more ? json.last_id : null
+  }), fastify, 'ANTHROPIC');
+
+  const { items, ...rest } = result;
+  const models = normalizeModels(items.map(m => ({
+    id: m.id,
+    object: 'model',
+    owned_by: 'anthropic',
+    created: m.created_at ? Math.floor(Date.parse(m.created_at) / 1000) : undefined
+  })));
+
+  return { ...rest, models, errorMessage: null };
+}
+
+// Gemini：?key= 鉴权，使用 nextPageToken 分页，模型名形如 models/gemini-pro
+async function fetchModelsGemini(baseUrl, apiKey, fastify) {
+  const { normalizeModels } = require('../run');
+  const result = await fetchAllPages((pageToken) => {
+    const url = resolveUrl(baseUrl, 'v1beta/models');
+    url.searchParams.set('pageSize', String(PAGE_SIZE));
+    if (pageToken) url.searchParams.set('pageToken', pageToken);
+    const logUrl = url.toString();
+    url.searchParams.set('key', apiKey);
+    return {
+      url,
+      logUrl, // 日志中不输出 key
+      headers: { 'Content-Type': 'application/json' }
+    };
+  }, (json) => ({
+    items: Array.isArray(json.models) ? json.models : [],
+    nextCursor: json.nextPageToken || null
+  }), fastify, 'GEMINI');
+
+  const { items, ...rest } = result;
+  const models = normalizeModels(items.map(m => ({
+    id: String(m.name || '').replace(/^models\//, ''),
+    object: 'model',
+    owned_by: 'google'
+  })));
+
+  return { ...rest, models, errorMessage: null };
+}
+
+// 根据站点配置的协议获取模型列表
+function fetchModelsByProtocol(site, { apiKey, fastify }) {
+  switch (site.modelProtocol) {
+    case 'anthropic':
+      return fetchModelsAnthropic(site.baseUrl, apiKey, fastify);
+    case 'gemini':
+      return fetchModelsGemini(site.baseUrl, apiKey, fastify);
+    default:
+      return openai.fetchModels(site.baseUrl, apiKey, fastify);
+  }
+}
+
+module.exports = { MODEL_PROTOCOLS, fetchModelsAnthropic, fetchModelsGemini, fetchModelsByProtocol };
@@ -0,0 +1,325 @@
+// One API 系列站点（New API / Veloera / DoneHub）的通用实现
+const { USER_AGENT, resolveUrl, trimBaseUrl, requireApiKey, proxyJson } = require('./common');
+
+const CHANNEL_PAGE_SIZE = 100;
+const CHANNEL_MAX_PAGES = 50;
+
+// 渠道信息只保留监测需要的字段（不保存渠道密钥）
+function normalizeChannel(ch) {
+  const models = String(ch.models || '')
+    .split(',')
+    .map(m => m.trim())
+    .filter(Boolean)
+    .sort();
+  const balance = ch.balance === undefined || ch.balance === null ? null : Number(ch.balance);
+  return {
+    channelId: Number(ch.id),
+    name: ch.name || `#${ch.id}`,
+    type: ch.type ?? null,
+    status: Number(ch.status ?? 1),
+    balance: Number.isFinite(balance) ? balance : null,
+    group: ch.group || null,
+    models
+  };
+}
+
+/**
+ * 创建 One API 系列站点适配器
+ * @param {Object} options - 平台配置
+ * @param {string} options.type - 站点类型（对应 Site.apiType）
+ * @param {string} options.label - 界面显示名称
+ * @param {string|null} options.userHeader - 用户ID请求头名称，不需要时为 null
+ * @param {string} options.ownedBy - 模型列表中字符串模型的默认 owned_by
+ * @param {string} options.logTag - 日志前缀
+ * @returns {Object} - 适配器
+ */
+function createNewapiAdapter({ type, label, userHeader = null, ownedBy = 'unknown', logTag = 'NEWAPI' }) {
+  // 监控请求总是带上用户ID（未配置时默认为1），代理请求只在配置了用户ID时携带
+  function userHeaders(site, fallback = null) {
+    const userId = site.userId || fallback;
+    return userHeader && userId ? { [userHeader]: userId } : {};
+  }
+
+  function proxyHeaders(site) {
+    return {
+      'Authorization': `Bearer ${requireApiKey(site)}`,
+      'Content-Type': 'application/json',
+      ...userHeaders(site)
+    };
+  }
+
+  return {
+    type,
+    label,
+    requiresUserId: Boolean(userHeader),
+
+    // 获取模型列表
+    async fetchModels(site, { apiKey }) {
+      if (userHeader && !site.userId) {
+        console.log(`[WARN] ${type} requires userId but it's not set`);
+      }
+      const url = resolveUrl(site.baseUrl, 'api/user/models');
+      const ac = new AbortController();
+      const timeout = setTimeout(() => ac.abort(), 15000);
+      const startTime = Date.now();
+
+      try {
+        console.log(`[${logTag}-REQ] GET ${url}`);
+        const res = await fetch(url, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            ...userHeaders(site, '1'),
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            'Accept': 'application/json'
+          },
+          signal: ac.signal
+        });
+
+        const responseTime = Date.now() - startTime;
+        const rawText = await res.text();
+        console.log(`[${logTag}-RES] Status: ${res.status}`);
+        console.log(`[${logTag}-RES] Body: ${rawText.substring(0, 500)}...`);
+
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}: ${rawText}`);
+        }
+
+        const json = JSON.parse(rawText);
+        if (!json.success || !Array.isArray(json.data)) {
+          throw new Error('Invalid response format');
+        }
+
+        // 转换为OpenAI格式
+        // 返回的是字符串数组，不是对象数组
+        const models = json.data.map(m => {
+          if (typeof m === 'string') {
+            return {
+              id: m,
+              object: 'model',
+              owned_by: ownedBy,
+              created: Date.now() / 1000
+            };
+          }
+          return {
+            id: m.id || m.model || m,
+            object: 'model',
+            owned_by: m.owned_by || ownedBy,
+            created: Date.now() / 1000
+          };
+        });
+
+        return {
+          models,
+          rawResponse: rawText,
+          statusCode: res.status,
+          responseTime,
+          errorMessage: null
+        };
+      } catch (error) {
+        const responseTime = Date.now() - startTime;
+        console.log(`[${logTag}-ERR] ${error.message}`);
+        throw {
+          error,
+          rawResponse: null,
+          statusCode: null,
+          responseTime,
+          errorMessage: error.message
+        };
+      } finally {
+        clearTimeout(timeout);
+      }
+    },
+
+    // 获取用户信息（billing）
+    async fetchBalance(site, { apiKey }) {
+      const url = resolveUrl(site.baseUrl, 'api/user/self');
+      const ac = new AbortController();
+      const timeout = setTimeout(() => ac.abort(), 10000);
+
+      try {
+        console.log(`[${logTag}-REQ] GET ${url}`);
+        const res = await fetch(url, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            ...userHeaders(site, '1'),
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            'Accept': 'application/json'
+          },
+          signal: ac.signal
+        });
+
+        const rawText = await res.text();
+        console.log(`[${logTag}-RES] Status: ${res.status}`);
+        console.log(`[${logTag}-RES] Body: ${rawText}`);
+
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}: ${rawText}`);
+        }
+
+        const data = JSON.parse(rawText);
+        if (!data.success || !data.data) {
+          throw new Error('Invalid user info response');
+        }
+
+        const userData = data.data;
+        // One API 系列: 500000 = $1
+        const conversionRatio = 500000;
+
+        console.log(`[QUOTA-CONVERSION] API类型: ${type}, 转换比例: ${conversionRatio}:1`);
+        console.log(`[QUOTA-CONVERSION] 原始quota: ${userData.quota || 0}, 原始used_quota: ${userData.used_quota || 0}`);
+
+        const quotaInDollars = (userData.quota || 0) / conversionRatio;
+        const usedQuotaInDollars = (userData.used_quota || 0) / conversionRatio;
+        const totalQuotaInDollars = quotaInDollars + usedQuotaInDollars; // 总额度 = 当前余额 + 已使用
+
+        console.log(`[QUOTA-CONVERSION] 当前余额: $${quotaInDollars.toFixed(6)}, 已使用: $${usedQuotaInDollars.toFixed(6)}, 总额度: $${totalQuotaInDollars.toFixed(6)}`);
+
+        return {
+          billingLimit: totalQuotaInDollars,
+          billingUsage: usedQuotaInDollars,
+          billingError: null
+        };
+      } catch (error) {
+        console.log(`[${logTag}-ERR] User info: ${error.message}`);
+        throw error;
+      } finally {
+        clearTimeout(timeout);
+      }
+    },
+
+    // 令牌列表
+    async listTokens(site) {
+      return proxyJson(`${trimBaseUrl(site.baseUrl)}/api/token/`, {
+        headers: proxyHeaders(site)
+      }, '获取令牌列表失败');
+    },
+
+    // 创建令牌
+    async createToken(site, tokenData) {
+      const payload = {
+        name: tokenData.name || '',
+        remain_quota: tokenData.unlimitedQuota ? 0 : (tokenData.remainQuota || 0),
+        unlimited_quota: tokenData.unlimitedQuota !== undefined ? tokenData.unlimitedQuota : false,
+        group: tokenData.group || '',
+        expired_time: tokenData.expiredTime !== undefined ? tokenData.expiredTime : -1,
+        model_limits_enabled: tokenData.modelLimitsEnabled || false,
+        model_limits: tokenData.modelLimits || '',
+        allow_ips: tokenData.allowIps || ''
+      };
+      return proxyJson(`${trimBaseUrl(site.baseUrl)}/api/token/`, {
+        method: 'POST',
+        headers: proxyHeaders(site),
+        body: JSON.stringify(payload)
+      }, '创建令牌失败');
+    },
+
+    // 更新令牌（前端已按站点格式组装数据，直接转发）
+    async updateToken(site, tokenData) {
+      return proxyJson(`${trimBaseUrl(site.baseUrl)}/api/token/`, {
+        method: 'PUT',
+        headers: proxyHeaders(site),
+        body: JSON.stringify(tokenData)
+      }, '更新令牌失败');
+    },
+
+    // 删除令牌
+    async deleteToken(site, tokenId) {
+      return proxyJson(`${trimBaseUrl(site.baseUrl)}/api/token/${tokenId}`, {
+        method: 'DELETE',
+        headers: proxyHeaders(site)
+      }, '删除令牌失败');
+    },
+
+    // 分组列表
+    async listGroups(site) {
+      return proxyJson(`${trimBaseUrl(site.baseUrl)}/api/user/self/groups`, {
+        headers: proxyHeaders(site)
+      }, '获取分组列表失败');
+    },
+
+    // 模型价格，/api/pricing 本身即为统一格式 { data, usable_group, group_ratio }
+    async pricing(site) {
+      requireApiKey(site);
+      return proxyJson(`${trimBaseUrl(site.baseUrl)}/api/pricing`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json', ...userHeaders(site) }
+      }, '获取pricing信息失败');
+    },
+
+    /**
+     * 管理员模式：获取全部渠道（需要管理员令牌）
+     * One API 返回 data 数组（页码从0开始），新版 New API 返回 { items, total, page }（页码从1开始）
+     * @returns {Promise<Array>} - [{ channelId, name, type, status, balance, group, models }]
+     */
+    async listChannels(site, { apiKey }) {
+      const channels = new Map();
+      let page = 0;
+
+      for (let i = 0; i < CHANNEL_MAX_PAGES; i++) {
+        const url = resolveUrl(site.baseUrl, 'api/channel/');
+        url.searchParams.set('p', String(page));
+        url.searchParams.set('page_size', String(CHANNEL_PAGE_SIZE));
+
+        const ac = new AbortController();
+        const timeout = setTimeout(() => ac.abort(), 15000);
+        let res;
+        let rawText;
+        try {
+          console.log(`[${logTag}-CHANNEL-REQ] GET ${url}`);
+          res = await fetch(url, {
+            method: 'GET',
+            headers: {
+              'Authorization': `Bearer ${apiKey}`,
+              ...userHeaders(site, '1'),
+              'Content-Type': 'application/json',
+              'User-Agent': USER_AGENT,
+              'Accept': 'application/json'
+            },
+            signal: ac.signal
+          });
+          rawText = await res.text();
+        } finally {
+          clearTimeout(timeout);
+        }
+        console.log(`[${logTag}-CHANNEL-RES] Status: ${res.status}`);
+
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}: ${rawText.substring(0, 200)}`);
+        }
+
+        const json = JSON.parse(rawText);
+        if (!json.success) {
+          throw new Error(json.message || '获取渠道列表失败（请确认使用的是管理员令牌）');
+        }
+
+        const paged = json.data && !Array.isArray(json.data);
+        const items = paged ? (json.data.items || []) : (json.data || []);
+        const before = channels.size;
+        items.forEach(ch => channels.set(ch.id, normalizeChannel(ch)));
+
+        // 没有新渠道说明上游忽略了分页参数，避免重复请求同一页
+        if (items.length < CHANNEL_PAGE_SIZE || channels.size === before) break;
+        if (paged && json.data.total !== undefined && channels.size >= json.data.total) break;
+        page = (paged && json.data.page !== undefined ? Number(json.data.page) : page) + 1;
+      }
+
+      return Array.from(channels.values()).sort((a, b) => a.channelId - b.channelId);
+    },
+
+    // 兑换码充值，上游的成功/失败信息原样返回
+    async redeem(site, key) {
+      const res = await fetch(`${trimBaseUrl(site.baseUrl)}/api/user/topup`, {
+        method: 'POST',
+        headers: proxyHeaders(site),
+        body: JSON.stringify({ key })
+      });
+      return res.json();
+    }
+  };
+}
+
+module.exports = { createNewapiAdapter };
@@ -0,0 +1,10 @@
+// New API 站点
+const { createNewapiAdapter } = require('./newapi-base');
+
+module.exports = createNewapiAdapter({
+  type: 'newapi',
+  label: 'New API',
+  userHeader: 'New-Api-User',
+  ownedBy: 'new-api',
+  logTag: 'NEWAPI'
+});
@@ -0,0 +1,148 @@
+// OpenAI 兼容协议的通用请求（/v1/models、/v1/dashboard/billing/*），供各平台适配器复用
+const { resolveUrl } = require('./common');
+
+async function fetchModels(baseUrl, apiKey, fastify) {
+  const { normalizeModels } = require('../run');
+  const url = resolveUrl(baseUrl, 'v1/models');
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), 15000);
+  const startTime = Date.now();
+
+  try {
+    // VERSION: v2.0-simplified (只用2个头，模仿Python)
+    fastify?.log?.info({ msg: 'Fetching with v2.0-simplified headers', url: url.toString() });
+
+    const res = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      signal: ac.signal
+    });
+
+    const responseTime = Date.now() - startTime;
+    const rawText = await res.text();
+
+    let json;
+    try {
+      json = JSON.parse(rawText);
+    } catch (e) {
+      throw new Error(`Invalid JSON response: ${rawText.substring(0, 200)}`);
+    }
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${rawText.substring(0, 200)}`);
+    }
+
+    const models = normalizeModels(json);
+
+    return {
+      models,
+      rawResponse: rawText,
+      statusCode: res.status,
+      responseTime,
+      errorMessage: null
+    };
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+
+    // 详细的错误日志
+    fastify?.log?.error({
+      msg: 'Fetch error details',
+      url: url.toString(),
+      errorName: error.name,
+      errorMessage: error.message,
+      errorStack: error.stack?.split('\n')[0],
+      responseTime
+    });
+
+    throw {
+      error,
+      rawResponse: null,
+      statusCode: null,
+      responseTime,
+      errorMessage: error.message
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+const BILLING_HEADERS = {
+  'Content-Type': 'application/json',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'application/json, text/plain, */*',
+  'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+  'Cache-Control': 'no-cache',
+  'Pragma': 'no-cache'
+};
+
+// 获取billing订阅额度信息
+async function fetchBillingSubscription(baseUrl, apiKey, fastify) {
+  const url = resolveUrl(baseUrl, 'v1/dashboard/billing/subscription');
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), 10000);
+
+  try {
+    console.log(`[BILLING-REQ] GET ${url}`);
+    const res = await fetch(url, {
+      method: 'GET',
+      headers: { 'Authorization': `Bearer ${apiKey}`, ...BILLING_HEADERS },
+      signal: ac.signal
+    });
+
+    const rawText = await res.text();
+    console.log(`[BILLING-RES] Status: ${res.status}`);
+    console.log(`[BILLING-RES] Body: ${rawText}`);
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${rawText}`);
+    }
+
+    const data = JSON.parse(rawText);
+    return data.system_hard_limit_usd || null;
+  } catch (error) {
+    console.log(`[BILLING-ERR] Subscription: ${error.message}`);
+    fastify?.log?.warn({ msg: 'Failed to fetch billing subscription', error: error.message });
+    throw error; // 抛出错误而不是返回null
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// 获取billing使用量信息
+async function fetchBillingUsage(baseUrl, apiKey, fastify) {
+  const url = resolveUrl(baseUrl, 'v1/dashboard/billing/usage');
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), 10000);
+
+  try {
+    console.log(`[BILLING-REQ] GET ${url}`);
+    const res = await fetch(url, {
+      method: 'GET',
+      headers: { 'Authorization': `Bearer ${apiKey}`, ...BILLING_HEADERS },
+      signal: ac.signal
+    });
+
+    const rawText = await res.text();
+    console.log(`[BILLING-RES] Status: ${res.status}`);
+    console.log(`[BILLING-RES] Body: ${rawText}`);
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${rawText}`);
+    }
+
+    const data = JSON.parse(rawText);
+    // total_usage 单位为 0.01 美元，需要乘以 0.01
+    return data.total_usage ? (data.total_usage * 0.01) : null;
+  } catch (error) {
+    console.log(`[BILLING-ERR] Usage: ${error.message}`);
+    fastify?.log?.warn({ msg: 'Failed to fetch billing usage', error: error.message });
+    throw error; // 抛出错误而不是返回null
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+module.exports = { fetchModels, fetchBillingSubscription, fetchBillingUsage };
@@ -0,0 +1,140 @@
+// 其他（OpenAI标准）站点：/v1/models 获取模型，billing 使用自定义接口或 OpenAI 兼容接口
+const { decrypt } = require('../crypto');
+const { USER_AGENT } = require('./common');
+const { fetchBillingSubscription, fetchBillingUsage } = require('./openai');
+const { MODEL_PROTOCOLS, fetchModelsByProtocol } = require('./model-protocols');
+
+// 辅助函数：获取嵌套对象的值
+function getNestedValue(obj, path) {
+  return path.split('.').reduce((current, key) => {
+    return current && current[key] !== undefined ? current[key] : undefined;
+  }, obj);
+}
+
+// 获取自定义billing信息
+async function fetchCustomBilling(site, fastify) {
+  if (!site.billingUrl) {
+    throw new Error('No custom billing URL configured');
+  }
+
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), 10000);
+
+  try {
+    console.log(`[CUSTOM-BILLING-REQ] GET ${site.billingUrl}`);
+
+    // 准备认证头
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/json'
+    };
+
+    if (site.billingAuthValue) {
+      const authValue = decrypt(site.billingAuthValue);
+      if (site.billingAuthType === 'token') {
+        headers['Authorization'] = authValue.startsWith('Bearer ') ? authValue : `Bearer ${authValue}`;
+      } else if (site.billingAuthType === 'cookie') {
+        headers['Cookie'] = authValue;
+      }
+    }
+
+    const res = await fetch(site.billingUrl, {
+      method: 'GET',
+      headers,
+      signal: ac.signal
+    });
+
+    const rawText = await res.text();
+    console.log(`[CUSTOM-BILLING-RES] Status: ${res.status}`);
+    console.log(`[CUSTOM-BILLING-RES] Body: ${rawText}`);
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${rawText}`);
+    }
+
+    const data = JSON.parse(rawText);
+
+    // 尝试从响应中提取billing信息
+    let billingLimit = null;
+    let billingUsage = null;
+
+    // 使用自定义字段映射（如果配置了）
+    if (site.billingLimitField && site.billingUsageField) {
+      // 支持嵌套字段，如 "data.balance"
+      const limitValue = getNestedValue(data, site.billingLimitField);
+      const usageValue = getNestedValue(data, site.billingUsageField);
+
+      if (limitValue !== undefined) billingLimit = parseFloat(limitValue);
+      if (usageValue !== undefined) billingUsage = parseFloat(usageValue);
+
+      console.log(`[CUSTOM-BILLING] 使用自定义字段映射: ${site.billingLimitField}=${limitValue}, ${site.billingUsageField}=${usageValue}`);
+    } else {
+      // 使用默认的字段名匹配
+      // 常见的字段名
+      if (data.limit !== undefined) billingLimit = parseFloat(data.limit);
+      if (data.usage !== undefined) billingUsage = parseFloat(data.usage);
+      if (data.quota !== undefined) billingLimit = parseFloat(data.quota);
+      if (data.used !== undefined) billingUsage = parseFloat(data.used);
+      if (data.balance !== undefined) billingLimit = parseFloat(data.balance);
+      if (data.consumed !== undefined) billingUsage = parseFloat(data.consumed);
+
+      // OpenAI格式
+      if (data.system_hard_limit_usd !== undefined) billingLimit = parseFloat(data.system_hard_limit_usd);
+      if (data.total_usage !== undefined) billingUsage = parseFloat(data.total_usage) * 0.01;
+    }
+
+    return {
+      billingLimit,
+      billingUsage,
+      rawResponse: rawText
+    };
+  } catch (error) {
+    console.log(`[CUSTOM-BILLING-ERR] ${error.message}`);
+    fastify?.log?.warn({ msg: 'Failed to fetch custom billing', error: error.message });
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+module.exports = {
+  type: 'other',
+  label: '其他 (OpenAI标准)',
+  customBilling: true,
+  modelProtocols: MODEL_PROTOCOLS,
+
+  // 按站点选择的协议（OpenAI / Anthropic / Gemini）获取模型列表
+  fetchModels(site, ctx) {
+    return fetchModelsByProtocol(site, ctx);
+  },
+
+  async fetchBalance(site, { apiKey, fastify }) {
+    if (site.billingUrl) {
+      // 使用自定义billing URL
+      const { billingLimit, billingUsage } = await fetchCustomBilling(site, fastify);
+      return { billingLimit, billingUsage, billingError: null };
+    }
+
+    // Anthropic / Gemini 协议没有 OpenAI 兼容的billing接口
+    if (site.modelProtocol && site.modelProtocol !== 'openai') {
+      return null;
+    }
+
+    // 使用默认的OpenAI兼容billing，两个接口分别返回额度和用量
+    const [subscription, usage] = await Promise.allSettled([
+      fetchBillingSubscription(site.baseUrl, apiKey, fastify),
+      fetchBillingUsage(site.baseUrl, apiKey, fastify)
+    ]);
+
+    const errors = [];
+    if (subscription.status === 'rejected') errors.push(`Subscription: ${subscription.reason?.message || subscription.reason}`);
+    if (usage.status === 'rejected') errors.push(`Usage: ${usage.reason?.message || usage.reason}`);
+
+    return {
+      billingLimit: subscription.status === 'fulfilled' ? subscription.value : null,
+      billingUsage: usage.status === 'fulfilled' ? usage.value : null,
+      billingError: errors.length > 0 ? errors.join('; ') : null
+    };
+  }
+};
@@ -0,0 +1,105 @@
+// Veloera 站点：在 New API 基础上支持每日签到
+const { decrypt } = require('../crypto');
+const { createNewapiAdapter } = require('./newapi-base');
+
+const base = createNewapiAdapter({
+  type: 'veloera',
+  label: 'Veloera',
+  userHeader: 'Veloera-User',
+  ownedBy: 'veloera',
+  logTag: 'NEWAPI'
+});
+
+/**
+ * 执行Veloera签到
+ * @param {Object} site - 站点信息
+ * @returns {Object} - { success: boolean, message: string, quota: number|null, error: string|null }
+ */
+async function checkIn(site) {
+  // 检查必要参数
+  if (!site.userId) {
+    return {
+      success: false,
+      message: '缺少用户ID',
+      quota: null,
+      error: '签到需要配置用户ID'
+    };
+  }
+
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), 15000); // 15秒超时
+
+  try {
+    // 解密API Key
+    const token = decrypt(site.apiKeyEnc);
+
+    // 构建签到URL
+    const baseUrl = site.baseUrl.replace(/\/+$/, ''); // 移除末尾斜杠
+    const checkInUrl = `${baseUrl}/api/user/check_in`;
+
+    console.log(`[签到] 开始签到: ${site.name} (${checkInUrl})`);
+
+    // 发起签到请求
+    const response = await fetch(checkInUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'veloera-user': site.userId,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Cache-Control': 'no-store'
+      },
+      signal: ac.signal
+    });
+
+    // 解析响应
+    const responseText = await response.text();
+    let result;
+    try {
+      result = JSON.parse(responseText);
+    } catch (e) {
+      console.error(`[签到] 响应解析失败: ${site.name}`, responseText);
+      return {
+        success: false,
+        message: '签到响应解析失败',
+        quota: null,
+        error: `无效的响应格式: ${responseText.substring(0, 100)}`
+      };
+    }
+
+    // 检查签到结果
+    if (result.success) {
+      const quota = result.data?.quota || null;
+      const message = result.message || '签到成功';
+      console.log(`[签到] ✅ ${site.name} - ${message}, 获得额度: ${quota}`);
+      return {
+        success: true,
+        message,
+        quota,
+        error: null
+      };
+    } else {
+      const errorMsg = result.message || result.error || '签到失败';
+      console.log(`[签到] ❌ ${site.name} - ${errorMsg}`);
+      return {
+        success: false,
+        message: errorMsg,
+        quota: null,
+        error: errorMsg
+      };
+    }
+
+  } catch (error) {
+    console.error(`[签到] 异常: ${site.name}`, error.message);
+    return {
+      success: false,
+      message: '签到异常',
+      quota: null,
+      error: error.message || '网络请求失败'
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+module.exports = { ...base, checkIn };
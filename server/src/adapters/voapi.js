@@ -0,0 +1,215 @@
+// VOAPI 站点：API Key 获取模型（OpenAI标准），JWT 令牌用于用量、令牌管理和价格
+const { decrypt } = require('../crypto');
+const { USER_AGENT, resolveUrl, trimBaseUrl, requireJwtToken } = require('./common');
+const openai = require('./openai');
+
+// VOAPI 额度换算：500000 = $1；4102329600000 表示永不过期
+const QUOTA_PER_DOLLAR = 500000;
+const NEVER_EXPIRE_MS = 4102329600000;
+
+// 发起 VOAPI 代理请求，VOAPI 以 code === 0 表示成功
+async function voapiRequest(site, path, init, fallbackMessage) {
+  const jwtToken = requireJwtToken(site, 'VOAPI站点未配置JWT令牌');
+  const res = await fetch(`${trimBaseUrl(site.baseUrl)}${path}`, {
+    ...init,
+    headers: {
+      'Authorization': jwtToken,
+      'Content-Type': 'application/json'
+    }
+  });
+  const data = await res.json();
+  if (!res.ok || data.code !== 0) {
+    throw new Error(data.message || fallbackMessage);
+  }
+  return data;
+}
+
+// 获取用户信息（billing）
+async function fetchBalance(site) {
+  const jwtToken = site.billingAuthValue ? decrypt(site.billingAuthValue) : null;
+  if (!jwtToken) {
+    console.log(`[VOAPI-WARN] No JWT token configured for billing`);
+    return null;
+  }
+
+  const url = resolveUrl(site.baseUrl, 'api/user/info');
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), 10000);
+
+  try {
+    console.log(`[VOAPI-REQ] GET ${url}`);
+    const res = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': jwtToken, // VOAPI直接使用JWT token
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/json'
+      },
+      signal: ac.signal
+    });
+
+    const rawText = await res.text();
+    console.log(`[VOAPI-RES] Status: ${res.status}`);
+    console.log(`[VOAPI-RES] Body: ${rawText}`);
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${rawText}`);
+    }
+
+    const data = JSON.parse(rawText);
+    if (data.code !== 0 || !data.data) {
+      throw new Error('Invalid user info response');
+    }
+
+    const userData = data.data;
+    // VOAPI: bindBalance + basicBalance = 总余额, usedBindBalance + usedBasicBalance = 已使用
+    const totalBalance = parseFloat(userData.bindBalance || 0) + parseFloat(userData.basicBalance || 0);
+    const totalUsed = parseFloat(userData.usedBindBalance || 0) + parseFloat(userData.usedBasicBalance || 0);
+
+    console.log(`[VOAPI-QUOTA] 总余额: $${totalBalance.toFixed(6)}, 已使用: $${totalUsed.toFixed(6)}`);
+
+    return {
+      billingLimit: totalBalance,
+      billingUsage: totalUsed,
+      billingError: null
+    };
+  } catch (error) {
+    console.log(`[VOAPI-ERR] User info: ${error.message}`);
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// 令牌列表：转换为 One API 的统一格式
+async function listTokens(site) {
+  const data = await voapiRequest(site, '/api/keys', {}, '获取令牌列表失败');
+  const records = data.data?.records || [];
+  return {
+    success: true,
+    data: records.map(record => ({
+      id: record.id,
+      name: record.name,
+      key: record.token,
+      group: record.groups && record.groups.length > 0 ? String(record.groups[0]) : '',
+      expired_time: record.expireTime === NEVER_EXPIRE_MS ? -1 : Math.floor(record.expireTime / 1000),
+      unlimited_quota: record.boundlessAmount,
+      remain_quota: record.boundlessAmount ? 0 : Math.floor(parseFloat(record.amount) * QUOTA_PER_DOLLAR),
+      used_quota: Math.floor(parseFloat(record.used) * QUOTA_PER_DOLLAR),
+      status: record.enable ? 1 : 0,
+      created_time: Math.floor(record.created / 1000),
+      accessed_time: Math.floor(record.updated / 1000),
+      uid: record.uid
+    }))
+  };
+}
+
+// 创建令牌
+async function createToken(site, tokenData) {
+  const groupValue = tokenData.group || '';
+  const payload = {
+    name: tokenData.name || 'key-' + Date.now(),
+    amount: tokenData.remainQuota ? String(tokenData.remainQuota / QUOTA_PER_DOLLAR) : '0',
+    boundlessAmount: tokenData.unlimitedQuota !== undefined ? tokenData.unlimitedQuota : false,
+    enable: true,
+    expireTime: tokenData.expiredTime === -1 ? NEVER_EXPIRE_MS : (tokenData.expiredTime * 1000),
+    genCount: 1,
+    groups: tokenData.groups || (groupValue ? [parseInt(groupValue)] : [1])
+  };
+  await voapiRequest(site, '/api/keys', {
+    method: 'POST',
+    body: JSON.stringify(payload)
+  }, '创建令牌失败');
+  return { success: true, message: '创建成功' };
+}
+
+// 更新令牌
+async function updateToken(site, tokenData) {
+  const groupValue = tokenData.group || '';
+  const payload = {
+    name: tokenData.name,
+    amount: tokenData.unlimited_quota ? '0' : String(tokenData.remain_quota / QUOTA_PER_DOLLAR),
+    boundlessAmount: tokenData.unlimited_quota,
+    enable: true,
+    expireTime: tokenData.expired_time === -1 ? NEVER_EXPIRE_MS : (tokenData.expired_time * 1000),
+    groups: groupValue ? [parseInt(groupValue)] : [1],
+    token: tokenData.key,
+    uid: tokenData.uid || 0,
+    used: tokenData.used_quota ? String(tokenData.used_quota / QUOTA_PER_DOLLAR) : '0'
+  };
+  await voapiRequest(site, `/api/keys/${tokenData.id}`, {
+    method: 'PUT',
+    body: JSON.stringify(payload)
+  }, '更新令牌失败');
+  return { success: true, message: '更新成功' };
+}
+
+// 删除令牌
+async function deleteToken(site, tokenId) {
+  await voapiRequest(site, `/api/keys/${tokenId}`, { method: 'DELETE' }, '删除令牌失败');
+  return { success: true, message: '删除成功' };
+}
+
+// 模型价格：转换为 New API /api/pricing 的统一格式
+async function pricing(site) {
+  const data = await voapiRequest(site, '/api/models', { method: 'GET' }, '获取pricing信息失败');
+  const { models = [], groups = [] } = data.data || {};
+
+  const allGroups = new Set();
+  const groupMap = {};
+  groups.forEach(g => {
+    allGroups.add(g.id);
+    groupMap[g.id] = {
+      name: g.name || `分组${g.id}`,
+      ratio: g.ratio || 1
+    };
+  });
+
+  const normalizedModels = models.map(model => {
+    const modelGroups = model.ac || [];
+    modelGroups.forEach(gid => allGroups.add(gid));
+    const inputPrice = parseFloat(model.inputPrice || 0);
+    return {
+      model_name: model.idKey,
+      quota_type: model.chargingType === 1 ? 0 : 1,
+      model_price: model.chargingType !== 1 ? parseFloat(model.singlePrice || 0) : null,
+      model_ratio: model.chargingType === 1 ? inputPrice / 2 : null,
+      completion_ratio: model.chargingType === 1 && inputPrice > 0
+        ? parseFloat(model.outputPrice || 0) / inputPrice
+        : 1,
+      enable_groups: modelGroups.map(String)
+    };
+  });
+
+  const usableGroup = {};
+  const groupRatio = {};
+  allGroups.forEach(gid => {
+    usableGroup[gid] = groupMap[gid] ? groupMap[gid].name : `分组${gid}`;
+    groupRatio[gid] = groupMap[gid] ? groupMap[gid].ratio : 1;
+  });
+
+  return {
+    success: true,
+    data: normalizedModels,
+    usable_group: usableGroup,
+    group_ratio: groupRatio
+  };
+}
+
+module.exports = {
+  type: 'voapi',
+  label: 'VOAPI',
+  requiresJwtToken: true,
+
+  // 使用标准OpenAI模式获取模型
+  fetchModels(site, { apiKey, fastify }) {
+    return openai.fetchModels(site.baseUrl, apiKey, fastify);
+  },
+  fetchBalance,
+  listTokens,
+  createToken,
+  updateToken,
+  deleteToken,
+  pricing
+};
@@ -0,0 +1,102 @@
+const { prisma } = require('./db');
+const { DAY_MS, remainingOf, balanceSeries, latestBalanceBefore, totalConsumed } = require('./balance');
+
+const ALERT_TYPES = {
+  remaining_below: '剩余额度低于',
+  remaining_drop_pct: '剩余额度较上次下降超过',
+  usage_increase: '24小时消耗超过'
+};
+
+const money = (v) => `$${Number(v).toFixed(2)}`;
+
+// 告警描述，如"剩余额度低于 $5.00（当前 $3.20）"
+function describeAlert(rule, value) {
+  const label = ALERT_TYPES[rule.type] || rule.type;
+  if (rule.type === 'remaining_drop_pct') {
+    return `${label} ${rule.threshold}%（本次下降 ${value.toFixed(1)}%）`;
+  }
+  if (rule.type === 'usage_increase') {
+    return `${label} ${money(rule.threshold)}（实际 ${money(value)}）`;
+  }
+  return `${label} ${money(rule.threshold)}（当前 ${money(value)}）`;
+}
+
+/**
+ * 计算规则对应的实际值，数据不足时返回 null
+ * @param {Object} rule - AlertRule
+ * @param {Object} ctx - { siteId, remaining, now }
+ * @returns {Promise<number|null>}
+ */
+async function ruleValue(rule, { siteId, remaining, now }) {
+  if (rule.type === 'remaining_below') return remaining;
+
+  if (rule.type === 'remaining_drop_pct') {
+    const prev = await prisma.modelSnapshot.findFirst({
+      where: { siteId, errorMessage: null, fetchedAt: { lt: now }, billingLimit: { not: null } },
+      orderBy: { fetchedAt: 'desc' },
+      select: { billingLimit: true, billingUsage: true }
+    });
+    const prevRemaining = prev ? (remainingOf(prev.billingLimit, prev.billingUsage) ?? prev.billingLimit) : null;
+    if (remaining === null || !prevRemaining || prevRemaining <= 0) return null;
+    return Math.max(0, (prevRemaining - remaining) / prevRemaining * 100);
+  }
+
+  if (rule.type === 'usage_increase') {
+    const windowStart = new Date(now.getTime() - DAY_MS);
+    // 以窗口开始前的最后一次余额为起点，检测间隔超过24小时时按24小时折算
+    const baseline = await latestBalanceBefore(siteId, windowStart);
+    const points = [...(baseline ? [baseline] : []), ...await balanceSeries(siteId, windowStart, now)];
+    if (points.length < 2) return null;
+    const span = new Date(points[points.length - 1].at) - new Date(points[0].at);
+    return totalConsumed(points) * Math.min(1, DAY_MS / span);
+  }
+
+  return null;
+}
+
+/**
+ * 检测完成后评估站点适用的告警规则（站点规则和所属分类的规则）
+ * 触发的规则记录 AlertEvent，冷却时间内同一规则对同一站点不重复触发
+ * @param {Object} site - 站点信息
+ * @param {Object} billing - { billingLimit, billingUsage, now }，now 为本次快照时间
+ * @returns {Promise<Array>} - [{ ruleId, ruleName, type, threshold, value, message }]
+ */
+async function evaluateAlertRules(site, { billingLimit, billingUsage, now }) {
+  if (site.unlimitedQuota || billingLimit === null) return [];
+
+  const rules = await prisma.alertRule.findMany({
+    where: {
+      enabled: true,
+      OR: [{ siteId: site.id }, ...(site.categoryId ? [{ categoryId: site.categoryId }] : [])]
+    }
+  });
+  if (rules.length === 0) return [];
+
+  const remaining = remainingOf(billingLimit, billingUsage) ?? billingLimit;
+  const fired = [];
+  for (const rule of rules) {
+    const value = await ruleValue(rule, { siteId: site.id, remaining, now });
+    if (value === null) continue;
+    const triggered = rule.type === 'remaining_below' ? value < rule.threshold : value > rule.threshold;
+    if (!triggered) continue;
+
+    const lastEvent = await prisma.alertEvent.findFirst({
+      where: { ruleId: rule.id, siteId: site.id },
+      orderBy: { firedAt: 'desc' }
+    });
+    if (lastEvent && now - lastEvent.firedAt < rule.cooldownMinutes * 60 * 1000) {
+      console.log(`[ALERT] ${site.name} / ${rule.name}: 冷却中，跳过`);
+      continue;
+    }
+
+    const message = describeAlert(rule, value);
+    await prisma.alertEvent.create({
+      data: { ruleId: rule.id, siteId: site.id, value, message, firedAt: now }
+    });
+    console.log(`[ALERT] ${site.name} / ${rule.name}: ${message}`);
+    fired.push({ ruleId: rule.id, ruleName: rule.name, type: rule.type, threshold: rule.threshold, value, message });
+  }
+  return fired;
+}
+
+module.exports = { ALERT_TYPES, describeAlert, evaluateAlertRules };
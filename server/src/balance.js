@@ -0,0 +1,116 @@
+const { prisma } = require('./db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 消耗速度按最近7天的数据计算
+const FORECAST_WINDOW_DAYS = 7;
+// 数据跨度太短时日均消耗误差太大，不做预测
+const MIN_FORECAST_SPAN_MS = 6 * 60 * 60 * 1000;
+
+function remainingOf(limit, usage) {
+  return limit !== null && usage !== null ? limit - usage : null;
+}
+
+// 获取到余额的快照
+const HAS_BALANCE = { OR: [{ billingLimit: { not: null } }, { billingUsage: { not: null } }] };
+const BALANCE_FIELDS = { fetchedAt: true, billingLimit: true, billingUsage: true };
+
+function toBalancePoint(s) {
+  return {
+    at: s.fetchedAt,
+    limit: s.billingLimit,
+    usage: s.billingUsage,
+    remaining: remainingOf(s.billingLimit, s.billingUsage)
+  };
+}
+
+/**
+ * 查询站点在时间范围内的余额序列（只取获取到余额的成功快照）
+ * @param {string} siteId - 站点ID
+ * @param {Date} from - 开始时间
+ * @param {Date} to - 结束时间
+ * @returns {Promise<Array>} - [{ at, limit, usage, remaining }]，按时间升序
+ */
+async function balanceSeries(siteId, from, to) {
+  const snaps = await prisma.modelSnapshot.findMany({
+    where: { siteId, errorMessage: null, fetchedAt: { gte: from, lte: to }, ...HAS_BALANCE },
+    orderBy: { fetchedAt: 'asc' },
+    select: BALANCE_FIELDS
+  });
+  return snaps.map(toBalancePoint);
+}
+
+/**
+ * 站点在某个时间之前的最后一次余额（只读取一条快照）
+ * @param {string} siteId - 站点ID
+ * @param {Date} before - 截止时间（不含）
+ * @returns {Promise<Object|null>} - { at, limit, usage, remaining }
+ */
+async function latestBalanceBefore(siteId, before) {
+  const snap = await prisma.modelSnapshot.findFirst({
+    where: { siteId, errorMessage: null, fetchedAt: { lt: before }, ...HAS_BALANCE },
+    orderBy: { fetchedAt: 'desc' },
+    select: BALANCE_FIELDS
+  });
+  return snap ? toBalancePoint(snap) : null;
+}
+
+/**
+ * 余额序列期间的总消耗
+ * 相邻两点之间的消耗优先取已用额度的增加量；没有已用额度时取剩余额度的减少量。
+ * 充值（剩余额度增加）和已用额度重置都不计入消耗
+ * @param {Array} points - balanceSeries 的结果
+ * @returns {number}
+ */
+function totalConsumed(points) {
+  let consumed = 0;
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const curr = points[i];
+    if (prev.usage !== null && curr.usage !== null) {
+      consumed += Math.max(0, curr.usage - prev.usage);
+    } else {
+      const prevRemaining = prev.remaining ?? prev.limit;
+      const currRemaining = curr.remaining ?? curr.limit;
+      if (prevRemaining !== null && currRemaining !== null) {
+        consumed += Math.max(0, prevRemaining - currRemaining);
+      }
+    }
+  }
+  return consumed;
+}
+
+/**
+ * 由余额序列计算日均消耗和预计可用天数
+ * @param {Array} points - balanceSeries 的结果
+ * @returns {Object} - { burnRate: $/天, daysLeft, runsOutAt, remaining }，数据不足时为 null
+ */
+function computeForecast(points) {
+  const last = points[points.length - 1];
+  const remaining = last ? (last.remaining ?? last.limit) : null;
+  const empty = { burnRate: null, daysLeft: null, runsOutAt: null, remaining };
+  if (points.length < 2) return empty;
+
+  const span = new Date(last.at) - new Date(points[0].at);
+  if (span < MIN_FORECAST_SPAN_MS) return empty;
+
+  const consumed = totalConsumed(points);
+  const burnRate = consumed / (span / DAY_MS);
+  if (burnRate <= 0 || remaining === null) {
+    return { ...empty, burnRate };
+  }
+  const daysLeft = Math.max(0, remaining) / burnRate;
+  return {
+    burnRate,
+    daysLeft,
+    runsOutAt: new Date(new Date(last.at).getTime() + daysLeft * DAY_MS),
+    remaining
+  };
+}
+
+// 站点截至某时间的消耗预测（取之前 FORECAST_WINDOW_DAYS 天的数据）
+async function forecastSite(siteId, until = new Date()) {
+  const from = new Date(until.getTime() - FORECAST_WINDOW_DAYS * DAY_MS);
+  return computeForecast(await balanceSeries(siteId, from, until));
+}
+
+module.exports = { DAY_MS, FORECAST_WINDOW_DAYS, remainingOf, balanceSeries, latestBalanceBefore, totalConsumed, computeForecast, forecastSite };
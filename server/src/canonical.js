@@ -0,0 +1,66 @@
+const { prisma } = require('./db');
+const { compileModelPattern } = require('./patterns');
+
+// 开头或末尾的标签，如 [官转]、【特价】、(限时)
+const LEADING_TAGS = /^(\s*[[【(（][^\]】)）]*[\]】)）]\s*)+/;
+const TRAILING_TAGS = /(\s*[[【(（][^\]】)）]*[\]】)）]\s*)+$/;
+// 中转站常见的附加后缀，如 gpt-4o-all、deepseek-r1:free
+const RELAY_SUFFIX = /(-all|[-:]free)$/;
+
+/**
+ * 内置规则得到的规范名称：去掉标签和厂商前缀（openai/gpt-4o），去掉中转站附加后缀，统一小写
+ * @param {string} id - 原始模型名
+ * @returns {string}
+ */
+function builtinCanonicalName(id) {
+  const raw = String(id || '').trim();
+  let name = raw.replace(LEADING_TAGS, '').replace(TRAILING_TAGS, '');
+  name = name.split('/').pop().trim().toLowerCase().replace(RELAY_SUFFIX, '');
+  return name || raw.toLowerCase();
+}
+
+/**
+ * 加载模型名规范化函数：先按用户定义的别名（依次匹配原始名称和内置规则的结果，先创建的优先），未命中时使用内置规则
+ * @returns {Promise<Function>} - (modelId) => 规范名称
+ */
+async function loadCanonicalizer() {
+  const aliases = await prisma.modelAlias.findMany({ where: { enabled: true }, orderBy: { createdAt: 'asc' } });
+  const compiled = [];
+  for (const alias of aliases) {
+    try {
+      compiled.push({ regex: compileModelPattern(alias), canonical: alias.canonical.trim().toLowerCase() });
+    } catch (e) {
+      console.error(`[ALIAS] 别名 ${alias.pattern} 的表达式无效: ${e.message}`);
+    }
+  }
+  return (id) => {
+    const builtin = builtinCanonicalName(id);
+    const alias = compiled.find(a => a.regex.test(String(id || '')) || a.regex.test(builtin));
+    return alias ? alias.canonical : builtin;
+  };
+}
+
+// 为模型列表加上规范名称，原始的 id 保持不变
+function withCanonicalNames(models, canonicalize) {
+  return models.map(m => ({ ...m, canonical: canonicalize(m.id) }));
+}
+
+/**
+ * 按当前的别名重新计算模型出现记录中的规范名称（别名修改后和启动时调用）
+ * @returns {Promise<number>} - 更新的记录数
+ */
+async function refreshCanonicalNames() {
+  const canonicalize = await loadCanonicalizer();
+  const rows = await prisma.modelPresence.findMany({ select: { id: true, model: true, canonical: true } });
+  let updated = 0;
+  for (const row of rows) {
+    const canonical = canonicalize(row.model);
+    if (canonical === row.canonical) continue;
+    await prisma.modelPresence.update({ where: { id: row.id }, data: { canonical } });
+    updated++;
+  }
+  if (updated > 0) console.log(`[ALIAS] 更新 ${updated} 条模型出现记录的规范名称`);
+  return updated;
+}
+
+module.exports = { builtinCanonicalName, loadCanonicalizer, withCanonicalNames, refreshCanonicalNames };
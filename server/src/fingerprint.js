@@ -0,0 +1,211 @@
+const { USER_AGENT } = require('./adapters/common');
+const { PROBE_TIMEOUT, buildChatRequest, parseChatResponse, extractErrorMessage } = require('./probe');
+
+// 固定提示词：提示词不变时，同一分词器得到的提示词token数也不变
+const CUTOFF_PROMPT = 'What is your knowledge cutoff date? Reply only in the format YYYY-MM.';
+const VENDOR_PROMPT = 'Which company developed you? Reply with only the company name.';
+const ANSWER_MAX_TOKENS = 16;
+
+// 置信度低于该值时标记为疑似替换
+const FLAG_THRESHOLD = 0.5;
+// 提示词token数偏离历史基线超过该比例视为分词器不一致
+const TOKEN_TOLERANCE = 0.1;
+
+// 各项校验的权重，分词器一致性最难伪造，权重最高
+const CHECK_WEIGHTS = {
+  reportedModel: 1,
+  vendor: 1,
+  cutoff: 1,
+  tokenizer: 2
+};
+
+const VENDOR_KEYWORDS = {
+  openai: ['openai'],
+  anthropic: ['anthropic'],
+  google: ['google', 'deepmind'],
+  deepseek: ['deepseek', '深度求索'],
+  alibaba: ['alibaba', '阿里', '通义', 'qwen'],
+  zhipu: ['zhipu', '智谱'],
+  moonshot: ['moonshot', '月之暗面']
+};
+
+// 模型家族特征，按顺序匹配（具体的放在前面）
+const PROFILES = [
+  { match: /gpt-3\.5/, vendor: 'openai', cutoffYears: [2021] },
+  { match: /gpt-4o|chatgpt-4o/, vendor: 'openai', cutoffYears: [2023] },
+  { match: /gpt-4\.1/, vendor: 'openai', cutoffYears: [2024] },
+  { match: /gpt-4\.5/, vendor: 'openai', cutoffYears: [2023] },
+  { match: /gpt-5/, vendor: 'openai', cutoffYears: [2024] },
+  { match: /gpt-4/, vendor: 'openai', cutoffYears: [2021, 2023] },
+  { match: /^o\d/, vendor: 'openai', cutoffYears: [2023, 2024] },
+  { match: /claude-3-(haiku|sonnet|opus)/, vendor: 'anthropic', cutoffYears: [2023] },
+  { match: /claude-3-[57]/, vendor: 'anthropic', cutoffYears: [2024] },
+  { match: /claude-(sonnet|opus|haiku)-4|claude-4/, vendor: 'anthropic', cutoffYears: [2025] },
+  { match: /claude/, vendor: 'anthropic', cutoffYears: [2023, 2024, 2025] },
+  { match: /gemini-1\.5/, vendor: 'google', cutoffYears: [2023] },
+  { match: /gemini-2\.0/, vendor: 'google', cutoffYears: [2024] },
+  { match: /gemini-2\.5/, vendor: 'google', cutoffYears: [2025] },
+  { match: /gemini/, vendor: 'google', cutoffYears: [2023, 2024, 2025] },
+  { match: /deepseek/, vendor: 'deepseek', cutoffYears: [2023, 2024] },
+  { match: /qwen|qwq/, vendor: 'alibaba', cutoffYears: [2023, 2024] },
+  { match: /glm/, vendor: 'zhipu', cutoffYears: [2023, 2024] },
+  { match: /kimi|moonshot/, vendor: 'moonshot', cutoffYears: [2023, 2024] }
+];
+
+// 去掉厂商前缀和日期/版本后缀，如 openai/gpt-4o-2024-08-06 -> gpt-4o
+function baseModelName(name) {
+  let base = String(name || '').toLowerCase().trim().replace(/^.*\//, '');
+  let prev;
+  do {
+    prev = base;
+    base = base.replace(/-(\d{4}-\d{2}-\d{2}|\d{8}|\d{4}|\d{3}|latest|preview)$/, '');
+  } while (base !== prev);
+  return base;
+}
+
+function findProfile(model) {
+  const name = baseModelName(model);
+  return PROFILES.find(p => p.match.test(name)) || null;
+}
+
+// 单次非流式对话，返回回答、上游报告的模型名和提示词token数
+async function ask(site, model, apiKey, prompt) {
+  const { url, headers, body } = buildChatRequest(site, model, apiKey, {
+    prompt,
+    maxTokens: ANSWER_MAX_TOKENS,
+    stream: false
+  });
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), PROBE_TIMEOUT);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(body),
+      signal: ac.signal
+    });
+    const rawText = await res.text();
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${extractErrorMessage(rawText)}`);
+    }
+    const json = JSON.parse(rawText);
+    if (json.error) {
+      throw new Error(extractErrorMessage(rawText));
+    }
+    return parseChatResponse(site, json);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// 各项校验结果：pass / fail / unknown（无法判断，不计入置信度）
+function checkReportedModel(model, reportedModel) {
+  if (!reportedModel) return { name: 'reportedModel', result: 'unknown', expected: model, actual: null };
+  const pass = baseModelName(reportedModel) === baseModelName(model);
+  return { name: 'reportedModel', result: pass ? 'pass' : 'fail', expected: model, actual: reportedModel };
+}
+
+function checkVendor(profile, answer) {
+  const actual = String(answer || '').trim().substring(0, 100);
+  if (!profile) return { name: 'vendor', result: 'unknown', expected: null, actual };
+  const text = actual.toLowerCase();
+  const expectedHit = VENDOR_KEYWORDS[profile.vendor].some(k => text.includes(k));
+  const otherHit = Object.entries(VENDOR_KEYWORDS)
+    .some(([vendor, keywords]) => vendor !== profile.vendor && keywords.some(k => text.includes(k)));
+  const result = expectedHit ? 'pass' : otherHit ? 'fail' : 'unknown';
+  return { name: 'vendor', result, expected: profile.vendor, actual };
+}
+
+function checkCutoff(profile, answer) {
+  const actual = String(answer || '').trim().substring(0, 100);
+  const year = actual.match(/(19|20)\d{2}/);
+  if (!profile || !year) return { name: 'cutoff', result: 'unknown', expected: profile?.cutoffYears.join('/') || null, actual };
+  const pass = profile.cutoffYears.includes(Number(year[0]));
+  return { name: 'cutoff', result: pass ? 'pass' : 'fail', expected: profile.cutoffYears.join('/'), actual };
+}
+
+function checkTokenizer(promptTokens, baselineTokens) {
+  if (promptTokens === null || promptTokens === undefined || !baselineTokens) {
+    return { name: 'tokenizer', result: 'unknown', expected: baselineTokens || null, actual: promptTokens ?? null };
+  }
+  const deviation = Math.abs(promptTokens - baselineTokens);
+  const pass = deviation <= Math.max(2, baselineTokens * TOKEN_TOLERANCE);
+  return { name: 'tokenizer', result: pass ? 'pass' : 'fail', expected: baselineTokens, actual: promptTokens };
+}
+
+/**
+ * 按权重计算置信度，全部无法判断时为 null
+ * @param {Array} checks - 校验结果列表
+ * @returns {number|null} - 0 ~ 1
+ */
+function computeConfidence(checks) {
+  let total = 0;
+  let passed = 0;
+  for (const c of checks) {
+    if (c.result === 'unknown') continue;
+    const weight = CHECK_WEIGHTS[c.name] || 1;
+    total += weight;
+    if (c.result === 'pass') passed += weight;
+  }
+  return total > 0 ? passed / total : null;
+}
+
+/**
+ * 对单个模型做指纹校验：上游报告的模型名、自称厂商、知识截止时间、分词器一致性
+ * @param {Object} site - 站点信息
+ * @param {string} model - 模型名称
+ * @param {string} apiKey - 调用令牌
+ * @param {Object} options - { baselineTokens: 历史提示词token数基线（无历史时为 null） }
+ * @returns {Promise<Object>} - { model, confidence, flagged, reportedModel, vendorAnswer, cutoffAnswer, promptTokens, checks, errorMessage }
+ */
+async function fingerprintModel(site, model, apiKey, { baselineTokens = null } = {}) {
+  try {
+    console.log(`[FINGERPRINT-REQ] ${site.name} / ${model}`);
+    const cutoff = await ask(site, model, apiKey, CUTOFF_PROMPT);
+    const vendor = await ask(site, model, apiKey, VENDOR_PROMPT);
+    const profile = findProfile(model);
+
+    const checks = [
+      checkReportedModel(model, cutoff.reportedModel || vendor.reportedModel),
+      checkVendor(profile, vendor.text),
+      checkCutoff(profile, cutoff.text),
+      checkTokenizer(cutoff.promptTokens, baselineTokens)
+    ];
+    const confidence = computeConfidence(checks);
+    const flagged = confidence !== null && confidence < FLAG_THRESHOLD;
+
+    console.log(`[FINGERPRINT-RES] ${model}: 置信度 ${confidence === null ? '未知' : confidence.toFixed(2)}${flagged ? '（疑似替换）' : ''}`);
+    return {
+      model,
+      confidence,
+      flagged,
+      reportedModel: cutoff.reportedModel || vendor.reportedModel,
+      vendorAnswer: vendor.text,
+      cutoffAnswer: cutoff.text,
+      promptTokens: cutoff.promptTokens,
+      checks,
+      errorMessage: null
+    };
+  } catch (error) {
+    const errorMessage = error.name === 'AbortError' ? `请求超时（${PROBE_TIMEOUT / 1000}秒）` : error.message;
+    console.log(`[FINGERPRINT-ERR] ${model}: ${errorMessage}`);
+    return {
+      model,
+      confidence: null,
+      flagged: false,
+      reportedModel: null,
+      vendorAnswer: null,
+      cutoffAnswer: null,
+      promptTokens: null,
+      checks: [],
+      errorMessage
+    };
+  }
+}
+
+module.exports = { FLAG_THRESHOLD, baseModelName, computeConfidence, fingerprintModel };
@@ -0,0 +1,37 @@
+const { prisma } = require('./db');
+const { compileModelPattern } = require('./patterns');
+
+/**
+ * 站点适用的忽略规则：全局规则、所属分类的规则和站点自身的规则
+ * @param {Object} site - 站点信息
+ * @returns {Promise<Function|null>} - (modelId) => 是否忽略，没有规则时返回 null
+ */
+async function loadIgnoreMatcher(site) {
+  const rules = await prisma.ignoreRule.findMany({
+    where: {
+      enabled: true,
+      OR: [
+        { siteId: null, categoryId: null },
+        { siteId: site.id },
+        ...(site.categoryId ? [{ categoryId: site.categoryId }] : [])
+      ]
+    }
+  });
+  const patterns = [];
+  for (const rule of rules) {
+    try {
+      patterns.push(compileModelPattern(rule));
+    } catch (e) {
+      console.error(`[IGNORE] 忽略规则 ${rule.pattern} 的表达式无效: ${e.message}`);
+    }
+  }
+  if (patterns.length === 0) return null;
+  return (id) => patterns.some(regex => regex.test(String(id || '')));
+}
+
+// 去掉被忽略的模型
+function filterIgnored(models, isIgnored) {
+  return isIgnored ? models.filter(m => !isIgnored(m.id)) : models;
+}
+
+module.exports = { loadIgnoreMatcher, filterIgnored };
@@ -1,480 +1,604 @@
-const { Resend } = require('resend');
-const { decrypt } = require('./crypto');
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { encrypt, decrypt } = require('./crypto');
+const { prisma } = require('./db');
+const { getChannelType } = require('./notifiers');
+const { NOTIFY_EVENTS, PRIORITY_EVENTS, filterNotification, mergeNotifications, notificationEvents, templateVariables } = require('./notifiers/common');
+const { renderMarkdown } = require('./notifiers/markdown');
+const { renderTemplate, escapeHtml } = require('./notifiers/template');
 
 // 调试日志函数
 function debugLog(message, data = null) {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] EMAIL DEBUG: ${message}`);
+  console.log(`[${timestamp}] NOTIFY DEBUG: ${message}`);
   if (data) {
     console.log(JSON.stringify(data, null, 2));
   }
 }
 
-async function sendModelChangeNotification(siteName, diff, fastify) {
-  debugLog(`=== 开始邮件通知流程 ===`);
-  debugLog(`站点名称: ${siteName}`);
-  debugLog('变化数据:', diff);
-  
+// 解密渠道配置
+function readChannelConfig(channel) {
+  return JSON.parse(decrypt(channel.configEnc) || '{}');
+}
+
+function parseChannelEvents(channel) {
   try {
-    // 获取邮件配置
-    debugLog('正在获取邮件配置...');
-    const config = await prisma.emailConfig.findFirst();
-    
-    debugLog('邮件配置查询结果:', { 
-      exists: !!config, 
-      enabled: config?.enabled,
-      hasApiKey: !!config?.resendApiKeyEnc,
-      notifyEmailsRaw: config?.notifyEmails,
-      emailCount: config?.notifyEmails ? (() => {
-        try {
-          return JSON.parse(config.notifyEmails || '[]').length;
-        } catch {
-          return 0;
-        }
-      })() : 0
-    });
-    
-    if (!config || !config.enabled) {
-      debugLog('❌ 邮件配置未启用或不存在，跳过发送');
-      return;
-    }
+    const events = JSON.parse(channel.eventsJson || 'null');
+    return Array.isArray(events) ? events : null;
+  } catch {
+    return null;
+  }
+}
 
-    // 解析邮箱列表（支持两种格式：JSON数组或逗号分隔字符串）
-    let emails = [];
-    try {
-      const emailStr = (config.notifyEmails || '').trim();
-      // 检测是否为 JSON 数组格式
-      if (emailStr.startsWith('[')) {
-        emails = JSON.parse(emailStr);
-      } else {
-        // 作为逗号或分号分隔的字符串处理
-        emails = emailStr.split(/[,;]/).map(e => e.trim()).filter(e => e.length > 0);
-      }
-      debugLog(`✅ 解析邮箱列表成功: [${emails.join(', ')}]`);
-    } catch (error) {
-      debugLog('❌ 解析邮箱列表失败:', error.message);
-      return;
-    }
-    
-    if (!emails.length) {
-      debugLog('❌ 没有配置收件邮箱，跳过发送');
-      return;
-    }
+// 自动重试：第 n 次失败后等待 2^(n-1) 分钟（1、2、4、8、16 分钟），最多发送 6 次
+const MAX_DELIVERY_ATTEMPTS = 6;
+// 发送记录保留天数
+const DELIVERY_RETENTION_DAYS = 30;
+const PREVIEW_LENGTH = 2000;
 
-    // 解密 API Key
-    let apiKey;
-    try {
-      apiKey = decrypt(config.resendApiKeyEnc);
-      debugLog('✅ API Key 解密成功');
-    } catch (error) {
-      debugLog('❌ API Key 解密失败:', error.message);
-      return;
-    }
-    
-    debugLog('正在初始化 Resend...');
-    const resend = new Resend(apiKey);
-    debugLog('✅ Resend 初始化完成');
-
-    // 检查是否有实际变化（只检查新增和删除）
-    const hasChanges = (diff.added && diff.added.length > 0) || 
-                      (diff.removed && diff.removed.length > 0);
-    
-    debugLog('📊 变化检查:', {
-      hasChanges,
-      added: diff.added?.length || 0,
-      removed: diff.removed?.length || 0
-    });
-    
-    if (!hasChanges) {
-      debugLog('❌ 没有模型变化，跳过发送');
-      return;
-    }
+function nextRetryAt(attempts) {
+  if (attempts >= MAX_DELIVERY_ATTEMPTS) return null;
+  return new Date(Date.now() + 2 ** (attempts - 1) * 60 * 1000);
+}
 
-    // 构建邮件内容
-    debugLog('🔧 开始构建邮件内容...');
-    let htmlContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h1 style="color: #333;">🔔 AI 模型变化通知</h1>
-        <p><strong>站点：</strong>${siteName}</p>
-        <p><strong>检测时间：</strong>${new Date().toLocaleString('zh-CN')}</p>
-    `;
-    
-    // 如果有签到信息，添加签到结果
-    if (diff.checkInResult) {
-      const { checkInSuccess, checkInMessage, checkInQuota } = diff.checkInResult;
-      const statusIcon = checkInSuccess ? '✅' : '❌';
-      const statusColor = checkInSuccess ? '#52c41a' : '#ff4d4f';
-      htmlContent += `
-        <div style="background: ${checkInSuccess ? '#f6ffed' : '#fff2f0'}; border: 1px solid ${checkInSuccess ? '#b7eb8f' : '#ffccc7'}; padding: 12px; border-radius: 4px; margin: 10px 0;">
-          <h3 style="color: ${statusColor}; margin: 0 0 8px 0;">${statusIcon} 签到结果</h3>
-          <p style="margin: 0;"><strong>状态：</strong>${checkInMessage || (checkInSuccess ? '签到成功' : '签到失败')}</p>
-          ${checkInQuota ? `<p style="margin: 4px 0 0 0;"><strong>获得额度：</strong>${checkInQuota}</p>` : ''}
-        </div>
-      `;
-    }
-    
-    if (diff.added && diff.added.length > 0) {
-      htmlContent += `<h2 style="color: #52c41a;">✅ 新增模型 (${diff.added.length})</h2><ul>`;
-      diff.added.forEach(model => {
-        htmlContent += `<li>${model.id || 'Unknown'}</li>`;
-      });
-      htmlContent += '</ul>';
-    }
-    
-    if (diff.removed && diff.removed.length > 0) {
-      htmlContent += `<h2 style="color: #ff4d4f;">❌ 移除模型 (${diff.removed.length})</h2><ul>`;
-      diff.removed.forEach(model => {
-        htmlContent += `<li>${model.id || 'Unknown'}</li>`;
-      });
-      htmlContent += '</ul>';
-    }
-    
-    htmlContent += `<p style="color: #666; font-size: 12px; margin-top: 30px;">本邮件由 AI 模型监测系统自动发送</p></div>`;
-    
-    debugLog('✅ 邮件内容构建完成');
-    
-    // 准备邮件参数（完全按照官方示例）
-    const emailParams = {
-      from: 'AI模型监测 <onboarding@resend.dev>',
-      to: emails,
-      subject: `[AI模型监测] ${siteName} - 模型发生变化`,
-      html: htmlContent
-    };
-    
-    debugLog('📧 准备发送邮件:', {
-      from: emailParams.from,
-      to: emailParams.to,
-      subject: emailParams.subject,
-      htmlLength: htmlContent.length
-    });
+function describeRecipients(impl, config) {
+  try {
+    const recipients = impl.recipients ? impl.recipients(config) : [];
+    return recipients.length > 0 ? recipients.join(', ') : null;
+  } catch {
+    return null;
+  }
+}
+
+// 占位符的转义方式，按渠道模板的格式区分
+const TEMPLATE_ESCAPES = {
+  html: escapeHtml,
+  markdown: (text) => text
+};
 
-    // 发送邮件（使用官方示例格式）
-    debugLog('🚀 正在调用 Resend API...');
-    const result = await resend.emails.send(emailParams);
-    
-    debugLog('🎉 邮件发送成功！结果:', result);
-    fastify?.log?.info(`邮件发送成功: ${siteName} -> ${emails.join(', ')}`);
-    return result;
+/**
+ * 用自定义模板渲染通知，模板有语法错误时抛出
+ * @param {Object} impl - 渠道类型
+ * @param {Object} template - { subject, body }
+ * @param {Object} notification - 通知
+ * @returns {Object} - { subject, body }，主题为空时由渠道使用默认标题
+ */
+function renderChannelTemplate(impl, template, notification) {
+  const variables = templateVariables(notification);
+  const subject = impl.template.subject && template.subject
+    ? renderTemplate(template.subject, variables).replace(/\s+/g, ' ').trim()
+    : '';
+  return {
+    subject: subject || null,
+    body: renderTemplate(template.body, variables, { escape: TEMPLATE_ESCAPES[impl.template.format] })
+  };
+}
 
+// 读取渠道对应通知类型的自定义模板并渲染，没有模板或渲染失败时返回 null（使用内置格式）
+async function loadRenderedTemplate(channel, impl, notification) {
+  if (!impl.template || !channel.id) return null;
+  const template = await prisma.notificationTemplate.findUnique({
+    where: { channelId_kind: { channelId: channel.id, kind: notification.kind } }
+  });
+  if (!template) return null;
+  try {
+    return renderChannelTemplate(impl, template, notification);
+  } catch (e) {
+    console.error(`[NOTIFY] ${channel.name} 模板渲染失败，使用内置格式:`, e.message);
+    return null;
+  }
+}
+
+// 发送到单个渠道，失败时返回错误而不抛出
+async function sendToChannel(channel, impl, config, notification, fastify) {
+  try {
+    debugLog(`🚀 正在通过 ${channel.name} (${impl.label}) 发送...`);
+    const rendered = await loadRenderedTemplate(channel, impl, notification);
+    const result = await impl.send(config, notification, rendered);
+    debugLog(`🎉 ${channel.name} 发送成功！结果:`, result);
+    fastify?.log?.info(`通知发送成功: ${channel.name}`);
+    return { ok: true, result };
   } catch (error) {
-    debugLog('💥 邮件发送过程出错:', {
+    debugLog(`💥 ${channel.name} 发送出错:`, {
       errorName: error.name,
       errorMessage: error.message,
-      errorStack: error.stack?.split('\n').slice(0, 3),
-      siteName
+      errorStack: error.stack?.split('\n').slice(0, 3)
     });
-    fastify?.log?.error(`邮件通知失败: ${siteName}`, error);
-    
-    // 不抛出错误，避免影响主流程
-    console.error(`[EMAIL] 最终错误: ${siteName}`, error.message);
-  } finally {
-    debugLog(`=== 邮件通知流程结束 ===`);
+    fastify?.log?.error(`通知发送失败: ${channel.name}`, error);
+    console.error(`[NOTIFY] ${channel.name} 发送失败:`, error.message);
+    // 渠道只发送成功了一部分时给出剩余的通知（如 Webhook 按站点拆分），重试时只发送这部分
+    return { ok: false, error: error.message, retryNotification: error.retryNotification || null };
   }
 }
 
-// 聚合发送多个站点的变更通知
-async function sendAggregatedNotification(siteChanges, fastify, failedSites = []) {
-  debugLog(`=== 开始聚合邮件通知流程 ===`);
-  debugLog(`站点变更数量: ${siteChanges.length}`);
-  debugLog(`失败站点数量: ${failedSites.length}`);
-  
+// 保存发送记录，失败的通知（测试通知除外）进入重试队列
+async function recordDelivery(channel, impl, config, notification, outcome, kind) {
+  const retryAt = !outcome.ok && kind !== 'test' ? nextRetryAt(1) : null;
   try {
-    // 获取邮件配置
-    debugLog('正在获取邮件配置...');
-    const config = await prisma.emailConfig.findFirst();
-    
-    debugLog('邮件配置查询结果:', { 
-      exists: !!config, 
-      enabled: config?.enabled,
-      hasApiKey: !!config?.resendApiKeyEnc
+    return await prisma.notificationDelivery.create({
+      data: {
+        channelId: channel.id || null,
+        channelName: channel.name,
+        channelType: channel.type,
+        kind,
+        events: notificationEvents(notification).join(','),
+        recipients: describeRecipients(impl, config),
+        status: outcome.ok ? 'success' : retryAt ? 'retrying' : 'failed',
+        error: outcome.error || null,
+        preview: renderMarkdown(notification).text.slice(0, PREVIEW_LENGTH),
+        payloadJson: JSON.stringify(outcome.retryNotification || notification),
+        nextRetryAt: retryAt
+      }
     });
-    
-    if (!config || !config.enabled) {
-      debugLog('❌ 邮件配置未启用或不存在，跳过发送');
-      return;
+  } catch (e) {
+    console.error('[NOTIFY] 保存发送记录失败:', e.message);
+    return null;
+  }
+}
+
+// 逗号分隔的通知渠道 ID
+function parseChannelIds(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * 通知中每个站点的通知渠道：站点的设置优先，其次是所属分类的设置
+ * @returns {Promise<Map>} - siteId => 渠道 ID 列表，都未设置时为 null（发送到默认渠道）
+ */
+async function loadSiteRoutes(notification) {
+  const ids = [...notification.sites, ...notification.failedSites].map(s => s.siteId).filter(Boolean);
+  if (ids.length === 0) return new Map();
+  const sites = await prisma.site.findMany({
+    where: { id: { in: [...new Set(ids)] } },
+    select: { id: true, notifyChannelIds: true, category: { select: { notifyChannelIds: true } } }
+  });
+  return new Map(sites.map(site => {
+    const own = parseChannelIds(site.notifyChannelIds);
+    const inherited = parseChannelIds(site.category?.notifyChannelIds);
+    return [site.id, own.length > 0 ? own : inherited.length > 0 ? inherited : null];
+  }));
+}
+
+// 只保留发送到该渠道的站点，没有指定渠道的站点发送到默认渠道
+function routeNotification(notification, channel, routes) {
+  const accepts = (entry) => {
+    const route = entry.siteId ? routes.get(entry.siteId) : null;
+    return route ? route.includes(channel.id) : channel.defaultRoute;
+  };
+  const sites = notification.sites.filter(accepts);
+  const failedSites = notification.failedSites.filter(accepts);
+  if (sites.length === 0 && failedSites.length === 0) return null;
+  return { ...notification, sites, failedSites };
+}
+
+/**
+ * 将通知发送到所有启用的渠道，每个渠道只包含分配给它的站点，并按订阅的事件过滤内容
+ * 单个渠道失败不影响其他渠道，也不抛出错误，避免影响检测主流程；失败的渠道稍后自动重试
+ * @param {Object} notification - { kind: site|aggregate, sites, failedSites }
+ * @param {Object} fastify - 用于日志
+ * @returns {Promise<Array>} - [{ channelId, channelName, ok, result?, error? }]
+ */
+async function dispatchNotification(notification, fastify) {
+  const channels = await prisma.notificationChannel.findMany({
+    where: { enabled: true },
+    orderBy: { createdAt: 'asc' }
+  });
+  debugLog(`启用的通知渠道: ${channels.length} 个`);
+  if (channels.length === 0) {
+    debugLog('❌ 没有启用的通知渠道，跳过发送');
+    return [];
+  }
+
+  const routes = await loadSiteRoutes(notification);
+  const results = [];
+  for (const channel of channels) {
+    const impl = getChannelType(channel.type);
+    if (!impl) {
+      debugLog(`❌ 未知的渠道类型 ${channel.type}，跳过: ${channel.name}`);
+      continue;
     }
 
-    // 解析邮箱列表
-    let emails = [];
-    try {
-      const emailStr = (config.notifyEmails || '').trim();
-      if (emailStr.startsWith('[')) {
-        emails = JSON.parse(emailStr);
-      } else {
-        emails = emailStr.split(/[,;]/).map(e => e.trim()).filter(e => e.length > 0);
-      }
-      debugLog(`✅ 解析邮箱列表成功: [${emails.join(', ')}]`);
-    } catch (error) {
-      debugLog('❌ 解析邮箱列表失败:', error.message);
-      return;
+    const routed = routeNotification(notification, channel, routes);
+    if (!routed) {
+      debugLog(`⭕ ${channel.name}: 没有分配给该渠道的站点，跳过`);
+      continue;
     }
-    
-    if (!emails.length) {
-      debugLog('❌ 没有配置收件邮箱，跳过发送');
-      return;
+    // 只订阅了部分事件的渠道也总是接收高优先级事件
+    const events = parseChannelEvents(channel);
+    const filtered = filterNotification(routed, events && events.length > 0 ? [...events, ...PRIORITY_EVENTS] : null);
+    if (!filtered) {
+      debugLog(`⭕ ${channel.name}: 没有订阅的事件，跳过`);
+      continue;
     }
 
-    // 解密 API Key
-    let apiKey;
-    try {
-      apiKey = decrypt(config.resendApiKeyEnc);
-      debugLog('✅ API Key 解密成功');
-    } catch (error) {
-      debugLog('❌ API Key 解密失败:', error.message);
-      return;
+    const config = readChannelConfig(channel);
+    const outcome = await sendToChannel(channel, impl, config, filtered, fastify);
+    await recordDelivery(channel, impl, config, filtered, outcome, notification.kind);
+    results.push({ channelId: channel.id, channelName: channel.name, ...outcome });
+  }
+  return results;
+}
+
+/**
+ * 重新发送一条记录（使用渠道当前的配置），失败时安排下次重试
+ * 渠道已删除或停用时直接标记为失败
+ * @returns {Promise<Object>} - 更新后的发送记录
+ */
+async function retryDelivery(delivery, fastify) {
+  const channel = delivery.channelId
+    ? await prisma.notificationChannel.findUnique({ where: { id: delivery.channelId } })
+    : null;
+  const impl = channel && getChannelType(channel.type);
+  const attempts = delivery.attempts + 1;
+
+  let outcome;
+  let retryAt = null;
+  if (!channel || !channel.enabled || !impl) {
+    outcome = { ok: false, error: '通知渠道已删除或已停用' };
+  } else {
+    console.log(`[NOTIFY] 第${attempts}次发送: ${channel.name}`);
+    outcome = await sendToChannel(channel, impl, readChannelConfig(channel), JSON.parse(delivery.payloadJson), fastify);
+    retryAt = outcome.ok ? null : nextRetryAt(attempts);
+  }
+
+  return prisma.notificationDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts,
+      status: outcome.ok ? 'success' : retryAt ? 'retrying' : 'failed',
+      error: outcome.ok ? null : outcome.error,
+      ...(outcome.retryNotification ? { payloadJson: JSON.stringify(outcome.retryNotification) } : {}),
+      nextRetryAt: retryAt
     }
-    
-    debugLog('正在初始化 Resend...');
-    const resend = new Resend(apiKey);
-    debugLog('✅ Resend 初始化完成');
-
-    // 统计总变更数（只统计新增和删除）
-    let totalAdded = 0;
-    let totalRemoved = 0;
-    siteChanges.forEach(sc => {
-      totalAdded += sc.diff?.added?.length || 0;
-      totalRemoved += sc.diff?.removed?.length || 0;
-    });
+  });
+}
 
-    debugLog('📊 聚合统计:', {
-      sitesWithChanges: siteChanges.length,
-      totalAdded,
-      totalRemoved
+// 重试到期的失败通知，由定时任务每分钟调用
+async function retryDueDeliveries(fastify) {
+  const due = await prisma.notificationDelivery.findMany({
+    where: { status: 'retrying', nextRetryAt: { lte: new Date() } },
+    orderBy: { nextRetryAt: 'asc' },
+    take: 20
+  });
+  for (const delivery of due) {
+    await retryDelivery(delivery, fastify);
+  }
+  return due.length;
+}
+
+// 清理过期的发送记录
+async function pruneDeliveries() {
+  const before = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.notificationDelivery.deleteMany({
+    where: { createdAt: { lt: before }, status: { not: 'retrying' } }
+  });
+  return count;
+}
+
+// 汇总模式和静默时段的配置，不存在时创建默认配置
+async function loadNotificationSettings() {
+  const settings = await prisma.notificationSettings.findFirst();
+  return settings || prisma.notificationSettings.create({ data: {} });
+}
+
+// 逗号分隔的 HH:mm 列表转为当天的分钟数
+function parseTimes(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean).map(t => {
+    const [h, m] = t.split(':').map(Number);
+    return h * 60 + m;
+  });
+}
+
+// 指定时区下的当前时间（当天的分钟数）
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+// 时间是否在 [start, end) 内，start 大于 end 表示跨午夜，两者相同表示空时段
+function inWindow(minutes, start, end) {
+  if (start === end) return false;
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function isQuietTime(settings, date = new Date()) {
+  if (!settings.quietEnabled) return false;
+  const [start] = parseTimes(settings.quietStart);
+  const [end] = parseTimes(settings.quietEnd);
+  return inWindow(localMinutes(date, settings.timezone), start, end);
+}
+
+// 是否有汇总时间落在静默时段内（这些汇总推迟到静默结束时发送）
+function digestInQuietHours(settings) {
+  if (!settings.digestEnabled || !settings.quietEnabled) return false;
+  const [start] = parseTimes(settings.quietStart);
+  const [end] = parseTimes(settings.quietEnd);
+  return parseTimes(settings.digestTimes).some(t => inWindow(t, start, end));
+}
+
+async function holdNotification(notification, reason) {
+  await prisma.pendingNotification.create({
+    data: { reason, payloadJson: JSON.stringify(notification) }
+  });
+  console.log(`[NOTIFY] 通知已暂存（${reason === 'digest' ? '等待汇总' : '静默时段'}）: ${notification.sites.map(s => s.siteName).join('、') || '检测失败的站点'}`);
+}
+
+/**
+ * 按发送策略发送通知：汇总模式下只立即发送高优先级事件，其余暂存；静默时段内另外立即发送紧急事件
+ * 暂存失败时直接发送，避免丢失通知
+ * @returns {Promise<Array>} - 立即发送的结果，同 dispatchNotification
+ */
+async function deliverNotification(notification, fastify) {
+  try {
+    const settings = await loadNotificationSettings();
+    const reason = settings.digestEnabled ? 'digest' : isQuietTime(settings) ? 'quiet' : null;
+    if (reason) {
+      const immediateEvents = reason === 'quiet'
+        ? [...PRIORITY_EVENTS, ...settings.urgentEvents.split(',').filter(Boolean)]
+        : PRIORITY_EVENTS;
+      const otherEvents = Object.keys(NOTIFY_EVENTS).filter(e => !immediateEvents.includes(e));
+      // 事件列表为空时 filterNotification 不做过滤，需单独处理
+      const immediate = filterNotification(notification, immediateEvents);
+      const rest = otherEvents.length > 0 ? filterNotification(notification, otherEvents) : null;
+      if (rest) await holdNotification(rest, reason);
+      return immediate ? dispatchNotification(immediate, fastify) : [];
+    }
+  } catch (e) {
+    console.error('[NOTIFY] 暂存通知失败，直接发送:', e.message);
+  }
+  return dispatchNotification(notification, fastify);
+}
+
+let flushing = null;
+
+/**
+ * 将暂存的通知合并为一份聚合报告发送，发送后删除
+ * @param {Object} fastify - 用于日志
+ * @param {string|null} reason - 只发送指定原因暂存的通知（digest | quiet），为空表示全部
+ * @returns {Promise<number>} - 发送的暂存通知条数
+ */
+async function flushPendingNotifications(fastify, reason = null) {
+  // 汇总和静默结束可能同时触发，等待上一次发送完成，避免重复发送
+  while (flushing) await flushing.catch(() => {});
+  const run = (async () => {
+    const pending = await prisma.pendingNotification.findMany({
+      where: reason ? { reason } : {},
+      orderBy: { createdAt: 'asc' }
     });
-    
-    // 构建聚合邮件内容
-    debugLog('🔧 开始构建聚合邮件内容...');
-    let htmlContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; background: #f5f5f5; padding: 20px;">
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
-          <h1 style="color: white; margin: 0; font-size: 28px;">🔔 站点检测通知</h1>
-          <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 16px;">模型监测 & 签到报告</p>
-        </div>
-        
-        <div style="background: white; padding: 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
-          <div style="background: #e6f7ff; border-left: 4px solid #1890ff; padding: 15px; margin-bottom: 25px; border-radius: 4px;">
-            <p style="margin: 0; color: #0050b3; font-size: 15px;">
-              <strong>📅 检测时间：</strong>${new Date().toLocaleString('zh-CN')}
-            </p>
-            <p style="margin: 8px 0 0 0; color: #0050b3; font-size: 15px;">
-              <strong>🎯 检测站点：</strong>${siteChanges.length} 个
-            </p>
-            ${failedSites.length > 0 ? `
-            <p style="margin: 8px 0 0 0; color: #cf1322; font-size: 15px;">
-              <strong>⚠️ 失败站点：</strong>${failedSites.length} 个
-            </p>
-            ` : ''}
-          </div>
-          
-          <div style="display: flex; gap: 15px; margin-bottom: 30px; flex-wrap: wrap;">
-            <div style="flex: 1; min-width: 200px; background: #f6ffed; border: 1px solid #b7eb8f; padding: 20px; border-radius: 8px; text-align: center;">
-              <div style="font-size: 36px; font-weight: bold; color: #52c41a;">${totalAdded}</div>
-              <div style="color: #389e0d; margin-top: 8px; font-size: 15px; font-weight: 600;">➕ 新增模型</div>
-            </div>
-            <div style="flex: 1; min-width: 200px; background: #fff2f0; border: 1px solid #ffccc7; padding: 20px; border-radius: 8px; text-align: center;">
-              <div style="font-size: 36px; font-weight: bold; color: #ff4d4f;">${totalRemoved}</div>
-              <div style="color: #cf1322; margin-top: 8px; font-size: 15px; font-weight: 600;">➖ 移除模型</div>
-            </div>
-          </div>
-    `;
-    
-    // 为每个站点添加变更详情
-    siteChanges.forEach((siteChange, index) => {
-      const { siteName, diff, checkInResult } = siteChange;
-      
-      // 统计变更项
-      const modelChanges = (diff?.added?.length || 0) + (diff?.removed?.length || 0);
-      const hasCheckIn = !!checkInResult;
-      const hasModelChange = modelChanges > 0;
-      
-      // 生成标签文本
-      let labelText = '';
-      if (hasCheckIn && hasModelChange) {
-        labelText = '签到 + 模型变更';
-      } else if (hasCheckIn) {
-        labelText = `签到${checkInResult.checkInSuccess ? '成功' : '失败'}`;
-      } else if (hasModelChange) {
-        labelText = modelChanges + ' 项模型变更';
-      }
-      
-      htmlContent += `
-        <details style="margin-bottom: 20px; border: 1px solid #e8e8e8; border-radius: 8px; overflow: hidden;" ${index === 0 ? 'open' : ''}>
-          <summary style="background: linear-gradient(135deg, #f5f5f5 0%, #e8e8e8 100%); padding: 15px 20px; cursor: pointer; font-size: 16px; font-weight: 600; color: #333; user-select: none;">
-            🎯 ${siteName}
-            <span style="float: right; background: #1890ff; color: white; padding: 2px 12px; border-radius: 12px; font-size: 13px; font-weight: normal;">
-              ${labelText}
-            </span>
-          </summary>
-          <div style="padding: 20px; background: #fafafa;">
-      `;
-      
-      // 添加签到结果（如果有）- 放在最前面
-      if (checkInResult) {
-        const { checkInSuccess, checkInMessage, checkInQuota, checkInError } = checkInResult;
-        const statusIcon = checkInSuccess ? '✅' : '❌';
-        const statusColor = checkInSuccess ? '#52c41a' : '#ff4d4f';
-        const statusBg = checkInSuccess ? '#f6ffed' : '#fff2f0';
-        const statusBorder = checkInSuccess ? '#b7eb8f' : '#ffccc7';
-        
-        htmlContent += `
-          <div style="background: ${statusBg}; border-left: 4px solid ${statusColor}; padding: 12px 15px; border-radius: 4px; margin-bottom: ${modelChanges > 0 ? '20px' : '0'};">
-            <div style="display: flex; align-items: flex-start; gap: 10px;">
-              <span style="font-size: 20px; flex-shrink: 0;">${statusIcon}</span>
-              <div style="flex: 1;">
-                <div style="font-weight: 600; color: ${statusColor}; font-size: 15px; margin-bottom: 4px;">
-                  签到${checkInSuccess ? '成功' : '失败'}
-                </div>
-                <div style="color: #666; font-size: 13px; margin-bottom: 4px;">
-                  ${checkInMessage || (checkInSuccess ? '签到成功' : '签到失败')}
-                </div>
-                ${checkInQuota ? `
-                <div style="color: #52c41a; font-size: 13px; font-weight: 600;">
-                  💰 获得额度: ${checkInQuota}
-                </div>
-                ` : ''}
-                ${checkInError ? `
-                <div style="color: #8c8c8c; font-size: 12px; font-family: monospace; background: white; padding: 6px 8px; border-radius: 4px; margin-top: 6px; word-break: break-all;">
-                  ${checkInError}
-                </div>
-                ` : ''}
-              </div>
-            </div>
-          </div>
-        `;
-      }
-      
-      // 新增模型（只在有变更时显示）
-      if (diff && diff.added && diff.added.length > 0) {
-        htmlContent += `
-          <div style="margin-bottom: 20px;">
-            <h3 style="color: #52c41a; margin: 0 0 10px 0; font-size: 15px; display: flex; align-items: center; gap: 8px;">
-              <span style="background: #52c41a; color: white; width: 24px; height: 24px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; font-size: 14px;">➕</span>
-              新增模型 (${diff.added.length})
-            </h3>
-            <div style="display: flex; flex-wrap: wrap; gap: 8px;">
-        `;
-        diff.added.slice(0, 20).forEach(model => {
-          htmlContent += `<span style="background: #f6ffed; border: 1px solid #b7eb8f; color: #389e0d; padding: 4px 12px; border-radius: 16px; font-size: 13px; font-family: monospace;">${model.id}</span>`;
-        });
-        if (diff.added.length > 20) {
-          htmlContent += `<span style="color: #666; font-size: 13px; padding: 4px 12px;">... 还有 ${diff.added.length - 20} 个</span>`;
-        }
-        htmlContent += `</div></div>`;
-      }
-      
-      // 移除模型（只在有变更时显示）
-      if (diff && diff.removed && diff.removed.length > 0) {
-        htmlContent += `
-          <div style="margin-bottom: 20px;">
-            <h3 style="color: #ff4d4f; margin: 0 0 10px 0; font-size: 15px; display: flex; align-items: center; gap: 8px;">
-              <span style="background: #ff4d4f; color: white; width: 24px; height: 24px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; font-size: 14px;">➖</span>
-              移除模型 (${diff.removed.length})
-            </h3>
-            <div style="display: flex; flex-wrap: wrap; gap: 8px;">
-        `;
-        diff.removed.slice(0, 20).forEach(model => {
-          htmlContent += `<span style="background: #fff2f0; border: 1px solid #ffccc7; color: #cf1322; padding: 4px 12px; border-radius: 16px; font-size: 13px; font-family: monospace;">${model.id}</span>`;
-        });
-        if (diff.removed.length > 20) {
-          htmlContent += `<span style="color: #666; font-size: 13px; padding: 4px 12px;">... 还有 ${diff.removed.length - 20} 个</span>`;
-        }
-      htmlContent += `</div></div>`;
+    if (pending.length === 0) return 0;
+
+    const notifications = [];
+    for (const item of pending) {
+      try {
+        notifications.push(JSON.parse(item.payloadJson));
+      } catch (e) {
+        console.error(`[NOTIFY] 暂存通知内容无效，已丢弃: ${item.id}`);
       }
-      
-      htmlContent += `</div></details>`;
-    });
-    
-    // 添加失败站点部分
-    if (failedSites.length > 0) {
-      htmlContent += `
-        <div style="margin-top: 30px; padding: 20px; background: #fff2f0; border: 2px solid #ffccc7; border-radius: 8px;">
-          <h2 style="color: #cf1322; margin: 0 0 15px 0; font-size: 18px; display: flex; align-items: center; gap: 10px;">
-            <span style="font-size: 24px;">⚠️</span>
-            检测失败的站点 (${failedSites.length})
-          </h2>
-          <p style="margin: 0 0 15px 0; color: #8c8c8c; font-size: 14px;">
-            以下站点在本次检测中出现错误，请检查站点配置或网络连接。
-          </p>
-      `;
-      
-      failedSites.forEach((failedSite, index) => {
-        htmlContent += `
-          <div style="background: white; border-left: 4px solid #ff4d4f; padding: 12px 15px; margin-bottom: ${index < failedSites.length - 1 ? '12px' : '0'}; border-radius: 4px;">
-            <div style="display: flex; align-items: flex-start; gap: 10px;">
-              <span style="background: #ff4d4f; color: white; width: 20px; height: 20px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; font-size: 12px; flex-shrink: 0; margin-top: 2px;">❌</span>
-              <div style="flex: 1;">
-                <div style="font-weight: 600; color: #333; font-size: 15px; margin-bottom: 6px;">${failedSite.siteName}</div>
-                <div style="color: #8c8c8c; font-size: 13px; font-family: monospace; background: #f5f5f5; padding: 8px 10px; border-radius: 4px; word-break: break-all;">
-                  ${failedSite.error}
-                </div>
-              </div>
-            </div>
-          </div>
-        `;
-      });
-      
-      htmlContent += `</div>`;
     }
-    
-    htmlContent += `
-          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e8e8e8; color: #999; font-size: 12px; text-align: center;">
-            <p style="margin: 0;">本邮件由 AI 模型监测系统自动发送</p>
-            <p style="margin: 5px 0 0 0;">🕔 ${new Date().toLocaleString('zh-CN')}</p>
-          </div>
-        </div>
-      </div>
-    `;
-    
-    debugLog('✅ 邮件内容构建完成');
-    
-    // 准备邮件参数
-    let subject = `[AI模型监测] 定时检测报告`;
-    if (siteChanges.length > 0 && failedSites.length > 0) {
-      subject += ` - ${siteChanges.length}个站点发生变化，${failedSites.length}个站点失败`;
-    } else if (siteChanges.length > 0) {
-      subject += ` - ${siteChanges.length}个站点发生变化`;
-    } else if (failedSites.length > 0) {
-      subject += ` - ${failedSites.length}个站点检测失败`;
+    console.log(`[NOTIFY] 发送暂存的通知: ${pending.length} 条`);
+    if (notifications.length > 0) {
+      await dispatchNotification(mergeNotifications(notifications), fastify);
+    }
+    // 发送失败的渠道由重试队列处理，暂存记录可以删除
+    await prisma.pendingNotification.deleteMany({ where: { id: { in: pending.map(p => p.id) } } });
+    return pending.length;
+  })();
+  flushing = run;
+  try {
+    return await run;
+  } finally {
+    flushing = null;
+  }
+}
+
+/**
+ * 发送当前不需要继续暂存的通知：不在静默时段时发送静默暂存的通知，未开启汇总模式时全部发送
+ * 启动时和修改发送策略后调用
+ */
+async function releaseHeldNotifications(fastify) {
+  const settings = await loadNotificationSettings();
+  if (isQuietTime(settings)) return 0;
+  return flushPendingNotifications(fastify, settings.digestEnabled ? 'quiet' : null);
+}
+
+// 测试通知的示例内容
+function sampleNotification() {
+  return {
+    kind: 'site',
+    sites: [{
+      siteName: 'SimpleHub 测试通知',
+      diff: {
+        added: [{ id: 'test-model' }],
+        removed: [],
+        changed: [],
+        renamed: [],
+        channels: [],
+        broken: [],
+        recovered: [],
+        flagged: [],
+        priceHikes: { models: [], groups: [] },
+        watched: []
+      },
+      checkInResult: null,
+      alerts: []
+    }],
+    failedSites: []
+  };
+}
+
+// 模型变更记录转为通知中的 diff 结构
+function diffFromRecord(record) {
+  const parse = (value, fallback) => {
+    try {
+      return value ? JSON.parse(value) : fallback;
+    } catch {
+      return fallback;
+    }
+  };
+  const probes = parse(record.probesJson, {});
+  return {
+    added: parse(record.addedJson, []),
+    removed: parse(record.removedJson, []),
+    changed: parse(record.changedJson, []),
+    renamed: parse(record.renamedJson, []),
+    channels: parse(record.channelsJson, []),
+    broken: probes.broken || [],
+    recovered: probes.recovered || [],
+    flagged: parse(record.flaggedJson, []),
+    priceHikes: parse(record.priceHikesJson, null) || { models: [], groups: [] },
+    watched: parse(record.watchedJson, [])
+  };
+}
+
+/**
+ * 用最近的真实变更记录生成预览用的通知，没有变更记录时使用示例内容
+ * 聚合通知取最近有变更的 3 个站点和最近检测失败的 2 个站点
+ * @param {string} kind - site | aggregate
+ * @param {string} siteId - 指定站点（可选）
+ * @returns {Promise<Object>} - { notification, source: [{ siteName, diffAt }] }
+ */
+async function previewNotification(kind, siteId = null) {
+  const records = await prisma.modelDiff.findMany({
+    where: siteId ? { siteId } : {},
+    orderBy: { diffAt: 'desc' },
+    take: kind === 'aggregate' ? 20 : 1,
+    include: {
+      site: { select: { name: true } },
+      snapshotTo: { select: { checkInSuccess: true, checkInMessage: true, checkInQuota: true, checkInError: true } }
     }
-    
-    const emailParams = {
-      from: 'AI模型监测 <onboarding@resend.dev>',
-      to: emails,
-      subject,
-      html: htmlContent
-    };
-    
-    debugLog('📧 准备发送邮件:', {
-      from: emailParams.from,
-      to: emailParams.to,
-      subject: emailParams.subject,
-      htmlLength: htmlContent.length
+  });
+  const latest = records.filter((r, i) => records.findIndex(o => o.siteId === r.siteId) === i).slice(0, 3);
+  if (latest.length === 0) return { notification: sampleNotification(), source: [] };
+
+  const sites = latest.map(record => ({
+    siteName: record.site.name,
+    diff: diffFromRecord(record),
+    checkInResult: record.snapshotTo?.checkInSuccess !== null && record.snapshotTo?.checkInSuccess !== undefined
+      ? record.snapshotTo
+      : null,
+    alerts: []
+  }));
+
+  let failedSites = [];
+  if (kind === 'aggregate') {
+    const failures = await prisma.modelSnapshot.findMany({
+      where: { errorMessage: { not: null }, ...(siteId ? { siteId } : {}) },
+      orderBy: { fetchedAt: 'desc' },
+      take: 20,
+      include: { site: { select: { name: true } } }
     });
+    failedSites = failures
+      .filter((f, i) => failures.findIndex(o => o.siteId === f.siteId) === i)
+      .slice(0, 2)
+      .map(f => ({ siteName: f.site.name, error: f.errorMessage }));
+  }
 
-    // 发送邮件
-    debugLog('🚀 正在调用 Resend API...');
-    const result = await resend.emails.send(emailParams);
-    
-    debugLog('🎉 聚合邮件发送成功！结果:', result);
-    const logMsg = failedSites.length > 0 
-      ? `聚合邮件发送成功: ${siteChanges.length} 个变更, ${failedSites.length} 个失败 -> ${emails.join(', ')}`
-      : `聚合邮件发送成功: ${siteChanges.length} 个站点 -> ${emails.join(', ')}`;
-    fastify?.log?.info(logMsg);
-    return result;
+  return {
+    notification: { kind, sites: kind === 'aggregate' ? sites : sites.slice(0, 1), failedSites },
+    source: latest.map(r => ({ siteName: r.site.name, diffAt: r.diffAt }))
+  };
+}
+
+/**
+ * 向指定渠道发送测试通知（不按订阅事件过滤，失败不自动重试）
+ * @param {Object} channel - { id?, name, type }，id 为空表示尚未保存的配置
+ * @param {Object} config - 渠道配置
+ * @returns {Promise<Object>} - { ok, result?, error? }
+ */
+async function sendTestNotification(channel, config, fastify) {
+  const impl = getChannelType(channel.type);
+  const notification = sampleNotification();
+  const outcome = await sendToChannel(channel, impl, config, notification, fastify);
+  await recordDelivery(channel, impl, config, notification, outcome, 'test');
+  return outcome;
+}
 
+async function sendModelChangeNotification(site, diff, fastify) {
+  const siteName = site.name;
+  debugLog(`=== 开始单站点通知流程 ===`);
+  debugLog(`站点名称: ${siteName}`);
+  debugLog('变化数据:', diff);
+
+  try {
+    const { alerts = [], checkInResult = null, ...rest } = diff;
+    return await deliverNotification({
+      kind: 'site',
+      sites: [{ siteId: site.id, siteName, diff: rest, checkInResult, alerts }],
+      failedSites: []
+    }, fastify);
   } catch (error) {
-    debugLog('💥 聚合邮件发送过程出错:', {
-      errorName: error.name,
-      errorMessage: error.message,
-      errorStack: error.stack?.split('\n').slice(0, 3)
-    });
-    fastify?.log?.error('聚合邮件通知失败', error);
-    console.error('[EMAIL] 聚合邮件最终错误:', error.message);
+    fastify?.log?.error(`通知失败: ${siteName}`, error);
+    // 不抛出错误，避免影响主流程
+    console.error(`[NOTIFY] 最终错误: ${siteName}`, error.message);
   } finally {
-    debugLog(`=== 聚合邮件通知流程结束 ===`);
+    debugLog(`=== 单站点通知流程结束 ===`);
+  }
+}
+
+// 聚合发送多个站点的变更通知
+async function sendAggregatedNotification(siteChanges, fastify, failedSites = []) {
+  debugLog(`=== 开始聚合通知流程 ===`);
+  debugLog(`站点变更数量: ${siteChanges.length}`);
+  debugLog(`失败站点数量: ${failedSites.length}`);
+
+  try {
+    return await deliverNotification({
+      kind: 'aggregate',
+      sites: siteChanges.map(({ siteId, siteName, diff, checkInResult, alerts }) => ({
+        siteId,
+        siteName,
+        diff,
+        checkInResult: checkInResult || null,
+        alerts: alerts || []
+      })),
+      failedSites
+    }, fastify);
+  } catch (error) {
+    fastify?.log?.error('聚合通知失败', error);
+    console.error('[NOTIFY] 聚合通知最终错误:', error.message);
+  } finally {
+    debugLog(`=== 聚合通知流程结束 ===`);
+  }
+}
+
+// 旧版只有一条 EmailConfig 记录，启动时迁移为邮件通知渠道
+async function migrateLegacyEmailConfig() {
+  const legacy = await prisma.emailConfig.findFirst();
+  if (!legacy) return;
+
+  const existing = await prisma.notificationChannel.count();
+  if (existing === 0) {
+    const config = { apiKey: decrypt(legacy.resendApiKeyEnc), notifyEmails: legacy.notifyEmails };
+    await prisma.notificationChannel.create({
+      data: {
+        name: '邮件通知',
+        type: 'email',
+        configEnc: encrypt(JSON.stringify(config)),
+        enabled: legacy.enabled
+      }
+    });
+    console.log('[NOTIFY] 已将旧版邮件配置迁移为通知渠道');
   }
+  await prisma.emailConfig.deleteMany();
 }
 
-module.exports = { sendModelChangeNotification, sendAggregatedNotification };
+module.exports = {
+  readChannelConfig,
+  parseChannelEvents,
+  parseChannelIds,
+  dispatchNotification,
+  retryDelivery,
+  retryDueDeliveries,
+  pruneDeliveries,
+  sendTestNotification,
+  renderChannelTemplate,
+  previewNotification,
+  loadNotificationSettings,
+  parseTimes,
+  isQuietTime,
+  digestInQuietHours,
+  flushPendingNotifications,
+  releaseHeldNotifications,
+  sendModelChangeNotification,
+  sendAggregatedNotification,
+  migrateLegacyEmailConfig
+};
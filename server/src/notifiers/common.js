@@ -0,0 +1,295 @@
+/**
+ * 通知渠道共用的内容描述和事件过滤
+ */
+
+// 渠道状态：1 启用，2 手动禁用，3 自动禁用
+const CHANNEL_STATUS_TEXT = { 1: '启用', 2: '手动禁用', 3: '自动禁用' };
+
+// 渠道变更事件的文字描述（管理员模式）
+function describeChannelEvent(e) {
+  const name = `${e.name} (#${e.channelId})`;
+  const statusText = (s) => CHANNEL_STATUS_TEXT[s] || `状态${s}`;
+  const money = (v) => v === null || v === undefined ? '未知' : `$${Number(v).toFixed(2)}`;
+  switch (e.event) {
+    case 'added': return `🆕 新增渠道 ${name}（${statusText(e.to)}）`;
+    case 'removed': return `🗑️ 删除渠道 ${name}`;
+    case 'disabled': return `⛔ 渠道已禁用 ${name}（${statusText(e.to)}）`;
+    case 'enabled': return `✅ 渠道已启用 ${name}`;
+    case 'balance': return `💰 渠道余额变化 ${name}：${money(e.from)} → ${money(e.to)}`;
+    default: return `${name} ${e.event}`;
+  }
+}
+
+// 指纹校验项名称
+const FINGERPRINT_CHECK_TEXT = {
+  reportedModel: '返回模型名',
+  vendor: '自称厂商',
+  cutoff: '知识截止时间',
+  tokenizer: '分词器token数'
+};
+
+// 疑似模型替换事件的文字描述
+function describeFlaggedEvent(e) {
+  const confidence = e.confidence === null || e.confidence === undefined ? '未知' : `${Math.round(e.confidence * 100)}%`;
+  const reasons = (e.reasons || [])
+    .map(r => `${FINGERPRINT_CHECK_TEXT[r.name] || r.name}：期望 ${r.expected ?? '-'}，实际 ${r.actual ?? '-'}`)
+    .join('；');
+  return `置信度 ${confidence}${reasons ? `（${reasons}）` : ''}`;
+}
+
+// 涨价事件的文字描述：按量计费为 $/1M tokens，按次计费为 $/次
+function describePriceHike(m) {
+  const money = (v) => v === null || v === undefined ? '-' : `$${Number(v.toFixed(4))}`;
+  const { before, after } = m;
+  if (before.type !== after.type) {
+    return `计费方式变化：${before.type === 'per_call' ? '按次' : '按量'} → ${after.type === 'per_call' ? '按次' : '按量'}`;
+  }
+  if (after.type === 'per_call') {
+    return `每次 ${money(before.call)} → ${money(after.call)}`;
+  }
+  return `输入 ${money(before.input)} → ${money(after.input)}，输出 ${money(before.output)} → ${money(after.output)}（每百万tokens）`;
+}
+
+function countPriceHikes(diff) {
+  return (diff?.priceHikes?.models?.length || 0) + (diff?.priceHikes?.groups?.length || 0);
+}
+
+// 可订阅的通知事件类型，渠道按此过滤通知内容
+const NOTIFY_EVENTS = {
+  watch: '关注模型',
+  models: '模型增删',
+  availability: '模型可用性',
+  fingerprint: '疑似模型替换',
+  price: '价格上涨',
+  balance: '余额告警',
+  channels: '渠道变更',
+  checkin: '签到结果',
+  failure: '检测失败'
+};
+
+// 高优先级事件：不受渠道订阅和汇总、静默设置限制，总是立即发送
+const PRIORITY_EVENTS = ['watch'];
+
+const WATCH_EVENT_TEXT = { added: '新增', removed: '移除' };
+
+// 关注模型命中的文字描述
+function describeWatchHit(w) {
+  return `${WATCH_EVENT_TEXT[w.event] || w.event}（规则：${(w.rules || []).join('、')}）`;
+}
+
+// 站点通知中各事件的条目数
+function countSiteEvents(siteChange) {
+  const diff = siteChange.diff || {};
+  return {
+    watch: diff.watched?.length || 0,
+    models: (diff.added?.length || 0) + (diff.removed?.length || 0),
+    availability: (diff.broken?.length || 0) + (diff.recovered?.length || 0),
+    fingerprint: diff.flagged?.length || 0,
+    price: countPriceHikes(diff),
+    balance: siteChange.alerts?.length || 0,
+    channels: diff.channels?.length || 0,
+    checkin: siteChange.checkInResult ? 1 : 0
+  };
+}
+
+// 通知中包含的事件类型（用于发送记录）
+function notificationEvents(notification) {
+  const events = new Set();
+  notification.sites.forEach(sc => {
+    Object.entries(countSiteEvents(sc)).forEach(([event, count]) => {
+      if (count > 0) events.add(event);
+    });
+  });
+  if (notification.failedSites.length > 0) events.add('failure');
+  return Object.keys(NOTIFY_EVENTS).filter(event => events.has(event));
+}
+
+// 通知的默认标题
+function notificationTitle(notification) {
+  if (notification.sites.some(sc => sc.diff?.watched?.length > 0)) return '⭐ 关注的模型有变化';
+  return notification.kind === 'aggregate' ? '🔔 站点检测通知' : '🔔 AI 模型变化通知';
+}
+
+/**
+ * 用户自定义通知模板可用的变量：把通知整理成便于模板使用的结构，变更描述已转为文字
+ * 字段说明见 TEMPLATE_VARIABLES
+ */
+function templateVariables(notification) {
+  const sites = notification.sites.map(({ siteName, diff = {}, checkInResult, alerts = [] }) => {
+    const site = {
+      siteName,
+      checkIn: checkInResult ? {
+        success: Boolean(checkInResult.checkInSuccess),
+        message: checkInResult.checkInMessage || (checkInResult.checkInSuccess ? '签到成功' : '签到失败'),
+        quota: checkInResult.checkInQuota ?? null
+      } : null,
+      alerts: alerts.map(a => ({ ruleName: a.ruleName, message: a.message })),
+      added: (diff.added || []).map(m => ({ id: m.id || 'Unknown' })),
+      removed: (diff.removed || []).map(m => ({ id: m.id || 'Unknown' })),
+      broken: (diff.broken || []).map(b => ({ model: b.model, error: b.errorMessage || '未知错误' })),
+      recovered: (diff.recovered || []).map(r => ({ model: r.model, ttft: r.ttft ?? null })),
+      flagged: (diff.flagged || []).map(e => ({ model: e.model, description: describeFlaggedEvent(e) })),
+      priceHikes: [
+        ...(diff.priceHikes?.models || []).map(m => ({ target: m.model, description: describePriceHike(m) })),
+        ...(diff.priceHikes?.groups || []).map(g => ({ target: `分组 ${g.group}`, description: `倍率：${g.from} → ${g.to}` }))
+      ],
+      channels: (diff.channels || []).map(e => ({ description: describeChannelEvent(e) })),
+      watched: (diff.watched || []).map(w => ({ model: w.model, event: WATCH_EVENT_TEXT[w.event] || w.event, rules: (w.rules || []).join('、') }))
+    };
+    return { ...site, changeCount: site.added.length + site.removed.length };
+  });
+  return {
+    kind: notification.kind,
+    title: notificationTitle(notification),
+    checkedAt: new Date().toLocaleString('zh-CN'),
+    sites,
+    site: sites[0] || null,
+    siteCount: sites.length,
+    failedSites: notification.failedSites.map(f => ({ siteName: f.siteName, error: f.error })),
+    failedCount: notification.failedSites.length
+  };
+}
+
+// 模板变量说明（供编辑界面展示）
+const TEMPLATE_VARIABLES = [
+  { name: 'title', description: '默认标题' },
+  { name: 'checkedAt', description: '检测时间' },
+  { name: 'kind', description: '通知类型：site 单站点 / aggregate 聚合' },
+  { name: 'sites', description: '有变更的站点列表，每项字段见 site' },
+  { name: 'site', description: '第一个站点（单站点通知即该站点）' },
+  { name: 'site.siteName', description: '站点名称' },
+  { name: 'site.checkIn', description: '签到结果 { success, message, quota }，未签到时为空' },
+  { name: 'site.alerts', description: '余额告警 [{ ruleName, message }]' },
+  { name: 'site.added / site.removed', description: '新增 / 移除的模型 [{ id }]' },
+  { name: 'site.changeCount', description: '新增和移除的模型总数' },
+  { name: 'site.broken', description: '列出但不可用的模型 [{ model, error }]' },
+  { name: 'site.recovered', description: '恢复可用的模型 [{ model, ttft }]' },
+  { name: 'site.flagged', description: '疑似模型替换 [{ model, description }]' },
+  { name: 'site.priceHikes', description: '价格上涨 [{ target, description }]' },
+  { name: 'site.channels', description: '渠道变更 [{ description }]' },
+  { name: 'site.watched', description: '命中关注规则的模型 [{ model, event: 新增/移除, rules: 规则名称 }]' },
+  { name: 'siteCount', description: '有变更的站点数' },
+  { name: 'failedSites', description: '检测失败的站点 [{ siteName, error }]' },
+  { name: 'failedCount', description: '检测失败的站点数' }
+];
+
+/**
+ * 按渠道订阅的事件过滤通知，未订阅的内容置空
+ * @param {Object} notification - { kind: site|aggregate, sites: [{ siteId, siteName, diff, checkInResult, alerts }], failedSites: [{ siteId, siteName, error }] }
+ * @param {string[]|null} events - 订阅的事件类型，为空表示全部
+ * @returns {Object|null} - 过滤后的通知，没有剩余内容时返回 null
+ */
+function filterNotification(notification, events) {
+  const allow = (event) => !events || events.length === 0 || events.includes(event);
+  const pick = (event, value, empty) => allow(event) && value ? value : empty;
+
+  const sites = notification.sites
+    .map(sc => {
+      const diff = sc.diff || {};
+      return {
+        ...sc,
+        diff: {
+          ...diff,
+          added: pick('models', diff.added, []),
+          removed: pick('models', diff.removed, []),
+          broken: pick('availability', diff.broken, []),
+          recovered: pick('availability', diff.recovered, []),
+          flagged: pick('fingerprint', diff.flagged, []),
+          priceHikes: pick('price', diff.priceHikes, { models: [], groups: [] }),
+          channels: pick('channels', diff.channels, []),
+          watched: pick('watch', diff.watched, [])
+        },
+        checkInResult: pick('checkin', sc.checkInResult, null),
+        alerts: pick('balance', sc.alerts, [])
+      };
+    })
+    .filter(sc => Object.values(countSiteEvents(sc)).some(n => n > 0));
+  const failedSites = pick('failure', notification.failedSites, []);
+
+  if (sites.length === 0 && failedSites.length === 0) return null;
+  return { ...notification, sites, failedSites };
+}
+
+// 合并同一站点的多次变更：各类事件依次拼接，签到结果取最新一次
+function mergeSiteChange(a, b) {
+  const da = a.diff || {};
+  const db = b.diff || {};
+  const list = (key) => [...(da[key] || []), ...(db[key] || [])];
+  return {
+    siteId: a.siteId,
+    siteName: a.siteName,
+    diff: {
+      added: list('added'),
+      removed: list('removed'),
+      changed: list('changed'),
+      renamed: list('renamed'),
+      channels: list('channels'),
+      broken: list('broken'),
+      recovered: list('recovered'),
+      flagged: list('flagged'),
+      priceHikes: {
+        models: [...(da.priceHikes?.models || []), ...(db.priceHikes?.models || [])],
+        groups: [...(da.priceHikes?.groups || []), ...(db.priceHikes?.groups || [])]
+      },
+      watched: list('watched')
+    },
+    checkInResult: b.checkInResult || a.checkInResult || null,
+    alerts: [...(a.alerts || []), ...(b.alerts || [])]
+  };
+}
+
+/**
+ * 将多条通知（按时间先后）合并为一份聚合报告，用于汇总发送
+ * 同一站点的变更合并到一起，检测失败的站点保留最近一次的错误
+ * @param {Object[]} notifications - 通知列表
+ * @returns {Object} - { kind: 'aggregate', sites, failedSites }
+ */
+function mergeNotifications(notifications) {
+  const sites = new Map();
+  const failedSites = new Map();
+  for (const notification of notifications) {
+    for (const sc of notification.sites) {
+      const key = sc.siteId || sc.siteName;
+      const existing = sites.get(key);
+      sites.set(key, existing ? mergeSiteChange(existing, sc) : sc);
+    }
+    for (const failed of notification.failedSites) {
+      const key = failed.siteId || failed.siteName;
+      failedSites.delete(key);
+      failedSites.set(key, failed);
+    }
+  }
+  return { kind: 'aggregate', sites: [...sites.values()], failedSites: [...failedSites.values()] };
+}
+
+/**
+ * 渠道分多次请求发送（拆分的多条消息、多个会话）且已有部分送达时抛出的错误
+ * retryNotification 带上未发送的部分（resume，格式由渠道决定），重试时渠道只发送这部分，已送达的不会重复
+ * @param {Error} cause - 第一个失败的错误
+ * @param {Object} notification - 本次发送的通知
+ * @param {Object} resume - 未发送的部分
+ * @returns {Error}
+ */
+function partialSendError(cause, notification, resume) {
+  const error = new Error(`部分内容已送达，其余发送失败：${cause.message}`);
+  error.retryNotification = { ...notification, resume };
+  return error;
+}
+
+module.exports = {
+  NOTIFY_EVENTS,
+  partialSendError,
+  PRIORITY_EVENTS,
+  describeWatchHit,
+  describeChannelEvent,
+  describeFlaggedEvent,
+  describePriceHike,
+  countPriceHikes,
+  countSiteEvents,
+  notificationEvents,
+  notificationTitle,
+  templateVariables,
+  TEMPLATE_VARIABLES,
+  filterNotification,
+  mergeNotifications
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { postJson, checkHttpUrl } = require('./http');
+const { MARKDOWN_STARTERS, chatMessages, sendChatMessages } = require('./markdown');
+
+// 钉钉消息内容上限 20000 字节，留出标题的余量
+const MAX_MESSAGE_BYTES = 18000;
+
+// 钉钉 Markdown 不支持行内代码，单个换行不会换行
+const DINGTALK_DIALECT = {
+  escape: (text) => text,
+  bold: (text) => `**${text}**`,
+  code: (text) => text
+};
+const NEWLINE = '\n\n';
+
+// 加签：https://open.dingtalk.com/document/robots/customize-robot-security-settings
+function signUrl(webhookUrl, secret) {
+  if (!secret) return webhookUrl;
+  const timestamp = Date.now();
+  const sign = crypto.createHmac('sha256', secret).update(`${timestamp}\n${secret}`).digest('base64');
+  const url = new URL(webhookUrl);
+  url.searchParams.set('timestamp', String(timestamp));
+  url.searchParams.set('sign', sign);
+  return url.toString();
+}
+
+module.exports = {
+  type: 'dingtalk',
+  label: '钉钉机器人',
+  fields: [
+    { name: 'webhookUrl', label: 'Webhook 地址', required: true, secret: true, placeholder: 'https://oapi.dingtalk.com/robot/send?access_token=...', extra: '群设置 → 机器人 → 添加「自定义」机器人后获取' },
+    { name: 'secret', label: '加签密钥', secret: true, placeholder: 'SEC...', extra: '安全设置选择「加签」时填写；使用「自定义关键词」时可将关键词设为「通知」' }
+  ],
+  template: {
+    format: 'markdown',
+    subject: true,
+    hint: '标题显示在会话列表的消息预览中。钉钉 Markdown 的单个换行不会换行，需要空一行或在行尾加两个空格',
+    starters: MARKDOWN_STARTERS
+  },
+
+  validate(config) {
+    return checkHttpUrl(config.webhookUrl, 'Webhook 地址');
+  },
+
+  async send(config, notification, rendered) {
+    const buildMessages = () => chatMessages(notification, rendered, { dialect: DINGTALK_DIALECT, limit: MAX_MESSAGE_BYTES, newline: NEWLINE, separator: NEWLINE });
+    return sendChatMessages(notification, buildMessages, async ({ title, parts, custom }) => {
+      const { data } = await postJson(signUrl(config.webhookUrl, config.secret), {
+        msgtype: 'markdown',
+        markdown: { title, text: custom ? parts.join('\n') : [`### ${title}`, ...parts].join(NEWLINE) }
+      });
+      if (data?.errcode !== 0) {
+        throw new Error(`钉钉机器人返回错误: ${data?.errmsg || '未知错误'}${data?.errcode !== undefined ? ` (${data.errcode})` : ''}`);
+      }
+    });
+  }
+};
@@ -0,0 +1,672 @@
+const { Resend } = require('resend');
+const { sendMail } = require('./smtp');
+const { describeChannelEvent, describeFlaggedEvent, describePriceHike, describeWatchHit, countPriceHikes } = require('./common');
+const { escapeHtml } = require('./template');
+
+// 模型名、错误信息、签到消息等来自上游站点，写入邮件 HTML 前需要转义
+const esc = (value) => escapeHtml(String(value ?? ''));
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 解析收件邮箱（支持两种格式：JSON数组或逗号、分号分隔的字符串）
+function parseEmails(value) {
+  const emailStr = (value || '').trim();
+  if (emailStr.startsWith('[')) {
+    return JSON.parse(emailStr);
+  }
+  return emailStr.split(/[,;]/).map(e => e.trim()).filter(e => e.length > 0);
+}
+
+// 单站点通知邮件
+function renderSiteEmail(notification) {
+  const { siteName, diff, checkInResult, alerts } = notification.sites[0];
+  let htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h1 style="color: #333;">🔔 AI 模型变化通知</h1>
+      <p><strong>站点：</strong>${siteName}</p>
+      <p><strong>检测时间：</strong>${new Date().toLocaleString('zh-CN')}</p>
+  `;
+  
+  // 如果有签到信息，添加签到结果
+  if (checkInResult) {
+    const { checkInSuccess, checkInMessage, checkInQuota } = checkInResult;
+    const statusIcon = checkInSuccess ? '✅' : '❌';
+    const statusColor = checkInSuccess ? '#52c41a' : '#ff4d4f';
+    htmlContent += `
+      <div style="background: ${checkInSuccess ? '#f6ffed' : '#fff2f0'}; border: 1px solid ${checkInSuccess ? '#b7eb8f' : '#ffccc7'}; padding: 12px; border-radius: 4px; margin: 10px 0;">
+        <h3 style="color: ${statusColor}; margin: 0 0 8px 0;">${statusIcon} 签到结果</h3>
+        <p style="margin: 0;"><strong>状态：</strong>${esc(checkInMessage || (checkInSuccess ? '签到成功' : '签到失败'))}</p>
+        ${checkInQuota ? `<p style="margin: 4px 0 0 0;"><strong>获得额度：</strong>${esc(checkInQuota)}</p>` : ''}
+      </div>
+    `;
+  }
+  
+  // 关注的模型最先显示
+  if (diff.watched && diff.watched.length > 0) {
+    htmlContent += `<h2 style="color: #d48806;">⭐ 关注的模型 (${diff.watched.length})</h2><ul>`;
+    diff.watched.forEach(w => {
+      htmlContent += `<li><strong>${esc(w.model)}</strong>：${esc(describeWatchHit(w))}</li>`;
+    });
+    htmlContent += '</ul>';
+  }
+  
+  // 然后是余额告警
+  if (alerts && alerts.length > 0) {
+    htmlContent += `<h2 style="color: #cf1322;">⚠️ 余额告警 (${alerts.length})</h2><ul>`;
+    alerts.forEach(a => {
+      htmlContent += `<li><strong>${a.ruleName}</strong>：${a.message}</li>`;
+    });
+    htmlContent += '</ul>';
+  }
+  
+  // 疑似替换和列出但不可用的模型优先显示
+  if (diff.flagged && diff.flagged.length > 0) {
+    htmlContent += `<h2 style="color: #cf1322;">🕵️ 疑似模型替换 (${diff.flagged.length})</h2><ul>`;
+    diff.flagged.forEach(e => {
+      htmlContent += `<li><strong>${esc(e.model)}</strong>：${esc(describeFlaggedEvent(e))}</li>`;
+    });
+    htmlContent += '</ul>';
+  }
+  
+  if (countPriceHikes(diff) > 0) {
+    htmlContent += `<h2 style="color: #d4380d;">💸 价格上涨 (${countPriceHikes(diff)})</h2><ul>`;
+    diff.priceHikes.models.forEach(m => {
+      htmlContent += `<li><strong>${esc(m.model)}</strong>：${esc(describePriceHike(m))}</li>`;
+    });
+    diff.priceHikes.groups.forEach(g => {
+      htmlContent += `<li>分组 <strong>${esc(g.group)}</strong> 倍率：${g.from} → ${g.to}</li>`;
+    });
+    htmlContent += '</ul>';
+  }
+  
+  if (diff.broken && diff.broken.length > 0) {
+    htmlContent += `<h2 style="color: #fa541c;">🚨 模型列出但不可用 (${diff.broken.length})</h2><ul>`;
+    diff.broken.forEach(item => {
+      htmlContent += `<li><strong>${esc(item.model)}</strong>：${esc(item.errorMessage || '未知错误')}</li>`;
+    });
+    htmlContent += '</ul>';
+  }
+  
+  if (diff.recovered && diff.recovered.length > 0) {
+    htmlContent += `<h2 style="color: #13c2c2;">💚 模型恢复可用 (${diff.recovered.length})</h2><ul>`;
+    diff.recovered.forEach(item => {
+      htmlContent += `<li>${esc(item.model)}${item.ttft ? `（首字 ${item.ttft}ms）` : ''}</li>`;
+    });
+    htmlContent += '</ul>';
+  }
+  
+  if (diff.added && diff.added.length > 0) {
+    htmlContent += `<h2 style="color: #52c41a;">✅ 新增模型 (${diff.added.length})</h2><ul>`;
+    diff.added.forEach(model => {
+      htmlContent += `<li>${esc(model.id || 'Unknown')}</li>`;
+    });
+    htmlContent += '</ul>';
+  }
+  
+  if (diff.removed && diff.removed.length > 0) {
+    htmlContent += `<h2 style="color: #ff4d4f;">❌ 移除模型 (${diff.removed.length})</h2><ul>`;
+    diff.removed.forEach(model => {
+      htmlContent += `<li>${esc(model.id || 'Unknown')}</li>`;
+    });
+    htmlContent += '</ul>';
+  }
+  
+  if (diff.channels && diff.channels.length > 0) {
+    htmlContent += `<h2 style="color: #1890ff;">🔀 渠道变更 (${diff.channels.length})</h2><ul>`;
+    diff.channels.forEach(e => {
+      htmlContent += `<li>${esc(describeChannelEvent(e))}</li>`;
+    });
+    htmlContent += '</ul>';
+  }
+  
+  htmlContent += `<p style="color: #666; font-size: 12px; margin-top: 30px;">本邮件由 AI 模型监测系统自动发送</p></div>`;
+
+  return {
+    subject: `[AI模型监测] ${siteName} - ${diff.watched?.length > 0 ? '关注的模型有变化' : alerts.length > 0 ? '余额告警' : '模型发生变化'}`,
+    html: htmlContent
+  };
+}
+
+// 多站点聚合通知邮件（定时检测报告）
+function renderAggregatedEmail(notification) {
+  const { sites: siteChanges, failedSites } = notification;
+  // 统计总变更数（只统计新增和删除）
+  let totalAdded = 0;
+  let totalRemoved = 0;
+  siteChanges.forEach(sc => {
+    totalAdded += sc.diff?.added?.length || 0;
+    totalRemoved += sc.diff?.removed?.length || 0;
+  });
+
+  let htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; background: #f5f5f5; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+        <h1 style="color: white; margin: 0; font-size: 28px;">🔔 站点检测通知</h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 16px;">模型监测 & 签到报告</p>
+      </div>
+      
+      <div style="background: white; padding: 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
+        <div style="background: #e6f7ff; border-left: 4px solid #1890ff; padding: 15px; margin-bottom: 25px; border-radius: 4px;">
+          <p style="margin: 0; color: #0050b3; font-size: 15px;">
+            <strong>📅 检测时间：</strong>${new Date().toLocaleString('zh-CN')}
+          </p>
+          <p style="margin: 8px 0 0 0; color: #0050b3; font-size: 15px;">
+            <strong>🎯 检测站点：</strong>${siteChanges.length} 个
+          </p>
+          ${failedSites.length > 0 ? `
+          <p style="margin: 8px 0 0 0; color: #cf1322; font-size: 15px;">
+            <strong>⚠️ 失败站点：</strong>${failedSites.length} 个
+          </p>
+          ` : ''}
+        </div>
+        
+        <div style="display: flex; gap: 15px; margin-bottom: 30px; flex-wrap: wrap;">
+          <div style="flex: 1; min-width: 200px; background: #f6ffed; border: 1px solid #b7eb8f; padding: 20px; border-radius: 8px; text-align: center;">
+            <div style="font-size: 36px; font-weight: bold; color: #52c41a;">${totalAdded}</div>
+            <div style="color: #389e0d; margin-top: 8px; font-size: 15px; font-weight: 600;">➕ 新增模型</div>
+          </div>
+          <div style="flex: 1; min-width: 200px; background: #fff2f0; border: 1px solid #ffccc7; padding: 20px; border-radius: 8px; text-align: center;">
+            <div style="font-size: 36px; font-weight: bold; color: #ff4d4f;">${totalRemoved}</div>
+            <div style="color: #cf1322; margin-top: 8px; font-size: 15px; font-weight: 600;">➖ 移除模型</div>
+          </div>
+        </div>
+  `;
+  
+  // 为每个站点添加变更详情
+  siteChanges.forEach((siteChange, index) => {
+    const { siteName, diff, checkInResult, alerts = [] } = siteChange;
+    
+    // 统计变更项
+    const modelChanges = (diff?.added?.length || 0) + (diff?.removed?.length || 0);
+    const channelChanges = diff?.channels?.length || 0;
+    const brokenCount = diff?.broken?.length || 0;
+    const recoveredCount = diff?.recovered?.length || 0;
+    const flaggedCount = diff?.flagged?.length || 0;
+    const priceHikeCount = countPriceHikes(diff);
+    const alertCount = alerts.length;
+    const watchedCount = diff?.watched?.length || 0;
+    const hasCheckIn = !!checkInResult;
+    const hasModelChange = modelChanges > 0;
+    
+    // 生成标签文本
+    let labelText = '';
+    if (hasCheckIn && hasModelChange) {
+      labelText = '签到 + 模型变更';
+    } else if (hasCheckIn) {
+      labelText = `签到${checkInResult.checkInSuccess ? '成功' : '失败'}`;
+    } else if (hasModelChange) {
+      labelText = modelChanges + ' 项模型变更';
+    }
+    if (channelChanges > 0) {
+      labelText = labelText ? `${labelText} + 渠道变更` : `${channelChanges} 项渠道变更`;
+    }
+    if (brokenCount > 0) {
+      labelText = labelText ? `${labelText} + ${brokenCount} 个模型不可用` : `${brokenCount} 个模型不可用`;
+    } else if (recoveredCount > 0 && !labelText) {
+      labelText = `${recoveredCount} 个模型恢复`;
+    }
+    if (flaggedCount > 0) {
+      labelText = labelText ? `${labelText} + ${flaggedCount} 个疑似替换` : `${flaggedCount} 个疑似替换`;
+    }
+    if (priceHikeCount > 0) {
+      labelText = labelText ? `${labelText} + 涨价` : `${priceHikeCount} 项涨价`;
+    }
+    if (alertCount > 0) {
+      labelText = labelText ? `${labelText} + ${alertCount} 条告警` : `${alertCount} 条余额告警`;
+    }
+    if (watchedCount > 0) {
+      labelText = labelText ? `⭐ ${labelText}` : `⭐ ${watchedCount} 个关注模型`;
+    }
+    
+    htmlContent += `
+      <details style="margin-bottom: 20px; border: 1px solid #e8e8e8; border-radius: 8px; overflow: hidden;" ${index === 0 ? 'open' : ''}>
+        <summary style="background: linear-gradient(135deg, #f5f5f5 0%, #e8e8e8 100%); padding: 15px 20px; cursor: pointer; font-size: 16px; font-weight: 600; color: #333; user-select: none;">
+          🎯 ${siteName}
+          <span style="float: right; background: #1890ff; color: white; padding: 2px 12px; border-radius: 12px; font-size: 13px; font-weight: normal;">
+            ${labelText}
+          </span>
+        </summary>
+        <div style="padding: 20px; background: #fafafa;">
+    `;
+    
+    // 添加签到结果（如果有）- 放在最前面
+    if (checkInResult) {
+      const { checkInSuccess, checkInMessage, checkInQuota, checkInError } = checkInResult;
+      const statusIcon = checkInSuccess ? '✅' : '❌';
+      const statusColor = checkInSuccess ? '#52c41a' : '#ff4d4f';
+      const statusBg = checkInSuccess ? '#f6ffed' : '#fff2f0';
+      const statusBorder = checkInSuccess ? '#b7eb8f' : '#ffccc7';
+      
+      htmlContent += `
+        <div style="background: ${statusBg}; border-left: 4px solid ${statusColor}; padding: 12px 15px; border-radius: 4px; margin-bottom: ${modelChanges + channelChanges + brokenCount + recoveredCount + flaggedCount + priceHikeCount + alertCount + watchedCount > 0 ? '20px' : '0'};">
+          <div style="display: flex; align-items: flex-start; gap: 10px;">
+            <span style="font-size: 20px; flex-shrink: 0;">${statusIcon}</span>
+            <div style="flex: 1;">
+              <div style="font-weight: 600; color: ${statusColor}; font-size: 15px; margin-bottom: 4px;">
+                签到${checkInSuccess ? '成功' : '失败'}
+              </div>
+              <div style="color: #666; font-size: 13px; margin-bottom: 4px;">
+                ${esc(checkInMessage || (checkInSuccess ? '签到成功' : '签到失败'))}
+              </div>
+              ${checkInQuota ? `
+              <div style="color: #52c41a; font-size: 13px; font-weight: 600;">
+                💰 获得额度: ${esc(checkInQuota)}
+              </div>
+              ` : ''}
+              ${checkInError ? `
+              <div style="color: #8c8c8c; font-size: 12px; font-family: monospace; background: white; padding: 6px 8px; border-radius: 4px; margin-top: 6px; word-break: break-all;">
+                ${esc(checkInError)}
+              </div>
+              ` : ''}
+            </div>
+          </div>
+        </div>
+      `;
+    }
+    
+    // 关注的模型
+    if (watchedCount > 0) {
+      htmlContent += `
+        <div style="margin-bottom: 20px;">
+          <h3 style="color: #d48806; margin: 0 0 10px 0; font-size: 15px;">⭐ 关注的模型 (${watchedCount})</h3>
+          <div style="display: flex; flex-direction: column; gap: 6px;">
+      `;
+      diff.watched.forEach(w => {
+        htmlContent += `<div style="background: #fffbe6; border: 1px solid #ffe58f; padding: 6px 12px; border-radius: 6px; font-size: 13px;"><span style="font-family: monospace; font-weight: 600; color: #d48806;">${esc(w.model)}</span><span style="color: #595959; margin-left: 8px;">${esc(describeWatchHit(w))}</span></div>`;
+      });
+      htmlContent += `</div></div>`;
+    }
+    
+    // 余额告警
+    if (alertCount > 0) {
+      htmlContent += `
+        <div style="margin-bottom: 20px;">
+          <h3 style="color: #cf1322; margin: 0 0 10px 0; font-size: 15px;">⚠️ 余额告警 (${alertCount})</h3>
+          <div style="display: flex; flex-direction: column; gap: 6px;">
+      `;
+      alerts.forEach(a => {
+        htmlContent += `<div style="background: #fff1f0; border: 1px solid #ffa39e; padding: 6px 12px; border-radius: 6px; font-size: 13px;"><span style="font-weight: 600; color: #cf1322;">${a.ruleName}</span><span style="color: #595959; margin-left: 8px;">${a.message}</span></div>`;
+      });
+      htmlContent += `</div></div>`;
+    }
+    
+    // 疑似模型替换（指纹校验）
+    if (flaggedCount > 0) {
+      htmlContent += `
+        <div style="margin-bottom: 20px;">
+          <h3 style="color: #cf1322; margin: 0 0 10px 0; font-size: 15px;">🕵️ 疑似模型替换 (${flaggedCount})</h3>
+          <div style="display: flex; flex-direction: column; gap: 6px;">
+      `;
+      diff.flagged.forEach(e => {
+        htmlContent += `<div style="background: #fff1f0; border: 1px solid #ffa39e; padding: 6px 12px; border-radius: 6px; font-size: 13px;"><span style="font-family: monospace; font-weight: 600; color: #cf1322;">${esc(e.model)}</span><span style="color: #595959; margin-left: 8px; word-break: break-all;">${esc(describeFlaggedEvent(e))}</span></div>`;
+      });
+      htmlContent += `</div></div>`;
+    }
+    
+    // 价格上涨（关注模型和分组倍率）
+    if (priceHikeCount > 0) {
+      htmlContent += `
+        <div style="margin-bottom: 20px;">
+          <h3 style="color: #d4380d; margin: 0 0 10px 0; font-size: 15px;">💸 价格上涨 (${priceHikeCount})</h3>
+          <div style="display: flex; flex-direction: column; gap: 6px;">
+      `;
+      diff.priceHikes.models.forEach(m => {
+        htmlContent += `<div style="background: #fff2e8; border: 1px solid #ffbb96; padding: 6px 12px; border-radius: 6px; font-size: 13px;"><span style="font-family: monospace; font-weight: 600; color: #d4380d;">${esc(m.model)}</span><span style="color: #595959; margin-left: 8px;">${esc(describePriceHike(m))}</span></div>`;
+      });
+      diff.priceHikes.groups.forEach(g => {
+        htmlContent += `<div style="background: #fff2e8; border: 1px solid #ffbb96; padding: 6px 12px; border-radius: 6px; font-size: 13px;"><span style="font-weight: 600; color: #d4380d;">分组 ${esc(g.group)}</span><span style="color: #595959; margin-left: 8px;">倍率 ${g.from} → ${g.to}</span></div>`;
+      });
+      htmlContent += `</div></div>`;
+    }
+    
+    // 列出但不可用的模型（探测失败）
+    if (brokenCount > 0) {
+      htmlContent += `
+        <div style="margin-bottom: 20px;">
+          <h3 style="color: #fa541c; margin: 0 0 10px 0; font-size: 15px; display: flex; align-items: center; gap: 8px;">
+            <span style="background: #fa541c; color: white; width: 24px; height: 24px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; font-size: 14px;">!</span>
+            模型列出但不可用 (${brokenCount})
+          </h3>
+          <div style="display: flex; flex-direction: column; gap: 6px;">
+      `;
+      diff.broken.forEach(item => {
+        htmlContent += `<div style="background: #fff2e8; border: 1px solid #ffbb96; padding: 6px 12px; border-radius: 6px; font-size: 13px;"><span style="font-family: monospace; font-weight: 600; color: #d4380d;">${esc(item.model)}</span><span style="color: #8c8c8c; margin-left: 8px; word-break: break-all;">${esc(item.errorMessage || '未知错误')}</span></div>`;
+      });
+      htmlContent += `</div></div>`;
+    }
+    
+    // 恢复可用的模型
+    if (recoveredCount > 0) {
+      htmlContent += `
+        <div style="margin-bottom: 20px;">
+          <h3 style="color: #13c2c2; margin: 0 0 10px 0; font-size: 15px;">💚 模型恢复可用 (${recoveredCount})</h3>
+          <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+      `;
+      diff.recovered.forEach(item => {
+        htmlContent += `<span style="background: #e6fffb; border: 1px solid #87e8de; color: #08979c; padding: 4px 12px; border-radius: 16px; font-size: 13px; font-family: monospace;">${esc(item.model)}</span>`;
+      });
+      htmlContent += `</div></div>`;
+    }
+    
+    // 新增模型（只在有变更时显示）
+    if (diff && diff.added && diff.added.length > 0) {
+      htmlContent += `
+        <div style="margin-bottom: 20px;">
+          <h3 style="color: #52c41a; margin: 0 0 10px 0; font-size: 15px; display: flex; align-items: center; gap: 8px;">
+            <span style="background: #52c41a; color: white; width: 24px; height: 24px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; font-size: 14px;">➕</span>
+            新增模型 (${diff.added.length})
+          </h3>
+          <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+      `;
+      diff.added.slice(0, 20).forEach(model => {
+        htmlContent += `<span style="background: #f6ffed; border: 1px solid #b7eb8f; color: #389e0d; padding: 4px 12px; border-radius: 16px; font-size: 13px; font-family: monospace;">${esc(model.id)}</span>`;
+      });
+      if (diff.added.length > 20) {
+        htmlContent += `<span style="color: #666; font-size: 13px; padding: 4px 12px;">... 还有 ${diff.added.length - 20} 个</span>`;
+      }
+      htmlContent += `</div></div>`;
+    }
+    
+    // 移除模型（只在有变更时显示）
+    if (diff && diff.removed && diff.removed.length > 0) {
+      htmlContent += `
+        <div style="margin-bottom: 20px;">
+          <h3 style="color: #ff4d4f; margin: 0 0 10px 0; font-size: 15px; display: flex; align-items: center; gap: 8px;">
+            <span style="background: #ff4d4f; color: white; width: 24px; height: 24px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; font-size: 14px;">➖</span>
+            移除模型 (${diff.removed.length})
+          </h3>
+          <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+      `;
+      diff.removed.slice(0, 20).forEach(model => {
+        htmlContent += `<span style="background: #fff2f0; border: 1px solid #ffccc7; color: #cf1322; padding: 4px 12px; border-radius: 16px; font-size: 13px; font-family: monospace;">${esc(model.id)}</span>`;
+      });
+      if (diff.removed.length > 20) {
+        htmlContent += `<span style="color: #666; font-size: 13px; padding: 4px 12px;">... 还有 ${diff.removed.length - 20} 个</span>`;
+      }
+    htmlContent += `</div></div>`;
+    }
+    
+    // 渠道变更（管理员模式）
+    if (channelChanges > 0) {
+      htmlContent += `
+        <div style="margin-bottom: 20px;">
+          <h3 style="color: #1890ff; margin: 0 0 10px 0; font-size: 15px; display: flex; align-items: center; gap: 8px;">
+            <span style="background: #1890ff; color: white; width: 24px; height: 24px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; font-size: 14px;">🔀</span>
+            渠道变更 (${channelChanges})
+          </h3>
+          <div style="display: flex; flex-direction: column; gap: 6px;">
+      `;
+      diff.channels.slice(0, 30).forEach(e => {
+        htmlContent += `<div style="background: white; border: 1px solid #d6e4ff; padding: 6px 12px; border-radius: 6px; font-size: 13px; color: #333;">${esc(describeChannelEvent(e))}</div>`;
+      });
+      if (channelChanges > 30) {
+        htmlContent += `<span style="color: #666; font-size: 13px; padding: 4px 12px;">... 还有 ${channelChanges - 30} 项</span>`;
+      }
+      htmlContent += `</div></div>`;
+    }
+    
+    htmlContent += `</div></details>`;
+  });
+  
+  // 添加失败站点部分
+  if (failedSites.length > 0) {
+    htmlContent += `
+      <div style="margin-top: 30px; padding: 20px; background: #fff2f0; border: 2px solid #ffccc7; border-radius: 8px;">
+        <h2 style="color: #cf1322; margin: 0 0 15px 0; font-size: 18px; display: flex; align-items: center; gap: 10px;">
+          <span style="font-size: 24px;">⚠️</span>
+          检测失败的站点 (${failedSites.length})
+        </h2>
+        <p style="margin: 0 0 15px 0; color: #8c8c8c; font-size: 14px;">
+          以下站点在本次检测中出现错误，请检查站点配置或网络连接。
+        </p>
+    `;
+    
+    failedSites.forEach((failedSite, index) => {
+      htmlContent += `
+        <div style="background: white; border-left: 4px solid #ff4d4f; padding: 12px 15px; margin-bottom: ${index < failedSites.length - 1 ? '12px' : '0'}; border-radius: 4px;">
+          <div style="display: flex; align-items: flex-start; gap: 10px;">
+            <span style="background: #ff4d4f; color: white; width: 20px; height: 20px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; font-size: 12px; flex-shrink: 0; margin-top: 2px;">❌</span>
+            <div style="flex: 1;">
+              <div style="font-weight: 600; color: #333; font-size: 15px; margin-bottom: 6px;">${failedSite.siteName}</div>
+              <div style="color: #8c8c8c; font-size: 13px; font-family: monospace; background: #f5f5f5; padding: 8px 10px; border-radius: 4px; word-break: break-all;">
+                ${esc(failedSite.error)}
+              </div>
+            </div>
+          </div>
+        </div>
+      `;
+    });
+    
+    htmlContent += `</div>`;
+  }
+  
+  htmlContent += `
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e8e8e8; color: #999; font-size: 12px; text-align: center;">
+          <p style="margin: 0;">本邮件由 AI 模型监测系统自动发送</p>
+          <p style="margin: 5px 0 0 0;">🕔 ${new Date().toLocaleString('zh-CN')}</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const watched = siteChanges.some(sc => sc.diff?.watched?.length > 0);
+  let subject = `[AI模型监测] ${watched ? '⭐ 关注的模型有变化' : '定时检测报告'}`;
+  if (siteChanges.length > 0 && failedSites.length > 0) {
+    subject += ` - ${siteChanges.length}个站点发生变化，${failedSites.length}个站点失败`;
+  } else if (siteChanges.length > 0) {
+    subject += ` - ${siteChanges.length}个站点发生变化`;
+  } else if (failedSites.length > 0) {
+    subject += ` - ${failedSites.length}个站点检测失败`;
+  }
+  return { subject, html: htmlContent };
+}
+
+// 未配置发件人时的默认值（Resend 测试域名）
+const DEFAULT_FROM_NAME = 'AI模型监测';
+const DEFAULT_FROM_ADDRESS = 'onboarding@resend.dev';
+
+// 旧配置没有 transport 字段，按 Resend 处理
+const transportOf = (config) => config.transport || 'resend';
+
+// 发件人：SMTP 未填写发件地址时使用登录用户名
+function senderOf(config) {
+  const smtpUser = transportOf(config) === 'smtp' && EMAIL_REGEX.test(config.smtpUser || '') ? config.smtpUser : null;
+  return {
+    name: config.fromName || DEFAULT_FROM_NAME,
+    address: config.fromAddress || smtpUser || DEFAULT_FROM_ADDRESS
+  };
+}
+
+const smtpOnly = { transport: 'smtp' };
+
+// 示例模板（编辑模板时作为起点）
+const EMAIL_STARTERS = {
+  site: {
+    subject: '{{title}} - {{site.siteName}}',
+    body: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h1 style="color: #333;">{{title}}</h1>
+  <p><strong>站点：</strong>{{site.siteName}}</p>
+  <p><strong>检测时间：</strong>{{checkedAt}}</p>
+  {{#if site.checkIn}}
+  <p><strong>签到：</strong>{{#if site.checkIn.success}}✅{{else}}❌{{/if}} {{site.checkIn.message}}</p>
+  {{/if}}
+  {{#if site.watched}}
+  <h2 style="color: #d48806;">⭐ 关注的模型 ({{site.watched.length}})</h2>
+  <ul>
+    {{#each site.watched}}
+    <li><strong>{{model}}</strong>：{{event}}（规则：{{rules}}）</li>
+    {{/each}}
+  </ul>
+  {{/if}}
+  {{#if site.alerts}}
+  <h2 style="color: #cf1322;">⚠️ 余额告警 ({{site.alerts.length}})</h2>
+  <ul>
+    {{#each site.alerts}}
+    <li><strong>{{ruleName}}</strong>：{{message}}</li>
+    {{/each}}
+  </ul>
+  {{/if}}
+  {{#if site.added}}
+  <h2 style="color: #52c41a;">✅ 新增模型 ({{site.added.length}})</h2>
+  <ul>
+    {{#each site.added}}
+    <li>{{id}}</li>
+    {{/each}}
+  </ul>
+  {{/if}}
+  {{#if site.removed}}
+  <h2 style="color: #ff4d4f;">❌ 移除模型 ({{site.removed.length}})</h2>
+  <ul>
+    {{#each site.removed}}
+    <li>{{id}}</li>
+    {{/each}}
+  </ul>
+  {{/if}}
+  {{#if site.broken}}
+  <h2 style="color: #fa541c;">🚨 模型列出但不可用 ({{site.broken.length}})</h2>
+  <ul>
+    {{#each site.broken}}
+    <li><strong>{{model}}</strong>：{{error}}</li>
+    {{/each}}
+  </ul>
+  {{/if}}
+</div>
+`
+  },
+  aggregate: {
+    subject: '{{title}}：{{siteCount}} 个站点有变更',
+    body: `<div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+  <h1 style="color: #333;">{{title}}</h1>
+  <p><strong>检测时间：</strong>{{checkedAt}}</p>
+  <p>{{siteCount}} 个站点有变更，{{failedCount}} 个站点检测失败</p>
+  {{#each sites}}
+  <h2 style="color: #1890ff; border-bottom: 1px solid #eee;">🎯 {{siteName}}</h2>
+  {{#if checkIn}}
+  <p><strong>签到：</strong>{{#if checkIn.success}}✅{{else}}❌{{/if}} {{checkIn.message}}</p>
+  {{/if}}
+  <ul>
+    {{#each watched}}
+    <li>⭐ 关注 <strong>{{model}}</strong>：{{event}}（规则：{{rules}}）</li>
+    {{/each}}
+    {{#each alerts}}
+    <li>⚠️ <strong>{{ruleName}}</strong>：{{message}}</li>
+    {{/each}}
+    {{#each added}}
+    <li>➕ 新增 {{id}}</li>
+    {{/each}}
+    {{#each removed}}
+    <li>➖ 移除 {{id}}</li>
+    {{/each}}
+    {{#each broken}}
+    <li>🚨 不可用 <strong>{{model}}</strong>：{{error}}</li>
+    {{/each}}
+  </ul>
+  {{/each}}
+  {{#if failedSites}}
+  <h2 style="color: #ff4d4f;">⚠️ 检测失败的站点 ({{failedCount}})</h2>
+  <ul>
+    {{#each failedSites}}
+    <li><strong>{{siteName}}</strong>：{{error}}</li>
+    {{/each}}
+  </ul>
+  {{/if}}
+</div>
+`
+  }
+};
+
+module.exports = {
+  type: 'email',
+  label: '邮件',
+  fields: [
+    { name: 'transport', label: '发送方式', type: 'select', required: true, default: 'resend', options: [{ value: 'resend', label: 'Resend' }, { value: 'smtp', label: 'SMTP' }] },
+    { name: 'apiKey', label: 'Resend API Key', secret: true, required: true, showIf: { transport: 'resend' }, placeholder: 're_xxxxxxxxx', extra: '获取密钥：https://resend.com/api-keys' },
+    { name: 'smtpHost', label: 'SMTP 服务器', required: true, showIf: smtpOnly, placeholder: 'smtp.example.com' },
+    { name: 'smtpSecurity', label: '加密方式', type: 'select', default: 'starttls', showIf: smtpOnly, options: [{ value: 'starttls', label: 'STARTTLS' }, { value: 'ssl', label: 'SSL/TLS' }, { value: 'none', label: '不加密' }] },
+    { name: 'smtpPort', label: '端口', type: 'number', showIf: smtpOnly, placeholder: '587', extra: '留空时 SSL 为 465，其他为 587' },
+    { name: 'smtpUser', label: '用户名', showIf: smtpOnly, extra: '留空表示不需要认证' },
+    { name: 'smtpPassword', label: '密码', secret: true, showIf: smtpOnly },
+    { name: 'fromName', label: '发件人名称', placeholder: DEFAULT_FROM_NAME },
+    { name: 'fromAddress', label: '发件人地址', placeholder: DEFAULT_FROM_ADDRESS, extra: 'Resend 需使用已验证域名的地址；SMTP 留空时使用用户名' },
+    { name: 'notifyEmails', label: '收件人邮箱', required: true, multiline: true, placeholder: 'user@example.com,admin@example.com', extra: '多个邮箱用英文逗号分隔' }
+  ],
+  template: {
+    format: 'html',
+    subject: true,
+    hint: '正文为 HTML，占位符的值会自动转义；建议使用内联样式，部分邮箱客户端不支持 <style>',
+    starters: EMAIL_STARTERS
+  },
+
+  validate(config) {
+    if (!['resend', 'smtp'].includes(transportOf(config))) return '不支持的发送方式';
+    if (config.fromAddress && !EMAIL_REGEX.test(config.fromAddress)) {
+      return `发件人地址格式不正确：${config.fromAddress}`;
+    }
+    if (transportOf(config) === 'smtp') {
+      if (!config.fromAddress && !EMAIL_REGEX.test(config.smtpUser || '')) return '请填写发件人地址';
+      const port = config.smtpPort;
+      if (port !== undefined && port !== null && port !== '' && !(Number.isInteger(Number(port)) && port > 0 && port < 65536)) {
+        return '端口必须是 1-65535 之间的整数';
+      }
+    }
+
+    let emails;
+    try {
+      emails = parseEmails(config.notifyEmails);
+    } catch (e) {
+      return '收件人邮箱格式不正确';
+    }
+    if (!emails.length) return '请输入至少一个收件人邮箱';
+    const invalid = emails.find(email => !EMAIL_REGEX.test(email));
+    return invalid ? `邮箱格式不正确：${invalid}` : null;
+  },
+
+  recipients(config) {
+    return parseEmails(config.notifyEmails);
+  },
+
+  async send(config, notification, rendered) {
+    const emails = parseEmails(config.notifyEmails);
+    const builtIn = notification.kind === 'aggregate'
+      ? renderAggregatedEmail(notification)
+      : renderSiteEmail(notification);
+    // 自定义模板未填写主题时使用默认主题
+    const subject = rendered?.subject || builtIn.subject;
+    const html = rendered ? rendered.body : builtIn.html;
+    const from = senderOf(config);
+    // 关注的模型有变化时标记为重要邮件
+    const headers = notification.sites.some(sc => sc.diff?.watched?.length > 0)
+      ? { 'X-Priority': '1', Importance: 'high' }
+      : {};
+
+    if (transportOf(config) === 'smtp') {
+      const result = await sendMail({
+        host: config.smtpHost,
+        port: Number(config.smtpPort) || undefined,
+        security: config.smtpSecurity || 'starttls',
+        user: config.smtpUser,
+        password: config.smtpPassword,
+        from,
+        to: emails,
+        subject,
+        html,
+        headers
+      });
+      return { transport: 'smtp', recipients: emails, id: result.messageId };
+    }
+
+    const resend = new Resend(config.apiKey);
+    const result = await resend.emails.send({
+      from: `${from.name} <${from.address}>`,
+      to: emails,
+      subject,
+      html,
+      headers
+    });
+    // Resend SDK 不抛出异常，错误在返回值中
+    if (result?.error) {
+      throw new Error(result.error.message || String(result.error));
+    }
+    return { transport: 'resend', recipients: emails, id: result?.data?.id };
+  }
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { postJson, checkHttpUrl } = require('./http');
+const { MARKDOWN_STARTERS, chatMessages, sendChatMessages } = require('./markdown');
+
+// 飞书请求体上限 20 KB，留出卡片结构的余量
+const MAX_MESSAGE_BYTES = 15000;
+
+// 卡片 lark_md 不支持行内代码
+const FEISHU_DIALECT = {
+  escape: (text) => text,
+  bold: (text) => `**${text}**`,
+  code: (text) => text
+};
+
+// 签名校验：https://open.feishu.cn/document/client-docs/bot-v3/add-custom-bot
+function signFields(secret) {
+  if (!secret) return {};
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const sign = crypto.createHmac('sha256', `${timestamp}\n${secret}`).update('').digest('base64');
+  return { timestamp, sign };
+}
+
+// 每个段落一个文本块，段落之间加分割线；有检测失败的站点时卡片标题为红色
+function buildCard(title, chunk, hasFailures) {
+  return {
+    config: { wide_screen_mode: true },
+    header: {
+      template: hasFailures ? 'red' : 'blue',
+      title: { tag: 'plain_text', content: title }
+    },
+    elements: chunk.flatMap((text, i) => [
+      ...(i > 0 ? [{ tag: 'hr' }] : []),
+      { tag: 'div', text: { tag: 'lark_md', content: text } }
+    ])
+  };
+}
+
+module.exports = {
+  type: 'feishu',
+  label: '飞书 / Lark 机器人',
+  fields: [
+    { name: 'webhookUrl', label: 'Webhook 地址', required: true, secret: true, placeholder: 'https://open.feishu.cn/open-apis/bot/v2/hook/...', extra: '群设置 → 群机器人 → 添加「自定义机器人」后获取，Lark 的 open.larksuite.com 地址同样适用' },
+    { name: 'secret', label: '签名密钥', secret: true, extra: '安全设置开启「签名校验」时填写' }
+  ],
+  template: {
+    format: 'markdown',
+    subject: true,
+    hint: '标题为卡片标题。正文使用 lark_md 语法，支持加粗、斜体、删除线和链接，不支持标题和代码',
+    starters: MARKDOWN_STARTERS
+  },
+
+  validate(config) {
+    return checkHttpUrl(config.webhookUrl, 'Webhook 地址');
+  },
+
+  async send(config, notification, rendered) {
+    const buildMessages = () => chatMessages(notification, rendered, { dialect: FEISHU_DIALECT, limit: MAX_MESSAGE_BYTES });
+    return sendChatMessages(notification, buildMessages, async ({ title, parts }) => {
+      const { data } = await postJson(config.webhookUrl, {
+        ...signFields(config.secret),
+        msg_type: 'interactive',
+        card: buildCard(title, parts, notification.failedSites.length > 0)
+      });
+      // 旧版接口返回 StatusCode，新版返回 code
+      const code = data?.code ?? data?.StatusCode;
+      if (code !== 0) {
+        throw new Error(`飞书机器人返回错误: ${data?.msg || data?.StatusMessage || '未知错误'}${code !== undefined ? ` (${code})` : ''}`);
+      }
+    });
+  }
+};
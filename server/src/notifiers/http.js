@@ -0,0 +1,88 @@
+/**
+ * 通知渠道的 HTTP 请求：超时控制，服务端错误（5xx）和网络错误时按指数退避重试
+ */
+
+const REQUEST_TIMEOUT = 15000;
+// 重试间隔：1s、2s、4s
+const RETRY_DELAYS = [1000, 2000, 4000];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function requestOnce(url, init) {
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), REQUEST_TIMEOUT);
+  try {
+    const res = await fetch(url, { ...init, signal: ac.signal });
+    const text = await res.text();
+    return { status: res.status, ok: res.ok, text };
+  } catch (e) {
+    throw new Error(e.name === 'AbortError' ? `请求超时（${REQUEST_TIMEOUT / 1000}秒）` : e.message);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * 发送 POST 请求，5xx 和网络错误时重试，4xx 直接失败
+ * @param {string} url - 请求地址
+ * @param {Object} options - { headers, body, retryDelays }
+ * @returns {Promise<Object>} - { status, text, attempts }
+ */
+async function postWithRetry(url, { headers = {}, body, retryDelays = RETRY_DELAYS }) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= retryDelays.length; attempt++) {
+    if (attempt > 0) {
+      // 地址中可能带有令牌（如 Telegram），日志只打印主机名
+      console.log(`[NOTIFY] ${lastError.message}，${retryDelays[attempt - 1] / 1000}秒后第${attempt}次重试: ${new URL(url).host}`);
+      await sleep(retryDelays[attempt - 1]);
+    }
+    try {
+      const res = await requestOnce(url, { method: 'POST', headers, body });
+      if (res.ok) return { status: res.status, text: res.text, attempts: attempt + 1 };
+      const error = new Error(`HTTP ${res.status}${res.text ? `: ${res.text.slice(0, 200)}` : ''}`);
+      if (res.status < 500) throw Object.assign(error, { noRetry: true });
+      lastError = error;
+    } catch (e) {
+      if (e.noRetry) throw e;
+      lastError = e;
+    }
+  }
+  throw new Error(`${lastError.message}（已重试${retryDelays.length}次）`);
+}
+
+/**
+ * 以 JSON 发送 POST 请求（重试规则同 postWithRetry），并解析返回的 JSON
+ * @returns {Promise<Object>} - { status, data, attempts }，返回内容不是 JSON 时 data 为 null
+ */
+async function postJson(url, payload, { headers = {} } = {}) {
+  const res = await postWithRetry(url, {
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+  let data = null;
+  try {
+    data = JSON.parse(res.text);
+  } catch (e) {
+    data = null;
+  }
+  return { status: res.status, data, attempts: res.attempts };
+}
+
+/**
+ * 校验 http/https 地址
+ * @param {string} value - 地址
+ * @param {string} label - 字段名称，用于错误信息
+ * @returns {string|null} - 错误信息
+ */
+function checkHttpUrl(value, label) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return `${label}格式不正确`;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return `${label}必须是 http 或 https`;
+  return null;
+}
+
+module.exports = { postWithRetry, postJson, checkHttpUrl };
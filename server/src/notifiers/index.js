@@ -0,0 +1,106 @@
+/**
+ * 通知渠道类型注册表
+ *
+ * 每种渠道一个模块，导出 { type, label, fields, validate?, send }：
+ *   fields                         -> [{ name, label, type, options, default, required, secret, multiline, showIf, placeholder, extra }]
+ *                                     前端据此渲染配置表单；type 为 select/number/switch 或文本，showIf 为 { 字段: 值 }，满足时才显示和校验
+ *   template                       -> 支持自定义模板时提供（可选）：{ format: html|markdown, subject: 是否使用标题, hint, starters: { site, aggregate } }
+ *   validate(config)               -> 错误信息 | null（必填项由注册表统一校验）
+ *   recipients(config)             -> 接收方列表（可选，记录在发送记录中，不能包含密钥）
+ *   send(config, notification, rendered)
+ *                                  -> 发送结果，失败时抛出异常；rendered 为自定义模板的渲染结果 { subject, body }，没有模板时为空
+ * notification 格式见 common.js 的 filterNotification。
+ * 新增渠道只需在此注册一个模块。
+ */
+
+const channelTypes = new Map();
+
+function registerChannelType(channel) {
+  if (!channel?.type || typeof channel.send !== 'function') {
+    throw new Error('通知渠道必须提供 type 和 send');
+  }
+  channelTypes.set(channel.type, { fields: [], ...channel });
+}
+
+registerChannelType(require('./email'));
+registerChannelType(require('./webhook'));
+registerChannelType(require('./telegram'));
+registerChannelType(require('./dingtalk'));
+registerChannelType(require('./feishu'));
+registerChannelType(require('./wecom'));
+
+function getChannelType(type) {
+  return channelTypes.get(type) || null;
+}
+
+function listChannelTypes() {
+  return Array.from(channelTypes.keys());
+}
+
+// 供前端使用的渠道类型描述（不含方法）
+function describeChannelTypes() {
+  return Array.from(channelTypes.values()).map(c => ({
+    type: c.type,
+    label: c.label,
+    fields: c.fields,
+    template: c.template || null
+  }));
+}
+
+// 字段是否生效（showIf 条件中未填写的字段取默认值）
+function isFieldActive(channel, field, config) {
+  if (!field.showIf) return true;
+  return Object.entries(field.showIf).every(([name, value]) => {
+    const actual = config?.[name] ?? channel.fields.find(f => f.name === name)?.default;
+    return actual === value;
+  });
+}
+
+// 校验渠道配置，返回错误信息或 null
+function validateChannelConfig(type, config) {
+  const channel = getChannelType(type);
+  if (!channel) return `不支持的通知渠道类型：${type}`;
+  for (const field of channel.fields) {
+    if (!isFieldActive(channel, field, config)) continue;
+    const value = config?.[field.name] ?? field.default;
+    if (field.required && (value === undefined || value === null || String(value).trim() === '')) {
+      return `请填写${field.label}`;
+    }
+  }
+  return channel.validate ? channel.validate(config) : null;
+}
+
+// 返回给前端的配置：去掉密钥字段，只标记是否已设置
+function maskChannelConfig(type, config) {
+  const channel = getChannelType(type);
+  const masked = { ...config };
+  const secretsSet = [];
+  for (const field of channel?.fields || []) {
+    if (!field.secret) continue;
+    if (masked[field.name]) secretsSet.push(field.name);
+    delete masked[field.name];
+  }
+  return { config: masked, secretsSet };
+}
+
+// 更新配置时，留空的密钥字段沿用原值
+function mergeChannelConfig(type, prev, next) {
+  const channel = getChannelType(type);
+  const merged = { ...next };
+  for (const field of channel?.fields || []) {
+    if (field.secret && !merged[field.name] && prev?.[field.name]) {
+      merged[field.name] = prev[field.name];
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  registerChannelType,
+  getChannelType,
+  listChannelTypes,
+  describeChannelTypes,
+  validateChannelConfig,
+  maskChannelConfig,
+  mergeChannelConfig
+};
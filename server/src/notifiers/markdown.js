@@ -0,0 +1,287 @@
+/**
+ * 将通知渲染为 Markdown 文本（聊天类渠道使用），内容与 HTML 邮件一致
+ * 不同平台的 Markdown 语法不同，通过 dialect 指定：{ escape(text), bold(text), code(text) }
+ */
+
+const { describeChannelEvent, describeFlaggedEvent, describePriceHike, describeWatchHit, countPriceHikes, notificationTitle, partialSendError } = require('./common');
+
+// 每类模型最多列出的数量
+const MAX_LIST_ITEMS = 20;
+
+// 通用 Markdown（钉钉、飞书、企业微信等），不转义
+const PLAIN_DIALECT = {
+  escape: (text) => text,
+  bold: (text) => `**${text}**`,
+  code: (text) => `\`${text}\``
+};
+
+/**
+ * 按段落渲染通知：第一段为检测时间，之后每个站点一段，最后是检测失败的站点
+ * @param {Object} notification - { kind, sites, failedSites }
+ * @param {Object} dialect - Markdown 方言
+ * @returns {Object} - { title, sections: 每段为若干行 }
+ */
+function renderMarkdownSections(notification, dialect = PLAIN_DIALECT) {
+  // 行由片段组成：字符串为普通文本（需转义），{ bold } / { code } 为格式化文本
+  const format = (parts) => parts.map(p => {
+    if (typeof p === 'string') return dialect.escape(p);
+    if (p.bold !== undefined) return dialect.bold(dialect.escape(String(p.bold)));
+    return dialect.code(String(p.code));
+  }).join('');
+  const sections = [];
+  let lines = [];
+  const section = () => {
+    lines = [];
+    sections.push(lines);
+  };
+  const line = (...parts) => lines.push(format(parts));
+  const list = (items, render) => {
+    items.slice(0, MAX_LIST_ITEMS).forEach(item => line('• ', ...render(item)));
+    if (items.length > MAX_LIST_ITEMS) line(`… 还有 ${items.length - MAX_LIST_ITEMS} 个`);
+  };
+
+  const { sites, failedSites } = notification;
+  const title = notificationTitle(notification);
+  section();
+  line(`检测时间：${new Date().toLocaleString('zh-CN')}`);
+
+  sites.forEach(({ siteName, diff, checkInResult, alerts = [] }) => {
+    section();
+    line({ bold: `🎯 ${siteName}` });
+
+    if (checkInResult) {
+      const { checkInSuccess, checkInMessage, checkInQuota } = checkInResult;
+      line(`${checkInSuccess ? '✅' : '❌'} ${checkInMessage || (checkInSuccess ? '签到成功' : '签到失败')}${checkInQuota ? `（获得额度 ${checkInQuota}）` : ''}`);
+    }
+    if (diff?.watched?.length > 0) {
+      line({ bold: `⭐ 关注的模型 (${diff.watched.length})` });
+      list(diff.watched, w => [{ code: w.model }, `：${describeWatchHit(w)}`]);
+    }
+    if (alerts.length > 0) {
+      line({ bold: `⚠️ 余额告警 (${alerts.length})` });
+      list(alerts, a => [{ bold: a.ruleName }, `：${a.message}`]);
+    }
+    if (diff?.flagged?.length > 0) {
+      line({ bold: `🕵️ 疑似模型替换 (${diff.flagged.length})` });
+      list(diff.flagged, e => [{ code: e.model }, `：${describeFlaggedEvent(e)}`]);
+    }
+    if (countPriceHikes(diff) > 0) {
+      line({ bold: `💸 价格上涨 (${countPriceHikes(diff)})` });
+      list(diff.priceHikes.models, m => [{ code: m.model }, `：${describePriceHike(m)}`]);
+      list(diff.priceHikes.groups, g => [`分组 ${g.group} 倍率：${g.from} → ${g.to}`]);
+    }
+    if (diff?.broken?.length > 0) {
+      line({ bold: `🚨 模型列出但不可用 (${diff.broken.length})` });
+      list(diff.broken, item => [{ code: item.model }, `：${item.errorMessage || '未知错误'}`]);
+    }
+    if (diff?.recovered?.length > 0) {
+      line({ bold: `💚 模型恢复可用 (${diff.recovered.length})` });
+      list(diff.recovered, item => [{ code: item.model }]);
+    }
+    if (diff?.added?.length > 0) {
+      line({ bold: `➕ 新增模型 (${diff.added.length})` });
+      list(diff.added, m => [{ code: m.id || 'Unknown' }]);
+    }
+    if (diff?.removed?.length > 0) {
+      line({ bold: `➖ 移除模型 (${diff.removed.length})` });
+      list(diff.removed, m => [{ code: m.id || 'Unknown' }]);
+    }
+    if (diff?.channels?.length > 0) {
+      line({ bold: `🔀 渠道变更 (${diff.channels.length})` });
+      list(diff.channels, e => [describeChannelEvent(e)]);
+    }
+  });
+
+  if (failedSites.length > 0) {
+    section();
+    line({ bold: `⚠️ 检测失败的站点 (${failedSites.length})` });
+    list(failedSites, f => [{ bold: f.siteName }, `：${f.error}`]);
+  }
+
+  return { title, sections };
+}
+
+/**
+ * @param {Object} notification - { kind, sites, failedSites }
+ * @param {Object} dialect - Markdown 方言
+ * @returns {Object} - { title, text }
+ */
+function renderMarkdown(notification, dialect = PLAIN_DIALECT) {
+  const { title, sections } = renderMarkdownSections(notification, dialect);
+  const text = [dialect.bold(dialect.escape(title)), ...sections.map(lines => lines.join('\n'))].join('\n\n');
+  return { title, text };
+}
+
+// UTF-8 字节数（钉钉、企业微信等按字节限制消息长度）
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+/**
+ * 按长度上限拆分为多条消息，尽量保持段落完整
+ * 超长的段落按行拆开，超长的行截断
+ * @param {string[][]} sections - 段落（每段为若干行）
+ * @param {number} limit - 每条消息的长度上限
+ * @param {Object} options - { measure: 长度计算（默认字符数）, newline: 行分隔, separator: 段落分隔 }
+ * @returns {string[][]} - 每条消息包含的段落文本
+ */
+function chunkSections(sections, limit, { measure = (text) => text.length, newline = '\n', separator = '\n\n' } = {}) {
+  const truncate = (text) => {
+    let result = text;
+    while (result && measure(`${result}…`) > limit) result = result.slice(0, Math.floor(result.length * 0.9));
+    return `${result}…`;
+  };
+
+  const units = [];
+  for (const lines of sections) {
+    let current = '';
+    for (const raw of lines) {
+      const text = measure(raw) > limit ? truncate(raw) : raw;
+      if (current && measure(`${current}${newline}${text}`) > limit) {
+        units.push(current);
+        current = '';
+      }
+      current = current ? `${current}${newline}${text}` : text;
+    }
+    if (current) units.push(current);
+  }
+
+  const chunks = [];
+  let current = [];
+  for (const unit of units) {
+    if (current.length > 0 && measure([...current, unit].join(separator)) > limit) {
+      chunks.push(current);
+      current = [];
+    }
+    current.push(unit);
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * 生成聊天机器人的消息，超长时拆分为多条
+ * 使用自定义模板时按行拆分模板渲染结果；否则使用内置格式，由调用方在每条消息前加标题
+ * @param {Object} notification - 通知
+ * @param {Object|null} rendered - 自定义模板的渲染结果 { subject, body }
+ * @param {Object} options - { dialect, limit, measure, newline, separator }，含义同 chunkSections
+ * @returns {Array} - [{ title, parts: 段落文本, custom: 是否为自定义模板 }]
+ */
+function chatMessages(notification, rendered, { dialect = PLAIN_DIALECT, limit, measure = byteLength, newline = '\n', separator = '\n\n' }) {
+  const { title, sections } = rendered
+    ? { title: rendered.subject || notificationTitle(notification), sections: [rendered.body.split('\n')] }
+    : renderMarkdownSections(notification, dialect);
+  const chunks = rendered
+    ? chunkSections(sections, limit, { measure })
+    : chunkSections(sections, limit, { measure, newline, separator });
+  return chunks.map((parts, i) => ({
+    title: chunks.length > 1 ? `${title}（${i + 1}/${chunks.length}）` : title,
+    parts,
+    custom: Boolean(rendered)
+  }));
+}
+
+/**
+ * 按顺序发送拆分后的消息，已有消息送达后失败时，重试从失败的一条开始
+ * @param {Object} notification - 通知（重试时 resume.messages 为上次未发送的消息）
+ * @param {Function} buildMessages - () => chatMessages 的结果，首次发送时调用
+ * @param {Function} post - (message) => Promise，发送失败时抛出
+ * @returns {Promise<Object>} - { messages: 本次发送的消息数 }
+ */
+async function sendChatMessages(notification, buildMessages, post) {
+  const messages = notification.resume?.messages || buildMessages();
+  for (let i = 0; i < messages.length; i++) {
+    try {
+      await post(messages[i]);
+    } catch (e) {
+      if (i === 0) throw e;
+      throw partialSendError(e, notification, { messages: messages.slice(i) });
+    }
+  }
+  return { messages: messages.length };
+}
+
+// Markdown 渠道的示例模板（编辑模板时作为起点）
+const MARKDOWN_STARTERS = {
+  site: {
+    subject: '{{title}} - {{site.siteName}}',
+    body: `**{{title}}**
+站点：{{site.siteName}}
+检测时间：{{checkedAt}}
+{{#if site.checkIn}}
+{{#if site.checkIn.success}}✅{{else}}❌{{/if}} 签到：{{site.checkIn.message}}
+{{/if}}
+{{#if site.watched}}
+
+**⭐ 关注的模型 ({{site.watched.length}})**
+{{#each site.watched}}
+- {{model}}：{{event}}（规则：{{rules}}）
+{{/each}}
+{{/if}}
+{{#if site.alerts}}
+
+**⚠️ 余额告警**
+{{#each site.alerts}}
+- {{ruleName}}：{{message}}
+{{/each}}
+{{/if}}
+{{#if site.added}}
+
+**➕ 新增模型 ({{site.added.length}})**
+{{#each site.added}}
+- {{id}}
+{{/each}}
+{{/if}}
+{{#if site.removed}}
+
+**➖ 移除模型 ({{site.removed.length}})**
+{{#each site.removed}}
+- {{id}}
+{{/each}}
+{{/if}}
+{{#if site.broken}}
+
+**🚨 模型列出但不可用 ({{site.broken.length}})**
+{{#each site.broken}}
+- {{model}}：{{error}}
+{{/each}}
+{{/if}}
+`
+  },
+  aggregate: {
+    subject: '{{title}}',
+    body: `**{{title}}**
+检测时间：{{checkedAt}}
+{{siteCount}} 个站点有变更，{{failedCount}} 个站点检测失败
+{{#each sites}}
+
+**🎯 {{siteName}}**
+{{#if checkIn}}
+{{#if checkIn.success}}✅{{else}}❌{{/if}} 签到：{{checkIn.message}}
+{{/if}}
+{{#each watched}}
+- ⭐ 关注：{{model}} {{event}}（规则：{{rules}}）
+{{/each}}
+{{#each alerts}}
+- ⚠️ {{ruleName}}：{{message}}
+{{/each}}
+{{#if added}}
+- ➕ 新增：{{#each added}}{{id}}{{#unless @last}}、{{/unless}}{{/each}}
+{{/if}}
+{{#if removed}}
+- ➖ 移除：{{#each removed}}{{id}}{{#unless @last}}、{{/unless}}{{/each}}
+{{/if}}
+{{#each broken}}
+- 🚨 不可用：{{model}}（{{error}}）
+{{/each}}
+{{/each}}
+{{#if failedSites}}
+
+**⚠️ 检测失败的站点**
+{{#each failedSites}}
+- {{siteName}}：{{error}}
+{{/each}}
+{{/if}}
+`
+  }
+};
+
+module.exports = { PLAIN_DIALECT, MARKDOWN_STARTERS, renderMarkdownSections, renderMarkdown, byteLength, chunkSections, chatMessages, sendChatMessages };
@@ -0,0 +1,200 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * 最小 SMTP 客户端，用于邮件通知渠道
+ * 支持 STARTTLS / SSL / 不加密，AUTH PLAIN / LOGIN，发送 UTF-8 HTML 邮件（base64 编码）
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// 未填写端口时的默认端口
+function defaultSmtpPort(security) {
+  return security === 'ssl' ? 465 : 587;
+}
+
+// RFC 2047 编码（中文发件人名称、主题）
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function formatAddress({ name, address }) {
+  return name ? `${encodeHeader(name)} <${address}>` : `<${address}>`;
+}
+
+function buildMessage({ from, to, subject, html, messageId, headers = {} }) {
+  const body = Buffer.from(html, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${formatAddress(from)}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    'MIME-Version: 1.0',
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+class SmtpSession {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP 连接超时')));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      let idx;
+      while ((idx = this.buffer.indexOf('\r\n')) >= 0) {
+        this.lines.push(this.buffer.slice(0, idx));
+        this.buffer = this.buffer.slice(idx + 2);
+      }
+      this.flush();
+    });
+    socket.on('error', (e) => this.fail(e));
+    socket.on('close', () => this.fail(new Error('SMTP 连接已关闭')));
+  }
+
+  // 解除对当前连接的监听（STARTTLS 升级或发送结束时）
+  detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+    this.socket.setTimeout(0);
+  }
+
+  fail(error) {
+    if (!this.error) this.error = error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  // 多行响应以 "250-" 续行，"250 " 结束
+  flush() {
+    if (!this.waiting) return;
+    const end = this.lines.findIndex(l => /^\d{3}(?: |$)/.test(l));
+    if (end < 0) return;
+    const lines = this.lines.splice(0, end + 1);
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({ code: Number(lines[end].slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+  }
+
+  read() {
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  async expect(codes, command, display = command) {
+    if (command !== null) this.socket.write(`${command}\r\n`);
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${display ? `${display.split(' ')[0]} ` : ''}失败 ${reply.code}: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  async ehlo() {
+    const reply = await this.expect([250], `EHLO ${os.hostname() || 'localhost'}`);
+    return reply.lines.slice(1).map(l => l.toUpperCase());
+  }
+}
+
+// SNI 只能是域名，直接填写 IP 时不设置
+const serverNameOf = (host) => net.isIP(host) ? undefined : host;
+
+function connect({ host, port, security, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = security === 'ssl'
+      ? tls.connect({ host, port, servername: serverNameOf(host) })
+      : net.connect({ host, port });
+    const ready = security === 'ssl' ? 'secureConnect' : 'connect';
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP 连接超时')));
+    socket.once(ready, () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: serverNameOf(host) }, () => {
+      secure.removeListener('error', reject);
+      resolve(secure);
+    });
+    secure.once('error', reject);
+  });
+}
+
+/**
+ * 通过 SMTP 发送 HTML 邮件
+ * @param {Object} options - { host, port, security: starttls|ssl|none, user, password, from: { name, address }, to: [], subject, html, headers: 额外的邮件头 }
+ * @returns {Promise<Object>} - { messageId, response }
+ */
+async function sendMail({ host, port, security = 'starttls', user, password, from, to, subject, html, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const socket = await connect({ host, port: port || defaultSmtpPort(security), security, timeoutMs });
+  const session = new SmtpSession(socket, timeoutMs);
+  try {
+    await session.expect([220], null, '连接');
+    let extensions = await session.ehlo();
+
+    if (security === 'starttls') {
+      if (!extensions.some(e => e.startsWith('STARTTLS'))) {
+        throw new Error('SMTP 服务器不支持 STARTTLS，请改用 SSL 或不加密');
+      }
+      await session.expect([220], 'STARTTLS');
+      session.detach();
+      session.attach(await upgradeToTls(session.socket, host));
+      extensions = await session.ehlo();
+    }
+
+    if (user) {
+      const auth = extensions.find(e => e.startsWith('AUTH')) || '';
+      if (/\bPLAIN\b/.test(auth) || !/\bLOGIN\b/.test(auth)) {
+        const token = Buffer.from(`\0${user}\0${password || ''}`, 'utf8').toString('base64');
+        await session.expect([235], `AUTH PLAIN ${token}`, 'AUTH');
+      } else {
+        await session.expect([334], 'AUTH LOGIN', 'AUTH');
+        await session.expect([334], Buffer.from(user, 'utf8').toString('base64'), 'AUTH');
+        await session.expect([235], Buffer.from(password || '', 'utf8').toString('base64'), 'AUTH');
+      }
+    }
+
+    const messageId = `<${crypto.randomUUID()}@${from.address.split('@')[1] || 'localhost'}>`;
+    await session.expect([250], `MAIL FROM:<${from.address}>`);
+    for (const address of to) {
+      await session.expect([250, 251], `RCPT TO:<${address}>`);
+    }
+    await session.expect([354], 'DATA');
+    // base64 正文不会出现以 "." 开头的行，无需额外转义
+    const reply = await session.expect([250], `${buildMessage({ from, to, subject, html, messageId, headers })}\r\n.`, 'DATA');
+    await session.expect([221], 'QUIT').catch(() => {});
+    return { messageId, response: reply.lines.join(' ') };
+  } finally {
+    session.detach();
+    session.socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
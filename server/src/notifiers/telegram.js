@@ -0,0 +1,237 @@
+const { postWithRetry, checkHttpUrl } = require('./http');
+const { renderMarkdown } = require('./markdown');
+const { partialSendError } = require('./common');
+
+const DEFAULT_API_BASE = 'https://api.telegram.org';
+// Telegram 单条消息上限 4096 字符，留出余量
+const MAX_MESSAGE_LENGTH = 4000;
+
+// MarkdownV2 需要转义的字符：https://core.telegram.org/bots/api#markdownv2-style
+const TELEGRAM_DIALECT = {
+  escape: (text) => text.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&'),
+  bold: (text) => `*${text}*`,
+  code: (text) => `\`${text.replace(/[`\\]/g, '\\$&')}\``
+};
+
+// 示例模板（编辑模板时作为起点），使用 Telegram 支持的 HTML 标签
+const TELEGRAM_STARTERS = {
+  site: {
+    subject: '',
+    body: `<b>{{title}}</b>
+站点：{{site.siteName}}
+检测时间：{{checkedAt}}
+{{#if site.checkIn}}
+{{#if site.checkIn.success}}✅{{else}}❌{{/if}} 签到：{{site.checkIn.message}}
+{{/if}}
+{{#if site.watched}}
+
+<b>⭐ 关注的模型 ({{site.watched.length}})</b>
+{{#each site.watched}}
+• <code>{{model}}</code>：{{event}}（规则：{{rules}}）
+{{/each}}
+{{/if}}
+{{#if site.alerts}}
+
+<b>⚠️ 余额告警</b>
+{{#each site.alerts}}
+• {{ruleName}}：{{message}}
+{{/each}}
+{{/if}}
+{{#if site.added}}
+
+<b>➕ 新增模型 ({{site.added.length}})</b>
+{{#each site.added}}
+• <code>{{id}}</code>
+{{/each}}
+{{/if}}
+{{#if site.removed}}
+
+<b>➖ 移除模型 ({{site.removed.length}})</b>
+{{#each site.removed}}
+• <code>{{id}}</code>
+{{/each}}
+{{/if}}
+{{#if site.broken}}
+
+<b>🚨 模型列出但不可用 ({{site.broken.length}})</b>
+{{#each site.broken}}
+• <code>{{model}}</code>：{{error}}
+{{/each}}
+{{/if}}
+`
+  },
+  aggregate: {
+    subject: '',
+    body: `<b>{{title}}</b>
+检测时间：{{checkedAt}}
+{{siteCount}} 个站点有变更，{{failedCount}} 个站点检测失败
+{{#each sites}}
+
+<b>🎯 {{siteName}}</b>
+{{#if checkIn}}
+{{#if checkIn.success}}✅{{else}}❌{{/if}} 签到：{{checkIn.message}}
+{{/if}}
+{{#each watched}}
+• ⭐ 关注：<code>{{model}}</code> {{event}}（规则：{{rules}}）
+{{/each}}
+{{#each alerts}}
+• ⚠️ {{ruleName}}：{{message}}
+{{/each}}
+{{#if added}}
+• ➕ 新增：{{#each added}}<code>{{id}}</code>{{#unless @last}}、{{/unless}}{{/each}}
+{{/if}}
+{{#if removed}}
+• ➖ 移除：{{#each removed}}<code>{{id}}</code>{{#unless @last}}、{{/unless}}{{/each}}
+{{/if}}
+{{#each broken}}
+• 🚨 不可用：<code>{{model}}</code>（{{error}}）
+{{/each}}
+{{/each}}
+{{#if failedSites}}
+
+<b>⚠️ 检测失败的站点</b>
+{{#each failedSites}}
+• {{siteName}}：{{error}}
+{{/each}}
+{{/if}}
+`
+  }
+};
+
+// 解析 Chat ID 列表（逗号、空格或换行分隔）
+function parseChatIds(value) {
+  return String(value || '').split(/[\s,;]+/).map(s => s.trim()).filter(Boolean);
+}
+
+function apiUrl(config, method) {
+  const base = (config.apiBaseUrl || DEFAULT_API_BASE).replace(/\/$/, '');
+  return `${base}/bot${config.botToken}/${method}`;
+}
+
+/**
+ * 调用 Bot API（不重试，用于轮询消息等），失败时抛出 Telegram 返回的错误描述
+ * @param {Object} config - 渠道配置
+ * @param {string} method - 接口名，如 getUpdates
+ * @param {Object} params - 请求参数
+ * @param {Object} options - { signal }
+ * @returns {Promise<*>} - 接口返回的 result
+ */
+async function callTelegram(config, method, params = {}, { signal } = {}) {
+  const res = await fetch(apiUrl(config, method), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params),
+    signal
+  });
+  const data = await res.json().catch(() => null);
+  if (!data?.ok) {
+    throw new Error(`Telegram ${method} 失败: ${data?.description || `HTTP ${res.status}`}`);
+  }
+  return data.result;
+}
+
+// 按行拆分超长消息
+function splitMessage(text) {
+  const chunks = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    if (current && current.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line.slice(0, MAX_MESSAGE_LENGTH);
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// 发送一条不超过长度限制的消息（服务端错误时重试）
+async function sendChunk(config, chatId, text, parseMode) {
+  const res = await postWithRetry(apiUrl(config, 'sendMessage'), {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      chat_id: chatId,
+      text,
+      disable_web_page_preview: true,
+      ...(parseMode ? { parse_mode: parseMode } : {})
+    })
+  });
+  const data = JSON.parse(res.text || '{}');
+  if (!data.ok) throw new Error(`Telegram sendMessage 失败: ${data.description || '未知错误'}`);
+}
+
+/**
+ * 发送消息（服务端错误时重试），超长消息自动拆分
+ * @param {Object} config - 渠道配置
+ * @param {string} chatId - 目标会话
+ * @param {string} text - 消息内容
+ * @param {Object} options - { parseMode: MarkdownV2 | HTML，为空时按纯文本发送 }
+ */
+async function sendTelegramMessage(config, chatId, text, { parseMode = null } = {}) {
+  for (const chunk of splitMessage(text)) {
+    await sendChunk(config, chatId, chunk, parseMode);
+  }
+}
+
+module.exports = {
+  type: 'telegram',
+  label: 'Telegram',
+  fields: [
+    { name: 'botToken', label: 'Bot Token', secret: true, required: true, placeholder: '123456:ABC-DEF...', extra: '通过 @BotFather 创建机器人获取' },
+    { name: 'chatIds', label: '通知 Chat ID', required: true, placeholder: '123456789, -1001234567890', extra: '接收通知的用户或群组 ID，多个用逗号分隔' },
+    { name: 'commandsEnabled', label: '启用机器人命令', type: 'switch', default: false, extra: '支持 /balance、/check <站点>、/models <站点>、/checkin [站点]' },
+    { name: 'allowedChatIds', label: '允许使用命令的 Chat ID', showIf: { commandsEnabled: true }, placeholder: '留空时与通知 Chat ID 相同', extra: '其他会话发送的命令会被拒绝' },
+    { name: 'apiBaseUrl', label: 'Bot API 地址', placeholder: DEFAULT_API_BASE, extra: '使用自建 Bot API 服务或本地模拟服务时填写' }
+  ],
+  template: {
+    format: 'html',
+    subject: false,
+    hint: '使用 Telegram 的 HTML 格式：支持 <b>、<i>、<u>、<s>、<code>、<pre>、<a href="">，占位符的值会自动转义；标签不要跨行，超长消息按行拆分',
+    starters: TELEGRAM_STARTERS
+  },
+
+  validate(config) {
+    if (parseChatIds(config.chatIds).length === 0) return '请填写通知 Chat ID';
+    if (config.apiBaseUrl) return checkHttpUrl(config.apiBaseUrl, 'Bot API 地址');
+    return null;
+  },
+
+  recipients(config) {
+    return parseChatIds(config.chatIds);
+  },
+
+  // 逐个会话发送，部分会话或拆分后的部分消息失败时，重试只发送未送达的会话和消息
+  async send(config, notification, rendered) {
+    let { parseMode, chats } = notification.resume || {};
+    if (!chats) {
+      // 自定义模板使用 Telegram 的 HTML 格式，内置格式使用 MarkdownV2
+      const chunks = splitMessage(rendered ? rendered.body : renderMarkdown(notification, TELEGRAM_DIALECT).text);
+      parseMode = rendered ? 'HTML' : 'MarkdownV2';
+      chats = parseChatIds(config.chatIds).map(chatId => ({ chatId, chunks }));
+    }
+
+    const failed = [];
+    let delivered = 0;
+    for (const { chatId, chunks } of chats) {
+      for (let i = 0; i < chunks.length; i++) {
+        try {
+          await sendChunk(config, chatId, chunks[i], parseMode);
+          delivered++;
+        } catch (e) {
+          failed.push({ chatId, chunks: chunks.slice(i), error: e });
+          break;
+        }
+      }
+    }
+    if (failed.length > 0) {
+      const cause = failed[0].error;
+      if (delivered === 0) throw cause;
+      throw partialSendError(cause, notification, { parseMode, chats: failed.map(({ chatId, chunks }) => ({ chatId, chunks })) });
+    }
+    return { chatIds: chats.map(c => c.chatId) };
+  },
+
+  parseChatIds,
+  callTelegram,
+  sendTelegramMessage
+};
@@ -0,0 +1,204 @@
+/**
+ * 通知模板
+ * 占位符写作 {{path}}，path 为点分隔的字段路径（如 diff.added、sites.0.siteName），只读取数据自身的字段，不执行任何代码
+ *
+ * renderTemplate 另外支持区块（用于用户自定义的通知模板）：
+ *   {{path}}                                 按消息格式转义后输出（如 HTML 转义）
+ *   {{{path}}}                               原样输出
+ *   {{#if path}}...{{else}}...{{/if}}        条件，空数组、空字符串、0 视为假；{{#unless}} 相反
+ *   {{#each path}}...{{else}}...{{/each}}    遍历数组，区块内可直接使用元素的字段，以及 this、@index、@number（从 1 开始）、@first、@last
+ *   {{! 注释 }}
+ * 独占一行的区块标签不会产生空行
+ */
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+// 按路径取值，不存在时返回 undefined
+function lookup(context, path) {
+  let value = context;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// 替换字符串中的占位符，对象和数组替换为 JSON 文本
+function renderString(template, context) {
+  return template.replace(PLACEHOLDER, (_, path) => stringify(lookup(context, path)));
+}
+
+/**
+ * 渲染 JSON 模板：字符串值恰好为一个占位符时替换为原始值（保留数组、对象、数字类型），
+ * 否则按字符串替换
+ * @param {string} template - JSON 模板文本
+ * @param {Object} context - 占位符数据
+ * @returns {*} - 渲染后的 JSON 值
+ */
+function renderJsonTemplate(template, context) {
+  const walk = (node) => {
+    if (typeof node === 'string') {
+      const whole = node.match(WHOLE_PLACEHOLDER);
+      if (whole) {
+        const value = lookup(context, whole[1]);
+        return value === undefined ? null : value;
+      }
+      return renderString(node, context);
+    }
+    if (Array.isArray(node)) return node.map(walk);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([k, v]) => [renderString(k, context), walk(v)]));
+    }
+    return node;
+  };
+  return walk(JSON.parse(template));
+}
+
+// 渲染结果的长度上限（字符）
+const MAX_OUTPUT_LENGTH = 100000;
+const TAG = /\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+const PATH = /^(?:this|@index|@number|@first|@last|(?:this\.)?\w+(?:\.\w+)*)$/;
+const BLOCKS = ['if', 'unless', 'each'];
+
+// 模板错误带行号，便于在编辑界面提示
+function templateError(message, source, offset) {
+  const line = source.slice(0, offset).split('\n').length;
+  const err = new Error(`第 ${line} 行：${message}`);
+  err.templateError = true;
+  return err;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+/**
+ * 解析模板为语法树，语法错误时抛出带行号的错误
+ * @param {string} source - 模板文本
+ * @returns {Array} - 节点：{ type: text|var|if|each, ... }
+ */
+function compileTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.otherwise : node.children;
+  };
+  let last = 0;
+  let match;
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    const raw = match[1] !== undefined;
+    const content = raw ? match[1] : match[2];
+    // 独占一行的区块标签连同所在行一起去掉，避免输出多余的空行
+    const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+    const lineEnd = source.indexOf('\n', TAG.lastIndex);
+    const standalone = !raw && /^[#/!]|^else$/.test(content) && lineStart >= last
+      && /^[ \t]*$/.test(source.slice(lineStart, match.index))
+      && /^[ \t\r]*$/.test(source.slice(TAG.lastIndex, lineEnd === -1 ? source.length : lineEnd));
+    const textEnd = standalone ? lineStart : match.index;
+    if (textEnd > last) current().push({ type: 'text', value: source.slice(last, textEnd) });
+    last = standalone ? (lineEnd === -1 ? source.length : lineEnd + 1) : TAG.lastIndex;
+    TAG.lastIndex = Math.max(TAG.lastIndex, last);
+
+    if (!raw && content.startsWith('!')) continue;
+    if (!raw && content.startsWith('#')) {
+      const [name, path, ...rest] = content.slice(1).trim().split(/\s+/);
+      if (!BLOCKS.includes(name)) throw templateError(`不支持的区块 {{#${name}}}`, source, match.index);
+      if (!path || rest.length > 0 || !PATH.test(path)) throw templateError(`{{#${name}}} 需要一个字段路径`, source, match.index);
+      const node = { type: name === 'each' ? 'each' : 'if', negate: name === 'unless', name, path, children: [], otherwise: [], offset: match.index };
+      current().push(node);
+      stack.push(node);
+      continue;
+    }
+    if (!raw && content.startsWith('/')) {
+      const name = content.slice(1).trim();
+      const open = stack[stack.length - 1];
+      if (stack.length === 1) throw templateError(`多余的 {{/${name}}}`, source, match.index);
+      if (open.name !== name) throw templateError(`{{/${name}}} 与 {{#${open.name}}} 不匹配`, source, match.index);
+      stack.pop();
+      continue;
+    }
+    if (!raw && content === 'else') {
+      const open = stack[stack.length - 1];
+      if (stack.length === 1 || open.inElse) throw templateError('{{else}} 必须位于 {{#if}}、{{#unless}} 或 {{#each}} 区块内', source, match.index);
+      open.inElse = true;
+      continue;
+    }
+    if (!PATH.test(content)) throw templateError(`无效的占位符 {{${content}}}`, source, match.index);
+    current().push({ type: 'var', path: content, raw });
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(`{{#${open.name}}} 缺少 {{/${open.name}}}`, source, open.offset);
+  }
+  if (last < source.length) root.children.push({ type: 'text', value: source.slice(last) });
+  return root.children;
+}
+
+const truthy = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+/**
+ * 渲染模板
+ * @param {string} source - 模板文本
+ * @param {Object} context - 模板数据
+ * @param {Object} options - { escape: 占位符输出的转义函数（默认不转义） }
+ * @returns {string}
+ */
+function renderTemplate(source, context, { escape = (text) => text } = {}) {
+  const nodes = compileTemplate(source);
+  let length = 0;
+
+  // scopes 为区块的数据栈，字段从最内层开始查找
+  const resolve = (path, scopes) => {
+    const scope = scopes[scopes.length - 1];
+    if (path === 'this') return scope.value;
+    if (path.startsWith('@')) {
+      if (scope.index === undefined) return undefined;
+      return { '@index': scope.index, '@number': scope.index + 1, '@first': scope.index === 0, '@last': scope.index === scope.count - 1 }[path];
+    }
+    if (path.startsWith('this.')) return lookup(scope.value, path.slice(5));
+    const key = path.split('.')[0];
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const value = scopes[i].value;
+      if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)) {
+        return lookup(value, path);
+      }
+    }
+    return undefined;
+  };
+
+  // 输出长度只统计文本和占位符，超过上限时立即停止，避免循环嵌套产生过大的结果
+  const emit = (text) => {
+    length += text.length;
+    if (length > MAX_OUTPUT_LENGTH) throw new Error(`渲染结果超过 ${MAX_OUTPUT_LENGTH} 个字符`);
+    return text;
+  };
+
+  const render = (list, scopes) => list.map(node => {
+    if (node.type === 'text') return emit(node.value);
+    if (node.type === 'var') {
+      const text = stringify(resolve(node.path, scopes));
+      return emit(node.raw ? text : escape(text));
+    }
+    if (node.type === 'if') {
+      return render(truthy(resolve(node.path, scopes)) !== node.negate ? node.children : node.otherwise, scopes);
+    }
+    const items = resolve(node.path, scopes);
+    return Array.isArray(items) && items.length > 0
+      ? items.map((value, index) => render(node.children, [...scopes, { value, index, count: items.length }])).join('')
+      : render(node.otherwise, scopes);
+  }).join('');
+
+  return render(nodes, [{ value: context }]);
+}
+
+module.exports = { lookup, renderString, renderJsonTemplate, compileTemplate, renderTemplate, escapeHtml };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { postWithRetry, checkHttpUrl } = require('./http');
+const { renderJsonTemplate } = require('./template');
+
+const SIGNATURE_HEADER = 'X-SimpleHub-Signature-256';
+
+// 解析自定义请求头（JSON 对象，值转为字符串）
+function parseHeaders(value) {
+  if (!value || !String(value).trim()) return {};
+  const headers = JSON.parse(value);
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new Error('自定义请求头必须是 JSON 对象');
+  }
+  return Object.fromEntries(Object.entries(headers).map(([k, v]) => [k, String(v)]));
+}
+
+/**
+ * 模板可用的数据：完整的通知内容，以及第一个站点的快捷字段
+ * 单站点通知和按站点拆分发送时，siteName / diff / checkInResult / alerts 即该站点的数据
+ */
+function templateContext(notification, sentAt) {
+  const site = notification.sites[0] || null;
+  const failed = site ? null : notification.failedSites[0] || null;
+  return {
+    kind: notification.kind,
+    sentAt,
+    siteChanges: notification.sites,
+    failedSites: notification.failedSites,
+    siteName: site?.siteName ?? failed?.siteName ?? null,
+    diff: site?.diff ?? null,
+    checkInResult: site?.checkInResult ?? null,
+    alerts: site?.alerts ?? [],
+    error: failed?.error ?? null
+  };
+}
+
+// 默认请求体：与聚合通知接收的数据一致
+function defaultPayload(notification, sentAt) {
+  return {
+    kind: notification.kind,
+    sentAt,
+    siteChanges: notification.sites,
+    failedSites: notification.failedSites
+  };
+}
+
+// 按站点拆分：每个变更站点、每个失败站点各一个通知
+function splitBySite(notification) {
+  return [
+    ...notification.sites.map(site => ({ ...notification, sites: [site], failedSites: [] })),
+    ...notification.failedSites.map(failed => ({ ...notification, sites: [], failedSites: [failed] }))
+  ];
+}
+
+async function post(config, notification) {
+  const body = buildBody(config, notification);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'SimpleHub-Webhook',
+    'X-SimpleHub-Event': notification.kind,
+    'X-SimpleHub-Delivery': crypto.randomUUID(),
+    ...parseHeaders(config.headers)
+  };
+  if (config.secret) {
+    headers[SIGNATURE_HEADER] = `sha256=${crypto.createHmac('sha256', config.secret).update(body).digest('hex')}`;
+  }
+  const res = await postWithRetry(config.url, { headers, body });
+  return { status: res.status, attempts: res.attempts };
+}
+
+function buildBody(config, notification) {
+  const sentAt = new Date().toISOString();
+  const payload = config.bodyTemplate && config.bodyTemplate.trim()
+    ? renderJsonTemplate(config.bodyTemplate, templateContext(notification, sentAt))
+    : defaultPayload(notification, sentAt);
+  return JSON.stringify(payload);
+}
+
+module.exports = {
+  type: 'webhook',
+  label: 'Webhook',
+  fields: [
+    { name: 'url', label: '请求地址', required: true, placeholder: 'https://example.com/hooks/simplehub', extra: '以 POST 方式发送 JSON，返回 5xx 或网络错误时按 1、2、4 秒间隔重试' },
+    { name: 'secret', label: '签名密钥', secret: true, extra: `设置后请求头 ${SIGNATURE_HEADER} 为 sha256=HMAC-SHA256(密钥, 请求体) 的十六进制值` },
+    { name: 'headers', label: '自定义请求头', multiline: true, placeholder: '{"Authorization": "Bearer xxx"}', extra: 'JSON 对象，留空表示不添加' },
+    {
+      name: 'bodyTemplate',
+      label: '请求体模板',
+      multiline: true,
+      placeholder: '{"site": "{{siteName}}", "added": "{{diff.added}}", "removed": "{{diff.removed}}", "checkIn": "{{checkInResult}}"}',
+      extra: '留空时发送 { kind, sentAt, siteChanges, failedSites }。可用占位符：kind、sentAt、siteChanges、failedSites，以及第一个站点的 siteName、diff.added、diff.removed、diff.broken、diff.priceHikes、diff.watched、checkInResult、alerts、error；值恰好为一个占位符时保留数组和对象'
+    },
+    { name: 'splitBySite', label: '按站点拆分发送', type: 'switch', default: false, extra: '开启后每个站点（含检测失败的站点）单独发送一次请求' }
+  ],
+
+  validate(config) {
+    const urlError = checkHttpUrl(config.url, '请求地址');
+    if (urlError) return urlError;
+    try {
+      parseHeaders(config.headers);
+    } catch (e) {
+      return `自定义请求头格式不正确：${e.message}`;
+    }
+    if (config.bodyTemplate && config.bodyTemplate.trim()) {
+      try {
+        JSON.parse(config.bodyTemplate);
+      } catch (e) {
+        return `请求体模板不是合法的 JSON：${e.message}`;
+      }
+    }
+    return null;
+  },
+
+  // 地址中可能带有令牌，只记录主机名
+  recipients(config) {
+    return [new URL(config.url).host];
+  },
+
+  // 按站点拆分时逐个站点发送，部分失败时只把失败的站点交给重试队列，已送达的站点不重复发送
+  async send(config, notification) {
+    if (!config.splitBySite) return { requests: [await post(config, notification)] };
+    const items = splitBySite(notification);
+    const results = [];
+    const failed = [];
+    for (const item of items) {
+      try {
+        results.push(await post(config, item));
+      } catch (e) {
+        failed.push({ item, error: e });
+      }
+    }
+    if (failed.length > 0) {
+      const error = new Error(`${failed.length}/${items.length} 个站点发送失败：${failed[0].error.message}`);
+      error.retryNotification = {
+        ...notification,
+        sites: failed.flatMap(f => f.item.sites),
+        failedSites: failed.flatMap(f => f.item.failedSites)
+      };
+      throw error;
+    }
+    return { requests: results };
+  }
+};
@@ -0,0 +1,36 @@
+const { postJson, checkHttpUrl } = require('./http');
+const { MARKDOWN_STARTERS, chatMessages, sendChatMessages } = require('./markdown');
+
+// 企业微信 Markdown 内容上限 4096 字节，留出标题的余量
+const MAX_MESSAGE_BYTES = 3900;
+
+module.exports = {
+  type: 'wecom',
+  label: '企业微信机器人',
+  fields: [
+    { name: 'webhookUrl', label: 'Webhook 地址', required: true, secret: true, placeholder: 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=...', extra: '群聊 → 右上角菜单 → 添加群机器人后获取' }
+  ],
+  template: {
+    format: 'markdown',
+    subject: false,
+    hint: '企业微信 Markdown 支持标题、加粗、链接、引用、行内代码，以及 <font color="info|comment|warning"> 字体颜色',
+    starters: MARKDOWN_STARTERS
+  },
+
+  validate(config) {
+    return checkHttpUrl(config.webhookUrl, 'Webhook 地址');
+  },
+
+  async send(config, notification, rendered) {
+    const buildMessages = () => chatMessages(notification, rendered, { limit: MAX_MESSAGE_BYTES });
+    return sendChatMessages(notification, buildMessages, async ({ title, parts, custom }) => {
+      const { data } = await postJson(config.webhookUrl, {
+        msgtype: 'markdown',
+        markdown: { content: custom ? parts.join('\n') : [`### ${title}`, ...parts].join('\n\n') }
+      });
+      if (data?.errcode !== 0) {
+        throw new Error(`企业微信机器人返回错误: ${data?.errmsg || '未知错误'}${data?.errcode !== undefined ? ` (${data.errcode})` : ''}`);
+      }
+    });
+  }
+};
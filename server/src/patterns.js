@@ -0,0 +1,42 @@
+/**
+ * 模型名匹配规则（关注模型、忽略规则共用）
+ */
+
+const PATTERN_MATCH_TYPES = {
+  glob: '通配符',
+  regex: '正则表达式'
+};
+
+// 规则表达式的最大长度，避免过于复杂的正则拖慢检测
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * 将规则编译为正则，均不区分大小写
+ * 通配符匹配完整的模型名：* 匹配任意字符，? 匹配单个字符；正则表达式只需匹配模型名的一部分
+ * @param {Object} rule - { pattern, matchType }
+ * @returns {RegExp} - 表达式无效时抛出异常
+ */
+function compileModelPattern({ pattern, matchType }) {
+  if (matchType === 'regex') return new RegExp(pattern, 'i');
+  const source = [...pattern]
+    .map(ch => ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * 校验规则表达式
+ * @returns {string|null} - 错误信息
+ */
+function validateModelPattern({ pattern, matchType }) {
+  if (!pattern || !pattern.trim()) return '请填写匹配规则';
+  if (pattern.length > MAX_PATTERN_LENGTH) return `匹配规则不能超过 ${MAX_PATTERN_LENGTH} 个字符`;
+  try {
+    compileModelPattern({ pattern, matchType });
+    return null;
+  } catch (e) {
+    return `正则表达式无效：${e.message}`;
+  }
+}
+
+module.exports = { PATTERN_MATCH_TYPES, MAX_PATTERN_LENGTH, compileModelPattern, validateModelPattern };
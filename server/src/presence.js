@@ -0,0 +1,170 @@
+const { prisma } = require('./db');
+const { loadIgnoreMatcher, filterIgnored } = require('./ignore');
+const { loadCanonicalizer } = require('./canonical');
+
+// 窗口内出现和消失合计达到次数即视为反复增删（不稳定）
+const FLAP_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const FLAP_MIN_CHANGES = 4;
+// 每个模型最多保留的出现/消失时间
+const MAX_CHANGES = 20;
+// 重建时每批读取的快照数
+const REBUILD_BATCH = 200;
+
+function fromRow(row) {
+  let changes = [];
+  try { changes = JSON.parse(row.changesJson) } catch (_) { changes = [] }
+  return { ...row, changes: Array.isArray(changes) ? changes : [] };
+}
+
+function toData(r) {
+  return {
+    firstSeenAt: r.firstSeenAt,
+    lastSeenAt: r.lastSeenAt,
+    present: r.present,
+    appearCount: r.appearCount,
+    disappearCount: r.disappearCount,
+    changesJson: JSON.stringify(r.changes),
+    flapping: r.flapping
+  };
+}
+
+/**
+ * 用一次快照的模型列表更新内存中的出现记录
+ * @param {Map} records - model -> 出现记录
+ * @param {string[]} ids - 本次快照中的模型
+ * @param {Date} at - 快照时间
+ * @returns {Set} - 需要保存的模型：出现、消失或处于不稳定状态（仍在列表中的其他模型只需更新 lastSeenAt）
+ */
+function applySnapshot(records, ids, at) {
+  const current = new Set(ids);
+  const touched = new Set();
+  const changedAt = at.toISOString();
+
+  for (const id of current) {
+    const r = records.get(id);
+    if (!r) {
+      records.set(id, { model: id, firstSeenAt: at, lastSeenAt: at, present: true, appearCount: 1, disappearCount: 0, changes: [], flapping: false });
+      touched.add(id);
+      continue;
+    }
+    r.lastSeenAt = at;
+    if (!r.present) {
+      r.present = true;
+      r.appearCount++;
+      r.changes.push(changedAt);
+      touched.add(id);
+    }
+  }
+  for (const r of records.values()) {
+    if (r.present && !current.has(r.model)) {
+      r.present = false;
+      r.disappearCount++;
+      r.changes.push(changedAt);
+      touched.add(r.model);
+    }
+  }
+
+  // 只保留窗口内的变化，已不稳定的模型也要重新判断，窗口内变化不足时恢复正常
+  const since = at.getTime() - FLAP_WINDOW_MS;
+  for (const r of records.values()) {
+    if (!touched.has(r.model) && !r.flapping) continue;
+    r.changes = r.changes.filter(t => new Date(t).getTime() >= since).slice(-MAX_CHANGES);
+    const flapping = r.changes.length >= FLAP_MIN_CHANGES;
+    if (flapping !== r.flapping) {
+      r.flapping = flapping;
+      if (flapping) console.log(`[PRESENCE] 模型 ${r.model} 反复增删，标记为不稳定`);
+    }
+    touched.add(r.model);
+  }
+  return touched;
+}
+
+const flappingModels = (records) => new Set([...records.values()].filter(r => r.flapping).map(r => r.model));
+
+/**
+ * 按站点全部成功快照重建模型出现记录（首次使用或忽略规则修改后）
+ * @param {Object} site - 站点信息
+ * @returns {Promise<Set>} - 当前不稳定的模型
+ */
+async function rebuildModelPresence(site) {
+  const isIgnored = await loadIgnoreMatcher(site);
+  const canonicalize = await loadCanonicalizer();
+  const records = new Map();
+
+  for (let skip = 0; ; skip += REBUILD_BATCH) {
+    const snaps = await prisma.modelSnapshot.findMany({
+      where: { siteId: site.id, errorMessage: null, hash: { not: '' } },
+      orderBy: { fetchedAt: 'asc' },
+      select: { fetchedAt: true, modelsJson: true },
+      skip,
+      take: REBUILD_BATCH
+    });
+    for (const snap of snaps) {
+      let models = [];
+      try { models = JSON.parse(snap.modelsJson) } catch (_) { models = [] }
+      const ids = filterIgnored(Array.isArray(models) ? models : [], isIgnored).map(m => m.id).filter(Boolean);
+      applySnapshot(records, ids, snap.fetchedAt);
+    }
+    if (snaps.length < REBUILD_BATCH) break;
+  }
+
+  await prisma.modelPresence.deleteMany({ where: { siteId: site.id } });
+  if (records.size > 0) {
+    await prisma.modelPresence.createMany({
+      data: [...records.values()].map(r => ({ siteId: site.id, model: r.model, canonical: canonicalize(r.model), ...toData(r) }))
+    });
+  }
+  console.log(`[PRESENCE] 重建模型出现记录: ${site.name}，共 ${records.size} 个模型`);
+  return flappingModels(records);
+}
+
+/**
+ * 用本次成功获取的模型列表更新站点的模型出现记录，站点还没有记录时先按历史快照重建
+ * 需在本次快照保存之后调用
+ * @param {Object} site - 站点信息
+ * @param {Array} models - 本次的模型列表（已去掉被忽略的模型，含规范名称 canonical）
+ * @param {Date} now - 本次检测时间
+ * @returns {Promise<Set>} - 当前不稳定的模型
+ */
+async function updateModelPresence(site, models, now) {
+  const rows = await prisma.modelPresence.findMany({ where: { siteId: site.id } });
+  if (rows.length === 0) return rebuildModelPresence(site);
+
+  const records = new Map(rows.map(r => [r.model, fromRow(r)]));
+  const touched = applySnapshot(records, models.map(m => m.id).filter(Boolean), now);
+  const canonicalOf = new Map(models.map(m => [m.id, m.canonical]));
+
+  // 仍在列表中且没有其他变化的模型只更新最近出现时间
+  await prisma.modelPresence.updateMany({
+    where: { siteId: site.id, present: true, model: { notIn: [...touched] } },
+    data: { lastSeenAt: now }
+  });
+  for (const model of touched) {
+    const r = records.get(model);
+    if (r.id) {
+      await prisma.modelPresence.update({ where: { id: r.id }, data: toData(r) });
+    } else {
+      await prisma.modelPresence.create({ data: { siteId: site.id, model, canonical: canonicalOf.get(model) || model, ...toData(r) } });
+    }
+  }
+  return flappingModels(records);
+}
+
+/**
+ * 为还没有出现记录但已有成功快照的站点生成记录（升级后启动时调用，模型目录依赖这些记录）
+ * @returns {Promise<number>} - 生成记录的站点数
+ */
+async function backfillModelPresence() {
+  const sites = await prisma.site.findMany({
+    where: {
+      modelPresences: { none: {} },
+      snapshots: { some: { errorMessage: null, hash: { not: '' } } }
+    }
+  });
+  for (const site of sites) {
+    await rebuildModelPresence(site);
+  }
+  return sites.length;
+}
+
+module.exports = { updateModelPresence, rebuildModelPresence, backfillModelPresence };
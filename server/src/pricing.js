@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+// 价格比较时忽略的浮点误差
+const PRICE_EPSILON = 1e-9;
+
+/**
+ * 将适配器返回的价格数据（/api/pricing 统一格式）转换为快照格式
+ * 模型和分组按名称排序，保证相同价格得到相同的哈希
+ * @param {Object} raw - { data: [{ model_name, quota_type, model_ratio, completion_ratio, model_price, enable_groups }], group_ratio }
+ * @returns {Object} - { models: { [name]: { quotaType, modelRatio, completionRatio, modelPrice, inputPrice?, outputPrice?, groups } }, groupRatio, usableGroups }
+ */
+function normalizePricing(raw) {
+  const models = {};
+  const list = Array.isArray(raw?.data) ? [...raw.data] : [];
+  list.sort((a, b) => String(a.model_name || '').localeCompare(String(b.model_name || '')));
+  for (const m of list) {
+    if (!m.model_name) continue;
+    models[m.model_name] = {
+      quotaType: Number(m.quota_type) || 0,
+      modelRatio: m.model_ratio ?? null,
+      completionRatio: m.completion_ratio ?? null,
+      modelPrice: m.model_price ?? null,
+      // DoneHub 按次计费分别给出输入输出价格
+      ...(m._donehub_input_price !== undefined ? { inputPrice: m._donehub_input_price, outputPrice: m._donehub_output_price } : {}),
+      groups: Array.isArray(m.enable_groups) ? [...m.enable_groups].map(String).sort() : []
+    };
+  }
+
+  const groupRatio = {};
+  Object.keys(raw?.group_ratio || {}).sort().forEach(g => {
+    groupRatio[g] = Number(raw.group_ratio[g]);
+  });
+
+  // 当前用户可用的分组（usable_group 的键，空键为"用户分组"占位）
+  const usableGroups = Object.keys(raw?.usable_group || {}).filter(g => g !== '').sort();
+
+  return { models, groupRatio, usableGroups };
+}
+
+function hashPricing(pricing) {
+  return crypto.createHash('sha256').update(JSON.stringify(pricing)).digest('hex');
+}
+
+/**
+ * 计算模型的美元价格（与前端价格显示一致）
+ * 按量计费：输入 = 2 * model_ratio，输出 = 输入 * completion_ratio（$/1M tokens）
+ * 按次计费：model_price（$/次），DoneHub 为输入输出两个价格
+ * @param {Object} entry - normalizePricing 中的单个模型
+ * @param {number} groupRatio - 分组倍率
+ * @returns {Object} - { type: per_token|per_call, input, output, call }
+ */
+function modelPrices(entry, groupRatio = 1) {
+  if (entry.quotaType === 1) {
+    if (entry.inputPrice !== undefined) {
+      return {
+        type: 'per_call',
+        input: entry.inputPrice * groupRatio,
+        output: entry.outputPrice * groupRatio,
+        call: ((entry.inputPrice + entry.outputPrice) / 2) * groupRatio
+      };
+    }
+    return { type: 'per_call', input: null, output: null, call: (entry.modelPrice || 0) * groupRatio };
+  }
+  const input = 2 * (entry.modelRatio || 0) * groupRatio;
+  return { type: 'per_token', input, output: input * (entry.completionRatio ?? 1), call: null };
+}
+
+function compareValue(prev, next) {
+  if (prev === null || next === null) return 0;
+  if (next > prev + PRICE_EPSILON) return 1;
+  if (next < prev - PRICE_EPSILON) return -1;
+  return 0;
+}
+
+/**
+ * 对比两次价格快照，只关注两次都存在的模型（模型增删由模型列表 diff 负责）
+ * @param {Object} prev - 上次的价格快照
+ * @param {Object} next - 本次的价格快照
+ * @returns {Object} - { models: [{ model, direction: up|down|mixed, before, after }], groups: [{ group, direction, from, to }] }
+ */
+function computePricingDiff(prev, next) {
+  const models = [];
+  for (const [name, entry] of Object.entries(next.models || {})) {
+    const prevEntry = prev.models?.[name];
+    if (!prevEntry) continue;
+    const before = modelPrices(prevEntry);
+    const after = modelPrices(entry);
+
+    let direction = null;
+    if (before.type !== after.type) {
+      direction = 'mixed';
+    } else {
+      const results = ['input', 'output', 'call'].map(k => compareValue(before[k], after[k]));
+      const up = results.includes(1);
+      const down = results.includes(-1);
+      direction = up && down ? 'mixed' : up ? 'up' : down ? 'down' : null;
+    }
+    if (direction) models.push({ model: name, direction, before, after });
+  }
+
+  const groups = [];
+  for (const [group, ratio] of Object.entries(next.groupRatio || {})) {
+    const prevRatio = prev.groupRatio?.[group];
+    if (prevRatio === undefined) continue;
+    const cmp = compareValue(prevRatio, ratio);
+    if (cmp !== 0) groups.push({ group, direction: cmp > 0 ? 'up' : 'down', from: prevRatio, to: ratio });
+  }
+
+  return { models, groups };
+}
+
+/**
+ * 计算站点上某个模型在各可用分组下的实际价格（含分组倍率），按价格从低到高排序
+ * 模型未限定分组时按倍率 1 计算；限定了分组但当前用户都不可用时返回空数组
+ * @param {Object} pricing - normalizePricing 的结果
+ * @param {string} model - 模型名称
+ * @returns {Array} - [{ group, groupRatio, type, input, output, call }]
+ */
+function effectivePrices(pricing, model) {
+  const entry = pricing.models?.[model];
+  if (!entry) return [];
+  if (entry.groups.length === 0) {
+    return [{ group: null, groupRatio: 1, ...modelPrices(entry) }];
+  }
+
+  const usable = new Set(pricing.usableGroups || []);
+  return entry.groups
+    .filter(g => usable.size === 0 || usable.has(g))
+    .map(g => {
+      const groupRatio = pricing.groupRatio?.[g] ?? 1;
+      return { group: g, groupRatio, ...modelPrices(entry, groupRatio) };
+    })
+    .sort(comparePrices);
+}
+
+// 价格排序：按量计费在前（按输入、输出价格），按次计费在后（按每次价格）
+function comparePrices(a, b) {
+  if (a.type !== b.type) return a.type === 'per_token' ? -1 : 1;
+  if (a.type === 'per_call') return a.call - b.call;
+  return a.input - b.input || a.output - b.output;
+}
+
+/**
+ * 从价格变更中挑出需要通知的涨价：关注模型的涨价（含部分上涨）和分组倍率上涨
+ * @param {Object} pricingDiff - computePricingDiff 的结果
+ * @param {string[]} watchModels - 关注的模型列表，为空表示全部模型
+ * @returns {Object} - { models, groups }
+ */
+function selectPriceHikes(pricingDiff, watchModels = []) {
+  const watched = new Set(watchModels);
+  return {
+    models: pricingDiff.models.filter(m => m.direction !== 'down' && (watched.size === 0 || watched.has(m.model))),
+    groups: pricingDiff.groups.filter(g => g.direction === 'up')
+  };
+}
+
+module.exports = {
+  normalizePricing,
+  hashPricing,
+  modelPrices,
+  effectivePrices,
+  comparePrices,
+  computePricingDiff,
+  selectPriceHikes
+};
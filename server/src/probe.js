@@ -0,0 +1,245 @@
+const { decrypt } = require('./crypto');
+const { USER_AGENT, resolveUrl } = require('./adapters/common');
+
+const PROBE_TIMEOUT = 30000;
+const PROBE_PROMPT = 'hi';
+
+/**
+ * 解析站点配置的探测模型列表（逗号或换行分隔）
+ * @param {string|null} text - Site.probeModels
+ * @returns {string[]}
+ */
+function parseProbeModels(text) {
+  return Array.from(new Set(
+    String(text || '')
+      .split(/[\s,]+/)
+      .map(m => m.trim())
+      .filter(Boolean)
+  ));
+}
+
+// 站点调用模型使用的协议："其他"类型按配置的模型列表协议，其余均为 OpenAI 兼容
+function chatProtocol(site) {
+  return site.apiType === 'other' ? (site.modelProtocol || 'openai') : 'openai';
+}
+
+/**
+ * 按站点协议构造单轮对话请求
+ * @param {Object} site - 站点信息
+ * @param {string} model - 模型名称
+ * @param {string} apiKey - 调用令牌
+ * @param {Object} options - { prompt, maxTokens, stream }
+ * @returns {Object} - { url, headers, body }
+ */
+function buildChatRequest(site, model, apiKey, { prompt = PROBE_PROMPT, maxTokens = 1, stream = true } = {}) {
+  const protocol = chatProtocol(site);
+
+  if (protocol === 'anthropic') {
+    return {
+      url: resolveUrl(site.baseUrl, 'v1/messages'),
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: {
+        model,
+        max_tokens: maxTokens,
+        stream,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }]
+      }
+    };
+  }
+
+  if (protocol === 'gemini') {
+    const action = stream ? 'streamGenerateContent' : 'generateContent';
+    const url = resolveUrl(site.baseUrl, `v1beta/models/${encodeURIComponent(model)}:${action}`);
+    if (stream) url.searchParams.set('alt', 'sse');
+    url.searchParams.set('key', apiKey);
+    return {
+      url,
+      headers: {},
+      body: {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { maxOutputTokens: maxTokens, temperature: 0 }
+      }
+    };
+  }
+
+  return {
+    url: resolveUrl(site.baseUrl, 'v1/chat/completions'),
+    headers: { 'Authorization': `Bearer ${apiKey}` },
+    body: {
+      model,
+      max_tokens: maxTokens,
+      stream,
+      temperature: 0,
+      messages: [{ role: 'user', content: prompt }]
+    }
+  };
+}
+
+/**
+ * 从非流式对话响应中提取回答、上游报告的模型名和提示词token数
+ * @returns {Object} - { text, reportedModel, promptTokens }
+ */
+function parseChatResponse(site, json) {
+  const protocol = chatProtocol(site);
+  if (protocol === 'anthropic') {
+    return {
+      text: (json.content || []).map(c => c.text || '').join(''),
+      reportedModel: json.model || null,
+      promptTokens: json.usage?.input_tokens ?? null
+    };
+  }
+  if (protocol === 'gemini') {
+    return {
+      text: (json.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join(''),
+      reportedModel: json.modelVersion || null,
+      promptTokens: json.usageMetadata?.promptTokenCount ?? null
+    };
+  }
+  const message = json.choices?.[0]?.message || {};
+  return {
+    text: message.content || '',
+    reportedModel: json.model || null,
+    promptTokens: json.usage?.prompt_tokens ?? null
+  };
+}
+
+// 从上游错误响应中提取可读的错误信息
+function extractErrorMessage(text) {
+  try {
+    const json = JSON.parse(text);
+    const err = json.error || json;
+    return String(err.message || err.msg || json.message || text).substring(0, 500);
+  } catch (_) {
+    return String(text).substring(0, 500);
+  }
+}
+
+/**
+ * 向单个模型发送一次最小的对话请求
+ * 首个 SSE 数据块到达的时间记为首字延迟（TTFT），响应读取完毕（或收到 [DONE]）的时间记为总耗时
+ * @returns {Promise<Object>} - { model, success, statusCode, errorMessage, latency, ttft }
+ */
+async function probeModel(site, model, apiKey) {
+  const { url, headers, body } = buildChatRequest(site, model, apiKey);
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), PROBE_TIMEOUT);
+  const startTime = Date.now();
+  let statusCode = null;
+  let reader = null;
+
+  try {
+    console.log(`[PROBE-REQ] POST ${site.name} / ${model}`);
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify(body),
+      signal: ac.signal
+    });
+    statusCode = res.status;
+
+    if (!res.ok) {
+      const rawText = await res.text();
+      throw new Error(`HTTP ${res.status}: ${extractErrorMessage(rawText)}`);
+    }
+
+    // 部分中转站流式请求失败时仍返回200，错误信息放在第一个数据块里
+    reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let ttft = null;
+    let firstData = null;
+    let finished = false;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (value) buffer += decoder.decode(value, { stream: true });
+      const line = buffer.split('\n').find(l => l.startsWith('data:') && l.slice(5).trim());
+      if (line) {
+        ttft = Date.now() - startTime;
+        firstData = line.slice(5).trim();
+        break;
+      }
+      if (done) {
+        finished = true;
+        // 上游忽略了 stream 参数时直接返回完整 JSON
+        if (buffer.trim()) {
+          ttft = Date.now() - startTime;
+          firstData = buffer.trim();
+        }
+        break;
+      }
+    }
+
+    if (firstData === null) {
+      throw new Error('响应为空');
+    }
+    let payload = null;
+    try { payload = JSON.parse(firstData) } catch (_) { payload = null }
+    if (payload && payload.error) {
+      throw new Error(extractErrorMessage(firstData));
+    }
+
+    // max_tokens 为 1，读完剩余的响应很快；OpenAI 兼容接口以 data: [DONE] 结束，其余协议以关闭连接结束
+    let tail = buffer.slice(-64);
+    while (!finished && !/^data:\s*\[DONE\]/m.test(tail)) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      tail = (tail + decoder.decode(value, { stream: true })).slice(-64);
+    }
+
+    const latency = Date.now() - startTime;
+    console.log(`[PROBE-RES] ${model}: OK, TTFT ${ttft}ms, 总耗时 ${latency}ms`);
+    return { model, success: true, statusCode, errorMessage: null, latency, ttft };
+  } catch (error) {
+    const latency = Date.now() - startTime;
+    const errorMessage = error.name === 'AbortError' ? `请求超时（${PROBE_TIMEOUT / 1000}秒）` : error.message;
+    console.log(`[PROBE-ERR] ${model}: ${errorMessage}`);
+    return { model, success: false, statusCode, errorMessage, latency, ttft: null };
+  } finally {
+    clearTimeout(timeout);
+    reader?.cancel().catch(() => {});
+  }
+}
+
+// 探测令牌未配置时使用站点API密钥
+function resolveProbeKey(site, apiKey) {
+  return site.probeKeyEnc ? decrypt(site.probeKeyEnc) : apiKey;
+}
+
+/**
+ * 依次探测站点配置的模型（逐个请求，避免触发上游限流）
+ * @param {Object} site - 站点信息
+ * @param {string} apiKey - 站点API密钥
+ * @returns {Promise<Array>} - probeModel 结果列表
+ */
+async function probeSite(site, apiKey) {
+  const models = parseProbeModels(site.probeModels);
+  if (!site.probeEnabled || models.length === 0) return [];
+
+  const probeKey = resolveProbeKey(site, apiKey);
+  const results = [];
+  for (const model of models) {
+    results.push(await probeModel(site, model, probeKey));
+  }
+  return results;
+}
+
+module.exports = {
+  PROBE_TIMEOUT,
+  parseProbeModels,
+  buildChatRequest,
+  parseChatResponse,
+  extractErrorMessage,
+  resolveProbeKey,
+  probeModel,
+  probeSite
+};
@@ -2,8 +2,40 @@ const path = require('path');
 const { authPlugin } = require('./auth');
 const { prisma } = require('./db');
 const { encrypt } = require('./crypto');
-const { onSiteUpdated, scheduleGlobalTask } = require('./scheduler');
-const { checkSiteById } = require('./run');
+const { onSiteUpdated, scheduleGlobalTask, scheduleDigestTasks } = require('./scheduler');
+const { checkSiteById, recomputeSiteDiffs } = require('./run');
+const { getAdapter, listAdapterTypes, describeAdapters } = require('./adapters');
+const { siteError } = require('./adapters/common');
+const { MODEL_PROTOCOLS } = require('./adapters/model-protocols');
+const { FORECAST_WINDOW_DAYS, balanceSeries, computeForecast, forecastSite } = require('./balance');
+const { ALERT_TYPES } = require('./alerts');
+const { WATCH_EVENTS } = require('./watchlist');
+const { loadIgnoreMatcher, filterIgnored } = require('./ignore');
+const { rebuildModelPresence } = require('./presence');
+const { builtinCanonicalName, loadCanonicalizer, refreshCanonicalNames } = require('./canonical');
+const { OTHER_VENDOR, modelVendor } = require('./vendors');
+const { PATTERN_MATCH_TYPES, compileModelPattern, validateModelPattern } = require('./patterns');
+const { getChannelType, describeChannelTypes, validateChannelConfig, maskChannelConfig, mergeChannelConfig } = require('./notifiers');
+const { NOTIFY_EVENTS, PRIORITY_EVENTS, TEMPLATE_VARIABLES, notificationEvents } = require('./notifiers/common');
+const { compileTemplate } = require('./notifiers/template');
+const {
+  readChannelConfig,
+  parseChannelEvents,
+  parseChannelIds,
+  retryDelivery,
+  sendTestNotification,
+  renderChannelTemplate,
+  previewNotification,
+  loadNotificationSettings,
+  flushPendingNotifications,
+  releaseHeldNotifications
+} = require('./notifier');
+const { reloadTelegramBots } = require('./telegram-bot');
+
+// 站点对比最多同时比较的站点数
+const MAX_COMPARE_SITES = 6;
+// 读取每个模型最近一次探测/指纹记录时每批查询的模型数（SQLite 单条语句的参数个数有限）
+const LATEST_LOOKUP_BATCH = 300;
 
 async function routes(fastify) {
   await fastify.register(authPlugin);
@@ -18,6 +50,11 @@ async function routes(fastify) {
     }
   });
 
+  // 站点类型及其支持的能力，前端据此决定显示哪些配置项和功能
+  fastify.get('/api/adapters', async () => {
+    return describeAdapters();
+  });
+
   fastify.get('/api/sites', async (request) => {
     const { search } = request.query || {};
     
@@ -37,6 +74,8 @@ async function routes(fastify) {
         orderBy: { fetchedAt: 'desc' },
         select: { billingLimit: true, billingUsage: true, billingError: true, modelsJson: true, checkInSuccess: true, checkInMessage: true, checkInError: true }
       });
+      // 按最近几天的余额变化预测可用天数（无限余额站点不预测）
+      const forecast = site.unlimitedQuota ? null : await forecastSite(site.id);
       
       // 调试日志
       if (latestSnapshot) {
@@ -50,7 +89,7 @@ async function routes(fastify) {
         fastify.log.info({ siteName: site.name }, 'No snapshot found for site');
       }
       
-      const { apiKeyEnc, ...rest } = site;
+      const { apiKeyEnc, probeKeyEnc, ...rest } = site;
       return {
         ...rest,
         billingLimit: latestSnapshot?.billingLimit ?? null,
@@ -59,6 +98,8 @@ async function routes(fastify) {
         checkInSuccess: latestSnapshot?.checkInSuccess ?? null,
         checkInMessage: latestSnapshot?.checkInMessage ?? null,
         checkInError: latestSnapshot?.checkInError ?? null,
+        burnRate: forecast?.burnRate ?? null,
+        daysLeft: forecast?.daysLeft ?? null,
         _modelsJson: latestSnapshot?.modelsJson || '[]' // 用于搜索
       };
     }));
@@ -106,11 +147,12 @@ async function routes(fastify) {
       // 不导出加密的敏感信息，导出原始apiKey和billingAuthValue
       const { decrypt } = require('./crypto');
       const exportData = sites.map(site => {
-        const { apiKeyEnc, billingAuthValue, ...siteData } = site;
+        const { apiKeyEnc, billingAuthValue, probeKeyEnc, ...siteData } = site;
         return {
           ...siteData,
           apiKey: apiKeyEnc ? decrypt(apiKeyEnc) : null,
           billingAuthValue: billingAuthValue ? decrypt(billingAuthValue) : null,
+          probeKey: probeKeyEnc ? decrypt(probeKeyEnc) : null,
           // 导出分类名称而不是ID
           categoryName: site.category ? site.category.name : null,
           category: undefined // 移除category对象
@@ -139,11 +181,12 @@ async function routes(fastify) {
 
       const { decrypt } = require('./crypto');
       const exportData = sites.map(site => {
-        const { apiKeyEnc, billingAuthValue, ...siteData } = site;
+        const { apiKeyEnc, billingAuthValue, probeKeyEnc, ...siteData } = site;
         return {
           ...siteData,
           apiKey: apiKeyEnc ? decrypt(apiKeyEnc) : null,
           billingAuthValue: billingAuthValue ? decrypt(billingAuthValue) : null,
+          probeKey: probeKeyEnc ? decrypt(probeKeyEnc) : null,
           categoryName: site.category ? site.category.name : null,
           category: undefined
         };
@@ -193,12 +236,13 @@ async function routes(fastify) {
       for (const siteData of sites) {
         try {
           const { 
-            id, createdAt, updatedAt, apiKey, categoryName, category,
-            name, baseUrl, apiType = 'other', userId = null,
+            id, createdAt, updatedAt, apiKey, probeKey, categoryName, category,
+            name, baseUrl, apiType = 'other', modelProtocol = 'openai', userId = null,
             scheduleCron = null, timezone = 'UTC', pinned = false, excludeFromBatch = false,
             billingUrl = null, billingAuthType = 'token', billingAuthValue = null,
             billingLimitField = null, billingUsageField = null, unlimitedQuota = false,
-            enableCheckIn = false, checkInMode = 'both'
+            enableCheckIn = false, checkInMode = 'both', adminMode = false,
+            probeEnabled = false, probeModels = null, fingerprintEnabled = false, priceAlertModels = null
           } = siteData;
           
           if (!name || !baseUrl || !apiKey) {
@@ -222,11 +266,15 @@ async function routes(fastify) {
           // 创建站点
           const site = await prisma.site.create({
             data: {
-              name, baseUrl, apiKeyEnc, apiType, userId, scheduleCron, timezone, pinned, excludeFromBatch,
+              name, baseUrl, apiKeyEnc, apiType, modelProtocol, userId, scheduleCron, timezone, pinned, excludeFromBatch,
               categoryId,
               billingUrl, billingAuthType, billingAuthValue: billingAuthValueEnc,
               billingLimitField, billingUsageField, unlimitedQuota,
-              enableCheckIn, checkInMode
+              enableCheckIn, checkInMode, adminMode: Boolean(adminMode),
+              probeEnabled: Boolean(probeEnabled), probeModels,
+              probeKeyEnc: probeKey ? encrypt(probeKey) : null,
+              fingerprintEnabled: Boolean(fingerprintEnabled),
+              priceAlertModels
             }
           });
           
@@ -262,13 +310,15 @@ async function routes(fastify) {
           name: { type: 'string', minLength: 1 },
           baseUrl: { type: 'string', minLength: 1 },
           apiKey: { type: 'string', minLength: 1 },
-          apiType: { type: 'string', enum: ['newapi', 'veloera', 'donehub', 'voapi', 'other'] },
+          apiType: { type: 'string', enum: listAdapterTypes() },
+          modelProtocol: { type: 'string', enum: MODEL_PROTOCOLS.map(p => p.value) },
           userId: { type: 'string' },
           scheduleCron: { type: 'string' },
           timezone: { type: 'string' },
           pinned: { type: 'boolean' },
           excludeFromBatch: { type: 'boolean' },
           categoryId: { type: 'string' },
+          notifyChannelIds: { type: 'string' },
           billingUrl: { type: 'string' },
           billingAuthType: { type: 'string', enum: ['token', 'cookie'] },
           billingAuthValue: { type: 'string' },
@@ -277,21 +327,34 @@ async function routes(fastify) {
           unlimitedQuota: { type: 'boolean' },
           enableCheckIn: { type: 'boolean' },
           checkInMode: { type: 'string', enum: ['model', 'checkin', 'both'] },
+          adminMode: { type: 'boolean' },
+          probeEnabled: { type: 'boolean' },
+          probeModels: { type: 'string' },
+          probeKey: { type: 'string' },
+          fingerprintEnabled: { type: 'boolean' },
+          priceAlertModels: { type: 'string' },
           extralink: { type: 'string' },
           remark: { type: 'string' },
         },
       },
     },
-  }, async (request) => {
+  }, async (request, reply) => {
     const { 
-      name, baseUrl, apiKey, apiType = 'other', userId = null, 
+      name, baseUrl, apiKey, apiType = 'other', modelProtocol = 'openai', userId = null, 
       scheduleCron = null, timezone = 'UTC', pinned = false, excludeFromBatch = false,
-      categoryId = null,
+      categoryId = null, notifyChannelIds = null,
       billingUrl = null, billingAuthType = 'token', billingAuthValue = null, 
       billingLimitField = null, billingUsageField = null, unlimitedQuota = false,
-      enableCheckIn = false, checkInMode = 'both',
+      enableCheckIn = false, checkInMode = 'both', adminMode = false,
+      probeEnabled = false, probeModels = null, probeKey = null, fingerprintEnabled = false, priceAlertModels = null,
       extralink = null, remark = null
     } = request.body;
+
+    const notifyChannels = await normalizeNotifyChannels(notifyChannelIds);
+    if (notifyChannels.error) {
+      reply.code(400);
+      return { error: notifyChannels.error };
+    }
     
     const apiKeyEnc = encrypt(apiKey);
     let billingAuthValueEnc = null;
@@ -301,16 +364,19 @@ async function routes(fastify) {
     
     const site = await prisma.site.create({ 
       data: { 
-        name, baseUrl, apiKeyEnc, apiType, userId, scheduleCron, timezone, pinned, excludeFromBatch,
+        name, baseUrl, apiKeyEnc, apiType, modelProtocol, userId, scheduleCron, timezone, pinned, excludeFromBatch,
         categoryId: categoryId || null,
+        notifyChannelIds: notifyChannels.value,
         billingUrl, billingAuthType, billingAuthValue: billingAuthValueEnc, 
         billingLimitField, billingUsageField, unlimitedQuota,
-        enableCheckIn, checkInMode,
+        enableCheckIn, checkInMode, adminMode,
+        probeEnabled, probeModels, probeKeyEnc: probeKey ? encrypt(probeKey) : null, fingerprintEnabled,
+        priceAlertModels,
         extralink, remark
       } 
     });
     onSiteUpdated(site, fastify);
-    const { apiKeyEnc: _, ...rest } = site;
+    const { apiKeyEnc: _, probeKeyEnc: __, ...rest } = site;
     return rest;
   });
 
@@ -323,13 +389,15 @@ async function routes(fastify) {
           name: { type: 'string' },
           baseUrl: { type: 'string' },
           apiKey: { type: 'string' },
-          apiType: { type: 'string', enum: ['newapi', 'veloera', 'donehub', 'voapi', 'other'] },
+          apiType: { type: 'string', enum: listAdapterTypes() },
+          modelProtocol: { type: 'string', enum: MODEL_PROTOCOLS.map(p => p.value) },
           userId: { type: 'string' },
           scheduleCron: { type: 'string' },
           timezone: { type: 'string' },
           pinned: { type: 'boolean' },
           excludeFromBatch: { type: 'boolean' },
           categoryId: { type: 'string' },
+          notifyChannelIds: { type: 'string' },
           billingUrl: { type: 'string' },
           billingAuthType: { type: 'string', enum: ['token', 'cookie'] },
           billingAuthValue: { type: 'string' },
@@ -338,6 +406,12 @@ async function routes(fastify) {
           unlimitedQuota: { type: 'boolean' },
           enableCheckIn: { type: 'boolean' },
           checkInMode: { type: 'string', enum: ['model', 'checkin', 'both'] },
+          adminMode: { type: 'boolean' },
+          probeEnabled: { type: 'boolean' },
+          probeModels: { type: 'string' },
+          probeKey: { type: 'string' },
+          fingerprintEnabled: { type: 'boolean' },
+          priceAlertModels: { type: 'string' },
           extralink: { type: 'string' },
           remark: { type: 'string' },
         },
@@ -347,10 +421,11 @@ async function routes(fastify) {
     const { id } = request.params;
     const data = {};
     const {
-      name, baseUrl, apiKey, apiType, userId, scheduleCron, timezone, pinned, excludeFromBatch,
-      categoryId,
+      name, baseUrl, apiKey, apiType, modelProtocol, userId, scheduleCron, timezone, pinned, excludeFromBatch,
+      categoryId, notifyChannelIds,
       billingUrl, billingAuthType, billingAuthValue, billingLimitField, billingUsageField, unlimitedQuota,
-      enableCheckIn, checkInMode,
+      enableCheckIn, checkInMode, adminMode,
+      probeEnabled, probeModels, probeKey, fingerprintEnabled, priceAlertModels,
       extralink, remark
     } = request.body || {};
     
@@ -358,6 +433,7 @@ async function routes(fastify) {
       if (name) data.name = name;
       if (baseUrl) data.baseUrl = baseUrl;
       if (apiType) data.apiType = apiType;
+      if (modelProtocol) data.modelProtocol = modelProtocol;
       if (userId !== undefined) data.userId = userId;
       if (scheduleCron !== undefined) data.scheduleCron = scheduleCron;
       if (timezone) data.timezone = timezone;
@@ -366,7 +442,22 @@ async function routes(fastify) {
       if ('excludeFromBatch' in request.body) data.excludeFromBatch = Boolean(excludeFromBatch);
       if ('unlimitedQuota' in request.body) data.unlimitedQuota = Boolean(unlimitedQuota);
       if ('enableCheckIn' in request.body) data.enableCheckIn = Boolean(enableCheckIn);
+      if ('adminMode' in request.body) data.adminMode = Boolean(adminMode);
+      if ('probeEnabled' in request.body) data.probeEnabled = Boolean(probeEnabled);
+      if ('fingerprintEnabled' in request.body) data.fingerprintEnabled = Boolean(fingerprintEnabled);
+      if (probeModels !== undefined) data.probeModels = probeModels;
+      if (priceAlertModels !== undefined) data.priceAlertModels = priceAlertModels;
+      // 探测令牌：未传表示不修改，传空字符串表示清除（改用API密钥）
+      if (probeKey !== undefined) data.probeKeyEnc = probeKey ? encrypt(probeKey) : null;
       if (categoryId !== undefined) data.categoryId = categoryId || null;
+      if (notifyChannelIds !== undefined) {
+        const notifyChannels = await normalizeNotifyChannels(notifyChannelIds);
+        if (notifyChannels.error) {
+          reply.code(400);
+          return { error: notifyChannels.error };
+        }
+        data.notifyChannelIds = notifyChannels.value;
+      }
       if (billingUrl !== undefined) data.billingUrl = billingUrl;
       if (billingAuthType !== undefined) data.billingAuthType = billingAuthType;
       if (billingAuthValue !== undefined) {
@@ -379,7 +470,7 @@ async function routes(fastify) {
       if (extralink !== undefined) data.extralink = extralink;
       if (remark !== undefined) data.remark = remark;
       
-      fastify.log.info({ updateData: data }, 'Updating site');
+      fastify.log.info({ updateData: { ...data, probeKeyEnc: undefined } }, 'Updating site');
       
       const site = await prisma.site.update({ where: { id }, data });
       
@@ -393,7 +484,7 @@ async function routes(fastify) {
         onSiteUpdated(site, fastify);
       }
       
-      const { apiKeyEnc: _, ...rest } = site;
+      const { apiKeyEnc: _, probeKeyEnc: __, ...rest } = site;
       return rest;
     } catch (error) {
       fastify.log.error({ error, id, body: request.body }, 'Failed to update site');
@@ -407,6 +498,17 @@ async function routes(fastify) {
   }, async (request) => {
     const { id } = request.params;
     await prisma.modelDiff.deleteMany({ where: { siteId: id } });
+    await prisma.channelSnapshot.deleteMany({ where: { siteId: id } });
+    await prisma.modelProbe.deleteMany({ where: { siteId: id } });
+    await prisma.modelFingerprint.deleteMany({ where: { siteId: id } });
+    await prisma.pricingDiff.deleteMany({ where: { siteId: id } });
+    await prisma.pricingSnapshot.deleteMany({ where: { siteId: id } });
+    const siteRules = await prisma.alertRule.findMany({ where: { siteId: id }, select: { id: true } });
+    await prisma.alertEvent.deleteMany({ where: { OR: [{ siteId: id }, { ruleId: { in: siteRules.map(r => r.id) } }] } });
+    await prisma.alertRule.deleteMany({ where: { siteId: id } });
+    await prisma.watchRule.deleteMany({ where: { siteId: id } });
+    await prisma.ignoreRule.deleteMany({ where: { siteId: id } });
+    await prisma.modelPresence.deleteMany({ where: { siteId: id } });
     await prisma.modelSnapshot.deleteMany({ where: { siteId: id } });
     await prisma.site.delete({ where: { id } });
     return { ok: true };
@@ -435,77 +537,13 @@ async function routes(fastify) {
     }
   }, async (request, reply) => {
     const { id } = request.params;
-    const { decrypt } = require('./crypto');
     
     try {
-      const site = await prisma.site.findUnique({ where: { id } });
-      if (!site) {
-        reply.code(404);
-        return { error: '站点不存在' };
-      }
-
-      if (site.apiType !== 'newapi' && site.apiType !== 'veloera' && site.apiType !== 'donehub' && site.apiType !== 'voapi') {
-        reply.code(400);
-        return { error: '此站点类型不支持pricing接口' };
-      }
-      
-      const baseUrl = site.baseUrl.replace(/\/$/, '');
-      let url, headers, token;
-      
-      if (site.apiType === 'donehub') {
-        token = site.apiKeyEnc ? decrypt(site.apiKeyEnc) : null;
-        if (!token) {
-          reply.code(400);
-          return { error: '站点未配置API令牌' };
-        }
-        url = `${baseUrl}/api/available_model`;
-        headers = {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        };
-      } else if (site.apiType === 'voapi') {
-        token = site.billingAuthValue ? decrypt(site.billingAuthValue) : null;
-        if (!token) {
-          reply.code(400);
-          return { error: '站点未配置JWT令牌' };
-        }
-        url = `${baseUrl}/api/models`;
-        headers = {
-          'Authorization': token,
-          'Content-Type': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Accept': 'application/json'
-        };
-      } else {
-        token = site.apiKeyEnc ? decrypt(site.apiKeyEnc) : null;
-        if (!token) {
-          reply.code(400);
-          return { error: '站点未配置API令牌' };
-        }
-        url = `${baseUrl}/api/pricing`;
-        headers = {
-          'Content-Type': 'application/json'
-        };
-        if (site.userId) {
-          const userHeader = site.apiType === 'newapi' ? 'New-Api-User' : 'Veloera-User';
-          headers[userHeader] = site.userId;
-        }
-      }
-      
-      const res = await fetch(url, {
-        method: 'GET',
-        headers
-      });
-      const data = await res.json();
-      
-      if (!res.ok) {
-        throw new Error(data.message || '获取pricing信息失败');
-      }
-      
-      return data;
+      const { site, adapter } = await loadSiteAdapter(id, 'pricing', '此站点类型不支持pricing接口');
+      return await adapter.pricing(site);
     } catch (e) {
       fastify.log.error({ error: e.message, siteId: id }, 'Error fetching pricing');
-      reply.code(500);
+      reply.code(e.statusCode || 500);
       return { error: e.message || '获取pricing信息失败' };
     }
   });
@@ -550,7 +588,7 @@ async function routes(fastify) {
       }
       
       // 返回站点信息（包含解密后的token）
-      const { apiKeyEnc, ...rest } = site;
+      const { apiKeyEnc, probeKeyEnc, ...rest } = site;
       return {
         ...rest,
         token,
@@ -572,94 +610,13 @@ async function routes(fastify) {
     }
   }, async (request, reply) => {
     const { id } = request.params;
-    const { decrypt } = require('./crypto');
     
     try {
-      const site = await prisma.site.findUnique({ where: { id } });
-      if (!site) {
-        reply.code(404);
-        return { error: '站点不存在' };
-      }
-      
-      const baseUrl = site.baseUrl.replace(/\/$/, '');
-      let url, headers;
-      
-      if (site.apiType === 'voapi') {
-        // VOAPI使用JWT令牌和/api/keys端点
-        const voapiToken = site.billingAuthValue ? decrypt(site.billingAuthValue) : null;
-        if (!voapiToken) {
-          reply.code(400);
-          return { error: 'VOAPI站点未配置JWT令牌' };
-        }
-        
-        url = `${baseUrl}/api/keys`;
-        headers = {
-          'Authorization': voapiToken,
-          'Content-Type': 'application/json'
-        };
-        
-        const res = await fetch(url, { headers });
-        const data = await res.json();
-        
-        if (!res.ok || data.code !== 0) {
-          throw new Error(data.message || '获取令牌列表失败');
-        }
-        
-        // 转换VOAPI数据格式为统一格式
-        const records = data.data?.records || [];
-        const convertedData = records.map(record => ({
-          id: record.id,
-          name: record.name,
-          key: record.token,
-          group: record.groups && record.groups.length > 0 ? String(record.groups[0]) : '',
-          expired_time: record.expireTime === 4102329600000 ? -1 : Math.floor(record.expireTime / 1000),
-          unlimited_quota: record.boundlessAmount,
-          remain_quota: record.boundlessAmount ? 0 : Math.floor(parseFloat(record.amount) * 500000),
-          used_quota: Math.floor(parseFloat(record.used) * 500000),
-          status: record.enable ? 1 : 0,
-          created_time: Math.floor(record.created / 1000),
-          accessed_time: Math.floor(record.updated / 1000),
-          uid: record.uid
-        }));
-        
-        return {
-          success: true,
-          data: convertedData
-        };
-      } else {
-        // newapi, veloera, donehub 使用原有逻辑
-      const token = site.apiKeyEnc ? decrypt(site.apiKeyEnc) : null;
-      if (!token) {
-        reply.code(400);
-        return { error: '站点未配置API令牌' };
-      }
-      
-        url = `${baseUrl}/api/token/`;
-        headers = {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      };
-        
-      if (site.userId) {
-        if (site.apiType === 'newapi') {
-          headers['New-Api-User'] = site.userId;
-        } else if (site.apiType === 'veloera') {
-          headers['Veloera-User'] = site.userId;
-        }
-      }
-      
-      const res = await fetch(url, { headers });
-      const data = await res.json();
-      
-      if (!res.ok) {
-        throw new Error(data.message || '获取令牌列表失败');
-      }
-      
-      return data;
-      }
+      const { site, adapter } = await loadSiteAdapter(id, 'listTokens', '此站点类型不支持令牌管理');
+      return await adapter.listTokens(site);
     } catch (e) {
       fastify.log.error({ error: e.message, siteId: id }, 'Error fetching tokens');
-      reply.code(500);
+      reply.code(e.statusCode || 500);
       return { error: e.message || '获取令牌列表失败' };
     }
   });
@@ -671,54 +628,13 @@ async function routes(fastify) {
     }
   }, async (request, reply) => {
     const { id } = request.params;
-    const { decrypt } = require('./crypto');
     
     try {
-      const site = await prisma.site.findUnique({ where: { id } });
-      if (!site) {
-        reply.code(404);
-        return { error: '站点不存在' };
-      }
-      
-      const token = site.apiKeyEnc ? decrypt(site.apiKeyEnc) : null;
-      if (!token) {
-        reply.code(400);
-        return { error: '站点未配置API令牌' };
-      }
-      
-      const baseUrl = site.baseUrl.replace(/\/$/, '');
-      let url = '';
-      if (site.apiType === 'donehub') {
-        url = `${baseUrl}/api/user_group_map`;
-      } else {
-        url = `${baseUrl}/api/user/self/groups`;
-      }
-      
-      const headers = {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      };
-      if (site.userId) {
-        // 不同站点类型使用不同的用户ID请求头
-        if (site.apiType === 'newapi') {
-          headers['New-Api-User'] = site.userId;
-        } else if (site.apiType === 'veloera') {
-          headers['Veloera-User'] = site.userId;
-        }
-        // 其他类型不需要用户ID请求头
-      }
-      
-      const res = await fetch(url, { headers });
-      const data = await res.json();
-      
-      if (!res.ok) {
-        throw new Error(data.message || '获取分组列表失败');
-      }
-      
-      return data;
+      const { site, adapter } = await loadSiteAdapter(id, 'listGroups', '此站点类型不支持获取分组');
+      return await adapter.listGroups(site);
     } catch (e) {
       fastify.log.error({ error: e.message, siteId: id }, 'Error fetching groups');
-      reply.code(500);
+      reply.code(e.statusCode || 500);
       return { error: e.message || '获取分组列表失败' };
     }
   });
@@ -731,123 +647,13 @@ async function routes(fastify) {
     }
   }, async (request, reply) => {
     const { id } = request.params;
-    const tokenData = request.body;
-    const { decrypt } = require('./crypto');
     
     try {
-      const site = await prisma.site.findUnique({ where: { id } });
-      if (!site) {
-        reply.code(404);
-        return { error: '站点不存在' };
-      }
-      
-      const token = site.apiKeyEnc ? decrypt(site.apiKeyEnc) : null;
-      if (!token) {
-        reply.code(400);
-        return { error: '站点未配置API令牌' };
-      }
-      
-      const baseUrl = site.baseUrl.replace(/\/$/, '');
-      let url, headers, payload;
-      
-      if (site.apiType === 'voapi') {
-        // VOAPI 使用系统访问令牌（billingAuthValue）
-        const voapiToken = site.billingAuthValue ? decrypt(site.billingAuthValue) : null;
-        if (!voapiToken) {
-          reply.code(400);
-          return { error: 'VOAPI站点未配置系统访问令牌（JWT令牌）' };
-        }
-        
-        url = `${baseUrl}/api/keys`;
-        headers = {
-          'Authorization': voapiToken,
-          'Content-Type': 'application/json'
-        };
-        
-        // VOAPI的负载格式
-        payload = {
-          name: tokenData.name || 'key-' + Date.now(),
-          amount: tokenData.remainQuota ? String(tokenData.remainQuota / 500000) : '0',
-          boundlessAmount: tokenData.unlimitedQuota !== undefined ? tokenData.unlimitedQuota : false,
-          enable: true,
-          expireTime: tokenData.expiredTime === -1 ? 4102329600000 : (tokenData.expiredTime * 1000),
-          genCount: 1,
-          groups: tokenData.groups || [1]
-        };
-      } else if (site.apiType === 'donehub') {
-        // DoneHub的负载格式
-        url = `${baseUrl}/api/token/`;
-        headers = {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      };
-        
-        payload = {
-          name: tokenData.name || '',
-          remain_quota: tokenData.unlimitedQuota ? 0 : (tokenData.remainQuota || 0),
-          unlimited_quota: tokenData.unlimitedQuota !== undefined ? tokenData.unlimitedQuota : false,
-          group: tokenData.group || '',
-          expired_time: tokenData.expiredTime !== undefined ? tokenData.expiredTime : -1,
-          is_edit: false,
-          setting: {
-            heartbeat: {
-              enabled: false,
-              timeout_seconds: 30
-            }
-          }
-        };
-      } else {
-        // newapi 和 veloera的负载格式
-        url = `${baseUrl}/api/token/`;
-        headers = {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        };
-        
-      if (site.userId) {
-        if (site.apiType === 'newapi') {
-          headers['New-Api-User'] = site.userId;
-        } else if (site.apiType === 'veloera') {
-          headers['Veloera-User'] = site.userId;
-        }
-        }
-        
-        payload = {
-          name: tokenData.name || '',
-          remain_quota: tokenData.unlimitedQuota ? 0 : (tokenData.remainQuota || 0),
-          unlimited_quota: tokenData.unlimitedQuota !== undefined ? tokenData.unlimitedQuota : false,
-          group: tokenData.group || '',
-          expired_time: tokenData.expiredTime !== undefined ? tokenData.expiredTime : -1,
-          model_limits_enabled: tokenData.modelLimitsEnabled || false,
-          model_limits: tokenData.modelLimits || '',
-          allow_ips: tokenData.allowIps || ''
-        };
-      }
-      
-      const res = await fetch(url, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(payload)
-      });
-      const data = await res.json();
-      
-      if (!res.ok) {
-        throw new Error(data.message || '创建令牌失败');
-      }
-      
-      // VOAPI返回格式转换
-      if (site.apiType === 'voapi') {
-        if (data.code === 0) {
-          return { success: true, message: '创建成功' };
-        } else {
-          throw new Error(data.message || '创建令牌失败');
-        }
-      }
-      
-      return data;
+      const { site, adapter } = await loadSiteAdapter(id, 'createToken', '此站点类型不支持创建令牌');
+      return await adapter.createToken(site, request.body);
     } catch (e) {
       fastify.log.error({ error: e.message, siteId: id }, 'Error creating token');
-      reply.code(500);
+      reply.code(e.statusCode || 500);
       return { error: e.message || '创建令牌失败' };
     }
   });
@@ -860,95 +666,13 @@ async function routes(fastify) {
     }
   }, async (request, reply) => {
     const { id } = request.params;
-    const tokenData = request.body;
-    const { decrypt } = require('./crypto');
     
     try {
-      const site = await prisma.site.findUnique({ where: { id } });
-      if (!site) {
-        reply.code(404);
-        return { error: '站点不存在' };
-      }
-      
-      const baseUrl = site.baseUrl.replace(/\/$/, '');
-      let url, headers, payload;
-      
-      if (site.apiType === 'voapi') {
-        // VOAPI使用JWT令牌和/api/keys/:id端点
-        const voapiToken = site.billingAuthValue ? decrypt(site.billingAuthValue) : null;
-        if (!voapiToken) {
-          reply.code(400);
-          return { error: 'VOAPI站点未配置JWT令牌' };
-        }
-        
-        url = `${baseUrl}/api/keys/${tokenData.id}`;
-        headers = {
-          'Authorization': voapiToken,
-          'Content-Type': 'application/json'
-        };
-        
-        // 转换为VOAPI格式
-        const groupValue = tokenData.group || '';
-        payload = {
-          name: tokenData.name,
-          amount: tokenData.unlimited_quota ? "0" : String(tokenData.remain_quota / 500000),
-          boundlessAmount: tokenData.unlimited_quota,
-          enable: true,
-          expireTime: tokenData.expired_time === -1 ? 4102329600000 : (tokenData.expired_time * 1000),
-          groups: groupValue ? [parseInt(groupValue)] : [1],
-          token: tokenData.key,
-          uid: tokenData.uid || 0,
-          used: tokenData.used_quota ? String(tokenData.used_quota / 500000) : "0"
-        };
-      } else {
-        // newapi, veloera, donehub 使用原有逻辑
-        const token = site.apiKeyEnc ? decrypt(site.apiKeyEnc) : null;
-        if (!token) {
-          reply.code(400);
-          return { error: '站点未配置API令牌' };
-        }
-        
-        url = `${baseUrl}/api/token/`;
-        headers = {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        };
-        
-        if (site.userId) {
-          if (site.apiType === 'newapi') {
-            headers['New-Api-User'] = site.userId;
-          } else if (site.apiType === 'veloera') {
-            headers['Veloera-User'] = site.userId;
-          }
-        }
-        
-        payload = tokenData;
-      }
-      
-      const res = await fetch(url, {
-        method: 'PUT',
-        headers,
-        body: JSON.stringify(payload)
-      });
-      const data = await res.json();
-      
-      if (!res.ok) {
-        throw new Error(data.message || '更新令牌失败');
-      }
-      
-      // VOAPI返回格式转换
-      if (site.apiType === 'voapi') {
-        if (data.code === 0) {
-          return { success: true, message: '更新成功' };
-        } else {
-          throw new Error(data.message || '更新令牌失败');
-        }
-      }
-      
-      return data;
+      const { site, adapter } = await loadSiteAdapter(id, 'updateToken', '此站点类型不支持修改令牌');
+      return await adapter.updateToken(site, request.body);
     } catch (e) {
       fastify.log.error({ error: e.message, siteId: id }, 'Error updating token');
-      reply.code(500);
+      reply.code(e.statusCode || 500);
       return { error: e.message || '更新令牌失败' };
     }
   });
@@ -960,77 +684,13 @@ async function routes(fastify) {
     }
   }, async (request, reply) => {
     const { id, tokenId } = request.params;
-    const { decrypt } = require('./crypto');
     
     try {
-      const site = await prisma.site.findUnique({ where: { id } });
-      if (!site) {
-        reply.code(404);
-        return { error: '站点不存在' };
-      }
-      
-      const baseUrl = site.baseUrl.replace(/\/$/, '');
-      let url, headers;
-      
-      if (site.apiType === 'voapi') {
-        // VOAPI使用JWT令牌和/api/keys/:id端点
-        const voapiToken = site.billingAuthValue ? decrypt(site.billingAuthValue) : null;
-        if (!voapiToken) {
-          reply.code(400);
-          return { error: 'VOAPI站点未配置JWT令牌' };
-        }
-        
-        url = `${baseUrl}/api/keys/${tokenId}`;
-        headers = {
-          'Authorization': voapiToken,
-          'Content-Type': 'application/json'
-        };
-      } else {
-        // newapi, veloera, donehub 使用原有逻辑
-      const token = site.apiKeyEnc ? decrypt(site.apiKeyEnc) : null;
-      if (!token) {
-        reply.code(400);
-        return { error: '站点未配置API令牌' };
-      }
-      
-        url = `${baseUrl}/api/token/${tokenId}`;
-        headers = {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      };
-        
-      if (site.userId) {
-        if (site.apiType === 'newapi') {
-          headers['New-Api-User'] = site.userId;
-        } else if (site.apiType === 'veloera') {
-          headers['Veloera-User'] = site.userId;
-        }
-        }
-      }
-      
-      const res = await fetch(url, {
-        method: 'DELETE',
-        headers
-      });
-      const data = await res.json();
-      
-      if (!res.ok) {
-        throw new Error(data.message || '删除令牌失败');
-      }
-      
-      // VOAPI返回格式转换
-      if (site.apiType === 'voapi') {
-        if (data.code === 0) {
-          return { success: true, message: '删除成功' };
-        } else {
-          throw new Error(data.message || '删除令牌失败');
-        }
-      }
-      
-      return data;
+      const { site, adapter } = await loadSiteAdapter(id, 'deleteToken', '此站点类型不支持删除令牌');
+      return await adapter.deleteToken(site, tokenId);
     } catch (e) {
       fastify.log.error({ error: e.message, siteId: id, tokenId }, 'Error deleting token');
-      reply.code(500);
+      reply.code(e.statusCode || 500);
       return { error: e.message || '删除令牌失败' };
     }
   });
@@ -1044,47 +704,13 @@ async function routes(fastify) {
   }, async (request, reply) => {
     const { id } = request.params;
     const { key } = request.body;
-    const { decrypt } = require('./crypto');
     
     try {
-      const site = await prisma.site.findUnique({ where: { id } });
-      if (!site) {
-        reply.code(404);
-        return { error: '站点不存在' };
-      }
-      
-      const token = site.apiKeyEnc ? decrypt(site.apiKeyEnc) : null;
-      if (!token) {
-        reply.code(400);
-        return { error: '站点未配置API令牌' };
-      }
-      
-      const baseUrl = site.baseUrl.replace(/\/$/, '');
-      const url = `${baseUrl}/api/user/topup`;
-      
-      const headers = {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      };
-      if (site.userId) {
-        if (site.apiType === 'newapi') {
-          headers['New-Api-User'] = site.userId;
-        } else if (site.apiType === 'veloera') {
-          headers['Veloera-User'] = site.userId;
-        }
-      }
-      
-      const res = await fetch(url, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({ key })
-      });
-      const data = await res.json();
-      
-      return data;
+      const { site, adapter } = await loadSiteAdapter(id, 'redeem', '此站点类型不支持兑换码');
+      return await adapter.redeem(site, key);
     } catch (e) {
       fastify.log.error({ error: e.message, siteId: id, key }, 'Error redeeming code');
-      reply.code(500);
+      reply.code(e.statusCode || 500);
       return { success: false, message: e.message || '兑换请求失败' };
     }
   });
@@ -1103,107 +729,843 @@ async function routes(fastify) {
       addedJson: safeParse(d.addedJson, []),
       removedJson: safeParse(d.removedJson, []),
       changedJson: safeParse(d.changedJson, []),
+      renamedJson: safeParse(d.renamedJson, []),
+      channelsJson: safeParse(d.channelsJson, []),
+      probesJson: safeParse(d.probesJson, null),
+      flaggedJson: safeParse(d.flaggedJson, []),
+      priceHikesJson: safeParse(d.priceHikesJson, null),
+      watchedJson: safeParse(d.watchedJson, []),
     }));
   });
 
-  fastify.get('/api/sites/:id/snapshots', {
+  // 余额历史：时间范围内的余额序列，以及按范围结束前几天的数据计算的日均消耗和预计可用天数
+  fastify.get('/api/sites/:id/balance-history', {
     schema: {
       params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
-      querystring: { type: 'object', properties: { limit: { type: 'number' } } },
+      querystring: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          days: { type: 'number', minimum: 1 }
+        }
+      },
     },
-  }, async (request) => {
+  }, async (request, reply) => {
     const { id } = request.params;
-    const limit = Number(request.query?.limit || 1);
-    // 只返回成功的快照（用于显示当前模型列表）
-    const snaps = await prisma.modelSnapshot.findMany({ 
-      where: { siteId: id, errorMessage: null }, 
-      orderBy: { fetchedAt: 'desc' }, 
-      take: limit 
-    });
-    return snaps.map(s => ({ ...s, modelsJson: safeParse(s.modelsJson, []) }));
+    const { from, to, days = 30 } = request.query || {};
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - days * 24 * 60 * 60 * 1000);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      reply.code(400);
+      return { error: '时间范围无效' };
+    }
+
+    const site = await prisma.site.findUnique({ where: { id }, select: { unlimitedQuota: true } });
+    if (!site) {
+      reply.code(404);
+      return { error: '站点不存在' };
+    }
+
+    const points = await balanceSeries(id, start, end);
+    const windowStart = new Date(end.getTime() - FORECAST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const forecast = site.unlimitedQuota
+      ? null
+      : computeForecast(windowStart >= start
+        ? points.filter(p => p.at >= windowStart)
+        : await balanceSeries(id, windowStart, end));
+    return { from: start, to: end, points, forecast, forecastWindowDays: FORECAST_WINDOW_DAYS };
   });
 
-  fastify.get('/api/sites/:id/latest-snapshot', {
+  // 价格变更历史（检测时保存的价格快照之间的对比）
+  fastify.get('/api/sites/:id/pricing-diffs', {
     schema: {
       params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      querystring: { type: 'object', properties: { limit: { type: 'number' } } },
     },
   }, async (request) => {
     const { id } = request.params;
-    const snap = await prisma.modelSnapshot.findFirst({
-      where: { siteId: id },
-      orderBy: { fetchedAt: 'desc' }
-    });
-    if (!snap) {
-      return { error: '暂无快照数据' };
-    }
-    return {
-      ...snap,
-      modelsJson: safeParse(snap.modelsJson, [])
-    };
+    const limit = Number(request.query?.limit || 50);
+    const diffs = await prisma.pricingDiff.findMany({ where: { siteId: id }, orderBy: { diffAt: 'desc' }, take: limit });
+    return diffs.map(d => ({
+      ...d,
+      modelsJson: safeParse(d.modelsJson, []),
+      groupsJson: safeParse(d.groupsJson, []),
+    }));
   });
 
-  // 邮件通知配置 API
-  fastify.get('/api/email-config', async () => {
-    const config = await prisma.emailConfig.findFirst();
-    if (!config) {
-      return { enabled: false, notifyEmails: '', resendApiKeyEnc: null };
+  // 所有站点最近一次价格快照中出现的模型（按规范名称合并），供价格比较页选择
+  fastify.get('/api/pricing/models', async () => {
+    const [latest, canonicalize] = await Promise.all([loadLatestPricing(), loadCanonicalizer()]);
+    const counts = new Map();
+    for (const { pricing } of latest) {
+      for (const model of new Set(Object.keys(pricing.models || {}).map(canonicalize))) {
+        counts.set(model, (counts.get(model) || 0) + 1);
+      }
     }
-    // 不返回加密的 API Key，只返回配置状态
-    const { resendApiKeyEnc, ...rest } = config;
-    return rest;
+    return Array.from(counts, ([model, siteCount]) => ({ model, siteCount }))
+      .sort((a, b) => a.model.localeCompare(b.model));
   });
 
-  fastify.post('/api/email-config', {
+  // 跨站点价格比较：列出提供该模型的站点及实际价格（含分组倍率），按价格从低到高排序
+  // 按规范名称匹配，站点以多个名称提供同一模型时取最便宜的一个
+  fastify.get('/api/pricing/compare', {
     schema: {
-      body: {
+      querystring: {
         type: 'object',
-        required: ['resendApiKey', 'notifyEmails'],
+        required: ['model'],
         properties: {
-          resendApiKey: { type: 'string', minLength: 1 },
-          notifyEmails: { type: 'string', minLength: 1 },
-          enabled: { type: 'boolean' }
+          model: { type: 'string', minLength: 1 },
+          health: { type: 'string', enum: ['all', 'healthy'] }
         }
-      }
-    }
-  }, async (request, reply) => {
-    const { resendApiKey, notifyEmails, enabled = true } = request.body;
-    
-    // 验证邮箱格式
-    const emails = notifyEmails.split(',').map(e => e.trim()).filter(Boolean);
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    for (const email of emails) {
-      if (!emailRegex.test(email)) {
-        return reply.code(400).send({ error: `邮箱格式不正确：${email}` });
-      }
-    }
-    
-    // 加密 API Key
-    const resendApiKeyEnc = encrypt(resendApiKey);
-    
-    // 检查是否已存在配置
-    const existing = await prisma.emailConfig.findFirst();
-    
-    let config;
-    if (existing) {
-      // 更新现有配置
-      config = await prisma.emailConfig.update({
-        where: { id: existing.id },
-        data: { resendApiKeyEnc, notifyEmails, enabled }
-      });
-    } else {
-      // 创建新配置
-      config = await prisma.emailConfig.create({
-        data: { resendApiKeyEnc, notifyEmails, enabled }
-      });
-    }
-    
-    const { resendApiKeyEnc: _, ...rest } = config;
-    return rest;
+      },
+    },
+  }, async (request) => {
+    const { model, health = 'all' } = request.query;
+    const { effectivePrices, comparePrices } = require('./pricing');
+    const [latest, canonicalize] = await Promise.all([loadLatestPricing(), loadCanonicalizer()]);
+    const canonical = canonicalize(model);
+
+    const rows = await Promise.all(latest.map(async ({ site, snap, pricing }) => {
+      const offers = Object.keys(pricing.models || {})
+        .filter(id => canonicalize(id) === canonical)
+        .map(id => ({ id, groups: effectivePrices(pricing, id) }))
+        .filter(o => o.groups.length > 0)
+        .sort((a, b) => comparePrices(a.groups[0], b.groups[0]));
+      if (offers.length === 0) return null;
+      const { id: modelId, groups } = offers[0];
+      return {
+        siteId: site.id,
+        siteName: site.name,
+        modelId,
+        apiType: site.apiType,
+        categoryName: site.category?.name || null,
+        pricedAt: snap.fetchedAt,
+        cheapest: groups[0],
+        groups,
+        ...(await siteModelHealth(site.id, modelId))
+      };
+    }));
+
+    const sites = rows
+      .filter(Boolean)
+      .filter(r => health === 'all' || r.health === 'healthy')
+      .sort((a, b) => comparePrices(a.cheapest, b.cheapest));
+    return { model: canonical, sites };
   });
 
-  // 定时检测配置路由
-  fastify.get('/api/schedule-config', getScheduleConfigHandler);
-  
+  // 模型指纹：按模型分组，返回最近一次结果和置信度历史
+  fastify.get('/api/sites/:id/fingerprints', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      querystring: { type: 'object', properties: { limit: { type: 'number' } } },
+    },
+  }, async (request) => {
+    const { id } = request.params;
+    const limit = Number(request.query?.limit || 300);
+    const rows = await prisma.modelFingerprint.findMany({
+      where: { siteId: id },
+      orderBy: { checkedAt: 'desc' },
+      take: limit
+    });
+    const byModel = new Map();
+    for (const row of rows) {
+      if (!byModel.has(row.model)) {
+        byModel.set(row.model, {
+          model: row.model,
+          latest: { ...row, checksJson: safeParse(row.checksJson, []) },
+          history: []
+        });
+      }
+      byModel.get(row.model).history.unshift({
+        checkedAt: row.checkedAt,
+        confidence: row.confidence,
+        flagged: row.flagged,
+        errorMessage: row.errorMessage
+      });
+    }
+    return Array.from(byModel.values()).sort((a, b) => a.model.localeCompare(b.model));
+  });
+
+  // 模型出现记录：首次/最近出现时间、出现和消失次数，不稳定的模型排在前面
+  fastify.get('/api/sites/:id/presence', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+    },
+  }, async (request) => {
+    const rows = await prisma.modelPresence.findMany({ where: { siteId: request.params.id } });
+    return rows
+      .map(({ changesJson, ...row }) => ({ ...row, changes: safeParse(changesJson, []) }))
+      .sort((a, b) => (b.flapping - a.flapping) || (b.present - a.present) || a.model.localeCompare(b.model));
+  });
+
+  // 模型目录：按模型出现记录汇总所有站点当前提供的模型（按规范名称合并），以及提供该模型的健康站点数
+  fastify.get('/api/models/catalog', async () => {
+    const [rows, sites, health] = await Promise.all([
+      prisma.modelPresence.findMany({ select: { siteId: true, model: true, canonical: true, firstSeenAt: true, present: true, flapping: true } }),
+      prisma.site.findMany({ select: { id: true, name: true, category: { select: { name: true } } } }),
+      loadCatalogHealth()
+    ]);
+    const siteMap = new Map(sites.map(s => [s.id, s]));
+
+    const catalog = new Map();
+    for (const row of rows) {
+      const site = siteMap.get(row.siteId);
+      if (!site) continue;
+      const name = row.canonical || row.model;
+      if (!catalog.has(name)) {
+        catalog.set(name, { model: name, vendor: modelVendor(name), firstSeenAt: row.firstSeenAt, aliases: new Set(), siteMap: new Map() });
+      }
+      const entry = catalog.get(name);
+      // 首次出现取所有站点中最早的一次（包括已不再提供的站点）
+      if (row.firstSeenAt < entry.firstSeenAt) entry.firstSeenAt = row.firstSeenAt;
+      if (!row.present) continue;
+      entry.aliases.add(row.model);
+      // 同一站点以多个原始名称提供同一模型时合并，取状态最好的一个
+      const healthReasons = health.reasonsFor(row.siteId, row.model);
+      const existing = entry.siteMap.get(site.id);
+      if (existing) {
+        existing.ids.push(row.model);
+        if (row.firstSeenAt < existing.since) existing.since = row.firstSeenAt;
+        existing.flapping = existing.flapping && row.flapping;
+        if (healthReasons.length < existing.healthReasons.length) {
+          existing.healthReasons = healthReasons;
+          existing.healthy = healthReasons.length === 0;
+        }
+        continue;
+      }
+      entry.siteMap.set(site.id, {
+        siteId: site.id,
+        siteName: site.name,
+        categoryName: site.category?.name || null,
+        ids: [row.model],
+        since: row.firstSeenAt,
+        flapping: row.flapping,
+        healthy: healthReasons.length === 0,
+        healthReasons
+      });
+    }
+
+    const models = [...catalog.values()]
+      .filter(m => m.siteMap.size > 0)
+      .map(({ siteMap: offered, aliases, ...m }) => {
+        const list = [...offered.values()].sort((a, b) => (b.healthy - a.healthy) || a.siteName.localeCompare(b.siteName));
+        return {
+          ...m,
+          aliases: [...aliases].sort(),
+          sites: list,
+          siteCount: list.length,
+          healthySiteCount: list.filter(s => s.healthy).length
+        };
+      })
+      .sort((a, b) => a.model.localeCompare(b.model));
+    const vendorCounts = new Map();
+    models.forEach(m => vendorCounts.set(m.vendor, (vendorCounts.get(m.vendor) || 0) + 1));
+    const vendors = [...vendorCounts]
+      .map(([vendor, count]) => ({ vendor, count }))
+      .sort((a, b) => ((a.vendor === OTHER_VENDOR) - (b.vendor === OTHER_VENDOR)) || b.count - a.count);
+    return { models, vendors, siteCount: sites.length };
+  });
+
+  // 站点对比：按各站点最近一次成功的模型快照（去掉被忽略的模型），以规范名称比较各站点独有和共有的模型
+  // 有价格数据时附上各站点的最低价格（含分组倍率），并标出共有模型中最便宜的站点
+  fastify.get('/api/sites/compare', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['ids'],
+        properties: { ids: { type: 'string', minLength: 1 } }
+      },
+    },
+  }, async (request, reply) => {
+    const ids = [...new Set(request.query.ids.split(',').map(s => s.trim()).filter(Boolean))];
+    if (ids.length < 2 || ids.length > MAX_COMPARE_SITES) {
+      reply.code(400);
+      return { error: `请选择 2 到 ${MAX_COMPARE_SITES} 个站点` };
+    }
+    const found = await prisma.site.findMany({ where: { id: { in: ids } }, include: { category: true } });
+    if (found.length !== ids.length) return reply.code(404).send({ error: '站点不存在' });
+
+    const { effectivePrices, comparePrices } = require('./pricing');
+    const canonicalize = await loadCanonicalizer();
+    const columns = await Promise.all(ids.map(id => found.find(s => s.id === id)).map(async (site) => {
+      const [snap, pricingSnap, isIgnored] = await Promise.all([
+        prisma.modelSnapshot.findFirst({
+          where: { siteId: site.id, errorMessage: null, hash: { not: '' } },
+          orderBy: { fetchedAt: 'desc' },
+          select: { fetchedAt: true, modelsJson: true }
+        }),
+        prisma.pricingSnapshot.findFirst({
+          where: { siteId: site.id, errorMessage: null },
+          orderBy: { fetchedAt: 'desc' },
+          select: { fetchedAt: true, pricingJson: true }
+        }),
+        loadIgnoreMatcher(site)
+      ]);
+      const list = safeParse(snap?.modelsJson, []);
+      // 规范名称 -> 站点上的原始模型名
+      const models = new Map();
+      for (const m of filterIgnored(Array.isArray(list) ? list : [], isIgnored)) {
+        if (!m.id) continue;
+        const name = canonicalize(m.id);
+        if (!models.has(name)) models.set(name, []);
+        if (!models.get(name).includes(m.id)) models.get(name).push(m.id);
+      }
+      return { site, snap, pricingSnap, pricing: pricingSnap ? safeParse(pricingSnap.pricingJson, {}) : null, models };
+    }));
+
+    const names = [...new Set(columns.flatMap(c => [...c.models.keys()]))].sort((a, b) => a.localeCompare(b));
+    const models = names.map(name => {
+      const offers = columns.filter(c => c.models.has(name)).map(c => {
+        const modelIds = c.models.get(name).sort();
+        // 站点以多个名称提供同一模型时取最便宜的一个
+        const priced = c.pricing
+          ? modelIds
+            .map(id => ({ modelId: id, groups: effectivePrices(c.pricing, id) }))
+            .filter(o => o.groups.length > 0)
+            .sort((a, b) => comparePrices(a.groups[0], b.groups[0]))
+          : [];
+        return {
+          siteId: c.site.id,
+          ids: modelIds,
+          price: priced.length > 0 ? { modelId: priced[0].modelId, ...priced[0].groups[0] } : null
+        };
+      });
+      return { model: name, vendor: modelVendor(name), offers, cheapestSiteId: cheapestOffer(offers, comparePrices) };
+    });
+
+    const sites = columns.map(({ site, snap, pricingSnap, models: offered }) => {
+      const own = models.filter(m => m.offers.some(o => o.siteId === site.id));
+      return {
+        siteId: site.id,
+        siteName: site.name,
+        categoryName: site.category?.name || null,
+        fetchedAt: snap?.fetchedAt || null,
+        pricedAt: pricingSnap?.fetchedAt || null,
+        modelCount: offered.size,
+        uniqueCount: own.filter(m => m.offers.length === 1).length,
+        commonCount: own.filter(m => m.offers.length === columns.length).length,
+        cheapestCount: own.filter(m => m.cheapestSiteId === site.id).length
+      };
+    });
+    return { sites, models };
+  });
+
+  // 模型可用性：每个探测模型最近一次的探测结果
+  fastify.get('/api/sites/:id/probes', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+    },
+  }, async (request) => {
+    const { id } = request.params;
+    const site = await prisma.site.findUnique({ where: { id }, select: { probeModels: true } });
+    const { parseProbeModels } = require('./probe');
+    const models = parseProbeModels(site?.probeModels);
+    const probes = await Promise.all(models.map(model => prisma.modelProbe.findFirst({
+      where: { siteId: id, model },
+      orderBy: { probedAt: 'desc' }
+    })));
+    return probes.filter(Boolean);
+  });
+
+  // 管理员模式：最近一次成功获取的渠道列表
+  fastify.get('/api/sites/:id/channels', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+    },
+  }, async (request) => {
+    const { id } = request.params;
+    const snap = await prisma.modelSnapshot.findFirst({
+      where: { siteId: id, errorMessage: null, channelCount: { not: null } },
+      orderBy: { fetchedAt: 'desc' },
+      include: { channels: { orderBy: { channelId: 'asc' } } }
+    });
+    // 最近一次检测的渠道错误（可能比成功的渠道快照更新）
+    const latest = await prisma.modelSnapshot.findFirst({
+      where: { siteId: id },
+      orderBy: { fetchedAt: 'desc' },
+      select: { channelError: true }
+    });
+    return {
+      fetchedAt: snap ? snap.fetchedAt : null,
+      channelError: latest ? latest.channelError : null,
+      channels: snap ? snap.channels.map(c => ({ ...c, modelsJson: safeParse(c.modelsJson, []) })) : []
+    };
+  });
+
+  fastify.get('/api/sites/:id/snapshots', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      querystring: { type: 'object', properties: { limit: { type: 'number' } } },
+    },
+  }, async (request) => {
+    const { id } = request.params;
+    const limit = Number(request.query?.limit || 1);
+    // 只返回成功的快照（用于显示当前模型列表）
+    const snaps = await prisma.modelSnapshot.findMany({ 
+      where: { siteId: id, errorMessage: null }, 
+      orderBy: { fetchedAt: 'desc' }, 
+      take: limit 
+    });
+    // 被忽略规则匹配的模型单独列出
+    const site = await prisma.site.findUnique({ where: { id }, select: { id: true, categoryId: true } });
+    const isIgnored = site ? await loadIgnoreMatcher(site) : null;
+    return snaps.map(s => {
+      const models = safeParse(s.modelsJson, []);
+      return {
+        ...s,
+        modelsJson: isIgnored ? models.filter(m => !isIgnored(m.id)) : models,
+        ignoredModels: isIgnored ? models.filter(m => isIgnored(m.id)).map(m => m.id) : []
+      };
+    });
+  });
+
+  fastify.get('/api/sites/:id/latest-snapshot', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+    },
+  }, async (request) => {
+    const { id } = request.params;
+    const snap = await prisma.modelSnapshot.findFirst({
+      where: { siteId: id },
+      orderBy: { fetchedAt: 'desc' }
+    });
+    if (!snap) {
+      return { error: '暂无快照数据' };
+    }
+    return {
+      ...snap,
+      modelsJson: safeParse(snap.modelsJson, [])
+    };
+  });
+
+  // 通知渠道
+  fastify.get('/api/notification-channel-types', async () => ({
+    types: describeChannelTypes(),
+    events: Object.entries(NOTIFY_EVENTS).map(([value, label]) => ({ value, label, priority: PRIORITY_EVENTS.includes(value) })),
+    templateVariables: TEMPLATE_VARIABLES
+  }));
+
+  const notificationChannelProperties = {
+    name: { type: 'string', minLength: 1 },
+    type: { type: 'string' },
+    config: { type: 'object' },
+    events: { type: ['array', 'null'], items: { type: 'string', enum: Object.keys(NOTIFY_EVENTS) } },
+    defaultRoute: { type: 'boolean' },
+    enabled: { type: 'boolean' }
+  };
+
+  // 返回给前端的渠道信息，不含密钥
+  const toChannelResponse = (channel) => {
+    const { configEnc, eventsJson, ...rest } = channel;
+    let config = {};
+    try {
+      config = readChannelConfig(channel);
+    } catch (e) {
+      fastify.log.warn({ channelId: channel.id, err: e.message }, 'Failed to decrypt notification channel config');
+    }
+    return { ...rest, ...maskChannelConfig(channel.type, config), events: parseChannelEvents(channel) };
+  };
+
+  fastify.get('/api/notification-channels', async () => {
+    const channels = await prisma.notificationChannel.findMany({ orderBy: { createdAt: 'asc' } });
+    // 分配给各渠道的分类和站点
+    const [categories, sites] = await Promise.all([
+      prisma.category.findMany({ where: { notifyChannelIds: { not: null } }, select: { id: true, name: true, notifyChannelIds: true } }),
+      prisma.site.findMany({ where: { notifyChannelIds: { not: null } }, select: { id: true, name: true, notifyChannelIds: true } })
+    ]);
+    const assignedTo = (list, channelId) => list
+      .filter(item => parseChannelIds(item.notifyChannelIds).includes(channelId))
+      .map(({ id, name }) => ({ id, name }));
+    return channels.map(channel => ({
+      ...toChannelResponse(channel),
+      assigned: { categories: assignedTo(categories, channel.id), sites: assignedTo(sites, channel.id) }
+    }));
+  });
+
+  fastify.post('/api/notification-channels', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name', 'type', 'config'],
+        properties: notificationChannelProperties
+      }
+    }
+  }, async (request, reply) => {
+    const { name, type, config, events = null, defaultRoute = true, enabled = true } = request.body;
+    const error = validateChannelConfig(type, config);
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    const channel = await prisma.notificationChannel.create({
+      data: {
+        name,
+        type,
+        configEnc: encrypt(JSON.stringify(config)),
+        eventsJson: events && events.length > 0 ? JSON.stringify(events) : null,
+        defaultRoute,
+        enabled
+      }
+    });
+    // Telegram 渠道的命令轮询随配置变化重启
+    await reloadTelegramBots(fastify);
+    return toChannelResponse(channel);
+  });
+
+  fastify.patch('/api/notification-channels/:id', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      body: { type: 'object', properties: notificationChannelProperties }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const body = request.body || {};
+    const existing = await prisma.notificationChannel.findUnique({ where: { id } });
+    if (!existing) {
+      return reply.code(404).send({ error: '通知渠道不存在' });
+    }
+
+    const data = {};
+    if (body.name !== undefined) data.name = body.name;
+    if ('enabled' in body) data.enabled = Boolean(body.enabled);
+    if ('defaultRoute' in body) data.defaultRoute = Boolean(body.defaultRoute);
+    if ('events' in body) data.eventsJson = body.events && body.events.length > 0 ? JSON.stringify(body.events) : null;
+
+    const type = body.type ?? existing.type;
+    if (body.config !== undefined || type !== existing.type) {
+      // 类型不变时，留空的密钥沿用原值
+      const config = type === existing.type
+        ? mergeChannelConfig(type, readChannelConfig(existing), body.config || {})
+        : body.config || {};
+      const error = validateChannelConfig(type, config);
+      if (error) {
+        reply.code(400);
+        return { error };
+      }
+      data.type = type;
+      data.configEnc = encrypt(JSON.stringify(config));
+      // 不同类型的模板格式不同，更换类型后清除原有模板
+      if (type !== existing.type) {
+        await prisma.notificationTemplate.deleteMany({ where: { channelId: id } });
+      }
+    }
+
+    const channel = await prisma.notificationChannel.update({ where: { id }, data });
+    await reloadTelegramBots(fastify);
+    return toChannelResponse(channel);
+  });
+
+  fastify.delete('/api/notification-channels/:id', {
+    schema: { params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } }
+  }, async (request, reply) => {
+    try {
+      await prisma.notificationTemplate.deleteMany({ where: { channelId: request.params.id } });
+      await prisma.notificationChannel.delete({ where: { id: request.params.id } });
+      // 从分类和站点的通知渠道中移除，全部移除后改为发送到默认渠道
+      for (const model of [prisma.category, prisma.site]) {
+        const rows = await model.findMany({
+          where: { notifyChannelIds: { contains: request.params.id } },
+          select: { id: true, notifyChannelIds: true }
+        });
+        for (const row of rows) {
+          const ids = parseChannelIds(row.notifyChannelIds).filter(id => id !== request.params.id);
+          await model.update({ where: { id: row.id }, data: { notifyChannelIds: ids.length > 0 ? ids.join(',') : null } });
+        }
+      }
+      await reloadTelegramBots(fastify);
+      return { ok: true };
+    } catch (e) {
+      if (e.code === 'P2025') {
+        return reply.code(404).send({ error: '通知渠道不存在' });
+      }
+      throw e;
+    }
+  });
+
+  // 通知模板：每个渠道的单站点通知和聚合报告各一个，未设置时使用内置格式
+  const templateParams = {
+    type: 'object',
+    properties: { id: { type: 'string' }, kind: { type: 'string', enum: ['site', 'aggregate'] } },
+    required: ['id']
+  };
+  const templateBody = {
+    type: 'object',
+    required: ['body'],
+    properties: { subject: { type: ['string', 'null'] }, body: { type: 'string' } }
+  };
+
+  // 查找支持模板的渠道，不存在或不支持时直接回复错误
+  const findTemplateChannel = async (id, reply) => {
+    const channel = await prisma.notificationChannel.findUnique({ where: { id } });
+    if (!channel) {
+      reply.code(404).send({ error: '通知渠道不存在' });
+      return null;
+    }
+    const impl = getChannelType(channel.type);
+    if (!impl?.template) {
+      reply.code(400).send({ error: '该渠道类型不支持自定义模板' });
+      return null;
+    }
+    return { channel, impl };
+  };
+
+  // 模板语法错误返回错误信息，否则返回 null
+  const checkTemplate = ({ subject, body }) => {
+    try {
+      if (subject) compileTemplate(subject);
+      compileTemplate(body);
+      return null;
+    } catch (e) {
+      return `模板语法错误：${e.message}`;
+    }
+  };
+
+  fastify.get('/api/notification-channels/:id/templates', {
+    schema: { params: templateParams }
+  }, async (request, reply) => {
+    const found = await findTemplateChannel(request.params.id, reply);
+    if (!found) return reply;
+    return prisma.notificationTemplate.findMany({ where: { channelId: found.channel.id } });
+  });
+
+  fastify.put('/api/notification-channels/:id/templates/:kind', {
+    schema: { params: { ...templateParams, required: ['id', 'kind'] }, body: templateBody }
+  }, async (request, reply) => {
+    const found = await findTemplateChannel(request.params.id, reply);
+    if (!found) return reply;
+    const { kind } = request.params;
+    const subject = request.body.subject?.trim() || null;
+    const { body } = request.body;
+    if (!body.trim()) {
+      reply.code(400);
+      return { error: '模板内容不能为空' };
+    }
+    const error = checkTemplate({ subject, body });
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    return prisma.notificationTemplate.upsert({
+      where: { channelId_kind: { channelId: found.channel.id, kind } },
+      create: { channelId: found.channel.id, kind, subject, body },
+      update: { subject, body }
+    });
+  });
+
+  // 删除模板，恢复内置格式
+  fastify.delete('/api/notification-channels/:id/templates/:kind', {
+    schema: { params: { ...templateParams, required: ['id', 'kind'] } }
+  }, async (request, reply) => {
+    const found = await findTemplateChannel(request.params.id, reply);
+    if (!found) return reply;
+    await prisma.notificationTemplate.deleteMany({ where: { channelId: found.channel.id, kind: request.params.kind } });
+    return { ok: true };
+  });
+
+  // 预览模板（使用未保存的内容），数据取自最近的模型变更记录
+  fastify.post('/api/notification-channels/:id/templates/preview', {
+    schema: {
+      params: templateParams,
+      body: {
+        ...templateBody,
+        required: ['kind', 'body'],
+        properties: { ...templateBody.properties, kind: { type: 'string', enum: ['site', 'aggregate'] }, siteId: { type: 'string' } }
+      }
+    }
+  }, async (request, reply) => {
+    const found = await findTemplateChannel(request.params.id, reply);
+    if (!found) return reply;
+    const { kind, subject, body, siteId } = request.body;
+    const error = checkTemplate({ subject, body });
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    const { notification, source } = await previewNotification(kind, siteId || null);
+    try {
+      const rendered = renderChannelTemplate(found.impl, { subject, body }, notification);
+      return { ...rendered, format: found.impl.template.format, source };
+    } catch (e) {
+      reply.code(400);
+      return { error: `模板渲染失败：${e.message}` };
+    }
+  });
+
+  // 发送测试通知：可指定已保存的渠道，也可传入表单中尚未保存的配置
+  fastify.post('/api/notifications/test', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          channelId: { type: 'string' },
+          name: { type: 'string' },
+          type: { type: 'string' },
+          config: { type: 'object' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const body = request.body || {};
+    let channel = { id: null, name: body.name, type: body.type };
+    let config = body.config;
+    if (body.channelId) {
+      const existing = await prisma.notificationChannel.findUnique({ where: { id: body.channelId } });
+      if (!existing) {
+        return reply.code(404).send({ error: '通知渠道不存在' });
+      }
+      const type = body.type ?? existing.type;
+      channel = { id: existing.id, name: body.name || existing.name, type };
+      // 与编辑渠道相同：类型不变时，留空的密钥沿用原值
+      if (type === existing.type) {
+        config = mergeChannelConfig(type, readChannelConfig(existing), config || {});
+      }
+    }
+    if (!channel.type || !config) {
+      reply.code(400);
+      return { error: '请指定通知渠道或填写渠道配置' };
+    }
+    const error = validateChannelConfig(channel.type, config);
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    channel.name = channel.name || getChannelType(channel.type).label;
+
+    const outcome = await sendTestNotification(channel, config, fastify);
+    if (!outcome.ok) {
+      reply.code(502);
+      return { ok: false, error: `发送失败：${outcome.error}` };
+    }
+    return { ok: true, result: outcome.result };
+  });
+
+  // 通知发送记录
+  fastify.get('/api/notification-deliveries', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          channelId: { type: 'string' },
+          status: { type: 'string', enum: ['success', 'retrying', 'failed'] },
+          limit: { type: 'number' }
+        }
+      }
+    }
+  }, async (request) => {
+    const { channelId, status, limit = 50 } = request.query || {};
+    const deliveries = await prisma.notificationDelivery.findMany({
+      where: { ...(channelId ? { channelId } : {}), ...(status ? { status } : {}) },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(Number(limit), 200)
+    });
+    return deliveries.map(({ payloadJson, ...rest }) => rest);
+  });
+
+  // 立即重试一条发送记录
+  fastify.post('/api/notification-deliveries/:id/retry', {
+    schema: { params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } }
+  }, async (request, reply) => {
+    const delivery = await prisma.notificationDelivery.findUnique({ where: { id: request.params.id } });
+    if (!delivery) {
+      return reply.code(404).send({ error: '发送记录不存在' });
+    }
+    if (delivery.status === 'success') {
+      reply.code(400);
+      return { error: '该通知已发送成功' };
+    }
+    const { payloadJson, ...updated } = await retryDelivery(delivery, fastify);
+    return updated;
+  });
+
+  // 通知发送策略：汇总模式和静默时段
+  const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+
+  const describeSettings = async () => {
+    const settings = await loadNotificationSettings();
+    const pending = await prisma.pendingNotification.findMany({ orderBy: { createdAt: 'asc' } });
+    return {
+      ...settings,
+      digestTimes: settings.digestTimes.split(',').filter(Boolean),
+      urgentEvents: settings.urgentEvents.split(',').filter(Boolean),
+      pending: pending.map(p => {
+        const notification = safeParse(p.payloadJson, { sites: [], failedSites: [] });
+        return {
+          id: p.id,
+          reason: p.reason,
+          createdAt: p.createdAt,
+          events: notificationEvents(notification),
+          siteNames: [...notification.sites, ...notification.failedSites].map(s => s.siteName)
+        };
+      })
+    };
+  };
+
+  fastify.get('/api/notification-settings', async () => describeSettings());
+
+  fastify.put('/api/notification-settings', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['digestEnabled', 'digestTimes', 'quietEnabled', 'quietStart', 'quietEnd', 'urgentEvents'],
+        properties: {
+          digestEnabled: { type: 'boolean' },
+          digestTimes: { type: 'array', maxItems: 24, items: { type: 'string', pattern: TIME_PATTERN } },
+          quietEnabled: { type: 'boolean' },
+          quietStart: { type: 'string', pattern: TIME_PATTERN },
+          quietEnd: { type: 'string', pattern: TIME_PATTERN },
+          urgentEvents: { type: 'array', items: { type: 'string', enum: Object.keys(NOTIFY_EVENTS) } },
+          timezone: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { digestEnabled, digestTimes, quietEnabled, quietStart, quietEnd, urgentEvents, timezone } = request.body;
+    if (digestEnabled && digestTimes.length === 0) {
+      reply.code(400);
+      return { error: '请至少设置一个汇总发送时间' };
+    }
+    if (quietEnabled && quietStart === quietEnd) {
+      reply.code(400);
+      return { error: '静默开始时间和结束时间不能相同' };
+    }
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (e) {
+        reply.code(400);
+        return { error: `无效的时区：${timezone}` };
+      }
+    }
+
+    const current = await loadNotificationSettings();
+    await prisma.notificationSettings.update({
+      where: { id: current.id },
+      data: {
+        digestEnabled,
+        digestTimes: [...new Set(digestTimes)].sort().join(','),
+        quietEnabled,
+        quietStart,
+        quietEnd,
+        urgentEvents: urgentEvents.join(','),
+        ...(timezone ? { timezone } : {})
+      }
+    });
+    await scheduleDigestTasks(fastify);
+    // 关闭汇总模式或静默时段后，不再需要暂存的通知立即发送
+    await releaseHeldNotifications(fastify);
+    return describeSettings();
+  });
+
+  // 立即发送所有暂存的通知
+  fastify.post('/api/notification-settings/flush', async () => {
+    const count = await flushPendingNotifications(fastify);
+    return { ok: true, count };
+  });
+
+  // 定时检测配置路由
+  fastify.get('/api/schedule-config', getScheduleConfigHandler);
+  
   fastify.post('/api/schedule-config', {
     schema: {
       body: {
@@ -1237,16 +1599,21 @@ async function routes(fastify) {
         properties: {
           name: { type: 'string', minLength: 1 },
           scheduleCron: { type: 'string' },
-          timezone: { type: 'string' }
+          timezone: { type: 'string' },
+          notifyChannelIds: { type: 'string' }
         }
       }
     }
   }, async (request, reply) => {
-    const { name, scheduleCron = null, timezone = 'Asia/Shanghai' } = request.body;
+    const { name, scheduleCron = null, timezone = 'Asia/Shanghai', notifyChannelIds = null } = request.body;
+    const notifyChannels = await normalizeNotifyChannels(notifyChannelIds);
+    if (notifyChannels.error) {
+      return reply.code(400).send({ error: notifyChannels.error });
+    }
     
     try {
       const category = await prisma.category.create({
-        data: { name, scheduleCron, timezone }
+        data: { name, scheduleCron, timezone, notifyChannelIds: notifyChannels.value }
       });
       
       // 调度新的分类定时任务
@@ -1270,18 +1637,26 @@ async function routes(fastify) {
         properties: {
           name: { type: 'string' },
           scheduleCron: { type: 'string' },
-          timezone: { type: 'string' }
+          timezone: { type: 'string' },
+          notifyChannelIds: { type: 'string' }
         }
       }
     }
   }, async (request, reply) => {
     const { id } = request.params;
     const data = {};
-    const { name, scheduleCron, timezone } = request.body || {};
+    const { name, scheduleCron, timezone, notifyChannelIds } = request.body || {};
     
     if (name) data.name = name;
     if (scheduleCron !== undefined) data.scheduleCron = scheduleCron;
     if (timezone) data.timezone = timezone;
+    if (notifyChannelIds !== undefined) {
+      const notifyChannels = await normalizeNotifyChannels(notifyChannelIds);
+      if (notifyChannels.error) {
+        return reply.code(400).send({ error: notifyChannels.error });
+      }
+      data.notifyChannelIds = notifyChannels.value;
+    }
     
     try {
       const category = await prisma.category.update({ where: { id }, data });
@@ -1322,6 +1697,12 @@ async function routes(fastify) {
         data: { categoryId: null }
       });
       
+      // 删除分类的告警规则
+      const categoryRules = await prisma.alertRule.findMany({ where: { categoryId: id }, select: { id: true } });
+      await prisma.alertEvent.deleteMany({ where: { ruleId: { in: categoryRules.map(r => r.id) } } });
+      await prisma.alertRule.deleteMany({ where: { categoryId: id } });
+      await prisma.ignoreRule.deleteMany({ where: { categoryId: id } });
+      
       // 删除分类
       await prisma.category.delete({ where: { id } });
       return { ok: true };
@@ -1333,6 +1714,496 @@ async function routes(fastify) {
     }
   });
 
+  // 余额告警规则
+  const alertRuleProperties = {
+    name: { type: 'string', minLength: 1 },
+    siteId: { type: 'string' },
+    categoryId: { type: 'string' },
+    type: { type: 'string', enum: Object.keys(ALERT_TYPES) },
+    threshold: { type: 'number', minimum: 0 },
+    cooldownMinutes: { type: 'integer', minimum: 0 },
+    enabled: { type: 'boolean' }
+  };
+
+  fastify.get('/api/alert-rules', async () => {
+    const rules = await prisma.alertRule.findMany({
+      orderBy: { createdAt: 'asc' },
+      include: {
+        site: { select: { id: true, name: true } },
+        category: { select: { id: true, name: true } },
+        events: { orderBy: { firedAt: 'desc' }, take: 1 }
+      }
+    });
+    return rules.map(({ events, ...rule }) => ({ ...rule, lastEvent: events[0] || null }));
+  });
+
+  fastify.post('/api/alert-rules', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name', 'type', 'threshold'],
+        properties: alertRuleProperties
+      }
+    }
+  }, async (request, reply) => {
+    const { name, siteId = null, categoryId = null, type, threshold, cooldownMinutes = 720, enabled = true } = request.body;
+    // 规则作用于单个站点或一个分类，二者必须且只能选一个
+    if (Boolean(siteId) === Boolean(categoryId)) {
+      reply.code(400);
+      return { error: '请选择规则作用的站点或分类' };
+    }
+    return prisma.alertRule.create({
+      data: { name, siteId: siteId || null, categoryId: categoryId || null, type, threshold, cooldownMinutes, enabled }
+    });
+  });
+
+  fastify.patch('/api/alert-rules/:id', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      body: { type: 'object', properties: alertRuleProperties }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const body = request.body || {};
+    const data = {};
+    ['name', 'type', 'threshold', 'cooldownMinutes'].forEach(key => {
+      if (body[key] !== undefined) data[key] = body[key];
+    });
+    if ('enabled' in body) data.enabled = Boolean(body.enabled);
+    if (body.siteId !== undefined || body.categoryId !== undefined) {
+      if (Boolean(body.siteId) === Boolean(body.categoryId)) {
+        reply.code(400);
+        return { error: '请选择规则作用的站点或分类' };
+      }
+      data.siteId = body.siteId || null;
+      data.categoryId = body.categoryId || null;
+    }
+    try {
+      return await prisma.alertRule.update({ where: { id }, data });
+    } catch (e) {
+      if (e.code === 'P2025') {
+        return reply.code(404).send({ error: '告警规则不存在' });
+      }
+      throw e;
+    }
+  });
+
+  fastify.delete('/api/alert-rules/:id', {
+    schema: { params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    try {
+      await prisma.alertEvent.deleteMany({ where: { ruleId: id } });
+      await prisma.alertRule.delete({ where: { id } });
+      return { ok: true };
+    } catch (e) {
+      if (e.code === 'P2025') {
+        return reply.code(404).send({ error: '告警规则不存在' });
+      }
+      throw e;
+    }
+  });
+
+  // 告警触发记录
+  fastify.get('/api/alert-events', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: { siteId: { type: 'string' }, ruleId: { type: 'string' }, limit: { type: 'number' } }
+      }
+    }
+  }, async (request) => {
+    const { siteId, ruleId, limit = 50 } = request.query || {};
+    return prisma.alertEvent.findMany({
+      where: { ...(siteId ? { siteId } : {}), ...(ruleId ? { ruleId } : {}) },
+      orderBy: { firedAt: 'desc' },
+      take: Number(limit),
+      include: {
+        rule: { select: { name: true, type: true } },
+        site: { select: { name: true } }
+      }
+    });
+  });
+
+  // 关注模型规则
+  const watchRuleProperties = {
+    name: { type: 'string', minLength: 1 },
+    pattern: { type: 'string', minLength: 1 },
+    matchType: { type: 'string', enum: Object.keys(PATTERN_MATCH_TYPES) },
+    event: { type: 'string', enum: Object.keys(WATCH_EVENTS) },
+    siteId: { type: ['string', 'null'] },
+    enabled: { type: 'boolean' }
+  };
+
+  // 站点不存在时返回错误信息
+  const checkWatchSite = async (siteId) => {
+    if (!siteId) return null;
+    const site = await prisma.site.findUnique({ where: { id: siteId }, select: { id: true } });
+    return site ? null : '站点不存在';
+  };
+
+  fastify.get('/api/watch-rules', async () => {
+    return prisma.watchRule.findMany({
+      orderBy: { createdAt: 'asc' },
+      include: { site: { select: { id: true, name: true } } }
+    });
+  });
+
+  fastify.post('/api/watch-rules', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name', 'pattern'],
+        properties: watchRuleProperties
+      }
+    }
+  }, async (request, reply) => {
+    const { name, pattern, matchType = 'glob', event = 'any', siteId = null, enabled = true } = request.body;
+    const error = validateModelPattern({ pattern: pattern.trim(), matchType }) || await checkWatchSite(siteId);
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    return prisma.watchRule.create({
+      data: { name, pattern: pattern.trim(), matchType, event, siteId: siteId || null, enabled }
+    });
+  });
+
+  fastify.patch('/api/watch-rules/:id', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      body: { type: 'object', properties: watchRuleProperties }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const body = request.body || {};
+    const current = await prisma.watchRule.findUnique({ where: { id } });
+    if (!current) {
+      return reply.code(404).send({ error: '关注规则不存在' });
+    }
+    const data = {};
+    ['name', 'matchType', 'event'].forEach(key => {
+      if (body[key] !== undefined) data[key] = body[key];
+    });
+    if (body.pattern !== undefined) data.pattern = body.pattern.trim();
+    if ('enabled' in body) data.enabled = Boolean(body.enabled);
+    if (body.siteId !== undefined) data.siteId = body.siteId || null;
+    const error = validateModelPattern({ pattern: data.pattern ?? current.pattern, matchType: data.matchType ?? current.matchType }) ||
+      await checkWatchSite(data.siteId);
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    return prisma.watchRule.update({ where: { id }, data });
+  });
+
+  fastify.delete('/api/watch-rules/:id', {
+    schema: { params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } }
+  }, async (request, reply) => {
+    try {
+      await prisma.watchRule.delete({ where: { id: request.params.id } });
+      return { ok: true };
+    } catch (e) {
+      if (e.code === 'P2025') {
+        return reply.code(404).send({ error: '关注规则不存在' });
+      }
+      throw e;
+    }
+  });
+
+  // 试用规则：列出各站点最近一次检测到的模型中能被匹配的模型
+  fastify.post('/api/watch-rules/test', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['pattern'],
+        properties: {
+          pattern: watchRuleProperties.pattern,
+          matchType: watchRuleProperties.matchType,
+          siteId: watchRuleProperties.siteId
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { pattern, matchType = 'glob', siteId = null } = request.body;
+    const error = validateModelPattern({ pattern: pattern.trim(), matchType });
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    const regex = compileModelPattern({ pattern: pattern.trim(), matchType });
+    return { matches: await findMatchingModels(regex, siteId ? { id: siteId } : {}, await loadCanonicalizer()) };
+  });
+
+  // 忽略规则：匹配的模型不参与模型变更检测
+  const ignoreRuleProperties = {
+    pattern: { type: 'string', minLength: 1 },
+    matchType: { type: 'string', enum: Object.keys(PATTERN_MATCH_TYPES) },
+    note: { type: ['string', 'null'] },
+    siteId: { type: ['string', 'null'] },
+    categoryId: { type: ['string', 'null'] },
+    enabled: { type: 'boolean' }
+  };
+
+  // 校验规则作用范围：站点和分类最多选一个，都不选表示所有站点
+  const checkIgnoreScope = async ({ siteId, categoryId }) => {
+    if (siteId && categoryId) return '规则只能作用于一个站点或一个分类';
+    if (siteId && !await prisma.site.findUnique({ where: { id: siteId }, select: { id: true } })) return '站点不存在';
+    if (categoryId && !await prisma.category.findUnique({ where: { id: categoryId }, select: { id: true } })) return '分类不存在';
+    return null;
+  };
+
+  fastify.get('/api/ignore-rules', async () => {
+    return prisma.ignoreRule.findMany({
+      orderBy: { createdAt: 'asc' },
+      include: {
+        site: { select: { id: true, name: true } },
+        category: { select: { id: true, name: true } }
+      }
+    });
+  });
+
+  fastify.post('/api/ignore-rules', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['pattern'],
+        properties: ignoreRuleProperties
+      }
+    }
+  }, async (request, reply) => {
+    const { pattern, matchType = 'glob', note = null, siteId = null, categoryId = null, enabled = true } = request.body;
+    const error = validateModelPattern({ pattern: pattern.trim(), matchType }) || await checkIgnoreScope({ siteId, categoryId });
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    return prisma.ignoreRule.create({
+      data: { pattern: pattern.trim(), matchType, note: note || null, siteId: siteId || null, categoryId: categoryId || null, enabled }
+    });
+  });
+
+  fastify.patch('/api/ignore-rules/:id', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      body: { type: 'object', properties: ignoreRuleProperties }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const body = request.body || {};
+    const current = await prisma.ignoreRule.findUnique({ where: { id } });
+    if (!current) {
+      return reply.code(404).send({ error: '忽略规则不存在' });
+    }
+    const data = {};
+    if (body.pattern !== undefined) data.pattern = body.pattern.trim();
+    if (body.matchType !== undefined) data.matchType = body.matchType;
+    if (body.note !== undefined) data.note = body.note || null;
+    if ('enabled' in body) data.enabled = Boolean(body.enabled);
+    if (body.siteId !== undefined || body.categoryId !== undefined) {
+      data.siteId = body.siteId || null;
+      data.categoryId = body.categoryId || null;
+    }
+    const error = validateModelPattern({ pattern: data.pattern ?? current.pattern, matchType: data.matchType ?? current.matchType }) ||
+      await checkIgnoreScope({ siteId: data.siteId, categoryId: data.categoryId });
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    return prisma.ignoreRule.update({ where: { id }, data });
+  });
+
+  fastify.delete('/api/ignore-rules/:id', {
+    schema: { params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } }
+  }, async (request, reply) => {
+    try {
+      await prisma.ignoreRule.delete({ where: { id: request.params.id } });
+      return { ok: true };
+    } catch (e) {
+      if (e.code === 'P2025') {
+        return reply.code(404).send({ error: '忽略规则不存在' });
+      }
+      throw e;
+    }
+  });
+
+  // 试用规则：列出会被忽略的模型
+  fastify.post('/api/ignore-rules/test', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['pattern'],
+        properties: {
+          pattern: ignoreRuleProperties.pattern,
+          matchType: ignoreRuleProperties.matchType,
+          siteId: ignoreRuleProperties.siteId,
+          categoryId: ignoreRuleProperties.categoryId
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { pattern, matchType = 'glob', siteId = null, categoryId = null } = request.body;
+    const error = validateModelPattern({ pattern: pattern.trim(), matchType });
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    const where = siteId ? { id: siteId } : categoryId ? { categoryId } : {};
+    return { matches: await findMatchingModels(compileModelPattern({ pattern: pattern.trim(), matchType }), where) };
+  });
+
+  // 模型别名：把不同站点上同一模型的不同名称统一为规范名称
+  const modelAliasProperties = {
+    pattern: { type: 'string', minLength: 1 },
+    matchType: { type: 'string', enum: Object.keys(PATTERN_MATCH_TYPES) },
+    canonical: { type: 'string', minLength: 1 },
+    note: { type: ['string', 'null'] },
+    enabled: { type: 'boolean' }
+  };
+
+  fastify.get('/api/model-aliases', async () => {
+    return prisma.modelAlias.findMany({ orderBy: { createdAt: 'asc' } });
+  });
+
+  fastify.post('/api/model-aliases', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['pattern', 'canonical'],
+        properties: modelAliasProperties
+      }
+    }
+  }, async (request, reply) => {
+    const { pattern, matchType = 'glob', canonical, note = null, enabled = true } = request.body;
+    const error = validateModelPattern({ pattern: pattern.trim(), matchType }) || (canonical.trim() ? null : '请填写规范名称');
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    const alias = await prisma.modelAlias.create({
+      data: { pattern: pattern.trim(), matchType, canonical: canonical.trim().toLowerCase(), note: note || null, enabled }
+    });
+    await refreshCanonicalNames();
+    return alias;
+  });
+
+  fastify.patch('/api/model-aliases/:id', {
+    schema: {
+      params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      body: { type: 'object', properties: modelAliasProperties }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const body = request.body || {};
+    const current = await prisma.modelAlias.findUnique({ where: { id } });
+    if (!current) {
+      return reply.code(404).send({ error: '模型别名不存在' });
+    }
+    const data = {};
+    if (body.pattern !== undefined) data.pattern = body.pattern.trim();
+    if (body.matchType !== undefined) data.matchType = body.matchType;
+    if (body.canonical !== undefined) data.canonical = body.canonical.trim().toLowerCase();
+    if (body.note !== undefined) data.note = body.note || null;
+    if ('enabled' in body) data.enabled = Boolean(body.enabled);
+    const error = validateModelPattern({ pattern: data.pattern ?? current.pattern, matchType: data.matchType ?? current.matchType }) ||
+      (data.canonical === '' ? '请填写规范名称' : null);
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    const alias = await prisma.modelAlias.update({ where: { id }, data });
+    await refreshCanonicalNames();
+    return alias;
+  });
+
+  fastify.delete('/api/model-aliases/:id', {
+    schema: { params: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } }
+  }, async (request, reply) => {
+    try {
+      await prisma.modelAlias.delete({ where: { id: request.params.id } });
+    } catch (e) {
+      if (e.code === 'P2025') {
+        return reply.code(404).send({ error: '模型别名不存在' });
+      }
+      throw e;
+    }
+    await refreshCanonicalNames();
+    return { ok: true };
+  });
+
+  // 试用别名：列出各站点当前提供的模型中能被匹配的原始名称（也匹配内置规则规范化后的名称）
+  fastify.post('/api/model-aliases/test', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['pattern'],
+        properties: {
+          pattern: modelAliasProperties.pattern,
+          matchType: modelAliasProperties.matchType
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { pattern, matchType = 'glob' } = request.body;
+    const error = validateModelPattern({ pattern: pattern.trim(), matchType });
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+    const regex = compileModelPattern({ pattern: pattern.trim(), matchType });
+    const rows = await prisma.modelPresence.findMany({ where: { present: true }, select: { model: true, canonical: true } });
+    const matches = new Map();
+    for (const row of rows) {
+      if (!regex.test(row.model) && !regex.test(builtinCanonicalName(row.model))) continue;
+      const entry = matches.get(row.model) || { model: row.model, canonical: row.canonical || row.model, siteCount: 0 };
+      entry.siteCount++;
+      matches.set(row.model, entry);
+    }
+    return { matches: [...matches.values()].sort((a, b) => a.model.localeCompare(b.model)) };
+  });
+
+  // 当前的合并结果：规范名称对应多个原始名称，或原始名称被改写的模型
+  fastify.get('/api/model-aliases/merged', async () => {
+    const rows = await prisma.modelPresence.findMany({ where: { present: true }, select: { model: true, canonical: true } });
+    const groups = new Map();
+    for (const row of rows) {
+      const canonical = row.canonical || row.model;
+      if (!groups.has(canonical)) groups.set(canonical, { canonical, models: new Map() });
+      const models = groups.get(canonical).models;
+      models.set(row.model, (models.get(row.model) || 0) + 1);
+    }
+    return [...groups.values()]
+      .filter(g => g.models.size > 1 || !g.models.has(g.canonical))
+      .map(g => ({
+        canonical: g.canonical,
+        models: [...g.models].map(([model, siteCount]) => ({ model, siteCount })).sort((a, b) => a.model.localeCompare(b.model))
+      }))
+      .sort((a, b) => a.canonical.localeCompare(b.canonical));
+  });
+
+  // 按当前的忽略规则重新计算模型变更记录和模型出现记录，可只处理一个站点
+  fastify.post('/api/model-diffs/recompute', async (request, reply) => {
+    const siteId = request.body?.siteId;
+    const sites = await prisma.site.findMany({ where: siteId ? { id: siteId } : {} });
+    if (siteId && sites.length === 0) {
+      return reply.code(404).send({ error: '站点不存在' });
+    }
+    const total = { sites: sites.length, created: 0, updated: 0, deleted: 0, failed: [] };
+    for (const site of sites) {
+      try {
+        const stats = await recomputeSiteDiffs(site);
+        total.created += stats.created;
+        total.updated += stats.updated;
+        total.deleted += stats.deleted;
+        await rebuildModelPresence(site);
+      } catch (e) {
+        request.log.error(e);
+        total.failed.push({ siteName: site.name, error: e.message });
+      }
+    }
+    return total;
+  });
+
   // 分类一键检测
   fastify.post('/api/categories/:id/check', {
     schema: { 
@@ -1465,6 +2336,173 @@ async function updateScheduleConfigHandler(request, reply) {
   }
 }
 
+/**
+ * 各站点最近一次检测到的模型中与规则匹配的模型（试用关注规则和忽略规则）
+ * @param {RegExp} regex - 编译后的规则
+ * @param {Object} where - 站点查询条件
+ * @param {Function|null} canonicalize - 同时匹配规范名称时传入（关注规则）
+ * @returns {Promise<Array>} - [{ siteId, siteName, models }]，只包含有匹配的站点
+ */
+async function findMatchingModels(regex, where, canonicalize = null) {
+  const sites = await prisma.site.findMany({
+    where,
+    select: { id: true, name: true },
+    orderBy: [{ pinned: 'desc' }, { createdAt: 'desc' }]
+  });
+  const matches = [];
+  for (const site of sites) {
+    const snap = await prisma.modelSnapshot.findFirst({
+      where: { siteId: site.id, errorMessage: null, hash: { not: '' } },
+      orderBy: { fetchedAt: 'desc' },
+      select: { modelsJson: true }
+    });
+    const models = safeParse(snap?.modelsJson, []).map(m => m.id)
+      .filter(id => id && (regex.test(id) || (canonicalize && regex.test(canonicalize(id)))));
+    if (models.length > 0) matches.push({ siteId: site.id, siteName: site.name, models: [...new Set(models)].sort() });
+  }
+  return matches;
+}
+
+/**
+ * 校验分类或站点的通知渠道设置（逗号分隔的渠道 ID）
+ * @returns {Promise<Object>} - { value: 保存的值，空列表为 null } 或 { error }
+ */
+async function normalizeNotifyChannels(value) {
+  const ids = [...new Set(parseChannelIds(value))];
+  if (ids.length === 0) return { value: null };
+  const count = await prisma.notificationChannel.count({ where: { id: { in: ids } } });
+  if (count !== ids.length) return { error: '通知渠道不存在' };
+  return { value: ids.join(',') };
+}
+
+// 代理接口公共部分：查找站点并确认其类型支持对应能力
+async function loadSiteAdapter(id, capability, unsupportedMessage) {
+  const site = await prisma.site.findUnique({ where: { id } });
+  if (!site) throw siteError('站点不存在', 404);
+  const adapter = getAdapter(site.apiType);
+  if (!adapter.capabilities[capability]) throw siteError(unsupportedMessage, 400);
+  return { site, adapter };
+}
+
+// 每个站点最近一次成功的价格快照
+async function loadLatestPricing() {
+  const sites = await prisma.site.findMany({ include: { category: true } });
+  const latest = await Promise.all(sites.map(async (site) => {
+    const snap = await prisma.pricingSnapshot.findFirst({
+      where: { siteId: site.id, errorMessage: null },
+      orderBy: { fetchedAt: 'desc' }
+    });
+    return snap ? { site, snap, pricing: safeParse(snap.pricingJson, {}) } : null;
+  }));
+  return latest.filter(Boolean);
+}
+
+/**
+ * 站点上某个模型的健康状况：最近一次模型检测、是否在模型列表中、最近一次探测和指纹校验
+ * @returns {Promise<Object>} - { health: healthy|unhealthy|unknown, healthReasons, probe }
+ */
+async function siteModelHealth(siteId, model) {
+  const [lastCheck, probe, fingerprint] = await Promise.all([
+    // 仅签到的快照不含模型列表，不计入
+    prisma.modelSnapshot.findFirst({
+      where: { siteId, OR: [{ errorMessage: { not: null } }, { hash: { not: '' } }] },
+      orderBy: { fetchedAt: 'desc' },
+      select: { errorMessage: true, modelsJson: true }
+    }),
+    prisma.modelProbe.findFirst({
+      where: { siteId, model },
+      orderBy: { probedAt: 'desc' },
+      select: { success: true, errorMessage: true, ttft: true, probedAt: true }
+    }),
+    prisma.modelFingerprint.findFirst({
+      where: { siteId, model, errorMessage: null },
+      orderBy: { checkedAt: 'desc' },
+      select: { flagged: true }
+    })
+  ]);
+
+  const healthReasons = [];
+  if (lastCheck?.errorMessage) healthReasons.push(`最近一次检测失败：${lastCheck.errorMessage}`);
+  if (lastCheck && !lastCheck.errorMessage && !safeParse(lastCheck.modelsJson, []).some(m => m.id === model)) {
+    healthReasons.push('模型不在模型列表中');
+  }
+  if (probe && !probe.success) healthReasons.push(`探测失败：${probe.errorMessage || '未知错误'}`);
+  if (fingerprint?.flagged) healthReasons.push('疑似模型替换');
+
+  const health = healthReasons.length > 0 ? 'unhealthy' : lastCheck ? 'healthy' : 'unknown';
+  return { health, healthReasons, probe };
+}
+
+/**
+ * 模型目录使用的健康状况，与 siteModelHealth 的判断一致，但一次读取所有站点
+ * 只读取各站点最近一次检测是否失败，以及各模型最近一次的探测和指纹校验结果，不解析模型列表
+ * @returns {Promise<Object>} - { reasonsFor(siteId, model) => 异常原因列表 }
+ */
+async function loadCatalogHealth() {
+  const sites = await prisma.site.findMany({ select: { id: true } });
+  const [lastChecks, probes, fingerprints] = await Promise.all([
+    // 仅签到的快照不含模型列表，不计入
+    Promise.all(sites.map(s => prisma.modelSnapshot.findFirst({
+      where: { siteId: s.id, OR: [{ errorMessage: { not: null } }, { hash: { not: '' } }] },
+      orderBy: { fetchedAt: 'desc' },
+      select: { siteId: true, errorMessage: true }
+    }))),
+    findLatestPerModel(prisma.modelProbe, 'probedAt', {}, { success: true, errorMessage: true }),
+    findLatestPerModel(prisma.modelFingerprint, 'checkedAt', { errorMessage: null }, { flagged: true })
+  ]);
+
+  const checkErrors = new Map(lastChecks.filter(c => c?.errorMessage).map(c => [c.siteId, c.errorMessage]));
+  const key = (siteId, model) => `${siteId}\n${model}`;
+  const brokenProbes = new Map(probes.filter(p => !p.success).map(p => [key(p.siteId, p.model), p.errorMessage]));
+  const flagged = new Set(fingerprints.filter(f => f.flagged).map(f => key(f.siteId, f.model)));
+
+  return {
+    reasonsFor(siteId, model) {
+      const reasons = [];
+      if (checkErrors.has(siteId)) reasons.push(`最近一次检测失败：${checkErrors.get(siteId)}`);
+      if (brokenProbes.has(key(siteId, model))) reasons.push(`探测失败：${brokenProbes.get(key(siteId, model)) || '未知错误'}`);
+      if (flagged.has(key(siteId, model))) reasons.push('疑似模型替换');
+      return reasons;
+    }
+  };
+}
+
+/**
+ * 每个站点每个模型最近一次的记录（探测、指纹校验）
+ * 先按 (siteId, model) 取最新时间，再只读取这些记录，避免读取全部历史
+ * @param {Object} delegate - prisma.modelProbe 或 prisma.modelFingerprint
+ * @param {string} timeField - 时间字段
+ * @param {Object} where - 额外的查询条件
+ * @param {Object} select - 需要的字段（siteId、model 总是返回）
+ * @returns {Promise<Array>}
+ */
+async function findLatestPerModel(delegate, timeField, where, select) {
+  const groups = await delegate.groupBy({ by: ['siteId', 'model'], where, _max: { [timeField]: true } });
+  const rows = [];
+  for (let i = 0; i < groups.length; i += LATEST_LOOKUP_BATCH) {
+    const batch = groups.slice(i, i + LATEST_LOOKUP_BATCH);
+    rows.push(...await delegate.findMany({
+      where: { ...where, OR: batch.map(g => ({ siteId: g.siteId, model: g.model, [timeField]: g._max[timeField] })) },
+      select: { siteId: true, model: true, ...select }
+    }));
+  }
+  return rows;
+}
+
+/**
+ * 站点对比中共有模型最便宜的站点
+ * 至少两个站点有价格且计费方式相同时才比较，价格相同时返回 null
+ * @param {Array} offers - [{ siteId, price }]
+ * @param {Function} comparePrices - pricing.comparePrices
+ * @returns {string|null}
+ */
+function cheapestOffer(offers, comparePrices) {
+  const priced = offers.filter(o => o.price).sort((a, b) => comparePrices(a.price, b.price));
+  if (priced.length < 2 || new Set(priced.map(o => o.price.type)).size > 1) return null;
+  const [first, last] = [priced[0], priced[priced.length - 1]];
+  return comparePrices(first.price, last.price) < 0 ? first.siteId : null;
+}
+
 function safeParse(s, def) {
   try { return JSON.parse(s) } catch (_) { return def }
 }
@@ -3,13 +3,15 @@ const { prisma } = require('./db');
 const { decrypt } = require('./crypto');
 const { sendModelChangeNotification } = require('./notifier');
 const { performCheckIn, shouldCheckIn, shouldCheckModels } = require('./checkin');
-
-// 辅助函数：获取嵌套对象的值
-function getNestedValue(obj, path) {
-  return path.split('.').reduce((current, key) => {
-    return current && current[key] !== undefined ? current[key] : undefined;
-  }, obj);
-}
+const { getAdapter } = require('./adapters');
+const { probeSite, resolveProbeKey, parseProbeModels } = require('./probe');
+const { fingerprintModel } = require('./fingerprint');
+const { normalizePricing, hashPricing, computePricingDiff, selectPriceHikes } = require('./pricing');
+const { evaluateAlertRules } = require('./alerts');
+const { matchWatchRules } = require('./watchlist');
+const { loadIgnoreMatcher, filterIgnored } = require('./ignore');
+const { updateModelPresence } = require('./presence');
+const { loadCanonicalizer, withCanonicalNames } = require('./canonical');
 
 function normalizeModels(response) {
   if (!response) return [];
@@ -45,579 +47,190 @@ function hashModels(models) {
   return crypto.createHash('sha256').update(json).digest('hex');
 }
 
+// 参与对比的模型属性（created 在上游未提供时取检测时间，不参与对比）
+const MODEL_ATTRIBUTES = ['owned_by', 'object', 'type', 'root', 'parent'];
+
+/**
+ * 变更中是否有需要通知的事件（与通知中统计的事件一致）
+ * 属性变化和疑似改名只记录在变更历史中，不单独触发通知
+ * @param {Object} diff - checkSite 中的变更
+ * @returns {boolean}
+ */
+function hasNotifiableChanges(diff) {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.channels.length > 0 ||
+    diff.broken.length > 0 || diff.recovered.length > 0 || diff.flagged.length > 0 || diff.watched.length > 0 ||
+    diff.priceHikes.models.length > 0 || diff.priceHikes.groups.length > 0;
+}
+
 function computeDiff(prevList, nextList) {
   const prevMap = new Map(prevList.map((m) => [m.id, m]));
   const nextMap = new Map(nextList.map((m) => [m.id, m]));
   const added = [];
   const removed = [];
+  const changed = [];
   
-  // 只检测模型ID的新增和删除，不关注属性变化
   for (const [id, m] of nextMap) {
-    if (!prevMap.has(id)) added.push(m);
+    const prev = prevMap.get(id);
+    if (!prev) {
+      added.push(m);
+      continue;
+    }
+    const fields = MODEL_ATTRIBUTES
+      .filter((field) => JSON.stringify(prev[field] ?? null) !== JSON.stringify(m[field] ?? null))
+      .map((field) => ({ field, from: prev[field] ?? null, to: m[field] ?? null }));
+    if (fields.length > 0) changed.push({ id, fields });
   }
   for (const [id, m] of prevMap) {
     if (!nextMap.has(id)) removed.push(m);
   }
   
-  return { added, removed, changed: [] };
+  return { added, removed, changed, renamed: detectRenames(removed, added) };
 }
 
-// Newapi/Veloera API：获取模型列表
-async function fetchModelsNewapi(baseUrl, apiKey, userId, apiType, fastify) {
-  const url = new URL('api/user/models', baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 15000);
-  const startTime = Date.now();
-  
-  const userHeader = apiType === 'newapi' ? 'new-api-user' : 'veloera-user';
-  
-  try {
-    console.log(`[NEWAPI-REQ] GET ${url}`);
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        [userHeader]: userId,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json'
-      },
-      signal: ac.signal
-    });
-    
-    const responseTime = Date.now() - startTime;
-    const rawText = await res.text();
-    console.log(`[NEWAPI-RES] Status: ${res.status}`);
-    console.log(`[NEWAPI-RES] Body: ${rawText.substring(0, 500)}...`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${rawText}`);
-    }
-    
-    const json = JSON.parse(rawText);
-    if (!json.success || !Array.isArray(json.data)) {
-      throw new Error('Invalid response format');
-    }
-    
-    // 转换为OpenAI格式
-    // Newapi/Veloera返回的是字符串数组，不是对象数组
-    const models = json.data.map(m => {
-      if (typeof m === 'string') {
-        return {
-          id: m,
-          object: 'model',
-          owned_by: apiType === 'newapi' ? 'new-api' : 'veloera',
-          created: Date.now() / 1000
-        };
-      }
-      return {
-        id: m.id || m.model || m,
-        object: 'model',
-        owned_by: m.owned_by || (apiType === 'newapi' ? 'new-api' : 'veloera'),
-        created: Date.now() / 1000
-      };
-    });
-    
-    return {
-      models,
-      rawResponse: rawText,
-      statusCode: res.status,
-      responseTime,
-      errorMessage: null
-    };
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    console.log(`[NEWAPI-ERR] ${error.message}`);
-    throw {
-      error,
-      rawResponse: null,
-      statusCode: null,
-      responseTime,
-      errorMessage: error.message
-    };
-  } finally {
-    clearTimeout(timeout);
+// 名称相似度达到该值的移除/新增模型视为疑似改名
+const RENAME_SIMILARITY = 0.8;
+// 移除数 × 新增数超过该值时视为整体更换，不再逐对比较
+const RENAME_MAX_PAIRS = 10000;
+// 模型名末尾的日期或版本号，如 -2024-08-06、-20240620、-0613、-v2、-latest
+const VERSION_SUFFIX = /[-_.@:](\d{4}-?\d{2}-?\d{2}|\d{2}-?\d{2}|v?\d+(\.\d+)*|latest|preview|exp|beta|alpha)$/i;
+
+// 去掉末尾最多两段日期或版本号，得到模型的基础名称
+function modelBaseName(id) {
+  let base = String(id || '').toLowerCase();
+  for (let i = 0; i < 2; i++) {
+    const next = base.replace(VERSION_SUFFIX, '');
+    if (next === base || next.length < 2) break;
+    base = next;
   }
+  return base;
 }
 
-// Newapi/Veloera API：获取用户信息（billing）
-async function fetchUserInfoNewapi(baseUrl, apiKey, userId, apiType, fastify) {
-  const url = new URL('api/user/self', baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 10000);
-  
-  const userHeader = apiType === 'newapi' ? 'new-api-user' : 'veloera-user';
-  
-  try {
-    console.log(`[NEWAPI-REQ] GET ${url}`);
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        [userHeader]: userId,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json'
-      },
-      signal: ac.signal
-    });
-    
-    const rawText = await res.text();
-    console.log(`[NEWAPI-RES] Status: ${res.status}`);
-    console.log(`[NEWAPI-RES] Body: ${rawText}`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${rawText}`);
-    }
-    
-    const data = JSON.parse(rawText);
-    if (!data.success || !data.data) {
-      throw new Error('Invalid user info response');
-    }
-    
-    const userData = data.data;
-    // 根据API类型设置不同的转换比例
-    let conversionRatio;
-    if (apiType === 'newapi') {
-      conversionRatio = 500000; // Newapi: 500000 = $1
-    } else if (apiType === 'veloera') {
-      conversionRatio = 500000; // Veloera: 500000 = $1 (修正后)
-    } else {
-      conversionRatio = 500000; // 默认值
-    }
-    
-    console.log(`[QUOTA-CONVERSION] API类型: ${apiType}, 转换比例: ${conversionRatio}:1`);
-    console.log(`[QUOTA-CONVERSION] 原始quota: ${userData.quota || 0}, 原始used_quota: ${userData.used_quota || 0}`);
-    
-    const quotaInDollars = (userData.quota || 0) / conversionRatio;
-    const usedQuotaInDollars = (userData.used_quota || 0) / conversionRatio;
-    
-    console.log(`[QUOTA-CONVERSION] 转换后quota: $${quotaInDollars.toFixed(6)}, 转换后used_quota: $${usedQuotaInDollars.toFixed(6)}`);
-    const totalQuotaInDollars = quotaInDollars + usedQuotaInDollars; // 总额度 = 当前余额 + 已使用
-    
-    console.log(`[QUOTA-CONVERSION] 当前余额: $${quotaInDollars.toFixed(6)}, 已使用: $${usedQuotaInDollars.toFixed(6)}, 总额度: $${totalQuotaInDollars.toFixed(6)}`);
-    
-    return {
-      quota: totalQuotaInDollars, // 返回总额度
-      usedQuota: usedQuotaInDollars, // 返回已使用额度
-      status: userData.status
-    };
-  } catch (error) {
-    console.log(`[NEWAPI-ERR] User info: ${error.message}`);
-    throw error;
-  } finally {
-    clearTimeout(timeout);
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
   }
+  return prev[b.length];
 }
 
-// DoneHub API：获取模型列表
-async function fetchModelsDonehub(baseUrl, apiKey, fastify) {
-  const url = new URL('api/available_model', baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 15000);
-  const startTime = Date.now();
-  
-  try {
-    console.log(`[DONEHUB-REQ] GET ${url}`);
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json'
-      },
-      signal: ac.signal
-    });
-    
-    const responseTime = Date.now() - startTime;
-    const rawText = await res.text();
-    console.log(`[DONEHUB-RES] Status: ${res.status}`);
-    console.log(`[DONEHUB-RES] Body: ${rawText.substring(0, 500)}...`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${rawText}`);
-    }
-    
-    const json = JSON.parse(rawText);
-    if (!json.data) {
-      throw new Error('Invalid response format');
-    }
-    
-    // 提取模型名称
-    const models = Object.keys(json.data).map(modelId => ({
-      id: modelId,
-      object: 'model',
-      owned_by: json.data[modelId].owned_by || 'unknown',
-      created: Date.now() / 1000
-    }));
-    
-    return {
-      models,
-      rawResponse: rawText,
-      statusCode: res.status,
-      responseTime,
-      errorMessage: null
-    };
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    console.log(`[DONEHUB-ERR] ${error.message}`);
-    throw {
-      error,
-      rawResponse: null,
-      statusCode: null,
-      responseTime,
-      errorMessage: error.message
-    };
-  } finally {
-    clearTimeout(timeout);
-  }
+// 名称相似度：1 - 编辑距离 / 较长名称的长度，不区分大小写
+function modelNameSimilarity(a, b) {
+  const x = String(a || '').toLowerCase();
+  const y = String(b || '').toLowerCase();
+  const len = Math.max(x.length, y.length);
+  return len === 0 ? 1 : 1 - levenshtein(x, y) / len;
 }
 
-// VOAPI API：获取用户信息（billing）
-async function fetchUserInfoVoapi(baseUrl, jwtToken, fastify) {
-  const url = new URL('api/user/info', baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 10000);
-  
-  try {
-    console.log(`[VOAPI-REQ] GET ${url}`);
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': jwtToken, // VOAPI直接使用JWT token
-        'Content-Type': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json'
-      },
-      signal: ac.signal
-    });
-    
-    const rawText = await res.text();
-    console.log(`[VOAPI-RES] Status: ${res.status}`);
-    console.log(`[VOAPI-RES] Body: ${rawText}`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${rawText}`);
-    }
-    
-    const data = JSON.parse(rawText);
-    if (data.code !== 0 || !data.data) {
-      throw new Error('Invalid user info response');
+/**
+ * 在同一次变更的移除和新增模型之间寻找疑似改名或版本更新
+ * 基础名称相同（只差日期或版本号）的记为 version，名称足够相似的记为 similar
+ * 按得分从高到低配对，每个模型最多出现在一对中
+ * @param {Array} removed - 移除的模型
+ * @param {Array} added - 新增的模型
+ * @returns {Array} - [{ from, to, reason: version|similar, similarity }]
+ */
+function detectRenames(removed, added) {
+  if (removed.length === 0 || added.length === 0 || removed.length * added.length > RENAME_MAX_PAIRS) return [];
+
+  const candidates = [];
+  for (const r of removed) {
+    for (const a of added) {
+      if (!r.id || !a.id) continue;
+      const similarity = modelNameSimilarity(r.id, a.id);
+      const sameBase = modelBaseName(r.id) === modelBaseName(a.id);
+      if (!sameBase && similarity < RENAME_SIMILARITY) continue;
+      candidates.push({ from: r.id, to: a.id, reason: sameBase ? 'version' : 'similar', similarity: Math.round(similarity * 100) / 100 });
     }
-    
-    const userData = data.data;
-    // VOAPI: bindBalance + basicBalance = 总余额, usedBindBalance + usedBasicBalance = 已使用
-    const totalBalance = parseFloat(userData.bindBalance || 0) + parseFloat(userData.basicBalance || 0);
-    const totalUsed = parseFloat(userData.usedBindBalance || 0) + parseFloat(userData.usedBasicBalance || 0);
-    
-    console.log(`[VOAPI-QUOTA] 总余额: $${totalBalance.toFixed(6)}, 已使用: $${totalUsed.toFixed(6)}`);
-    
-    return {
-      quota: totalBalance,
-      usedQuota: totalUsed,
-      status: userData.ban ? 'banned' : 'active'
-    };
-  } catch (error) {
-    console.log(`[VOAPI-ERR] User info: ${error.message}`);
-    throw error;
-  } finally {
-    clearTimeout(timeout);
   }
-}
+  candidates.sort((x, y) => (x.reason === y.reason ? 0 : x.reason === 'version' ? -1 : 1) || y.similarity - x.similarity);
 
-// DoneHub API：获取用户信息（billing）
-async function fetchUserInfoDonehub(baseUrl, apiKey, fastify) {
-  const url = new URL('api/user/self', baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 10000);
-  
-  try {
-    console.log(`[DONEHUB-REQ] GET ${url}`);
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json'
-      },
-      signal: ac.signal
-    });
-    
-    const rawText = await res.text();
-    console.log(`[DONEHUB-RES] Status: ${res.status}`);
-    console.log(`[DONEHUB-RES] Body: ${rawText}`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${rawText}`);
-    }
-    
-    const data = JSON.parse(rawText);
-    if (!data.success || !data.data) {
-      throw new Error('Invalid user info response');
-    }
-    
-    const userData = data.data;
-    // DoneHub: 500000 = $1 (可配置)
-    const conversionRatio = 500000; // DoneHub的转换比例
-    const quotaInDollars = (userData.quota || 0) / conversionRatio;
-    const usedQuotaInDollars = (userData.used_quota || 0) / conversionRatio;
-    
-    console.log(`[DONEHUB-QUOTA-CONVERSION] 转换后quota: $${quotaInDollars.toFixed(6)}, 转换后used_quota: $${usedQuotaInDollars.toFixed(6)}`);
-    const totalQuotaInDollars = quotaInDollars + usedQuotaInDollars; // 总额度 = 当前余额 + 已使用
-    
-    console.log(`[DONEHUB-QUOTA-CONVERSION] 当前余额: $${quotaInDollars.toFixed(6)}, 已使用: $${usedQuotaInDollars.toFixed(6)}, 总额度: $${totalQuotaInDollars.toFixed(6)}`);
-    
-    return {
-      quota: totalQuotaInDollars, // 返回总额度
-      usedQuota: usedQuotaInDollars, // 返回已使用额度
-      status: userData.status
-    };
-  } catch (error) {
-    console.log(`[DONEHUB-ERR] User info: ${error.message}`);
-    throw error;
-  } finally {
-    clearTimeout(timeout);
+  const used = new Set();
+  const renamed = [];
+  for (const c of candidates) {
+    if (used.has(`-${c.from}`) || used.has(`+${c.to}`)) continue;
+    used.add(`-${c.from}`);
+    used.add(`+${c.to}`);
+    renamed.push(c);
   }
+  return renamed;
 }
 
-// 获取billing订阅额度信息
-async function fetchBillingSubscription(baseUrl, apiKey, fastify) {
-  const url = new URL('v1/dashboard/billing/subscription', baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 10000);
-  
-  try {
-    console.log(`[BILLING-REQ] GET ${url}`);
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: { 
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'application/json, text/plain, */*',
-        'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      },
-      signal: ac.signal
-    });
-    
-    const rawText = await res.text();
-    console.log(`[BILLING-RES] Status: ${res.status}`);
-    console.log(`[BILLING-RES] Body: ${rawText}`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${rawText}`);
-    }
-    
-    const data = JSON.parse(rawText);
-    return data.system_hard_limit_usd || null;
-  } catch (error) {
-    console.log(`[BILLING-ERR] Subscription: ${error.message}`);
-    fastify?.log?.warn({ msg: 'Failed to fetch billing subscription', error: error.message });
-    throw error; // 抛出错误而不是返回null
-  } finally {
-    clearTimeout(timeout);
-  }
+// 渠道状态：1 启用，2 手动禁用，3 自动禁用
+function isChannelEnabled(status) {
+  return Number(status) === 1;
 }
 
-// 获取自定义billing信息
-async function fetchCustomBilling(site, fastify) {
-  if (!site.billingUrl) {
-    throw new Error('No custom billing URL configured');
-  }
-  
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 10000);
-  
-  try {
-    console.log(`[CUSTOM-BILLING-REQ] GET ${site.billingUrl}`);
-    
-    // 准备认证头
-    const headers = {
-      'Content-Type': 'application/json',
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-      'Accept': 'application/json'
-    };
-    
-    if (site.billingAuthValue) {
-      const authValue = decrypt(site.billingAuthValue);
-      if (site.billingAuthType === 'token') {
-        headers['Authorization'] = authValue.startsWith('Bearer ') ? authValue : `Bearer ${authValue}`;
-      } else if (site.billingAuthType === 'cookie') {
-        headers['Cookie'] = authValue;
-      }
-    }
-    
-    const res = await fetch(site.billingUrl, {
-      method: 'GET',
-      headers,
-      signal: ac.signal
-    });
-    
-    const rawText = await res.text();
-    console.log(`[CUSTOM-BILLING-RES] Status: ${res.status}`);
-    console.log(`[CUSTOM-BILLING-RES] Body: ${rawText}`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${rawText}`);
-    }
-    
-    const data = JSON.parse(rawText);
-    
-    // 尝试从响应中提取billing信息
-    let billingLimit = null;
-    let billingUsage = null;
-    
-    // 使用自定义字段映射（如果配置了）
-    if (site.billingLimitField && site.billingUsageField) {
-      // 支持嵌套字段，如 "data.balance"
-      const limitValue = getNestedValue(data, site.billingLimitField);
-      const usageValue = getNestedValue(data, site.billingUsageField);
-      
-      if (limitValue !== undefined) billingLimit = parseFloat(limitValue);
-      if (usageValue !== undefined) billingUsage = parseFloat(usageValue);
-      
-      console.log(`[CUSTOM-BILLING] 使用自定义字段映射: ${site.billingLimitField}=${limitValue}, ${site.billingUsageField}=${usageValue}`);
-    } else {
-      // 使用默认的字段名匹配
-      // 常见的字段名
-      if (data.limit !== undefined) billingLimit = parseFloat(data.limit);
-      if (data.usage !== undefined) billingUsage = parseFloat(data.usage);
-      if (data.quota !== undefined) billingLimit = parseFloat(data.quota);
-      if (data.used !== undefined) billingUsage = parseFloat(data.used);
-      if (data.balance !== undefined) billingLimit = parseFloat(data.balance);
-      if (data.consumed !== undefined) billingUsage = parseFloat(data.consumed);
-      
-      // OpenAI格式
-      if (data.system_hard_limit_usd !== undefined) billingLimit = parseFloat(data.system_hard_limit_usd);
-      if (data.total_usage !== undefined) billingUsage = parseFloat(data.total_usage) * 0.01;
-    }
-    
-    return {
-      billingLimit,
-      billingUsage,
-      rawResponse: rawText
-    };
-  } catch (error) {
-    console.log(`[CUSTOM-BILLING-ERR] ${error.message}`);
-    fastify?.log?.warn({ msg: 'Failed to fetch custom billing', error: error.message });
-    throw error;
-  } finally {
-    clearTimeout(timeout);
-  }
+function roundBalance(balance) {
+  return balance === null || balance === undefined ? null : Math.round(balance * 100) / 100;
 }
 
-// 获取billing使用量信息
-async function fetchBillingUsage(baseUrl, apiKey, fastify) {
-  const url = new URL('v1/dashboard/billing/usage', baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 10000);
-  
-  try {
-    console.log(`[BILLING-REQ] GET ${url}`);
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: { 
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'application/json, text/plain, */*',
-        'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      },
-      signal: ac.signal
-    });
-    
-    const rawText = await res.text();
-    console.log(`[BILLING-RES] Status: ${res.status}`);
-    console.log(`[BILLING-RES] Body: ${rawText}`);
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${rawText}`);
+/**
+ * 对比两次渠道快照，生成渠道变更事件
+ * @param {Array} prevList - 上次的渠道列表
+ * @param {Array} nextList - 本次的渠道列表
+ * @returns {Array} - [{ channelId, name, event: added|removed|disabled|enabled|balance, from, to }]
+ */
+function computeChannelDiff(prevList, nextList) {
+  const prevMap = new Map(prevList.map((c) => [c.channelId, c]));
+  const nextMap = new Map(nextList.map((c) => [c.channelId, c]));
+  const events = [];
+
+  for (const [id, c] of nextMap) {
+    const prev = prevMap.get(id);
+    if (!prev) {
+      events.push({ channelId: id, name: c.name, event: 'added', from: null, to: c.status });
+      continue;
+    }
+    if (isChannelEnabled(prev.status) && !isChannelEnabled(c.status)) {
+      events.push({ channelId: id, name: c.name, event: 'disabled', from: prev.status, to: c.status });
+    } else if (!isChannelEnabled(prev.status) && isChannelEnabled(c.status)) {
+      events.push({ channelId: id, name: c.name, event: 'enabled', from: prev.status, to: c.status });
+    }
+    const prevBalance = roundBalance(prev.balance);
+    const nextBalance = roundBalance(c.balance);
+    if (prevBalance !== nextBalance) {
+      events.push({ channelId: id, name: c.name, event: 'balance', from: prevBalance, to: nextBalance });
     }
-    
-    const data = JSON.parse(rawText);
-    // total_usage 单位为 0.01 美元，需要乘以 0.01
-    return data.total_usage ? (data.total_usage * 0.01) : null;
-  } catch (error) {
-    console.log(`[BILLING-ERR] Usage: ${error.message}`);
-    fastify?.log?.warn({ msg: 'Failed to fetch billing usage', error: error.message });
-    throw error; // 抛出错误而不是返回null
-  } finally {
-    clearTimeout(timeout);
   }
+  for (const [id, c] of prevMap) {
+    if (!nextMap.has(id)) events.push({ channelId: id, name: c.name, event: 'removed', from: c.status, to: null });
+  }
+
+  return events;
 }
 
-async function fetchModels(baseUrl, apiKey, fastify) {
-  // 使用相对路径（不带前导/）以保留 baseUrl 中的路径部分（如 /api）
-  const url = new URL('v1/models', baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 15000);
-  const startTime = Date.now();
-  
-  try {
-    // VERSION: v2.0-simplified (只用2个头，模仿Python)
-    fastify?.log?.info({ msg: 'Fetching with v2.0-simplified headers', url: url.toString() });
-    
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: { 
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      signal: ac.signal
-    });
-    
-    const responseTime = Date.now() - startTime;
-    const rawText = await res.text();
-    
-    let json;
-    try {
-      json = JSON.parse(rawText);
-    } catch (e) {
-      throw new Error(`Invalid JSON response: ${rawText.substring(0, 200)}`);
-    }
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${rawText.substring(0, 200)}`);
+/**
+ * 对比探测结果和各模型上一次的探测结果
+ * 只关注出现在模型列表中的模型：列出但不可用（broken）、恢复可用（recovered）
+ * @param {Map} prevMap - model -> 上一次的 ModelProbe
+ * @param {Array} results - 本次探测结果（含 listed）
+ * @returns {Object} - { broken, recovered }
+ */
+function computeProbeChanges(prevMap, results) {
+  const broken = [];
+  const recovered = [];
+  for (const r of results) {
+    if (!r.listed) continue;
+    const prev = prevMap.get(r.model);
+    const prevBroken = prev && prev.listed && !prev.success;
+    if (!r.success && !prevBroken) {
+      broken.push({ model: r.model, statusCode: r.statusCode, errorMessage: r.errorMessage });
+    } else if (r.success && prevBroken) {
+      recovered.push({ model: r.model, latency: r.latency, ttft: r.ttft });
     }
-    
-    const models = normalizeModels(json);
-    
-    return {
-      models,
-      rawResponse: rawText,
-      statusCode: res.status,
-      responseTime,
-      errorMessage: null
-    };
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    
-    // 详细的错误日志
-    fastify?.log?.error({
-      msg: 'Fetch error details',
-      url: url.toString(),
-      errorName: error.name,
-      errorMessage: error.message,
-      errorStack: error.stack?.split('\n')[0],
-      responseTime
-    });
-    
-    throw {
-      error,
-      rawResponse: null,
-      statusCode: null,
-      responseTime,
-      errorMessage: error.message
-    };
-  } finally {
-    clearTimeout(timeout);
   }
+  return { broken, recovered };
+}
+
+// 最近几次指纹校验的提示词token数中位数，作为分词器基线
+function tokenBaseline(history) {
+  const values = history.map(f => f.promptTokens).filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+  if (values.length === 0) return null;
+  return values[Math.floor(values.length / 2)];
 }
 
 async function checkSiteById(siteId, fastify, options = {}) {
@@ -727,101 +340,49 @@ async function checkSite(site, fastify, options = {}) {
     billingError = null;
   }
   
-  // 根据API类型选择对应的获取函数
-  let billingPromises;
-  let fetchModelsFunc;
+  // 由站点类型对应的适配器获取模型和billing信息
+  const adapter = getAdapter(site.apiType);
+  const ctx = { apiKey, fastify };
+  let billingPromise = null;
+  
+  if (!site.unlimitedQuota && adapter.capabilities.fetchBalance) {
+    // billing失败只记录错误，不影响模型检测
+    billingPromise = adapter.fetchBalance(site, ctx).catch((err) => ({
+      billingLimit: null,
+      billingUsage: null,
+      billingError: err?.message || String(err)
+    }));
+  }
   
-  if (site.apiType === 'newapi' || site.apiType === 'veloera') {
-    // Newapi/Veloera：使用userId进行鉴权
-    if (!site.userId) {
-      console.log(`[WARN] ${site.apiType} requires userId but it's not set`);
-    }
-    if (!site.unlimitedQuota) {
-      billingPromises = Promise.allSettled([
-        fetchUserInfoNewapi(site.baseUrl, apiKey, site.userId || '1', site.apiType, fastify)
-      ]);
-    }
-    fetchModelsFunc = () => fetchModelsNewapi(site.baseUrl, apiKey, site.userId || '1', site.apiType, fastify);
-  } else if (site.apiType === 'donehub') {
-    // DoneHub：不需要userId
-    if (!site.unlimitedQuota) {
-      billingPromises = Promise.allSettled([
-        fetchUserInfoDonehub(site.baseUrl, apiKey, fastify)
-      ]);
-    }
-    fetchModelsFunc = () => fetchModelsDonehub(site.baseUrl, apiKey, fastify);
-  } else if (site.apiType === 'voapi') {
-    // VOAPI：使用JWT token获取用量，apiKey获取模型
-    if (!site.unlimitedQuota) {
-      const jwtToken = site.billingAuthValue ? decrypt(site.billingAuthValue) : null;
-      if (jwtToken) {
-        billingPromises = Promise.allSettled([
-          fetchUserInfoVoapi(site.baseUrl, jwtToken, fastify)
-        ]);
-      } else {
-        console.log(`[VOAPI-WARN] No JWT token configured for billing`);
-      }
-    }
-    fetchModelsFunc = () => fetchModels(site.baseUrl, apiKey, fastify); // 使用标准OpenAI模式获取模型
-  } else {
-    // Other: 使用原有的OpenAI兼容方式或自定义billing
-    if (!site.unlimitedQuota) {
-      if (site.billingUrl) {
-        // 使用自定义billing URL
-        billingPromises = Promise.allSettled([
-          fetchCustomBilling(site, fastify)
-        ]);
-      } else {
-        // 使用默认的OpenAI兼容billing
-        billingPromises = Promise.allSettled([
-          fetchBillingSubscription(site.baseUrl, apiKey, fastify),
-          fetchBillingUsage(site.baseUrl, apiKey, fastify)
-        ]);
-      }
-    }
-    fetchModelsFunc = () => fetchModels(site.baseUrl, apiKey, fastify);
+  // 管理员模式：同时获取渠道列表，失败只记录错误，不影响模型检测
+  let channelsPromise = null;
+  if (site.adminMode && adapter.capabilities.listChannels) {
+    channelsPromise = adapter.listChannels(site, ctx)
+      .then((channels) => ({ channels, error: null }))
+      .catch((err) => ({ channels: null, error: err?.message || String(err) }));
+  }
+  
+  // 同时获取模型价格，失败只记录错误
+  let pricingPromise = null;
+  if (adapter.capabilities.pricing) {
+    pricingPromise = adapter.pricing(site)
+      .then((raw) => {
+        if (raw?.success === false) throw new Error(raw.message || '获取pricing信息失败');
+        return { pricing: normalizePricing(raw), error: null };
+      })
+      .catch((err) => ({ pricing: null, error: err?.message || String(err) }));
   }
   
   try {
-    const [fetchResult] = await Promise.all([
-      fetchModelsFunc()
-    ]);
+    const fetchResult = await adapter.fetchModels(site, ctx);
     
     // 等待billing结果（仅对非无限余额站点）
-    if (!site.unlimitedQuota && billingPromises) {
-      const billingResults = await billingPromises;
-      
-      // 根据API类型处理billing结果
-      if (site.apiType === 'newapi' || site.apiType === 'veloera' || site.apiType === 'donehub' || site.apiType === 'voapi') {
-        // Newapi/Veloera/DoneHub返回 {quota, usedQuota, status}
-        if (billingResults[0].status === 'fulfilled') {
-          const userInfo = billingResults[0].value;
-          billingLimit = userInfo.quota;
-          billingUsage = userInfo.usedQuota;
-        } else {
-          billingError = billingResults[0].reason?.message || String(billingResults[0].reason);
-        }
-      } else {
-        // Other类型：可能是自定义billing或默认OpenAI兼容billing
-        if (site.billingUrl) {
-          // 自定义billing返回单个对象
-          if (billingResults[0].status === 'fulfilled') {
-            const customBilling = billingResults[0].value;
-            billingLimit = customBilling.billingLimit;
-            billingUsage = customBilling.billingUsage;
-          } else {
-            billingError = billingResults[0].reason?.message || String(billingResults[0].reason);
-          }
-        } else {
-          // 默认OpenAI兼容billing返回两个单独的值
-          billingLimit = billingResults[0].status === 'fulfilled' ? billingResults[0].value : null;
-          billingUsage = billingResults[1].status === 'fulfilled' ? billingResults[1].value : null;
-          
-          const errors = [];
-          if (billingResults[0].status === 'rejected') errors.push(`Subscription: ${billingResults[0].reason?.message || billingResults[0].reason}`);
-          if (billingResults[1].status === 'rejected') errors.push(`Usage: ${billingResults[1].reason?.message || billingResults[1].reason}`);
-          if (errors.length > 0) billingError = errors.join('; ');
-        }
+    if (billingPromise) {
+      const billing = await billingPromise;
+      if (billing) {
+        billingLimit = billing.billingLimit ?? null;
+        billingUsage = billing.billingUsage ?? null;
+        billingError = billing.billingError || null;
       }
     }
     
@@ -882,7 +443,23 @@ async function checkSite(site, fastify, options = {}) {
     throw e.error || e;
   }
   
-  const hash = hashModels(models);
+  // 规范名称：原始 id 保持不变，另存 canonical 用于模型目录、价格比较、站点对比和关注规则
+  try {
+    models = withCanonicalNames(models, await loadCanonicalizer());
+  } catch (aliasError) {
+    console.error(`[ALIAS] 加载模型别名失败: ${site.name}`, aliasError);
+  }
+  
+  // 忽略规则匹配的模型不参与对比，快照中仍保存完整的模型列表
+  let isIgnored = null;
+  try {
+    isIgnored = await loadIgnoreMatcher(site);
+  } catch (ignoreError) {
+    console.error(`[IGNORE] 加载忽略规则失败: ${site.name}`, ignoreError);
+  }
+  const compared = filterIgnored(models, isIgnored);
+  if (compared.length < models.length) console.log(`[IGNORE] 忽略 ${models.length - compared.length} 个模型`);
+  const hash = hashModels(compared);
   // 只查找成功的快照进行对比（errorMessage 为 null）
   const lastSnap = await prisma.modelSnapshot.findFirst({ 
     where: { 
@@ -892,8 +469,7 @@ async function checkSite(site, fastify, options = {}) {
     orderBy: { fetchedAt: 'desc' } 
   });
   const now = new Date();
-  let diff = { added: [], removed: [], changed: [] };
-  let hasChanges = false;
+  let diff = { added: [], removed: [], changed: [], renamed: [], channels: [], broken: [], recovered: [], flagged: [], priceHikes: { models: [], groups: [] }, watched: [] };
   let checkInChanged = false;
   
   // 检测签到状态是否发生变化
@@ -941,6 +517,24 @@ async function checkSite(site, fastify, options = {}) {
     console.log(`[CHECK-IN] 跳过签到变更检测 (needCheckIn=${needCheckIn})`);
   }
   
+  // 渠道结果：与最近一次成功获取渠道的快照对比
+  let channels = null;
+  let channelError = null;
+  let lastChannelSnap = null;
+  if (channelsPromise) {
+    ({ channels, error: channelError } = await channelsPromise);
+    if (channelError) {
+      console.log(`[CHANNEL] 渠道列表获取失败: ${channelError}`);
+    } else {
+      console.log(`[CHANNEL] 获取到 ${channels.length} 个渠道`);
+      lastChannelSnap = await prisma.modelSnapshot.findFirst({
+        where: { siteId: site.id, errorMessage: null, channelCount: { not: null } },
+        orderBy: { fetchedAt: 'desc' },
+        include: { channels: true }
+      });
+    }
+  }
+  
   // 每次检测都创建快照（不管是否有变更），这样"请求详情"能显示最新结果
   const snap = await prisma.modelSnapshot.create({
     data: {
@@ -958,19 +552,188 @@ async function checkSite(site, fastify, options = {}) {
       checkInSuccess,
       checkInMessage,
       checkInQuota,
-      checkInError
+      checkInError,
+      channelCount: channels ? channels.length : null,
+      channelError
     }
   });
   
+  // 模型出现记录：首次出现、最近出现时间和反复增删
+  let flapping = new Set();
+  try {
+    flapping = await updateModelPresence(site, compared, now);
+  } catch (presenceError) {
+    console.error(`[PRESENCE] 模型出现记录更新失败: ${site.name}`, presenceError);
+  }
+  
+  if (channels && channels.length > 0) {
+    await prisma.channelSnapshot.createMany({
+      data: channels.map((c) => ({
+        siteId: site.id,
+        snapshotId: snap.id,
+        channelId: c.channelId,
+        name: c.name,
+        type: c.type,
+        status: c.status,
+        balance: c.balance,
+        group: c.group,
+        modelsJson: JSON.stringify(c.models),
+        fetchedAt: now
+      }))
+    });
+  }
+  
+  // 价格快照：与最近一次成功获取的价格对比，哈希变化时记录价格变更
+  let pricingDiff = null;
+  if (pricingPromise) {
+    const { pricing, error: pricingError } = await pricingPromise;
+    if (pricingError) {
+      console.log(`[PRICING] 价格获取失败: ${pricingError}`);
+      await prisma.pricingSnapshot.create({
+        data: { siteId: site.id, pricingJson: '{}', hash: '', errorMessage: pricingError, fetchedAt: now }
+      });
+    } else {
+      const pricingHash = hashPricing(pricing);
+      const lastPricingSnap = await prisma.pricingSnapshot.findFirst({
+        where: { siteId: site.id, errorMessage: null },
+        orderBy: { fetchedAt: 'desc' }
+      });
+      const pricingSnap = await prisma.pricingSnapshot.create({
+        data: { siteId: site.id, pricingJson: JSON.stringify(pricing), hash: pricingHash, fetchedAt: now }
+      });
+      if (lastPricingSnap && lastPricingSnap.hash !== pricingHash) {
+        let prevPricing = {};
+        try { prevPricing = JSON.parse(lastPricingSnap.pricingJson) } catch (_) { prevPricing = {} }
+        pricingDiff = computePricingDiff(prevPricing, pricing);
+        if (pricingDiff.models.length > 0 || pricingDiff.groups.length > 0) {
+          await prisma.pricingDiff.create({
+            data: {
+              siteId: site.id,
+              diffAt: now,
+              modelsJson: JSON.stringify(pricingDiff.models),
+              groupsJson: JSON.stringify(pricingDiff.groups),
+              snapshotFromId: lastPricingSnap.id,
+              snapshotToId: pricingSnap.id
+            }
+          });
+        }
+      }
+      console.log(`[PRICING] ${Object.keys(pricing.models).length} 个模型价格，变更 ${pricingDiff ? pricingDiff.models.length : 0} 个`);
+    }
+  }
+  
+  // 模型可用性探测：对配置的模型发送最小对话请求
+  let probeResults = [];
+  const prevProbes = new Map();
+  if (site.probeEnabled) {
+    const listedIds = new Set(models.map(m => m.id));
+    probeResults = (await probeSite(site, apiKey)).map(r => ({ ...r, listed: listedIds.has(r.model) }));
+    for (const r of probeResults) {
+      const prev = await prisma.modelProbe.findFirst({
+        where: { siteId: site.id, model: r.model },
+        orderBy: { probedAt: 'desc' }
+      });
+      if (prev) prevProbes.set(r.model, prev);
+    }
+    if (probeResults.length > 0) {
+      await prisma.modelProbe.createMany({
+        data: probeResults.map(r => ({
+          siteId: site.id,
+          snapshotId: snap.id,
+          model: r.model,
+          listed: r.listed,
+          success: r.success,
+          statusCode: r.statusCode,
+          errorMessage: r.errorMessage,
+          latency: r.latency,
+          ttft: r.ttft,
+          probedAt: now
+        }))
+      });
+    }
+    console.log(`[PROBE] 探测 ${probeResults.length} 个模型，失败 ${probeResults.filter(r => !r.success).length} 个`);
+  }
+  
+  // 模型指纹校验：只校验探测成功且出现在模型列表中的模型
+  const flaggedEvents = [];
+  if (site.fingerprintEnabled) {
+    const targets = probeResults.filter(r => r.success && r.listed).map(r => r.model);
+    const probeKey = resolveProbeKey(site, apiKey);
+    for (const model of targets) {
+      const history = await prisma.modelFingerprint.findMany({
+        where: { siteId: site.id, model, errorMessage: null },
+        orderBy: { checkedAt: 'desc' },
+        take: 5
+      });
+      const result = await fingerprintModel(site, model, probeKey, { baselineTokens: tokenBaseline(history) });
+      await prisma.modelFingerprint.create({
+        data: {
+          siteId: site.id,
+          snapshotId: snap.id,
+          model,
+          confidence: result.confidence,
+          flagged: result.flagged,
+          reportedModel: result.reportedModel,
+          vendorAnswer: result.vendorAnswer,
+          cutoffAnswer: result.cutoffAnswer,
+          promptTokens: result.promptTokens,
+          checksJson: JSON.stringify(result.checks),
+          errorMessage: result.errorMessage,
+          checkedAt: now
+        }
+      });
+      // 从正常变为疑似替换时产生事件，持续疑似不重复通知
+      if (result.flagged && !history[0]?.flagged) {
+        flaggedEvents.push({
+          model,
+          confidence: result.confidence,
+          reasons: result.checks.filter(c => c.result === 'fail')
+        });
+      }
+    }
+    console.log(`[FINGERPRINT] 校验 ${targets.length} 个模型，新增疑似替换 ${flaggedEvents.length} 个`);
+  }
+  
+  // 余额告警规则：手动检测不发送通知，也不评估告警，避免触发记录占用冷却时间
+  let alerts = [];
+  if (!isManual) {
+    try {
+      alerts = await evaluateAlertRules(site, { billingLimit, billingUsage, now });
+    } catch (alertError) {
+      console.error(`[ALERT] 告警规则评估失败: ${site.name}`, alertError);
+    }
+  }
+  
   // 检查是否有变更
-  if (lastSnap && lastSnap.hash !== hash) {
-    let prev = [];
-    try { prev = JSON.parse(lastSnap.modelsJson) } catch (_) { prev = [] }
-    diff = computeDiff(Array.isArray(prev) ? prev : [], models);
-    hasChanges = diff.added.length > 0 || diff.removed.length > 0; // 只检测新增和删除
-    
-    // 只有当有变更时才创建 diff 记录
-    if (hasChanges) {
+  if (lastSnap) {
+    if (lastSnap.hash !== hash) {
+      let prev = [];
+      try { prev = JSON.parse(lastSnap.modelsJson) } catch (_) { prev = [] }
+      diff = { ...diff, ...computeDiff(filterIgnored(Array.isArray(prev) ? prev : [], isIgnored), compared) };
+      if (diff.renamed.length > 0) console.log(`[DIFF] 疑似改名: ${diff.renamed.map(r => `${r.from} → ${r.to}`).join('、')}`);
+      try {
+        diff.watched = await matchWatchRules(site, diff);
+        if (diff.watched.length > 0) console.log(`[WATCH] 命中关注规则的模型: ${diff.watched.map(w => w.model).join('、')}`);
+      } catch (watchError) {
+        console.error(`[WATCH] 关注规则匹配失败: ${site.name}`, watchError);
+      }
+    }
+    if (probeResults.length > 0) {
+      Object.assign(diff, computeProbeChanges(prevProbes, probeResults));
+    }
+    diff.flagged = flaggedEvents;
+    if (pricingDiff) {
+      diff.priceHikes = selectPriceHikes(pricingDiff, parseProbeModels(site.priceAlertModels));
+    }
+    // 首次开启管理员模式时没有可对比的渠道快照，不产生渠道变更
+    if (channels && lastChannelSnap) {
+      diff.channels = computeChannelDiff(lastChannelSnap.channels, channels);
+      console.log(`[CHANNEL] 渠道变更事件: ${diff.channels.length}`);
+    }
+    const hasPriceHikes = diff.priceHikes.models.length > 0 || diff.priceHikes.groups.length > 0;
+    // 检测新增和删除、属性变化、渠道变更、模型可用性变化以及涨价（降价只记录在价格变更历史中）
+    // 变更记录包含不稳定模型的增删，是否通知在下方去掉不稳定模型后判断
+    if (hasNotifiableChanges(diff) || diff.changed.length > 0) {
       await prisma.modelDiff.create({
         data: {
           siteId: site.id,
@@ -978,32 +741,54 @@ async function checkSite(site, fastify, options = {}) {
           addedJson: JSON.stringify(diff.added),
           removedJson: JSON.stringify(diff.removed),
           changedJson: JSON.stringify(diff.changed),
+          renamedJson: diff.renamed.length > 0 ? JSON.stringify(diff.renamed) : null,
+          channelsJson: diff.channels.length > 0 ? JSON.stringify(diff.channels) : null,
+          probesJson: diff.broken.length > 0 || diff.recovered.length > 0
+            ? JSON.stringify({ broken: diff.broken, recovered: diff.recovered })
+            : null,
+          flaggedJson: diff.flagged.length > 0 ? JSON.stringify(diff.flagged) : null,
+          priceHikesJson: hasPriceHikes ? JSON.stringify(diff.priceHikes) : null,
+          watchedJson: diff.watched.length > 0 ? JSON.stringify(diff.watched) : null,
           snapshotFromId: lastSnap.id,
           snapshotToId: snap.id,
         },
       });
     }
-  } else if (!lastSnap) {
+  } else {
     // 首次检测：不创建 diff 记录，也不发送通知
-    hasChanges = false;
     fastify?.log?.info({ siteId: site.id, siteName: site.name, modelCount: models.length }, 'First check - snapshot created, no diff record');
   }
   
-  // 发送邮件通知（只有当有实际变更时才发送）
-  if (hasChanges && !skipNotification) {
+  // 反复增删的模型不进入常规变更通知，变更记录中仍保留
+  const flappingChanges = [...diff.added, ...diff.removed].filter(m => flapping.has(m.id));
+  if (flappingChanges.length > 0) {
+    console.log(`[PRESENCE] 不稳定模型不发送通知: ${flappingChanges.map(m => m.id).join('、')}`);
+    diff = { ...diff, added: diff.added.filter(m => !flapping.has(m.id)), removed: diff.removed.filter(m => !flapping.has(m.id)) };
+  }
+  // 只有属性变化或只有不稳定模型增删时只记录，不发送通知
+  const notifiable = Boolean(lastSnap) && hasNotifiableChanges(diff);
+  
+  // 发送邮件通知（只有当有实际变更或触发告警时才发送）
+  const shouldNotify = notifiable || alerts.length > 0;
+  if (shouldNotify && !skipNotification) {
     try {
       console.log(`[EMAIL] 尝试发送邮件通知 - 站点: ${site.name}`);
       console.log(`[EMAIL] 变化内容:`, {
         added: diff.added?.length || 0,
-        removed: diff.removed?.length || 0
+        removed: diff.removed?.length || 0,
+        channels: diff.channels?.length || 0,
+        broken: diff.broken?.length || 0,
+        flagged: diff.flagged?.length || 0,
+        watched: diff.watched?.length || 0,
+        priceHikes: diff.priceHikes?.models.length || 0
       });
       
-      await sendModelChangeNotification(site.name, diff, fastify);
+      await sendModelChangeNotification(site, { ...diff, alerts }, fastify);
     } catch (emailError) {
       console.error(`[EMAIL] 邮件通知失败: ${site.name}`, emailError);
       fastify?.log?.error(`邮件通知失败: ${site.name}`, emailError);
     }
-  } else if (hasChanges && skipNotification) {
+  } else if (shouldNotify && skipNotification) {
     console.log(`[EMAIL] 跳过单站点邮件通知（将聚合发送）- 站点: ${site.name}`);
   }
   
@@ -1015,24 +800,117 @@ async function checkSite(site, fastify, options = {}) {
   
   console.log(`\n[CHECK] ========== 检测结果汇总 ==========`);
   console.log(`[CHECK] 站点: ${site.name}`);
-  console.log(`[CHECK] 模型变更: ${hasChanges}`);
+  console.log(`[CHECK] 模型变更: ${notifiable}`);
+  console.log(`[CHECK] 触发告警: ${alerts.length}`);
   console.log(`[CHECK] 执行签到: ${needCheckIn}`);
   console.log(`[CHECK] 有签到结果: ${hasCheckInResult}`);
   if (hasCheckInResult) {
     console.log(`[CHECK] 签到状态: ${checkInSuccess ? '成功' : '失败'}`);
     console.log(`[CHECK] 签到消息: ${checkInMessage}`);
   }
-  console.log(`[CHECK] 将发送通知: ${hasChanges || hasCheckInResult ? '是' : '否'}`);
+  console.log(`[CHECK] 将发送通知: ${shouldNotify || hasCheckInResult ? '是' : '否'}`);
   console.log(`[CHECK] ======================================\n`);
   
   return { 
     ok: true, 
-    hasChanges,
-    diff: hasChanges ? diff : null,
+    hasChanges: notifiable,
+    diff: notifiable ? diff : null,
+    alerts,
     siteName: site.name,
     checkInChanged, // 保留用于日志
     checkInResult: hasCheckInResult ? { checkInSuccess, checkInMessage, checkInQuota, checkInError } : null
   };
 }
 
-module.exports = { normalizeModels, hashModels, computeDiff, fetchModels, checkSiteById, checkSite };
+// 每批读取的快照数，避免一次加载过多模型列表
+const RECOMPUTE_BATCH = 200;
+
+const modelIds = (list) => list.map(m => m.id).sort().join('\n');
+
+/**
+ * 按当前的忽略规则重新计算站点的模型变更记录（忽略规则修改后使用）
+ * 依次对比相邻的成功快照：新增、移除或属性变化有变化的记录更新，只剩被忽略模型的记录删除，原来被隐藏的变更补建记录
+ * 渠道、可用性、指纹和涨价等其他内容保持不变，快照的 hash 同步更新
+ * @param {Object} site - 站点信息
+ * @returns {Promise<Object>} - { created, updated, deleted }
+ */
+async function recomputeSiteDiffs(site) {
+  const isIgnored = await loadIgnoreMatcher(site);
+  const diffs = await prisma.modelDiff.findMany({ where: { siteId: site.id, snapshotToId: { not: null } } });
+  const diffByTo = new Map(diffs.map(d => [d.snapshotToId, d]));
+  const stats = { created: 0, updated: 0, deleted: 0 };
+
+  let prev = null;
+  for (let skip = 0; ; skip += RECOMPUTE_BATCH) {
+    // 与检测时一致：只对比成功获取到模型列表的快照（排除仅签到的快照）
+    const snaps = await prisma.modelSnapshot.findMany({
+      where: { siteId: site.id, errorMessage: null, hash: { not: '' } },
+      orderBy: { fetchedAt: 'asc' },
+      select: { id: true, fetchedAt: true, modelsJson: true, hash: true },
+      skip,
+      take: RECOMPUTE_BATCH
+    });
+    for (const snap of snaps) {
+      let models = [];
+      try { models = JSON.parse(snap.modelsJson) } catch (_) { models = [] }
+      models = filterIgnored(Array.isArray(models) ? models : [], isIgnored);
+      const hash = hashModels(models);
+      if (hash !== snap.hash) {
+        await prisma.modelSnapshot.update({ where: { id: snap.id }, data: { hash } });
+      }
+
+      if (prev) {
+        const { added, removed, changed, renamed } = computeDiff(prev.models, models);
+        const existing = diffByTo.get(snap.id);
+        if (existing) {
+          let before = { added: [], removed: [], watched: [] };
+          try {
+            before = { added: JSON.parse(existing.addedJson), removed: JSON.parse(existing.removedJson), watched: JSON.parse(existing.watchedJson || '[]') };
+          } catch (_) {}
+          const otherChanges = existing.channelsJson || existing.probesJson || existing.flaggedJson || existing.priceHikesJson;
+          if (added.length === 0 && removed.length === 0 && changed.length === 0 && !otherChanges) {
+            await prisma.modelDiff.delete({ where: { id: existing.id } });
+            stats.deleted++;
+          } else if (modelIds(added) !== modelIds(before.added) || modelIds(removed) !== modelIds(before.removed) ||
+            JSON.stringify(changed) !== existing.changedJson) {
+            // 关注规则的命中只保留仍在变更中的模型
+            const current = { added: new Set(added.map(m => m.id)), removed: new Set(removed.map(m => m.id)) };
+            const watched = before.watched.filter(w => current[w.event]?.has(w.model));
+            await prisma.modelDiff.update({
+              where: { id: existing.id },
+              data: {
+                addedJson: JSON.stringify(added),
+                removedJson: JSON.stringify(removed),
+                changedJson: JSON.stringify(changed),
+                renamedJson: renamed.length > 0 ? JSON.stringify(renamed) : null,
+                watchedJson: watched.length > 0 ? JSON.stringify(watched) : null
+              }
+            });
+            stats.updated++;
+          }
+        } else if (added.length > 0 || removed.length > 0 || changed.length > 0) {
+          await prisma.modelDiff.create({
+            data: {
+              siteId: site.id,
+              diffAt: snap.fetchedAt,
+              addedJson: JSON.stringify(added),
+              removedJson: JSON.stringify(removed),
+              changedJson: JSON.stringify(changed),
+              renamedJson: renamed.length > 0 ? JSON.stringify(renamed) : null,
+              snapshotFromId: prev.id,
+              snapshotToId: snap.id
+            }
+          });
+          stats.created++;
+        }
+      }
+      prev = { id: snap.id, models };
+    }
+    if (snaps.length < RECOMPUTE_BATCH) break;
+  }
+
+  console.log(`[IGNORE] 重新计算变更记录: ${site.name}，新增 ${stats.created}，更新 ${stats.updated}，删除 ${stats.deleted}`);
+  return stats;
+}
+
+module.exports = { normalizeModels, hashModels, computeDiff, computeChannelDiff, computeProbeChanges, checkSiteById, checkSite, recomputeSiteDiffs };
@@ -1,12 +1,23 @@
 const cron = require('node-cron');
 const { prisma } = require('./db');
 const { checkSite } = require('./run');
-const { sendAggregatedNotification } = require('./notifier');
+const {
+  sendAggregatedNotification,
+  retryDueDeliveries,
+  pruneDeliveries,
+  loadNotificationSettings,
+  parseTimes,
+  isQuietTime,
+  digestInQuietHours,
+  flushPendingNotifications
+} = require('./notifier');
 
 const jobs = new Map();
 const categoryJobs = new Map();  // 用于存储分类定时任务
 const DEFAULT_CRON = '0 9 * * *';
 let globalScheduleJob = null;
+const deliveryJobs = [];
+const digestJobs = [];
 
 async function scheduleSite(site, fastify) {
   const key = site.id;
@@ -272,16 +283,21 @@ async function scheduleGlobalTask(config, fastify) {
           // 收集需要发送邮件通知的站点：
           // 1. 有模型变更（无论是否开启签到）
           // 2. 有签到结果（开启签到后，每次都发送）
-          if (result.hasChanges || result.checkInResult) {
+          // 3. 触发了余额告警规则
+          const alerts = result.alerts || [];
+          if (result.hasChanges || result.checkInResult || alerts.length > 0) {
             sitesWithChanges.push({
+              siteId: site.id,
               siteName: result.siteName,
               diff: result.hasChanges ? result.diff : null,
-              checkInResult: result.checkInResult
+              checkInResult: result.checkInResult,
+              alerts
             });
             
             const reasons = [];
             if (result.hasChanges) reasons.push('模型变更');
             if (result.checkInResult) reasons.push('签到结果');
+            if (alerts.length > 0) reasons.push('余额告警');
             
             fastify?.log?.info({ 
               siteId: site.id,
@@ -306,6 +322,7 @@ async function scheduleGlobalTask(config, fastify) {
           fastify?.log?.error({ siteId: site.id, err: e.message }, 'Site check failed');
           // 收集失败的站点信息
           failedSites.push({
+            siteId: site.id,
             siteName: site.name,
             error: e.message || String(e)
           });
@@ -328,6 +345,7 @@ async function scheduleGlobalTask(config, fastify) {
           console.log(`  ${idx + 1}. ${sc.siteName}:`);
           console.log(`     - 模型变更: ${sc.diff ? '是' : '否'}`);
           console.log(`     - 签到结果: ${sc.checkInResult ? '是' : '否'}`);
+          console.log(`     - 余额告警: ${sc.alerts.length}`);
           if (sc.checkInResult) {
             console.log(`       签到状态: ${sc.checkInResult.checkInSuccess ? '成功' : '失败'}`);
             console.log(`       签到消息: ${sc.checkInResult.checkInMessage}`);
@@ -375,4 +393,88 @@ async function scheduleGlobalTask(config, fastify) {
   fastify?.log?.info({ cronExp: cronExp, timezone: timezone }, 'Global schedule task created and started');
 }
 
-module.exports = { scheduleAll, onSiteUpdated, scheduleGlobalTask, scheduleCategory, scheduleAllCategories };
+// 通知重试队列：每分钟重试到期的失败通知，每天清理过期的发送记录
+function scheduleDeliveryTasks(fastify) {
+  deliveryJobs.splice(0).forEach(job => job.stop());
+
+  let retrying = false;
+  deliveryJobs.push(cron.schedule('* * * * *', async () => {
+    // 上一轮未结束时跳过，避免重复发送
+    if (retrying) return;
+    retrying = true;
+    try {
+      const count = await retryDueDeliveries(fastify);
+      if (count > 0) fastify?.log?.info({ count }, 'Notification deliveries retried');
+    } catch (e) {
+      fastify?.log?.error({ err: e.message }, 'Notification retry task error');
+    } finally {
+      retrying = false;
+    }
+  }));
+
+  deliveryJobs.push(cron.schedule('30 3 * * *', async () => {
+    try {
+      const count = await pruneDeliveries();
+      fastify?.log?.info({ count }, 'Old notification deliveries pruned');
+    } catch (e) {
+      fastify?.log?.error({ err: e.message }, 'Notification prune task error');
+    }
+  }));
+
+  fastify?.log?.info('Notification delivery tasks started');
+}
+
+// 分钟数转为每天执行的 cron 表达式
+const dailyCron = (minutes) => `${minutes % 60} ${Math.floor(minutes / 60)} * * *`;
+
+// 汇总发送和静默结束任务：按发送策略重新创建，启动时和修改发送策略后调用
+async function scheduleDigestTasks(fastify) {
+  digestJobs.splice(0).forEach(job => job.stop());
+
+  const settings = await loadNotificationSettings();
+  const options = { timezone: settings.timezone };
+
+  if (settings.digestEnabled) {
+    for (const minutes of parseTimes(settings.digestTimes)) {
+      digestJobs.push(cron.schedule(dailyCron(minutes), async () => {
+        try {
+          // 汇总时间在静默时段内时，推迟到静默结束
+          const latest = await loadNotificationSettings();
+          if (isQuietTime(latest)) {
+            fastify?.log?.info('Notification digest postponed until quiet hours end');
+            return;
+          }
+          const count = await flushPendingNotifications(fastify);
+          fastify?.log?.info({ count }, 'Notification digest sent');
+        } catch (e) {
+          fastify?.log?.error({ err: e.message }, 'Notification digest task error');
+        }
+      }, options));
+    }
+  }
+
+  if (settings.quietEnabled) {
+    const [end] = parseTimes(settings.quietEnd);
+    digestJobs.push(cron.schedule(dailyCron(end), async () => {
+      try {
+        // 汇总模式下只发送静默时段暂存的通知和被推迟的汇总
+        const latest = await loadNotificationSettings();
+        const reason = latest.digestEnabled && !digestInQuietHours(latest) ? 'quiet' : null;
+        const count = await flushPendingNotifications(fastify, reason);
+        fastify?.log?.info({ count }, 'Quiet hours ended, held notifications sent');
+      } catch (e) {
+        fastify?.log?.error({ err: e.message }, 'Quiet hours task error');
+      }
+    }, options));
+  }
+
+  fastify?.log?.info({
+    digestEnabled: settings.digestEnabled,
+    digestTimes: settings.digestTimes,
+    quietEnabled: settings.quietEnabled,
+    quietHours: `${settings.quietStart}-${settings.quietEnd}`,
+    timezone: settings.timezone
+  }, 'Notification digest tasks scheduled');
+}
+
+module.exports = { scheduleAll, onSiteUpdated, scheduleGlobalTask, scheduleCategory, scheduleAllCategories, scheduleDeliveryTasks, scheduleDigestTasks };
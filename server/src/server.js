@@ -5,9 +5,13 @@ const cors = require('@fastify/cors');
 const fastifyStatic = require('@fastify/static');
 const { CONFIG } = require('./config');
 const { routes } = require('./routes');
-const { scheduleAll, scheduleGlobalTask } = require('./scheduler');
+const { scheduleAll, scheduleGlobalTask, scheduleDeliveryTasks, scheduleDigestTasks } = require('./scheduler');
 const { prisma } = require('./db');
 const { initAuth } = require('./auth');
+const { migrateLegacyEmailConfig, releaseHeldNotifications } = require('./notifier');
+const { backfillModelPresence } = require('./presence');
+const { refreshCanonicalNames } = require('./canonical');
+const { reloadTelegramBots } = require('./telegram-bot');
 
 async function buildServer() {
   const fastify = Fastify({ logger: true });
@@ -61,7 +65,38 @@ async function buildServer() {
   // 初始化认证模块
   await initAuth(fastify);
 
+  try {
+    await migrateLegacyEmailConfig();
+  } catch (e) {
+    fastify.log.warn({ err: e.message }, 'Failed to migrate legacy email config');
+  }
+
+  // 模型出现记录：升级前已有快照的站点按历史快照生成，并补全规范名称
+  try {
+    const count = await backfillModelPresence();
+    if (count > 0) fastify.log.info({ count }, 'Model presence backfilled');
+    await refreshCanonicalNames();
+  } catch (e) {
+    fastify.log.warn({ err: e.message }, 'Failed to backfill model presence');
+  }
+
   await scheduleAll(fastify);
+  scheduleDeliveryTasks(fastify);
+
+  // 汇总发送和静默时段：重启期间错过的静默结束时间，启动时补发暂存的通知
+  try {
+    await scheduleDigestTasks(fastify);
+    await releaseHeldNotifications(fastify);
+  } catch (e) {
+    fastify.log.warn({ err: e.message }, 'Failed to initialize notification digest tasks');
+  }
+
+  // 启动 Telegram 机器人命令轮询
+  try {
+    await reloadTelegramBots(fastify);
+  } catch (e) {
+    fastify.log.warn({ err: e.message }, 'Failed to start telegram bots');
+  }
   
   // 加载全局定时任务配置
   try {
@@ -0,0 +1,236 @@
+const { prisma } = require('./db');
+const { checkSiteById } = require('./run');
+const { performCheckIn } = require('./checkin');
+const { getAdapter } = require('./adapters');
+const { readChannelConfig } = require('./notifier');
+const { loadIgnoreMatcher, filterIgnored } = require('./ignore');
+const { parseChatIds, callTelegram, sendTelegramMessage } = require('./notifiers/telegram');
+
+// 长轮询等待时间（秒），请求超时需大于该值
+const POLL_TIMEOUT = 30;
+const POLL_ERROR_DELAY = 5000;
+// /models 最多列出的模型数量
+const MAX_MODELS = 200;
+
+const HELP_TEXT = [
+  '可用命令：',
+  '/balance - 查看所有站点余额',
+  '/check <站点> - 立即检测站点模型',
+  '/models <站点> - 查看站点最近一次检测到的模型',
+  '/checkin [站点] - 立即签到（不指定站点时签到所有启用签到的站点）'
+].join('\n');
+
+// 每个启用了命令的 Telegram 渠道一个轮询任务
+const bots = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const money = (v) => `$${Number(v).toFixed(2)}`;
+
+// 按名称查找站点：优先完全匹配（不区分大小写），其次包含匹配
+async function findSites(keyword) {
+  const sites = await prisma.site.findMany({ orderBy: [{ pinned: 'desc' }, { createdAt: 'desc' }] });
+  const lower = keyword.toLowerCase();
+  const exact = sites.filter(s => s.name.toLowerCase() === lower);
+  return exact.length > 0 ? exact : sites.filter(s => s.name.toLowerCase().includes(lower));
+}
+
+// 解析唯一站点，找不到或有多个候选时返回提示文字
+async function resolveSite(keyword, command) {
+  if (!keyword) return { reply: `用法：/${command} <站点名称>` };
+  const sites = await findSites(keyword);
+  if (sites.length === 0) return { reply: `未找到站点：${keyword}` };
+  if (sites.length > 1) {
+    return { reply: `匹配到多个站点，请输入更完整的名称：\n${sites.slice(0, 20).map(s => `• ${s.name}`).join('\n')}` };
+  }
+  return { site: sites[0] };
+}
+
+async function balanceCommand() {
+  const sites = await prisma.site.findMany({ orderBy: [{ pinned: 'desc' }, { createdAt: 'desc' }] });
+  if (sites.length === 0) return '还没有添加站点';
+  const lines = ['💰 站点余额'];
+  for (const site of sites) {
+    if (site.unlimitedQuota) {
+      lines.push(`• ${site.name}：无限额度`);
+      continue;
+    }
+    // 排除仅签到产生的快照（hash 为空）
+    const snap = await prisma.modelSnapshot.findFirst({
+      where: { siteId: site.id, errorMessage: null, hash: { not: '' } },
+      orderBy: { fetchedAt: 'desc' },
+      select: { billingLimit: true, billingUsage: true, billingError: true }
+    });
+    if (!snap || (snap.billingLimit === null && snap.billingUsage === null)) {
+      lines.push(`• ${site.name}：${snap?.billingError ? `获取失败（${snap.billingError}）` : '暂无余额数据'}`);
+    } else if (snap.billingLimit !== null && snap.billingUsage !== null) {
+      lines.push(`• ${site.name}：剩余 ${money(snap.billingLimit - snap.billingUsage)}（总额 ${money(snap.billingLimit)}，已用 ${money(snap.billingUsage)}）`);
+    } else {
+      lines.push(`• ${site.name}：${snap.billingLimit !== null ? `剩余 ${money(snap.billingLimit)}` : `已用 ${money(snap.billingUsage)}`}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+async function checkCommand(arg, fastify, reply) {
+  const { site, reply: hint } = await resolveSite(arg, 'check');
+  if (!site) return hint;
+  await reply(`正在检测 ${site.name}…`);
+  try {
+    // 结果直接回复，不再发送变更通知
+    const result = await checkSiteById(site.id, fastify, { skipNotification: true, isManual: true });
+    const lines = [`✅ ${site.name} 检测完成`];
+    if (result.checkInResult) {
+      const { checkInSuccess, checkInMessage } = result.checkInResult;
+      lines.push(`${checkInSuccess ? '签到成功' : '签到失败'}：${checkInMessage || '-'}`);
+    }
+    const diff = result.diff;
+    if (!diff) {
+      lines.push('模型无变化');
+    } else {
+      if (diff.added.length > 0) lines.push(`➕ 新增 ${diff.added.length} 个：${diff.added.slice(0, 20).map(m => m.id).join('、')}`);
+      if (diff.removed.length > 0) lines.push(`➖ 移除 ${diff.removed.length} 个：${diff.removed.slice(0, 20).map(m => m.id).join('、')}`);
+      if (diff.broken.length > 0) lines.push(`🚨 不可用 ${diff.broken.length} 个：${diff.broken.map(b => b.model).join('、')}`);
+      if (diff.flagged.length > 0) lines.push(`🕵️ 疑似替换 ${diff.flagged.length} 个：${diff.flagged.map(f => f.model).join('、')}`);
+      if (diff.channels.length > 0) lines.push(`🔀 渠道变更 ${diff.channels.length} 项`);
+    }
+    return lines.join('\n');
+  } catch (e) {
+    return `❌ ${site.name} 检测失败：${e.message}`;
+  }
+}
+
+async function modelsCommand(arg) {
+  const { site, reply: hint } = await resolveSite(arg, 'models');
+  if (!site) return hint;
+  const snap = await prisma.modelSnapshot.findFirst({
+    where: { siteId: site.id, errorMessage: null, hash: { not: '' } },
+    orderBy: { fetchedAt: 'desc' },
+    select: { modelsJson: true, fetchedAt: true }
+  });
+  if (!snap) return `${site.name} 还没有成功的检测记录`;
+  let models = [];
+  try {
+    // 不列出被忽略规则匹配的模型
+    models = filterIgnored(JSON.parse(snap.modelsJson || '[]'), await loadIgnoreMatcher(site)).map(m => m.id).filter(Boolean).sort();
+  } catch (e) {
+    models = [];
+  }
+  const lines = [`📋 ${site.name} 共 ${models.length} 个模型（${snap.fetchedAt.toLocaleString('zh-CN')}）`];
+  models.slice(0, MAX_MODELS).forEach(id => lines.push(id));
+  if (models.length > MAX_MODELS) lines.push(`… 还有 ${models.length - MAX_MODELS} 个`);
+  return lines.join('\n');
+}
+
+async function checkinCommand(arg) {
+  const sites = arg
+    ? await findSites(arg)
+    : await prisma.site.findMany({ where: { enableCheckIn: true }, orderBy: [{ pinned: 'desc' }, { createdAt: 'desc' }] });
+  const targets = sites.filter(s => s.enableCheckIn && getAdapter(s.apiType).capabilities.checkIn);
+  if (targets.length === 0) return arg ? `没有找到启用签到的站点：${arg}` : '没有启用签到的站点';
+  const lines = ['📝 签到结果'];
+  for (const site of targets) {
+    try {
+      const result = await performCheckIn(site);
+      lines.push(`${result.success ? '✅' : '❌'} ${site.name}：${result.message || (result.success ? '签到成功' : '签到失败')}${result.quota ? `（获得额度 ${result.quota}）` : ''}`);
+    } catch (e) {
+      lines.push(`❌ ${site.name}：${e.message}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+async function handleMessage(config, message, fastify) {
+  const match = (message.text || '').trim().match(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/);
+  if (!match) return;
+  const [, command, rawArg = ''] = match;
+  const arg = rawArg.trim();
+  const chatId = String(message.chat.id);
+  const reply = (text) => sendTelegramMessage(config, chatId, text);
+
+  const allowed = parseChatIds(config.allowedChatIds || config.chatIds);
+  if (!allowed.includes(chatId)) {
+    console.log(`[TELEGRAM] 拒绝未授权会话的命令 /${command}: ${chatId}`);
+    await reply(`此会话未被授权使用命令（Chat ID：${chatId}）`);
+    return;
+  }
+
+  console.log(`[TELEGRAM] 收到命令 /${command}${arg ? ` ${arg}` : ''} (chat ${chatId})`);
+  let text;
+  switch (command) {
+    case 'balance': text = await balanceCommand(); break;
+    case 'check': text = await checkCommand(arg, fastify, reply); break;
+    case 'models': text = await modelsCommand(arg); break;
+    case 'checkin': text = await checkinCommand(arg); break;
+    case 'start':
+    case 'help': text = HELP_TEXT; break;
+    default: text = `未知命令：/${command}\n\n${HELP_TEXT}`;
+  }
+  await reply(text);
+}
+
+// 长轮询获取消息，直到 stop() 被调用
+function startBot(channel, config, fastify) {
+  const state = { stopped: false, controller: null, offset: 0 };
+
+  const loop = async () => {
+    console.log(`[TELEGRAM] 开始接收命令: ${channel.name}`);
+    while (!state.stopped) {
+      state.controller = new AbortController();
+      const timeout = setTimeout(() => state.controller.abort(), (POLL_TIMEOUT + 10) * 1000);
+      try {
+        const updates = await callTelegram(config, 'getUpdates', {
+          offset: state.offset,
+          timeout: POLL_TIMEOUT,
+          allowed_updates: ['message']
+        }, { signal: state.controller.signal });
+        for (const update of updates) {
+          state.offset = update.update_id + 1;
+          if (state.stopped) break;
+          if (update.message?.text) {
+            await handleMessage(config, update.message, fastify).catch((e) => {
+              console.error(`[TELEGRAM] 处理命令失败: ${e.message}`);
+            });
+          }
+        }
+      } catch (e) {
+        if (state.stopped) break;
+        if (e.name !== 'AbortError') {
+          console.error(`[TELEGRAM] ${channel.name} 获取消息失败: ${e.message}`);
+          await sleep(POLL_ERROR_DELAY);
+        }
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+    console.log(`[TELEGRAM] 停止接收命令: ${channel.name}`);
+  };
+  loop();
+
+  return {
+    stop() {
+      state.stopped = true;
+      state.controller?.abort();
+    }
+  };
+}
+
+/**
+ * 按当前的通知渠道配置重新启动 Telegram 命令轮询
+ * 启动时和通知渠道增删改后调用
+ */
+async function reloadTelegramBots(fastify) {
+  for (const bot of bots.values()) bot.stop();
+  bots.clear();
+
+  const channels = await prisma.notificationChannel.findMany({ where: { type: 'telegram', enabled: true } });
+  for (const channel of channels) {
+    try {
+      const config = readChannelConfig(channel);
+      if (config.commandsEnabled) bots.set(channel.id, startBot(channel, config, fastify));
+    } catch (e) {
+      fastify?.log?.warn({ channelId: channel.id, err: e.message }, 'Failed to start telegram bot');
+    }
+  }
+}
+
+module.exports = { reloadTelegramBots, handleMessage };
@@ -0,0 +1,37 @@
+// 按模型名识别厂商系列，依次匹配，先匹配到的优先
+const VENDOR_RULES = [
+  ['OpenAI', /gpt|dall-e|whisper|tts-1|text-embedding|davinci|babbage|omni-moderation|text-moderation|sora|codex|(^|[^a-z0-9])o[1-9](?![a-z0-9])/i],
+  ['Anthropic', /claude/i],
+  ['Google', /gemini|gemma|imagen|veo-?\d/i],
+  ['DeepSeek', /deepseek/i],
+  ['通义千问', /qwen|qwq|qvq|tongyi|wanx/i],
+  ['智谱', /glm|cogview|cogvideo|codegeex/i],
+  ['Moonshot', /moonshot|kimi/i],
+  ['xAI', /grok/i],
+  ['Meta', /llama/i],
+  ['Mistral', /mistral|mixtral|codestral|pixtral|magistral|devstral/i],
+  ['豆包', /doubao|seedream|seedance/i],
+  ['文心', /ernie/i],
+  ['混元', /hunyuan/i],
+  ['MiniMax', /minimax|abab/i],
+  ['零一万物', /(^|[^a-z0-9])yi-/i],
+  ['讯飞星火', /spark/i],
+  ['Cohere', /command-r|cohere/i],
+  ['Midjourney', /midjourney|(^|[^a-z0-9])mj[-_]/i],
+  ['Black Forest Labs', /flux/i],
+  ['Suno', /suno/i]
+];
+
+const OTHER_VENDOR = '其他';
+
+/**
+ * 模型所属的厂商系列，无法识别时返回"其他"
+ * @param {string} model - 模型名
+ * @returns {string}
+ */
+function modelVendor(model) {
+  const rule = VENDOR_RULES.find(([, regex]) => regex.test(String(model || '')));
+  return rule ? rule[0] : OTHER_VENDOR;
+}
+
+module.exports = { OTHER_VENDOR, modelVendor };
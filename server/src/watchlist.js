@@ -0,0 +1,48 @@
+const { prisma } = require('./db');
+const { compileModelPattern } = require('./patterns');
+
+const WATCH_EVENTS = {
+  any: '新增或移除',
+  added: '新增',
+  removed: '移除'
+};
+
+/**
+ * 用站点适用的关注规则（全局规则和该站点的规则）检查本次新增和移除的模型
+ * 规则同时匹配原始模型名和规范名称；同一模型被多条规则命中时只记录一次，rules 为命中的规则名称
+ * @param {Object} site - 站点信息
+ * @param {Object} diff - computeDiff 的结果 { added, removed }
+ * @returns {Promise<Array>} - [{ model, event: added|removed, rules: [] }]
+ */
+async function matchWatchRules(site, diff) {
+  if (diff.added.length === 0 && diff.removed.length === 0) return [];
+
+  const rules = await prisma.watchRule.findMany({
+    where: { enabled: true, OR: [{ siteId: null }, { siteId: site.id }] },
+    orderBy: { createdAt: 'asc' }
+  });
+  if (rules.length === 0) return [];
+
+  const hits = new Map();
+  for (const rule of rules) {
+    let regex;
+    try {
+      regex = compileModelPattern(rule);
+    } catch (e) {
+      console.error(`[WATCH] 规则 ${rule.name} 的表达式无效: ${e.message}`);
+      continue;
+    }
+    for (const event of ['added', 'removed']) {
+      if (rule.event !== 'any' && rule.event !== event) continue;
+      for (const m of diff[event]) {
+        if (!m.id || !(regex.test(m.id) || (m.canonical && regex.test(m.canonical)))) continue;
+        const key = `${event}:${m.id}`;
+        if (!hits.has(key)) hits.set(key, { model: m.id, event, rules: [] });
+        hits.get(key).rules.push(rule.name);
+      }
+    }
+  }
+  return [...hits.values()];
+}
+
+module.exports = { WATCH_EVENTS, matchWatchRules };
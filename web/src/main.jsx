@@ -5,6 +5,15 @@ import App from './pages/App'
 import Login from './pages/Login'
 import Sites from './pages/Sites'
 import SiteDetail from './pages/SiteDetail'
+import PriceCompare from './pages/PriceCompare'
+import SiteCompare from './pages/SiteCompare'
+import ModelCatalog from './pages/ModelCatalog'
+import ModelAliases from './pages/ModelAliases'
+import AlertRules from './pages/AlertRules'
+import WatchRules from './pages/WatchRules'
+import IgnoreRules from './pages/IgnoreRules'
+import Notifications from './pages/Notifications'
+import NotificationTemplates from './pages/NotificationTemplates'
 import 'antd/dist/reset.css'
 import './index.css'
 
@@ -22,6 +31,15 @@ ReactDOM.createRoot(document.getElementById('root')).render(
         <Route path="/" element={<RequireAuth><App /></RequireAuth>}>
           <Route index element={<Sites />} />
           <Route path="sites/:id" element={<SiteDetail />} />
+          <Route path="models" element={<ModelCatalog />} />
+          <Route path="aliases" element={<ModelAliases />} />
+          <Route path="prices" element={<PriceCompare />} />
+          <Route path="compare" element={<SiteCompare />} />
+          <Route path="alerts" element={<AlertRules />} />
+          <Route path="watchlist" element={<WatchRules />} />
+          <Route path="ignore-rules" element={<IgnoreRules />} />
+          <Route path="notifications" element={<Notifications />} />
+          <Route path="notifications/:id/templates" element={<NotificationTemplates />} />
         </Route>
       </Routes>
     </BrowserRouter>
@@ -0,0 +1,322 @@
+import { useEffect, useState } from 'react'
+import { Button, Card, Form, Input, InputNumber, Modal, Popconfirm, Radio, Select, Space, Switch, Table, Tag, Typography, message } from 'antd'
+import { AlertOutlined, PlusOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons'
+
+function authHeaders(includeJson = false) {
+  const t = localStorage.getItem('token');
+  const h = { 'Authorization': `Bearer ${t}` };
+  if (includeJson) h['Content-Type'] = 'application/json';
+  return h;
+}
+
+// 规则类型：阈值单位为美元，下降比例为百分比
+const ALERT_TYPES = {
+  remaining_below: { label: '剩余额度低于', unit: '$', help: '剩余额度低于阈值时告警' },
+  remaining_drop_pct: { label: '剩余额度较上次下降超过', unit: '%', help: '与上一次检测相比，剩余额度下降的比例超过阈值时告警' },
+  usage_increase: { label: '24小时消耗超过', unit: '$', help: '最近24小时的消耗超过阈值时告警（充值不计入）' }
+}
+
+const formatThreshold = (type, threshold) => ALERT_TYPES[type]?.unit === '%' ? `${threshold}%` : `$${threshold}`
+
+const formatCooldown = (minutes) => {
+  if (minutes % 1440 === 0) return `${minutes / 1440} 天`
+  if (minutes % 60 === 0) return `${minutes / 60} 小时`
+  return `${minutes} 分钟`
+}
+
+export default function AlertRules() {
+  const [rules, setRules] = useState([])
+  const [events, setEvents] = useState([])
+  const [sites, setSites] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [open, setOpen] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+  const [form] = Form.useForm()
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const [rulesRes, eventsRes] = await Promise.all([
+        fetch('/api/alert-rules', { headers: authHeaders() }),
+        fetch('/api/alert-events?limit=50', { headers: authHeaders() })
+      ])
+      if (!rulesRes.ok) throw new Error('加载告警规则失败')
+      setRules(await rulesRes.json())
+      if (eventsRes.ok) setEvents(await eventsRes.json())
+    } catch (e) {
+      message.error(e.message || '加载告警规则失败')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    load()
+    fetch('/api/sites', { headers: authHeaders() })
+      .then(res => res.ok ? res.json() : [])
+      .then(data => setSites(data))
+      .catch(() => {})
+    fetch('/api/categories', { headers: authHeaders() })
+      .then(res => res.ok ? res.json() : [])
+      .then(data => setCategories(data))
+      .catch(() => {})
+  }, [])
+
+  const openModal = (rule = null) => {
+    setEditingRule(rule)
+    form.resetFields()
+    if (rule) {
+      form.setFieldsValue({
+        name: rule.name,
+        scope: rule.siteId ? 'site' : 'category',
+        siteId: rule.siteId || undefined,
+        categoryId: rule.categoryId || undefined,
+        type: rule.type,
+        threshold: rule.threshold,
+        cooldownMinutes: rule.cooldownMinutes,
+        enabled: rule.enabled
+      })
+    }
+    setOpen(true)
+  }
+
+  const onSave = async () => {
+    try {
+      const { scope, ...v } = await form.validateFields()
+      const body = {
+        ...v,
+        siteId: scope === 'site' ? v.siteId : '',
+        categoryId: scope === 'category' ? v.categoryId : '',
+        enabled: v.enabled !== false
+      }
+      const res = await fetch(editingRule ? `/api/alert-rules/${editingRule.id}` : '/api/alert-rules', {
+        method: editingRule ? 'PATCH' : 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify(body)
+      })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || '保存告警规则失败')
+      }
+      setOpen(false)
+      message.success('告警规则已保存')
+      await load()
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '保存告警规则失败')
+    }
+  }
+
+  const toggleRule = async (rule, enabled) => {
+    try {
+      const res = await fetch(`/api/alert-rules/${rule.id}`, {
+        method: 'PATCH',
+        headers: authHeaders(true),
+        body: JSON.stringify({ enabled })
+      })
+      if (!res.ok) throw new Error('更新告警规则失败')
+      await load()
+    } catch (e) {
+      message.error(e.message || '更新告警规则失败')
+    }
+  }
+
+  const deleteRule = async (rule) => {
+    try {
+      const res = await fetch(`/api/alert-rules/${rule.id}`, { method: 'DELETE', headers: authHeaders() })
+      if (!res.ok) throw new Error('删除告警规则失败')
+      message.success('告警规则已删除')
+      await load()
+    } catch (e) {
+      message.error(e.message || '删除告警规则失败')
+    }
+  }
+
+  return (
+    <Space direction="vertical" size={24} style={{ width: '100%' }}>
+      <Card
+        title={
+          <Space>
+            <AlertOutlined style={{ color: '#cf1322' }} />
+            <Typography.Title level={3} style={{ margin: 0 }}>告警规则</Typography.Title>
+          </Space>
+        }
+        extra={
+          <Button type="primary" size="large" icon={<PlusOutlined />} onClick={() => openModal()}>
+            新建规则
+          </Button>
+        }
+        style={{
+          borderRadius: 16,
+          boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+        }}
+      >
+        <Typography.Paragraph type="secondary">
+          定时检测获取到余额后评估规则，触发的规则随检测通知一起发送；冷却时间内同一规则对同一站点不重复告警。手动检测不评估告警。
+        </Typography.Paragraph>
+        <Table
+          rowKey="id"
+          loading={loading}
+          dataSource={rules}
+          pagination={false}
+          columns={[
+            {
+              title: '名称',
+              dataIndex: 'name',
+              render: (name) => <Typography.Text strong>{name}</Typography.Text>
+            },
+            {
+              title: '作用范围',
+              render: (_, r) => r.site
+                ? <Tag color="blue">站点：{r.site.name}</Tag>
+                : <Tag color="cyan">分类：{r.category?.name || '-'}</Tag>
+            },
+            {
+              title: '条件',
+              render: (_, r) => `${ALERT_TYPES[r.type]?.label || r.type} ${formatThreshold(r.type, r.threshold)}`
+            },
+            {
+              title: '冷却时间',
+              dataIndex: 'cooldownMinutes',
+              render: formatCooldown
+            },
+            {
+              title: '上次触发',
+              render: (_, r) => r.lastEvent
+                ? new Date(r.lastEvent.firedAt).toLocaleString('zh-CN')
+                : <Typography.Text type="secondary">从未触发</Typography.Text>
+            },
+            {
+              title: '启用',
+              width: 80,
+              render: (_, r) => <Switch size="small" checked={r.enabled} onChange={(checked) => toggleRule(r, checked)} />
+            },
+            {
+              title: '操作',
+              width: 120,
+              render: (_, r) => (
+                <Space>
+                  <Button size="small" icon={<EditOutlined />} onClick={() => openModal(r)} />
+                  <Popconfirm
+                    title="确定删除该告警规则？"
+                    okText="删除"
+                    cancelText="取消"
+                    okButtonProps={{ danger: true }}
+                    onConfirm={() => deleteRule(r)}
+                  >
+                    <Button size="small" danger icon={<DeleteOutlined />} />
+                  </Popconfirm>
+                </Space>
+              )
+            }
+          ]}
+        />
+      </Card>
+
+      <Card
+        title={<Typography.Title level={4} style={{ margin: 0 }}>最近触发记录</Typography.Title>}
+        style={{
+          borderRadius: 16,
+          boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+        }}
+      >
+        <Table
+          rowKey="id"
+          size="small"
+          dataSource={events}
+          pagination={events.length > 20 ? { pageSize: 20, showSizeChanger: false } : false}
+          columns={[
+            {
+              title: '时间',
+              dataIndex: 'firedAt',
+              width: 180,
+              render: (v) => new Date(v).toLocaleString('zh-CN')
+            },
+            {
+              title: '站点',
+              render: (_, e) => e.site?.name || '-'
+            },
+            {
+              title: '规则',
+              render: (_, e) => e.rule?.name || '-'
+            },
+            {
+              title: '详情',
+              dataIndex: 'message'
+            }
+          ]}
+        />
+      </Card>
+
+      {open && (
+        <Modal
+          open={open}
+          title={<Typography.Title level={4} style={{ margin: 0 }}>{editingRule ? '编辑告警规则' : '新建告警规则'}</Typography.Title>}
+          onCancel={() => setOpen(false)}
+          onOk={onSave}
+          okText="保存"
+          cancelText="取消"
+          destroyOnClose
+        >
+          <Form form={form} layout="vertical" initialValues={{ scope: 'site', type: 'remaining_below', cooldownMinutes: 720, enabled: true }}>
+            <Form.Item name="name" label="规则名称" rules={[{ required: true, message: '请输入规则名称' }]}>
+              <Input placeholder="如：余额不足5美元" />
+            </Form.Item>
+            <Form.Item name="scope" label="作用范围">
+              <Radio.Group>
+                <Radio value="site">单个站点</Radio>
+                <Radio value="category">分类下所有站点</Radio>
+              </Radio.Group>
+            </Form.Item>
+            <Form.Item noStyle shouldUpdate={(prev, curr) => prev.scope !== curr.scope}>
+              {({ getFieldValue }) => getFieldValue('scope') === 'site' ? (
+                <Form.Item name="siteId" label="站点" rules={[{ required: true, message: '请选择站点' }]}>
+                  <Select
+                    showSearch
+                    optionFilterProp="label"
+                    placeholder="选择站点"
+                    options={sites.map(s => ({ value: s.id, label: s.name }))}
+                  />
+                </Form.Item>
+              ) : (
+                <Form.Item name="categoryId" label="分类" rules={[{ required: true, message: '请选择分类' }]}>
+                  <Select
+                    placeholder="选择分类"
+                    options={categories.map(c => ({ value: c.id, label: c.name }))}
+                  />
+                </Form.Item>
+              )}
+            </Form.Item>
+            <Form.Item noStyle shouldUpdate={(prev, curr) => prev.type !== curr.type}>
+              {({ getFieldValue }) => {
+                const type = ALERT_TYPES[getFieldValue('type')]
+                return (
+                  <Space align="start" style={{ width: '100%' }}>
+                    <Form.Item name="type" label="条件" extra={type?.help} style={{ width: 260 }}>
+                      <Select options={Object.entries(ALERT_TYPES).map(([value, t]) => ({ value, label: t.label }))} />
+                    </Form.Item>
+                    <Form.Item name="threshold" label="阈值" rules={[{ required: true, message: '请输入阈值' }]}>
+                      <InputNumber
+                        min={0}
+                        prefix={type?.unit === '$' ? '$' : undefined}
+                        addonAfter={type?.unit === '%' ? '%' : undefined}
+                        style={{ width: 160 }}
+                      />
+                    </Form.Item>
+                  </Space>
+                )
+              }}
+            </Form.Item>
+            <Form.Item name="cooldownMinutes" label="冷却时间（分钟）" extra="触发后在冷却时间内不再重复告警，默认12小时">
+              <InputNumber min={0} step={60} style={{ width: 160 }} />
+            </Form.Item>
+            <Form.Item name="enabled" label="启用" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          </Form>
+        </Modal>
+      )}
+    </Space>
+  )
+}
@@ -1,8 +1,21 @@
 import { Layout, Menu, message, Modal } from 'antd'
 import { Outlet, useNavigate, useLocation } from 'react-router-dom'
-import { ApiOutlined, LogoutOutlined, AppstoreOutlined, DownloadOutlined, UploadOutlined } from '@ant-design/icons'
+import { ApiOutlined, LogoutOutlined, AppstoreOutlined, DownloadOutlined, UploadOutlined, DollarOutlined, DatabaseOutlined, TagsOutlined, DiffOutlined, AlertOutlined, StarOutlined, EyeInvisibleOutlined, NotificationOutlined } from '@ant-design/icons'
 import { useState, useRef } from 'react'
 
+// 页面路径前缀对应的菜单项，新增页面时在这里加一项
+const MENU_KEYS = [
+  ['/sites', 'sites'],
+  ['/models', 'models'],
+  ['/aliases', 'aliases'],
+  ['/prices', 'prices'],
+  ['/compare', 'compare'],
+  ['/alerts', 'alerts'],
+  ['/watchlist', 'watchlist'],
+  ['/ignore-rules', 'ignore-rules'],
+  ['/notifications', 'notifications']
+]
+
 export default function App() {
   const nav = useNavigate()
   const loc = useLocation()
@@ -124,7 +137,7 @@ export default function App() {
         </div>
         <Menu 
           mode="horizontal" 
-          selectedKeys={[loc.pathname.startsWith('/sites') ? 'sites' : 'home']}
+          selectedKeys={[MENU_KEYS.find(([prefix]) => loc.pathname.startsWith(prefix))?.[1] || 'home']}
           style={{ 
             border: 'none',
             background: 'transparent',
@@ -138,6 +151,54 @@ export default function App() {
               label: '站点管理',
               onClick: () => nav('/')
             },
+            {
+              key: 'models',
+              icon: <DatabaseOutlined />,
+              label: '模型目录',
+              onClick: () => nav('/models')
+            },
+            {
+              key: 'aliases',
+              icon: <TagsOutlined />,
+              label: '模型别名',
+              onClick: () => nav('/aliases')
+            },
+            {
+              key: 'prices',
+              icon: <DollarOutlined />,
+              label: '价格比较',
+              onClick: () => nav('/prices')
+            },
+            {
+              key: 'compare',
+              icon: <DiffOutlined />,
+              label: '站点对比',
+              onClick: () => nav('/compare')
+            },
+            {
+              key: 'alerts',
+              icon: <AlertOutlined />,
+              label: '告警规则',
+              onClick: () => nav('/alerts')
+            },
+            {
+              key: 'watchlist',
+              icon: <StarOutlined />,
+              label: '关注模型',
+              onClick: () => nav('/watchlist')
+            },
+            {
+              key: 'ignore-rules',
+              icon: <EyeInvisibleOutlined />,
+              label: '忽略规则',
+              onClick: () => nav('/ignore-rules')
+            },
+            {
+              key: 'notifications',
+              icon: <NotificationOutlined />,
+              label: '通知渠道',
+              onClick: () => nav('/notifications')
+            },
             {
               key: 'export',
               icon: <DownloadOutlined />,
@@ -0,0 +1,366 @@
+import { useEffect, useState } from 'react'
+import { Alert, Button, Card, Empty, Form, Input, Modal, Popconfirm, Radio, Select, Space, Switch, Table, Tag, Typography, message } from 'antd'
+import { EyeInvisibleOutlined, PlusOutlined, EditOutlined, DeleteOutlined, SearchOutlined, ReloadOutlined } from '@ant-design/icons'
+
+function authHeaders(includeJson = false) {
+  const t = localStorage.getItem('token');
+  const h = { 'Authorization': `Bearer ${t}` };
+  if (includeJson) h['Content-Type'] = 'application/json';
+  return h;
+}
+
+const MATCH_TYPES = {
+  glob: { label: '通配符', placeholder: '*-ft-*', help: '匹配完整的模型名，* 匹配任意字符，? 匹配单个字符，不区分大小写' },
+  regex: { label: '正则表达式', placeholder: '-\\d{8}$', help: '匹配模型名的任意部分，不区分大小写；需要匹配完整名称时使用 ^ 和 $' }
+}
+
+const scopeOf = (rule) => rule.siteId ? 'site' : rule.categoryId ? 'category' : 'all'
+
+export default function IgnoreRules() {
+  const [rules, setRules] = useState([])
+  const [sites, setSites] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [open, setOpen] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+  const [testResult, setTestResult] = useState(null)
+  const [testing, setTesting] = useState(false)
+  const [changed, setChanged] = useState(false)
+  const [recomputing, setRecomputing] = useState(false)
+  const [form] = Form.useForm()
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const res = await fetch('/api/ignore-rules', { headers: authHeaders() })
+      if (!res.ok) throw new Error('加载忽略规则失败')
+      setRules(await res.json())
+    } catch (e) {
+      message.error(e.message || '加载忽略规则失败')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    load()
+    fetch('/api/sites', { headers: authHeaders() })
+      .then(res => res.ok ? res.json() : [])
+      .then(data => setSites(data))
+      .catch(() => {})
+    fetch('/api/categories', { headers: authHeaders() })
+      .then(res => res.ok ? res.json() : [])
+      .then(data => setCategories(data))
+      .catch(() => {})
+  }, [])
+
+  const openModal = (rule = null) => {
+    setEditingRule(rule)
+    setTestResult(null)
+    form.resetFields()
+    if (rule) {
+      form.setFieldsValue({
+        pattern: rule.pattern,
+        matchType: rule.matchType,
+        scope: scopeOf(rule),
+        siteId: rule.siteId || undefined,
+        categoryId: rule.categoryId || undefined,
+        note: rule.note || '',
+        enabled: rule.enabled
+      })
+    }
+    setOpen(true)
+  }
+
+  // 表单中的作用范围转为请求参数
+  const scopeBody = ({ scope, siteId, categoryId }) => ({
+    siteId: scope === 'site' ? siteId : null,
+    categoryId: scope === 'category' ? categoryId : null
+  })
+
+  const onSave = async () => {
+    try {
+      const { scope, siteId, categoryId, ...v } = await form.validateFields()
+      const body = { ...v, ...scopeBody({ scope, siteId, categoryId }), note: v.note || null, enabled: v.enabled !== false }
+      const res = await fetch(editingRule ? `/api/ignore-rules/${editingRule.id}` : '/api/ignore-rules', {
+        method: editingRule ? 'PATCH' : 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify(body)
+      })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || '保存忽略规则失败')
+      }
+      setOpen(false)
+      setChanged(true)
+      message.success('忽略规则已保存')
+      await load()
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '保存忽略规则失败')
+    }
+  }
+
+  // 用各站点最近一次检测到的模型试匹配
+  const onTest = async () => {
+    try {
+      const { pattern, matchType, scope, siteId, categoryId } = await form.validateFields(['pattern', 'matchType', 'scope', 'siteId', 'categoryId'])
+      setTesting(true)
+      const res = await fetch('/api/ignore-rules/test', {
+        method: 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify({ pattern, matchType, ...scopeBody({ scope, siteId, categoryId }) })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || '试匹配失败')
+      setTestResult(data.matches)
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '试匹配失败')
+    } finally {
+      setTesting(false)
+    }
+  }
+
+  const toggleRule = async (rule, enabled) => {
+    try {
+      const res = await fetch(`/api/ignore-rules/${rule.id}`, {
+        method: 'PATCH',
+        headers: authHeaders(true),
+        body: JSON.stringify({ enabled })
+      })
+      if (!res.ok) throw new Error('更新忽略规则失败')
+      setChanged(true)
+      await load()
+    } catch (e) {
+      message.error(e.message || '更新忽略规则失败')
+    }
+  }
+
+  const deleteRule = async (rule) => {
+    try {
+      const res = await fetch(`/api/ignore-rules/${rule.id}`, { method: 'DELETE', headers: authHeaders() })
+      if (!res.ok) throw new Error('删除忽略规则失败')
+      setChanged(true)
+      message.success('忽略规则已删除')
+      await load()
+    } catch (e) {
+      message.error(e.message || '删除忽略规则失败')
+    }
+  }
+
+  const recompute = async () => {
+    setRecomputing(true)
+    try {
+      const res = await fetch('/api/model-diffs/recompute', { method: 'POST', headers: authHeaders(true), body: '{}' })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || '重新计算失败')
+      const summary = `已处理 ${data.sites} 个站点：新增 ${data.created} 条、更新 ${data.updated} 条、删除 ${data.deleted} 条变更记录`
+      if (data.failed.length > 0) {
+        message.warning(`${summary}；${data.failed.map(f => `${f.siteName}：${f.error}`).join('；')}`)
+      } else {
+        message.success(summary)
+      }
+      setChanged(false)
+    } catch (e) {
+      message.error(e.message || '重新计算失败')
+    } finally {
+      setRecomputing(false)
+    }
+  }
+
+  return (
+    <Card
+      title={
+        <Space>
+          <EyeInvisibleOutlined style={{ color: '#8c8c8c' }} />
+          <Typography.Title level={3} style={{ margin: 0 }}>忽略规则</Typography.Title>
+        </Space>
+      }
+      extra={
+        <Space>
+          <Popconfirm
+            title="按当前规则重新计算所有站点的变更记录？"
+            description="只更新模型的新增和移除，并重建模型出现记录，站点较多时需要一些时间"
+            okText="重新计算"
+            cancelText="取消"
+            onConfirm={recompute}
+          >
+            <Button size="large" icon={<ReloadOutlined />} loading={recomputing}>重新计算变更记录</Button>
+          </Popconfirm>
+          <Button type="primary" size="large" icon={<PlusOutlined />} onClick={() => openModal()}>
+            新建规则
+          </Button>
+        </Space>
+      }
+      style={{
+        borderRadius: 16,
+        boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+      }}
+    >
+      <Typography.Paragraph type="secondary">
+        与规则匹配的模型（如用户微调模型、带时间戳的别名）不参与模型变更检测，不会产生变更记录和通知，站点详情的模型列表中也不再显示。检测快照仍保存完整的模型列表。
+      </Typography.Paragraph>
+      {changed && (
+        <Alert
+          type="info"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="规则已修改，只影响之后的检测。点击「重新计算变更记录」可以按新规则更新历史记录。"
+        />
+      )}
+      <Table
+        rowKey="id"
+        loading={loading}
+        dataSource={rules}
+        pagination={false}
+        columns={[
+          {
+            title: '匹配规则',
+            render: (_, r) => (
+              <Space size={4}>
+                <Tag>{MATCH_TYPES[r.matchType]?.label || r.matchType}</Tag>
+                <Typography.Text code>{r.pattern}</Typography.Text>
+              </Space>
+            )
+          },
+          {
+            title: '作用范围',
+            render: (_, r) => r.site
+              ? <Tag color="blue">站点：{r.site.name}</Tag>
+              : r.category
+                ? <Tag color="cyan">分类：{r.category.name}</Tag>
+                : <Tag color="purple">所有站点</Tag>
+          },
+          {
+            title: '备注',
+            dataIndex: 'note',
+            render: (v) => v || <Typography.Text type="secondary">-</Typography.Text>
+          },
+          {
+            title: '启用',
+            width: 80,
+            render: (_, r) => <Switch size="small" checked={r.enabled} onChange={(checked) => toggleRule(r, checked)} />
+          },
+          {
+            title: '操作',
+            width: 120,
+            render: (_, r) => (
+              <Space>
+                <Button size="small" icon={<EditOutlined />} onClick={() => openModal(r)} />
+                <Popconfirm
+                  title="确定删除该忽略规则？"
+                  okText="删除"
+                  cancelText="取消"
+                  okButtonProps={{ danger: true }}
+                  onConfirm={() => deleteRule(r)}
+                >
+                  <Button size="small" danger icon={<DeleteOutlined />} />
+                </Popconfirm>
+              </Space>
+            )
+          }
+        ]}
+      />
+
+      {open && (
+        <Modal
+          open={open}
+          title={<Typography.Title level={4} style={{ margin: 0 }}>{editingRule ? '编辑忽略规则' : '新建忽略规则'}</Typography.Title>}
+          onCancel={() => setOpen(false)}
+          onOk={onSave}
+          okText="保存"
+          cancelText="取消"
+          destroyOnClose
+        >
+          <Form
+            form={form}
+            layout="vertical"
+            initialValues={{ matchType: 'glob', scope: 'all', enabled: true }}
+            onValuesChange={(values) => {
+              if (['pattern', 'matchType', 'scope', 'siteId', 'categoryId'].some(key => key in values)) setTestResult(null)
+            }}
+          >
+            <Form.Item name="matchType" label="匹配方式">
+              <Radio.Group>
+                {Object.entries(MATCH_TYPES).map(([value, t]) => <Radio key={value} value={value}>{t.label}</Radio>)}
+              </Radio.Group>
+            </Form.Item>
+            <Form.Item noStyle shouldUpdate={(prev, curr) => prev.matchType !== curr.matchType}>
+              {({ getFieldValue }) => {
+                const type = MATCH_TYPES[getFieldValue('matchType')]
+                return (
+                  <Form.Item label="匹配规则" extra={type?.help} required>
+                    <Space.Compact style={{ width: '100%' }}>
+                      <Form.Item name="pattern" noStyle rules={[{ required: true, whitespace: true, message: '请输入匹配规则' }]}>
+                        <Input placeholder={type?.placeholder} style={{ fontFamily: 'Menlo, Consolas, monospace' }} />
+                      </Form.Item>
+                      <Button icon={<SearchOutlined />} loading={testing} onClick={onTest}>试匹配</Button>
+                    </Space.Compact>
+                  </Form.Item>
+                )
+              }}
+            </Form.Item>
+            {testResult && (
+              testResult.length === 0 ? (
+                <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="当前模型列表中没有会被忽略的模型" style={{ marginBottom: 16 }} />
+              ) : (
+                <Alert
+                  type="warning"
+                  style={{ marginBottom: 16, maxHeight: 200, overflow: 'auto' }}
+                  message={`${testResult.length} 个站点的以下模型会被忽略`}
+                  description={testResult.map(m => (
+                    <div key={m.siteId}>
+                      <Typography.Text strong>{m.siteName}</Typography.Text>：{m.models.join('、')}
+                    </div>
+                  ))}
+                />
+              )
+            )}
+            <Form.Item name="scope" label="作用范围">
+              <Radio.Group>
+                <Radio value="all">所有站点</Radio>
+                <Radio value="category">分类下所有站点</Radio>
+                <Radio value="site">单个站点</Radio>
+              </Radio.Group>
+            </Form.Item>
+            <Form.Item noStyle shouldUpdate={(prev, curr) => prev.scope !== curr.scope}>
+              {({ getFieldValue }) => {
+                const scope = getFieldValue('scope')
+                if (scope === 'site') {
+                  return (
+                    <Form.Item name="siteId" label="站点" rules={[{ required: true, message: '请选择站点' }]}>
+                      <Select
+                        showSearch
+                        optionFilterProp="label"
+                        placeholder="选择站点"
+                        options={sites.map(s => ({ value: s.id, label: s.name }))}
+                      />
+                    </Form.Item>
+                  )
+                }
+                if (scope === 'category') {
+                  return (
+                    <Form.Item name="categoryId" label="分类" rules={[{ required: true, message: '请选择分类' }]}>
+                      <Select
+                        placeholder="选择分类"
+                        options={categories.map(c => ({ value: c.id, label: c.name }))}
+                      />
+                    </Form.Item>
+                  )
+                }
+                return null
+              }}
+            </Form.Item>
+            <Form.Item name="note" label="备注">
+              <Input placeholder="如：用户微调模型" />
+            </Form.Item>
+            <Form.Item name="enabled" label="启用" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          </Form>
+        </Modal>
+      )}
+    </Card>
+  )
+}
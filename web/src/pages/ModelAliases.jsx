@@ -0,0 +1,320 @@
+import { useEffect, useState } from 'react'
+import { Alert, Button, Card, Empty, Form, Input, Modal, Popconfirm, Radio, Space, Switch, Table, Tag, Typography, message } from 'antd'
+import { TagsOutlined, PlusOutlined, EditOutlined, DeleteOutlined, SearchOutlined } from '@ant-design/icons'
+
+function authHeaders(includeJson = false) {
+  const t = localStorage.getItem('token');
+  const h = { 'Authorization': `Bearer ${t}` };
+  if (includeJson) h['Content-Type'] = 'application/json';
+  return h;
+}
+
+const MATCH_TYPES = {
+  glob: { label: '通配符', placeholder: 'gpt-4o-latest', help: '匹配完整的模型名，* 匹配任意字符，? 匹配单个字符，不区分大小写' },
+  regex: { label: '正则表达式', placeholder: '^claude-3-5-sonnet', help: '匹配模型名的任意部分，不区分大小写；需要匹配完整名称时使用 ^ 和 $' }
+}
+
+export default function ModelAliases() {
+  const [aliases, setAliases] = useState([])
+  const [merged, setMerged] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [open, setOpen] = useState(false)
+  const [editingAlias, setEditingAlias] = useState(null)
+  const [testResult, setTestResult] = useState(null)
+  const [testing, setTesting] = useState(false)
+  const [form] = Form.useForm()
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const [res, mergedRes] = await Promise.all([
+        fetch('/api/model-aliases', { headers: authHeaders() }),
+        fetch('/api/model-aliases/merged', { headers: authHeaders() })
+      ])
+      if (!res.ok || !mergedRes.ok) throw new Error('加载模型别名失败')
+      setAliases(await res.json())
+      setMerged(await mergedRes.json())
+    } catch (e) {
+      message.error(e.message || '加载模型别名失败')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    load()
+  }, [])
+
+  const openModal = (alias = null) => {
+    setEditingAlias(alias)
+    setTestResult(null)
+    form.resetFields()
+    if (alias) {
+      form.setFieldsValue({
+        pattern: alias.pattern,
+        matchType: alias.matchType,
+        canonical: alias.canonical,
+        note: alias.note || '',
+        enabled: alias.enabled
+      })
+    }
+    setOpen(true)
+  }
+
+  const onSave = async () => {
+    try {
+      const v = await form.validateFields()
+      const body = { ...v, note: v.note || null, enabled: v.enabled !== false }
+      const res = await fetch(editingAlias ? `/api/model-aliases/${editingAlias.id}` : '/api/model-aliases', {
+        method: editingAlias ? 'PATCH' : 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify(body)
+      })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || '保存模型别名失败')
+      }
+      setOpen(false)
+      message.success('模型别名已保存')
+      await load()
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '保存模型别名失败')
+    }
+  }
+
+  // 用各站点当前提供的模型试匹配
+  const onTest = async () => {
+    try {
+      const { pattern, matchType } = await form.validateFields(['pattern', 'matchType'])
+      setTesting(true)
+      const res = await fetch('/api/model-aliases/test', {
+        method: 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify({ pattern, matchType })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || '试匹配失败')
+      setTestResult(data.matches)
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '试匹配失败')
+    } finally {
+      setTesting(false)
+    }
+  }
+
+  const toggleAlias = async (alias, enabled) => {
+    try {
+      const res = await fetch(`/api/model-aliases/${alias.id}`, {
+        method: 'PATCH',
+        headers: authHeaders(true),
+        body: JSON.stringify({ enabled })
+      })
+      if (!res.ok) throw new Error('更新模型别名失败')
+      await load()
+    } catch (e) {
+      message.error(e.message || '更新模型别名失败')
+    }
+  }
+
+  const deleteAlias = async (alias) => {
+    try {
+      const res = await fetch(`/api/model-aliases/${alias.id}`, { method: 'DELETE', headers: authHeaders() })
+      if (!res.ok) throw new Error('删除模型别名失败')
+      message.success('模型别名已删除')
+      await load()
+    } catch (e) {
+      message.error(e.message || '删除模型别名失败')
+    }
+  }
+
+  return (
+    <Space direction="vertical" size={24} style={{ width: '100%' }}>
+      <Card
+        title={
+          <Space>
+            <TagsOutlined style={{ color: '#13c2c2' }} />
+            <Typography.Title level={3} style={{ margin: 0 }}>模型别名</Typography.Title>
+          </Space>
+        }
+        extra={
+          <Button type="primary" size="large" icon={<PlusOutlined />} onClick={() => openModal()}>
+            新建别名
+          </Button>
+        }
+        style={{
+          borderRadius: 16,
+          boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+        }}
+      >
+        <Typography.Paragraph type="secondary">
+          不同站点对同一模型的命名不同，例如 <Typography.Text code>openai/gpt-4o</Typography.Text>、
+          <Typography.Text code>gpt-4o-all</Typography.Text>、<Typography.Text code>[官转]gpt-4o</Typography.Text>。
+          内置规则会去掉开头或末尾的标签、厂商前缀和 -all、:free 后缀并统一为小写；内置规则无法处理的名称可以在这里添加别名。
+          规范名称用于模型目录、价格比较、站点对比和关注规则，站点的原始模型名保持不变。
+        </Typography.Paragraph>
+        <Table
+          rowKey="id"
+          loading={loading}
+          dataSource={aliases}
+          pagination={false}
+          columns={[
+            {
+              title: '匹配规则',
+              render: (_, a) => (
+                <Space size={4}>
+                  <Tag>{MATCH_TYPES[a.matchType]?.label || a.matchType}</Tag>
+                  <Typography.Text code>{a.pattern}</Typography.Text>
+                </Space>
+              )
+            },
+            {
+              title: '规范名称',
+              dataIndex: 'canonical',
+              render: (v) => <Typography.Text strong code>{v}</Typography.Text>
+            },
+            {
+              title: '备注',
+              dataIndex: 'note',
+              render: (v) => v || <Typography.Text type="secondary">-</Typography.Text>
+            },
+            {
+              title: '启用',
+              width: 80,
+              render: (_, a) => <Switch size="small" checked={a.enabled} onChange={(checked) => toggleAlias(a, checked)} />
+            },
+            {
+              title: '操作',
+              width: 120,
+              render: (_, a) => (
+                <Space>
+                  <Button size="small" icon={<EditOutlined />} onClick={() => openModal(a)} />
+                  <Popconfirm
+                    title="确定删除该模型别名？"
+                    okText="删除"
+                    cancelText="取消"
+                    okButtonProps={{ danger: true }}
+                    onConfirm={() => deleteAlias(a)}
+                  >
+                    <Button size="small" danger icon={<DeleteOutlined />} />
+                  </Popconfirm>
+                </Space>
+              )
+            }
+          ]}
+          locale={{ emptyText: <Empty description="暂无别名，只使用内置规则" /> }}
+        />
+      </Card>
+
+      <Card
+        title={<Typography.Title level={4} style={{ margin: 0 }}>当前合并结果</Typography.Title>}
+        style={{
+          borderRadius: 16,
+          boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+        }}
+      >
+        <Typography.Paragraph type="secondary">
+          各站点当前提供的模型中，名称被规范化或多个名称合并为同一规范名称的模型。
+        </Typography.Paragraph>
+        <Table
+          rowKey="canonical"
+          size="small"
+          loading={loading}
+          dataSource={merged}
+          pagination={merged.length > 20 ? { pageSize: 20, showSizeChanger: false, size: 'small' } : false}
+          columns={[
+            {
+              title: '规范名称',
+              dataIndex: 'canonical',
+              width: 260,
+              render: (v) => <Typography.Text strong code>{v}</Typography.Text>
+            },
+            {
+              title: '原始名称（站点数）',
+              render: (_, g) => (
+                <Space size={[4, 4]} wrap>
+                  {g.models.map(m => <Tag key={m.model}>{m.model}（{m.siteCount}）</Tag>)}
+                </Space>
+              )
+            }
+          ]}
+          locale={{ emptyText: <Empty description="各站点的模型名都已是规范名称" /> }}
+        />
+      </Card>
+
+      {open && (
+        <Modal
+          open={open}
+          title={<Typography.Title level={4} style={{ margin: 0 }}>{editingAlias ? '编辑模型别名' : '新建模型别名'}</Typography.Title>}
+          onCancel={() => setOpen(false)}
+          onOk={onSave}
+          okText="保存"
+          cancelText="取消"
+          destroyOnClose
+        >
+          <Form
+            form={form}
+            layout="vertical"
+            initialValues={{ matchType: 'glob', enabled: true }}
+            onValuesChange={(changed) => {
+              if ('pattern' in changed || 'matchType' in changed) setTestResult(null)
+            }}
+          >
+            <Form.Item name="matchType" label="匹配方式">
+              <Radio.Group>
+                {Object.entries(MATCH_TYPES).map(([value, t]) => <Radio key={value} value={value}>{t.label}</Radio>)}
+              </Radio.Group>
+            </Form.Item>
+            <Form.Item noStyle shouldUpdate={(prev, curr) => prev.matchType !== curr.matchType}>
+              {({ getFieldValue }) => {
+                const type = MATCH_TYPES[getFieldValue('matchType')]
+                return (
+                  <Form.Item label="匹配规则" extra={`${type?.help || ''}。同时匹配原始名称和内置规则处理后的名称`} required>
+                    <Space.Compact style={{ width: '100%' }}>
+                      <Form.Item name="pattern" noStyle rules={[{ required: true, whitespace: true, message: '请输入匹配规则' }]}>
+                        <Input placeholder={type?.placeholder} style={{ fontFamily: 'Menlo, Consolas, monospace' }} />
+                      </Form.Item>
+                      <Button icon={<SearchOutlined />} loading={testing} onClick={onTest}>试匹配</Button>
+                    </Space.Compact>
+                  </Form.Item>
+                )
+              }}
+            </Form.Item>
+            {testResult && (
+              testResult.length === 0 ? (
+                <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="当前模型列表中没有匹配的模型" style={{ marginBottom: 16 }} />
+              ) : (
+                <Alert
+                  type="info"
+                  style={{ marginBottom: 16, maxHeight: 200, overflow: 'auto' }}
+                  message={`匹配 ${testResult.length} 个模型名`}
+                  description={testResult.map(m => (
+                    <div key={m.model}>
+                      <Typography.Text code>{m.model}</Typography.Text>
+                      <Typography.Text type="secondary">（{m.siteCount} 个站点，当前规范名称 {m.canonical}）</Typography.Text>
+                    </div>
+                  ))}
+                />
+              )
+            )}
+            <Form.Item
+              name="canonical"
+              label="规范名称"
+              extra="保存时统一转为小写"
+              rules={[{ required: true, whitespace: true, message: '请输入规范名称' }]}
+            >
+              <Input placeholder="如：gpt-4o" style={{ fontFamily: 'Menlo, Consolas, monospace' }} />
+            </Form.Item>
+            <Form.Item name="note" label="备注">
+              <Input placeholder="可选" />
+            </Form.Item>
+            <Form.Item name="enabled" label="启用" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          </Form>
+        </Modal>
+      )}
+    </Space>
+  )
+}
@@ -0,0 +1,173 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Card, Empty, Input, Segmented, Select, Space, Table, Tag, Tooltip, Typography, message } from 'antd'
+import { DatabaseOutlined, DollarOutlined, SearchOutlined } from '@ant-design/icons'
+
+function authHeaders(includeJson = false) {
+  const t = localStorage.getItem('token');
+  const h = { 'Authorization': `Bearer ${t}` };
+  if (includeJson) h['Content-Type'] = 'application/json';
+  return h;
+}
+
+export default function ModelCatalog() {
+  const nav = useNavigate()
+  const [data, setData] = useState({ models: [], vendors: [], siteCount: 0 })
+  const [loading, setLoading] = useState(false)
+  const [search, setSearch] = useState('')
+  const [vendor, setVendor] = useState(null)
+  const [health, setHealth] = useState('all')
+
+  useEffect(() => {
+    setLoading(true)
+    fetch('/api/models/catalog', { headers: authHeaders() })
+      .then(async (res) => {
+        const body = await res.json().catch(() => ({}))
+        if (!res.ok) throw new Error(body.error || '加载模型目录失败')
+        setData(body)
+      })
+      .catch(e => message.error(e.message || '加载模型目录失败'))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const models = useMemo(() => {
+    const keyword = search.trim().toLowerCase()
+    return data.models.filter(m =>
+      (!keyword || m.model.toLowerCase().includes(keyword) || m.aliases.some(a => a.toLowerCase().includes(keyword))) &&
+      (!vendor || m.vendor === vendor) &&
+      (health === 'all' || m.healthySiteCount > 0)
+    )
+  }, [data, search, vendor, health])
+
+  return (
+    <Card
+      title={
+        <Space>
+          <DatabaseOutlined style={{ color: '#1890ff' }} />
+          <Typography.Title level={3} style={{ margin: 0 }}>模型目录</Typography.Title>
+          <Typography.Text type="secondary">
+            {data.models.length} 个模型，{data.siteCount} 个站点
+          </Typography.Text>
+        </Space>
+      }
+      extra={
+        <Space size={10} wrap>
+          <Input
+            allowClear
+            size="large"
+            prefix={<SearchOutlined />}
+            placeholder="搜索模型名"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            style={{ width: 240 }}
+          />
+          <Select
+            allowClear
+            size="large"
+            placeholder="全部厂商"
+            value={vendor}
+            onChange={(value) => setVendor(value ?? null)}
+            options={data.vendors.map(v => ({ value: v.vendor, label: `${v.vendor}（${v.count}）` }))}
+            style={{ width: 180 }}
+          />
+          <Segmented
+            size="large"
+            value={health}
+            onChange={setHealth}
+            options={[
+              { value: 'all', label: '全部模型' },
+              { value: 'healthy', label: '有正常站点' }
+            ]}
+          />
+        </Space>
+      }
+      style={{
+        borderRadius: 16,
+        boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+      }}
+    >
+      <Table
+        rowKey="model"
+        loading={loading}
+        dataSource={models}
+        pagination={{ pageSize: 50, showSizeChanger: false, showTotal: (total) => `共 ${total} 个模型` }}
+        columns={[
+          {
+            title: '模型',
+            dataIndex: 'model',
+            sorter: (a, b) => a.model.localeCompare(b.model),
+            render: (model, m) => {
+              const others = m.aliases.filter(a => a !== model)
+              return (
+                <Space direction="vertical" size={0}>
+                  <Space size={4}>
+                    <Typography.Text code copyable={{ text: model }}>{model}</Typography.Text>
+                    <Tooltip title="比较各站点价格">
+                      <Typography.Link onClick={() => nav(`/prices?model=${encodeURIComponent(model)}`)}>
+                        <DollarOutlined />
+                      </Typography.Link>
+                    </Tooltip>
+                  </Space>
+                  {others.length > 0 && (
+                    <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+                      也称：{others.join('、')}
+                    </Typography.Text>
+                  )}
+                </Space>
+              )
+            }
+          },
+          {
+            title: '厂商',
+            dataIndex: 'vendor',
+            width: 130,
+            render: (v) => <Tag color="blue">{v}</Tag>
+          },
+          {
+            title: '提供的站点',
+            render: (_, m) => (
+              <Space size={[4, 4]} wrap>
+                {m.sites.map(s => (
+                  <Tooltip
+                    key={s.siteId}
+                    title={[
+                      `${new Date(s.since).toLocaleDateString('zh-CN')} 起提供`,
+                      `模型名：${s.ids.join('、')}`,
+                      ...s.healthReasons,
+                      ...(s.flapping ? ['反复增删，不稳定'] : [])
+                    ].join('；')}
+                  >
+                    <Tag
+                      color={!s.healthy ? 'red' : s.flapping ? 'orange' : 'green'}
+                      style={{ cursor: 'pointer' }}
+                      onClick={() => nav(`/sites/${s.siteId}`)}
+                    >
+                      {s.siteName}
+                    </Tag>
+                  </Tooltip>
+                ))}
+              </Space>
+            )
+          },
+          {
+            title: '正常站点',
+            width: 110,
+            sorter: (a, b) => a.healthySiteCount - b.healthySiteCount || a.siteCount - b.siteCount,
+            render: (_, m) => (
+              <Typography.Text type={m.healthySiteCount === 0 ? 'danger' : undefined} strong>
+                {m.healthySiteCount} / {m.siteCount}
+              </Typography.Text>
+            )
+          },
+          {
+            title: '首次出现',
+            width: 130,
+            sorter: (a, b) => new Date(a.firstSeenAt) - new Date(b.firstSeenAt),
+            render: (_, m) => new Date(m.firstSeenAt).toLocaleDateString('zh-CN')
+          }
+        ]}
+        locale={{ emptyText: <Empty description={data.models.length === 0 ? '暂无模型，站点完成检测后会出现在这里' : '没有符合条件的模型'} /> }}
+      />
+    </Card>
+  )
+}
@@ -0,0 +1,320 @@
+import { useEffect, useState } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { Alert, Button, Card, Col, Collapse, Empty, Input, Popconfirm, Row, Segmented, Select, Space, Spin, Table, Tag, Typography, message } from 'antd'
+import { ArrowLeftOutlined, FileTextOutlined, SaveOutlined, UndoOutlined, BulbOutlined } from '@ant-design/icons'
+
+const KINDS = [
+  { value: 'site', label: '单站点变更通知' },
+  { value: 'aggregate', label: '聚合报告' }
+]
+
+const SYNTAX_HELP = [
+  { syntax: '{{site.siteName}}', description: '输出变量（HTML 格式会自动转义）' },
+  { syntax: '{{{site.siteName}}}', description: '原样输出，不转义' },
+  { syntax: '{{#if site.added}}…{{else}}…{{/if}}', description: '条件，空列表、空文字和 0 视为不成立；{{#unless}} 相反' },
+  { syntax: '{{#each site.added}}{{id}}{{/each}}', description: '遍历列表，区块内可直接使用元素的字段' },
+  { syntax: '{{this}} {{@number}} {{@first}} {{@last}}', description: '当前元素、序号（从 1 开始）、是否第一个 / 最后一个' },
+  { syntax: '{{site.added.length}}', description: '列表长度' },
+  { syntax: '{{! 注释 }}', description: '注释，不输出' }
+]
+
+function authHeaders(includeJson = false) {
+  const t = localStorage.getItem('token');
+  const h = { 'Authorization': `Bearer ${t}` };
+  if (includeJson) h['Content-Type'] = 'application/json';
+  return h;
+}
+
+export default function NotificationTemplates() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [channel, setChannel] = useState(null)
+  const [channelType, setChannelType] = useState(null)
+  const [variables, setVariables] = useState([])
+  const [sites, setSites] = useState([])
+  const [saved, setSaved] = useState({})
+  const [drafts, setDrafts] = useState({})
+  const [kind, setKind] = useState('site')
+  const [siteId, setSiteId] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [previewError, setPreviewError] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [loading, setLoading] = useState(true)
+
+  const draft = drafts[kind] || { subject: '', body: '' }
+  const template = channelType?.template
+
+  const loadTemplates = async () => {
+    const res = await fetch(`/api/notification-channels/${id}/templates`, { headers: authHeaders() })
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) throw new Error(data.error || '加载模板失败')
+    const byKind = Object.fromEntries(data.map(t => [t.kind, t]))
+    setSaved(byKind)
+    return byKind
+  }
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true)
+      try {
+        const [channelsRes, typesRes, sitesRes] = await Promise.all([
+          fetch('/api/notification-channels', { headers: authHeaders() }),
+          fetch('/api/notification-channel-types', { headers: authHeaders() }),
+          fetch('/api/sites', { headers: authHeaders() })
+        ])
+        if (!channelsRes.ok || !typesRes.ok) throw new Error('加载通知渠道失败')
+        const current = (await channelsRes.json()).find(c => c.id === id)
+        if (!current) throw new Error('通知渠道不存在')
+        const types = await typesRes.json()
+        setChannel(current)
+        setChannelType(types.types.find(t => t.type === current.type) || null)
+        setVariables(types.templateVariables || [])
+        if (sitesRes.ok) setSites(await sitesRes.json())
+
+        const byKind = await loadTemplates()
+        setDrafts(Object.fromEntries(KINDS.map(k => [k.value, {
+          subject: byKind[k.value]?.subject || '',
+          body: byKind[k.value]?.body || ''
+        }])))
+      } catch (e) {
+        message.error(e.message || '加载模板失败')
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [id])
+
+  // 编辑内容变化后延迟刷新预览
+  useEffect(() => {
+    if (!template || !draft.body.trim()) {
+      setPreview(null)
+      setPreviewError(null)
+      return
+    }
+    const timer = setTimeout(async () => {
+      setPreviewLoading(true)
+      try {
+        const res = await fetch(`/api/notification-channels/${id}/templates/preview`, {
+          method: 'POST',
+          headers: authHeaders(true),
+          body: JSON.stringify({ kind, subject: draft.subject || null, body: draft.body, ...(siteId ? { siteId } : {}) })
+        })
+        const data = await res.json().catch(() => ({}))
+        if (!res.ok) throw new Error(data.error || '预览失败')
+        setPreview(data)
+        setPreviewError(null)
+      } catch (e) {
+        setPreviewError(e.message || '预览失败')
+      } finally {
+        setPreviewLoading(false)
+      }
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [id, template, kind, draft.subject, draft.body, siteId])
+
+  const updateDraft = (patch) => setDrafts(prev => ({ ...prev, [kind]: { ...draft, ...patch } }))
+
+  const applyStarter = () => {
+    const starter = template?.starters?.[kind]
+    if (starter) updateDraft({ subject: starter.subject || '', body: starter.body })
+  }
+
+  const onSave = async () => {
+    setSaving(true)
+    try {
+      const res = await fetch(`/api/notification-channels/${id}/templates/${kind}`, {
+        method: 'PUT',
+        headers: authHeaders(true),
+        body: JSON.stringify({ subject: draft.subject || null, body: draft.body })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || '保存模板失败')
+      message.success('模板已保存')
+      await loadTemplates()
+    } catch (e) {
+      message.error(e.message || '保存模板失败')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const onReset = async () => {
+    try {
+      const res = await fetch(`/api/notification-channels/${id}/templates/${kind}`, { method: 'DELETE', headers: authHeaders() })
+      if (!res.ok) throw new Error('恢复内置格式失败')
+      message.success('已恢复内置格式')
+      await loadTemplates()
+      updateDraft({ subject: '', body: '' })
+    } catch (e) {
+      message.error(e.message || '恢复内置格式失败')
+    }
+  }
+
+  const dirty = (saved[kind]?.subject || '') !== draft.subject || (saved[kind]?.body || '') !== draft.body
+
+  const renderPreview = () => {
+    if (!draft.body.trim()) {
+      return <Empty description="未设置模板，发送时使用内置格式" />
+    }
+    if (previewError) {
+      return <Alert type="error" showIcon message={previewError} />
+    }
+    if (!preview) return <Spin />
+    return (
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <Typography.Text type="secondary">
+          {preview.source.length > 0
+            ? `数据来自最近的变更记录：${preview.source.map(s => `${s.siteName}（${new Date(s.diffAt).toLocaleString('zh-CN')}）`).join('、')}`
+            : '暂无变更记录，使用示例数据'}
+        </Typography.Text>
+        {template.subject && (
+          <Typography.Text>
+            <Typography.Text strong>{channel.type === 'email' ? '主题：' : '标题：'}</Typography.Text>
+            {preview.subject || '（默认标题）'}
+          </Typography.Text>
+        )}
+        {preview.format === 'html' && channel.type === 'email' ? (
+          // 不允许执行脚本
+          <iframe
+            title="preview"
+            sandbox=""
+            srcDoc={preview.body}
+            style={{ width: '100%', height: 560, border: '1px solid #f0f0f0', borderRadius: 8, background: '#fff' }}
+          />
+        ) : (
+          <pre style={{ whiteSpace: 'pre-wrap', margin: 0, padding: 12, background: '#fafafa', borderRadius: 8, maxHeight: 560, overflow: 'auto' }}>
+            {preview.body}
+          </pre>
+        )}
+      </Space>
+    )
+  }
+
+  if (loading) return <Spin />
+
+  if (!channel || !template) {
+    return (
+      <Card>
+        <Empty description={channel ? '该渠道类型不支持自定义模板' : '通知渠道不存在'}>
+          <Button onClick={() => navigate('/notifications')}>返回通知渠道</Button>
+        </Empty>
+      </Card>
+    )
+  }
+
+  return (
+    <Card
+      title={
+        <Space>
+          <Button type="text" icon={<ArrowLeftOutlined />} onClick={() => navigate('/notifications')} />
+          <FileTextOutlined style={{ color: '#1890ff' }} />
+          <Typography.Title level={3} style={{ margin: 0 }}>通知模板</Typography.Title>
+          <Typography.Text strong>{channel.name}</Typography.Text>
+          <Tag color="blue">{channelType.label}</Tag>
+        </Space>
+      }
+      style={{
+        borderRadius: 16,
+        boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+      }}
+    >
+      <Space direction="vertical" size={16} style={{ width: '100%' }}>
+        <Space wrap>
+          <Segmented
+            value={kind}
+            onChange={setKind}
+            options={KINDS.map(k => ({ value: k.value, label: <Space size={4}>{k.label}{saved[k.value] && <Tag color="green" style={{ margin: 0 }}>已自定义</Tag>}</Space> }))}
+          />
+          <Select
+            allowClear
+            showSearch
+            optionFilterProp="label"
+            placeholder="预览数据：最近有变更的站点"
+            style={{ width: 260 }}
+            value={siteId}
+            onChange={(value) => setSiteId(value ?? null)}
+            options={sites.map(s => ({ value: s.id, label: s.name }))}
+          />
+        </Space>
+
+        {template.hint && <Alert type="info" showIcon message={template.hint} />}
+
+        <Row gutter={24}>
+          <Col xs={24} lg={12}>
+            <Space direction="vertical" style={{ width: '100%' }}>
+              {template.subject && (
+                <Input
+                  addonBefore={channel.type === 'email' ? '主题' : '标题'}
+                  placeholder="留空使用默认标题，可使用变量"
+                  value={draft.subject}
+                  onChange={(e) => updateDraft({ subject: e.target.value })}
+                />
+              )}
+              <Input.TextArea
+                value={draft.body}
+                onChange={(e) => updateDraft({ body: e.target.value })}
+                placeholder="留空表示使用内置格式，可点击「使用示例模板」作为起点"
+                autoSize={{ minRows: 20, maxRows: 40 }}
+                style={{ fontFamily: 'Menlo, Consolas, monospace', fontSize: 13 }}
+              />
+              <Space wrap>
+                <Button type="primary" icon={<SaveOutlined />} loading={saving} disabled={!draft.body.trim() || !dirty} onClick={onSave}>
+                  保存
+                </Button>
+                <Button icon={<BulbOutlined />} onClick={applyStarter}>使用示例模板</Button>
+                {saved[kind] && (
+                  <Popconfirm title="删除该模板，恢复内置格式？" okText="恢复" cancelText="取消" onConfirm={onReset}>
+                    <Button icon={<UndoOutlined />}>恢复内置格式</Button>
+                  </Popconfirm>
+                )}
+              </Space>
+              <Collapse
+                items={[
+                  {
+                    key: 'syntax',
+                    label: '模板语法',
+                    children: (
+                      <Table
+                        size="small"
+                        rowKey="syntax"
+                        pagination={false}
+                        dataSource={SYNTAX_HELP}
+                        columns={[
+                          { title: '写法', dataIndex: 'syntax', render: (v) => <Typography.Text code>{v}</Typography.Text> },
+                          { title: '说明', dataIndex: 'description' }
+                        ]}
+                      />
+                    )
+                  },
+                  {
+                    key: 'variables',
+                    label: '可用变量',
+                    children: (
+                      <Table
+                        size="small"
+                        rowKey="name"
+                        pagination={false}
+                        dataSource={variables}
+                        columns={[
+                          { title: '变量', dataIndex: 'name', render: (v) => <Typography.Text code>{v}</Typography.Text> },
+                          { title: '说明', dataIndex: 'description' }
+                        ]}
+                      />
+                    )
+                  }
+                ]}
+              />
+            </Space>
+          </Col>
+          <Col xs={24} lg={12}>
+            <Card size="small" title={<Space>预览{previewLoading && <Spin size="small" />}</Space>}>
+              {renderPreview()}
+            </Card>
+          </Col>
+        </Row>
+      </Space>
+    </Card>
+  )
+}
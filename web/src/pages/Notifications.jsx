@@ -0,0 +1,666 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Alert, Button, Card, Checkbox, Form, Input, InputNumber, Modal, Popconfirm, Select, Space, Switch, Table, Tag, TimePicker, Tooltip, Typography, message } from 'antd'
+import { NotificationOutlined, PlusOutlined, EditOutlined, DeleteOutlined, SendOutlined, ReloadOutlined, FileTextOutlined } from '@ant-design/icons'
+import dayjs from 'dayjs'
+
+const DELIVERY_STATUS = {
+  success: { label: '成功', color: 'green' },
+  retrying: { label: '等待重试', color: 'orange' },
+  failed: { label: '失败', color: 'red' }
+}
+
+const DELIVERY_KINDS = {
+  site: '单站点',
+  aggregate: '聚合',
+  test: '测试'
+}
+
+const PENDING_REASONS = {
+  digest: { label: '等待汇总', color: 'blue' },
+  quiet: { label: '静默时段', color: 'purple' }
+}
+
+// 汇总发送时间的候选项（整点），也可以输入其他时间
+const DIGEST_TIME_OPTIONS = Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, '0')}:00`)
+
+function authHeaders(includeJson = false) {
+  const t = localStorage.getItem('token');
+  const h = { 'Authorization': `Bearer ${t}` };
+  if (includeJson) h['Content-Type'] = 'application/json';
+  return h;
+}
+
+export default function Notifications() {
+  const [channels, setChannels] = useState([])
+  const [types, setTypes] = useState([])
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [open, setOpen] = useState(false)
+  const [editingChannel, setEditingChannel] = useState(null)
+  const [testing, setTesting] = useState(null)
+  const [deliveries, setDeliveries] = useState([])
+  const [deliveriesLoading, setDeliveriesLoading] = useState(false)
+  const [deliveryStatus, setDeliveryStatus] = useState(null)
+  const [settings, setSettings] = useState(null)
+  const [savingSettings, setSavingSettings] = useState(false)
+  const [flushing, setFlushing] = useState(false)
+  const [form] = Form.useForm()
+  const [settingsForm] = Form.useForm()
+  const digestEnabled = Form.useWatch('digestEnabled', settingsForm)
+  const quietEnabled = Form.useWatch('quietEnabled', settingsForm)
+  const navigate = useNavigate()
+
+  const typeOf = (type) => types.find(t => t.type === type)
+  const eventLabel = (value) => events.find(e => e.value === value)?.label || value
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const res = await fetch('/api/notification-channels', { headers: authHeaders() })
+      if (!res.ok) throw new Error('加载通知渠道失败')
+      setChannels(await res.json())
+    } catch (e) {
+      message.error(e.message || '加载通知渠道失败')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadDeliveries = async (status = deliveryStatus) => {
+    setDeliveriesLoading(true)
+    try {
+      const query = new URLSearchParams({ limit: '100', ...(status ? { status } : {}) })
+      const res = await fetch(`/api/notification-deliveries?${query}`, { headers: authHeaders() })
+      if (!res.ok) throw new Error('加载发送记录失败')
+      setDeliveries(await res.json())
+    } catch (e) {
+      message.error(e.message || '加载发送记录失败')
+    } finally {
+      setDeliveriesLoading(false)
+    }
+  }
+
+  const applySettings = (data) => {
+    setSettings(data)
+    settingsForm.setFieldsValue({
+      digestEnabled: data.digestEnabled,
+      digestTimes: data.digestTimes,
+      quietEnabled: data.quietEnabled,
+      quietStart: dayjs(data.quietStart, 'HH:mm'),
+      quietEnd: dayjs(data.quietEnd, 'HH:mm'),
+      urgentEvents: data.urgentEvents
+    })
+  }
+
+  const loadSettings = async () => {
+    try {
+      const res = await fetch('/api/notification-settings', { headers: authHeaders() })
+      if (!res.ok) throw new Error('加载发送策略失败')
+      applySettings(await res.json())
+    } catch (e) {
+      message.error(e.message || '加载发送策略失败')
+    }
+  }
+
+  useEffect(() => {
+    load()
+    loadDeliveries()
+    loadSettings()
+    fetch('/api/notification-channel-types', { headers: authHeaders() })
+      .then(res => res.ok ? res.json() : { types: [], events: [] })
+      .then(data => {
+        setTypes(data.types)
+        setEvents(data.events)
+      })
+      .catch(() => {})
+  }, [])
+
+  const openModal = (channel = null) => {
+    setEditingChannel(channel)
+    form.resetFields()
+    if (channel) {
+      form.setFieldsValue({
+        name: channel.name,
+        type: channel.type,
+        config: channel.config,
+        events: channel.events || [],
+        defaultRoute: channel.defaultRoute,
+        enabled: channel.enabled
+      })
+    } else if (types.length > 0) {
+      form.setFieldsValue({ type: types[0].type })
+    }
+    setOpen(true)
+  }
+
+  const onSave = async () => {
+    try {
+      const v = await form.validateFields()
+      const body = {
+        name: v.name,
+        type: v.type,
+        config: v.config || {},
+        events: v.events && v.events.length > 0 ? v.events : null,
+        defaultRoute: v.defaultRoute !== false,
+        enabled: v.enabled !== false
+      }
+      const res = await fetch(editingChannel ? `/api/notification-channels/${editingChannel.id}` : '/api/notification-channels', {
+        method: editingChannel ? 'PATCH' : 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify(body)
+      })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || '保存通知渠道失败')
+      }
+      setOpen(false)
+      message.success('通知渠道已保存')
+      await load()
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '保存通知渠道失败')
+    }
+  }
+
+  // 发送测试通知：在弹窗中使用表单中的配置（可未保存），在列表中使用已保存的配置
+  const sendTest = async (channel = null) => {
+    try {
+      let body = { channelId: channel?.id }
+      if (!channel) {
+        const v = await form.validateFields()
+        body = { channelId: editingChannel?.id, name: v.name, type: v.type, config: v.config || {} }
+      }
+      setTesting(channel?.id || 'form')
+      const res = await fetch('/api/notifications/test', {
+        method: 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify(body)
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || '发送测试通知失败')
+      message.success('测试通知已发送，请检查是否收到')
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '发送测试通知失败')
+    } finally {
+      setTesting(null)
+      loadDeliveries()
+    }
+  }
+
+  const retryDelivery = async (delivery) => {
+    try {
+      const res = await fetch(`/api/notification-deliveries/${delivery.id}/retry`, { method: 'POST', headers: authHeaders() })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || '重试失败')
+      if (data.status === 'success') message.success('重新发送成功')
+      else message.error(`重新发送失败：${data.error}`)
+    } catch (e) {
+      message.error(e.message || '重试失败')
+    } finally {
+      loadDeliveries()
+    }
+  }
+
+  const saveSettings = async () => {
+    try {
+      const v = await settingsForm.validateFields()
+      setSavingSettings(true)
+      const res = await fetch('/api/notification-settings', {
+        method: 'PUT',
+        headers: authHeaders(true),
+        body: JSON.stringify({
+          digestEnabled: v.digestEnabled,
+          digestTimes: v.digestTimes || [],
+          quietEnabled: v.quietEnabled,
+          quietStart: v.quietStart.format('HH:mm'),
+          quietEnd: v.quietEnd.format('HH:mm'),
+          urgentEvents: v.urgentEvents || []
+        })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || data.message || '保存发送策略失败')
+      applySettings(data)
+      message.success('发送策略已保存')
+      loadDeliveries()
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '保存发送策略失败')
+    } finally {
+      setSavingSettings(false)
+    }
+  }
+
+  // 立即发送所有暂存的通知
+  const flushPending = async () => {
+    setFlushing(true)
+    try {
+      const res = await fetch('/api/notification-settings/flush', { method: 'POST', headers: authHeaders() })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || '发送暂存通知失败')
+      message.success(`已合并发送 ${data.count} 条暂存的通知`)
+    } catch (e) {
+      message.error(e.message || '发送暂存通知失败')
+    } finally {
+      setFlushing(false)
+      loadSettings()
+      loadDeliveries()
+    }
+  }
+
+  const toggleChannel = async (channel, enabled) => {
+    try {
+      const res = await fetch(`/api/notification-channels/${channel.id}`, {
+        method: 'PATCH',
+        headers: authHeaders(true),
+        body: JSON.stringify({ enabled })
+      })
+      if (!res.ok) throw new Error('更新通知渠道失败')
+      await load()
+    } catch (e) {
+      message.error(e.message || '更新通知渠道失败')
+    }
+  }
+
+  const deleteChannel = async (channel) => {
+    try {
+      const res = await fetch(`/api/notification-channels/${channel.id}`, { method: 'DELETE', headers: authHeaders() })
+      if (!res.ok) throw new Error('删除通知渠道失败')
+      message.success('通知渠道已删除')
+      await load()
+    } catch (e) {
+      message.error(e.message || '删除通知渠道失败')
+    }
+  }
+
+  // 按渠道类型渲染配置项，编辑时已设置的密钥可留空；showIf 条件不满足的字段不显示
+  const renderConfigFields = (type, getFieldValue) => {
+    const fields = typeOf(type)?.fields || []
+    const valueOf = (name) => getFieldValue(['config', name]) ?? fields.find(f => f.name === name)?.default
+    return fields
+      .filter(field => !field.showIf || Object.entries(field.showIf).every(([name, value]) => valueOf(name) === value))
+      .map(field => {
+        const secretSet = field.secret && editingChannel?.type === type && editingChannel.secretsSet?.includes(field.name)
+        const required = field.required && !secretSet
+        const placeholder = secretSet ? '已设置，留空则不修改' : field.placeholder
+        let input = <Input placeholder={placeholder} />
+        if (field.type === 'select') {
+          input = <Select options={field.options} />
+        } else if (field.type === 'switch') {
+          input = <Switch />
+        } else if (field.type === 'number') {
+          input = <InputNumber placeholder={placeholder} style={{ width: 160 }} />
+        } else if (field.secret) {
+          input = <Input.Password placeholder={placeholder} autoComplete="new-password" />
+        } else if (field.multiline) {
+          input = <Input.TextArea rows={3} placeholder={placeholder} />
+        }
+        return (
+          <Form.Item
+            key={`${type}.${field.name}`}
+            name={['config', field.name]}
+            label={field.label}
+            extra={field.extra}
+            initialValue={field.default}
+            valuePropName={field.type === 'switch' ? 'checked' : 'value'}
+            rules={required ? [{ required: true, message: `请填写${field.label}` }] : []}
+          >
+            {input}
+          </Form.Item>
+        )
+      })
+  }
+
+  return (
+    <Space direction="vertical" size={24} style={{ width: '100%' }}>
+      <Card
+        title={
+          <Space>
+            <NotificationOutlined style={{ color: '#52c41a' }} />
+            <Typography.Title level={3} style={{ margin: 0 }}>通知渠道</Typography.Title>
+          </Space>
+        }
+        extra={
+          <Button type="primary" size="large" icon={<PlusOutlined />} onClick={() => openModal()}>
+            添加渠道
+          </Button>
+        }
+        style={{
+          borderRadius: 16,
+          boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+        }}
+      >
+        <Typography.Paragraph type="secondary">
+          检测到变更、告警或检测失败时，通知会发送到所有启用的渠道；每个渠道可以只订阅部分事件。
+        </Typography.Paragraph>
+        <Table
+          rowKey="id"
+          loading={loading}
+          dataSource={channels}
+          pagination={false}
+          columns={[
+            {
+              title: '名称',
+              dataIndex: 'name',
+              render: (name) => <Typography.Text strong>{name}</Typography.Text>
+            },
+            {
+              title: '类型',
+              dataIndex: 'type',
+              render: (type) => <Tag color="blue">{typeOf(type)?.label || type}</Tag>
+            },
+            {
+              title: '订阅事件',
+              dataIndex: 'events',
+              render: (list) => list && list.length > 0
+                ? <Space size={[4, 4]} wrap>{list.map(e => <Tag key={e}>{eventLabel(e)}</Tag>)}</Space>
+                : <Typography.Text type="secondary">全部事件</Typography.Text>
+            },
+            {
+              title: '接收范围',
+              render: (_, c) => {
+                const { categories = [], sites = [] } = c.assigned || {}
+                if (!c.defaultRoute && categories.length === 0 && sites.length === 0) {
+                  return <Typography.Text type="secondary">未分配站点</Typography.Text>
+                }
+                return (
+                  <Space size={[4, 4]} wrap>
+                    {c.defaultRoute && (
+                      <Tooltip title="未在分类或站点中指定通知渠道的站点">
+                        <Tag color="gold">默认渠道</Tag>
+                      </Tooltip>
+                    )}
+                    {categories.map(cat => <Tag key={cat.id} color="geekblue">分类：{cat.name}</Tag>)}
+                    {sites.map(site => <Tag key={site.id} color="cyan">站点：{site.name}</Tag>)}
+                  </Space>
+                )
+              }
+            },
+            {
+              title: '启用',
+              width: 80,
+              render: (_, c) => <Switch size="small" checked={c.enabled} onChange={(checked) => toggleChannel(c, checked)} />
+            },
+            {
+              title: '操作',
+              width: 190,
+              render: (_, c) => (
+                <Space>
+                  <Tooltip title="发送测试通知">
+                    <Button size="small" icon={<SendOutlined />} loading={testing === c.id} onClick={() => sendTest(c)} />
+                  </Tooltip>
+                  {typeOf(c.type)?.template && (
+                    <Tooltip title="通知模板">
+                      <Button size="small" icon={<FileTextOutlined />} onClick={() => navigate(`/notifications/${c.id}/templates`)} />
+                    </Tooltip>
+                  )}
+                  <Button size="small" icon={<EditOutlined />} onClick={() => openModal(c)} />
+                  <Popconfirm
+                    title="确定删除该通知渠道？"
+                    okText="删除"
+                    cancelText="取消"
+                    okButtonProps={{ danger: true }}
+                    onConfirm={() => deleteChannel(c)}
+                  >
+                    <Button size="small" danger icon={<DeleteOutlined />} />
+                  </Popconfirm>
+                </Space>
+              )
+            }
+          ]}
+        />
+
+        {open && (
+          <Modal
+            open={open}
+            title={<Typography.Title level={4} style={{ margin: 0 }}>{editingChannel ? '编辑通知渠道' : '添加通知渠道'}</Typography.Title>}
+            onCancel={() => setOpen(false)}
+            footer={[
+              <Button key="test" icon={<SendOutlined />} loading={testing === 'form'} onClick={() => sendTest()} style={{ float: 'left' }}>
+                发送测试
+              </Button>,
+              <Button key="cancel" onClick={() => setOpen(false)}>取消</Button>,
+              <Button key="save" type="primary" onClick={onSave}>保存</Button>
+            ]}
+            width={600}
+            destroyOnClose
+          >
+            <Form form={form} layout="vertical" initialValues={{ enabled: true, defaultRoute: true, events: [] }}>
+              <Form.Item name="name" label="渠道名称" rules={[{ required: true, message: '请输入渠道名称' }]}>
+                <Input placeholder="如：运维邮箱" />
+              </Form.Item>
+              <Form.Item name="type" label="渠道类型" rules={[{ required: true, message: '请选择渠道类型' }]}>
+                <Select options={types.map(t => ({ value: t.type, label: t.label }))} />
+              </Form.Item>
+              <Form.Item noStyle shouldUpdate>
+                {({ getFieldValue }) => renderConfigFields(getFieldValue('type'), getFieldValue)}
+              </Form.Item>
+              <Form.Item name="events" label="订阅事件" extra="不勾选表示订阅全部事件；关注模型的通知总是发送">
+                <Checkbox.Group options={events.filter(e => !e.priority).map(e => ({ value: e.value, label: e.label }))} />
+              </Form.Item>
+              <Form.Item
+                name="defaultRoute"
+                label="默认渠道"
+                valuePropName="checked"
+                extra="接收未在分类或站点中指定通知渠道的站点的通知；只负责部分分类的渠道请关闭，并在分类或站点中选择该渠道"
+              >
+                <Switch />
+              </Form.Item>
+              <Form.Item name="enabled" label="启用" valuePropName="checked">
+                <Switch />
+              </Form.Item>
+            </Form>
+          </Modal>
+        )}
+      </Card>
+
+      <Card
+        title={<Typography.Title level={4} style={{ margin: 0 }}>发送策略</Typography.Title>}
+        extra={<Button type="primary" loading={savingSettings} disabled={!settings} onClick={saveSettings}>保存</Button>}
+        style={{
+          borderRadius: 16,
+          boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+        }}
+      >
+        <Form form={settingsForm} layout="vertical">
+          <Space size={48} align="start" wrap>
+            <div style={{ width: 360 }}>
+              <Form.Item
+                name="digestEnabled"
+                label="汇总模式"
+                valuePropName="checked"
+                extra="开启后，单站点定时、分类定时、全局定时和手动检测产生的通知都先暂存，到汇总时间合并为一份报告发送"
+              >
+                <Switch />
+              </Form.Item>
+              <Form.Item
+                name="digestTimes"
+                label="汇总发送时间"
+                rules={digestEnabled ? [{ required: true, message: '请至少设置一个汇总发送时间' }] : []}
+              >
+                <Select
+                  mode="tags"
+                  disabled={!digestEnabled}
+                  placeholder="如 09:00、18:00"
+                  options={DIGEST_TIME_OPTIONS.map(t => ({ value: t, label: t }))}
+                />
+              </Form.Item>
+            </div>
+            <div style={{ width: 360 }}>
+              <Form.Item
+                name="quietEnabled"
+                label="静默时段"
+                valuePropName="checked"
+                extra="静默时段内只立即发送紧急事件，其他通知在时段结束后合并发送；落在静默时段内的汇总也推迟到时段结束"
+              >
+                <Switch />
+              </Form.Item>
+              <Space>
+                <Form.Item name="quietStart" label="开始" rules={[{ required: true, message: '请选择开始时间' }]}>
+                  <TimePicker format="HH:mm" minuteStep={5} allowClear={false} disabled={!quietEnabled} />
+                </Form.Item>
+                <Form.Item name="quietEnd" label="结束" rules={[{ required: true, message: '请选择结束时间' }]}>
+                  <TimePicker format="HH:mm" minuteStep={5} allowClear={false} disabled={!quietEnabled} />
+                </Form.Item>
+              </Space>
+              <Form.Item name="urgentEvents" label="紧急事件（静默时段内仍立即发送）">
+                <Checkbox.Group disabled={!quietEnabled} options={events.filter(e => !e.priority).map(e => ({ value: e.value, label: e.label }))} />
+              </Form.Item>
+            </div>
+          </Space>
+        </Form>
+        {settings && (
+          <Typography.Paragraph type="secondary">
+            时间按 {settings.timezone} 计算。
+          </Typography.Paragraph>
+        )}
+        {settings?.pending.length > 0 && (
+          <Space direction="vertical" style={{ width: '100%' }}>
+            <Alert
+              type="info"
+              showIcon
+              message={`当前暂存 ${settings.pending.length} 条通知`}
+              action={<Button size="small" loading={flushing} onClick={flushPending}>立即发送</Button>}
+            />
+            <Table
+              rowKey="id"
+              size="small"
+              dataSource={settings.pending}
+              pagination={{ pageSize: 10, hideOnSinglePage: true }}
+              columns={[
+                {
+                  title: '时间',
+                  dataIndex: 'createdAt',
+                  width: 180,
+                  render: (v) => new Date(v).toLocaleString('zh-CN')
+                },
+                {
+                  title: '原因',
+                  dataIndex: 'reason',
+                  width: 110,
+                  render: (v) => <Tag color={PENDING_REASONS[v]?.color}>{PENDING_REASONS[v]?.label || v}</Tag>
+                },
+                {
+                  title: '站点',
+                  dataIndex: 'siteNames',
+                  render: (names) => names.join('、')
+                },
+                {
+                  title: '事件',
+                  dataIndex: 'events',
+                  render: (list) => list.map(e => <Tag key={e}>{eventLabel(e)}</Tag>)
+                }
+              ]}
+            />
+          </Space>
+        )}
+      </Card>
+
+      <Card
+        title={<Typography.Title level={4} style={{ margin: 0 }}>发送记录</Typography.Title>}
+        extra={
+          <Space>
+            <Select
+              allowClear
+              placeholder="全部状态"
+              style={{ width: 140 }}
+              value={deliveryStatus}
+              onChange={(value) => {
+                setDeliveryStatus(value ?? null)
+                loadDeliveries(value ?? null)
+              }}
+              options={Object.entries(DELIVERY_STATUS).map(([value, s]) => ({ value, label: s.label }))}
+            />
+            <Button icon={<ReloadOutlined />} onClick={() => loadDeliveries()}>刷新</Button>
+          </Space>
+        }
+        style={{
+          borderRadius: 16,
+          boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+        }}
+      >
+        <Typography.Paragraph type="secondary">
+          发送失败的通知会在 1、2、4、8、16 分钟后自动重试，最多发送 6 次；记录保留 30 天。
+        </Typography.Paragraph>
+        <Table
+          rowKey="id"
+          size="small"
+          loading={deliveriesLoading}
+          dataSource={deliveries}
+          pagination={deliveries.length > 20 ? { pageSize: 20, showSizeChanger: false } : false}
+          expandable={{
+            rowExpandable: (d) => Boolean(d.preview),
+            expandedRowRender: (d) => (
+              <pre style={{ margin: 0, whiteSpace: 'pre-wrap', fontSize: 12 }}>{d.preview}</pre>
+            )
+          }}
+          columns={[
+            {
+              title: '时间',
+              dataIndex: 'createdAt',
+              width: 170,
+              render: (v) => new Date(v).toLocaleString('zh-CN')
+            },
+            {
+              title: '渠道',
+              render: (_, d) => (
+                <Space size={4}>
+                  <Typography.Text>{d.channelName}</Typography.Text>
+                  <Tag>{typeOf(d.channelType)?.label || d.channelType}</Tag>
+                </Space>
+              )
+            },
+            {
+              title: '通知',
+              render: (_, d) => (
+                <Space size={[4, 4]} wrap>
+                  <Tag color={d.kind === 'test' ? 'purple' : 'blue'}>{DELIVERY_KINDS[d.kind] || d.kind}</Tag>
+                  {d.events.split(',').filter(Boolean).map(e => <Tag key={e}>{eventLabel(e)}</Tag>)}
+                </Space>
+              )
+            },
+            {
+              title: '接收方',
+              dataIndex: 'recipients',
+              ellipsis: true,
+              render: (v) => v || '-'
+            },
+            {
+              title: '状态',
+              width: 200,
+              render: (_, d) => {
+                const status = DELIVERY_STATUS[d.status] || { label: d.status }
+                return (
+                  <Space direction="vertical" size={0}>
+                    <Space size={4}>
+                      <Tag color={status.color}>{status.label}</Tag>
+                      {d.attempts > 1 && <Typography.Text type="secondary">共 {d.attempts} 次</Typography.Text>}
+                    </Space>
+                    {d.status === 'retrying' && d.nextRetryAt && (
+                      <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+                        下次重试：{new Date(d.nextRetryAt).toLocaleTimeString('zh-CN')}
+                      </Typography.Text>
+                    )}
+                    {d.error && (
+                      <Typography.Text type="danger" style={{ fontSize: 12 }} ellipsis={{ tooltip: d.error }}>
+                        {d.error}
+                      </Typography.Text>
+                    )}
+                  </Space>
+                )
+              }
+            },
+            {
+              title: '操作',
+              width: 80,
+              render: (_, d) => d.status !== 'success' && (
+                <Button size="small" onClick={() => retryDelivery(d)}>重试</Button>
+              )
+            }
+          ]}
+        />
+      </Card>
+    </Space>
+  )
+}
@@ -0,0 +1,183 @@
+import { useEffect, useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { Card, Select, Segmented, Space, Table, Tag, Tooltip, Typography, Empty, message } from 'antd'
+import { DollarOutlined, HeartOutlined, WarningOutlined } from '@ant-design/icons'
+
+function authHeaders(includeJson = false) {
+  const t = localStorage.getItem('token');
+  const h = { 'Authorization': `Bearer ${t}` };
+  if (includeJson) h['Content-Type'] = 'application/json';
+  return h;
+}
+
+const HEALTH = {
+  healthy: { text: '正常', color: 'green' },
+  unhealthy: { text: '异常', color: 'red' },
+  unknown: { text: '未检测', color: 'default' }
+}
+
+const formatPrice = (v) => v === null || v === undefined ? '-' : `$${Number(v.toFixed(4))}`
+
+// 按量计费价格排序，按次计费排在最后
+const priceSorter = (key) => (a, b) => {
+  const va = a.cheapest.type === 'per_token' ? a.cheapest[key] : Infinity
+  const vb = b.cheapest.type === 'per_token' ? b.cheapest[key] : Infinity
+  return va - vb
+}
+
+export default function PriceCompare() {
+  const nav = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const model = searchParams.get('model') || ''
+  const [health, setHealth] = useState('all')
+  const [models, setModels] = useState([])
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    fetch('/api/pricing/models', { headers: authHeaders() })
+      .then(async (res) => {
+        if (!res.ok) throw new Error('加载模型列表失败')
+        setModels(await res.json())
+      })
+      .catch(e => message.error(e.message || '加载模型列表失败'))
+  }, [])
+
+  useEffect(() => {
+    if (!model) {
+      setRows([])
+      return
+    }
+    setLoading(true)
+    const params = new URLSearchParams({ model, health })
+    fetch(`/api/pricing/compare?${params}`, { headers: authHeaders() })
+      .then(async (res) => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || data.message || '加载价格比较失败')
+        setRows(data.sites)
+      })
+      .catch(e => message.error(e.message || '加载价格比较失败'))
+      .finally(() => setLoading(false))
+  }, [model, health])
+
+  return (
+    <Card
+      title={
+        <Space>
+          <DollarOutlined style={{ color: '#fa8c16' }} />
+          <Typography.Title level={3} style={{ margin: 0 }}>价格比较</Typography.Title>
+        </Space>
+      }
+      extra={
+        <Space size={10} wrap>
+          <Select
+            showSearch
+            allowClear
+            size="large"
+            placeholder="选择或搜索模型"
+            value={model || undefined}
+            onChange={(value) => setSearchParams(value ? { model: value } : {})}
+            options={models.map(m => ({ value: m.model, label: `${m.model}（${m.siteCount} 个站点）` }))}
+            style={{ width: 360 }}
+          />
+          <Segmented
+            size="large"
+            value={health}
+            onChange={setHealth}
+            options={[
+              { value: 'all', label: '全部站点' },
+              { value: 'healthy', label: '仅正常站点' }
+            ]}
+          />
+        </Space>
+      }
+      style={{
+        borderRadius: 16,
+        boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+      }}
+    >
+      {!model ? (
+        <Empty description="选择一个模型，比较各站点的实际价格（含分组倍率）" style={{ padding: '40px 0' }} />
+      ) : (
+        <Table
+          rowKey="siteId"
+          loading={loading}
+          dataSource={rows}
+          pagination={false}
+          columns={[
+            {
+              title: '站点',
+              render: (_, r) => (
+                <Space direction="vertical" size={0}>
+                  <Typography.Link strong onClick={() => nav(`/sites/${r.siteId}`)}>{r.siteName}</Typography.Link>
+                  {r.categoryName && <Typography.Text type="secondary" style={{ fontSize: 12 }}>{r.categoryName}</Typography.Text>}
+                  {r.modelId && r.modelId.toLowerCase() !== model.toLowerCase() && (
+                    <Typography.Text type="secondary" style={{ fontSize: 12 }}>模型名：{r.modelId}</Typography.Text>
+                  )}
+                </Space>
+              )
+            },
+            {
+              title: '分组',
+              render: (_, r) => (
+                <Tooltip
+                  title={r.groups.length > 1
+                    ? r.groups.map(g => `${g.group}：x${g.groupRatio}`).join('，')
+                    : null}
+                >
+                  <Space size={4}>
+                    <Tag>{r.cheapest.group ?? '不限'}</Tag>
+                    <Typography.Text type="secondary">x{r.cheapest.groupRatio}</Typography.Text>
+                    {r.groups.length > 1 && <Typography.Text type="secondary">（共 {r.groups.length} 个分组）</Typography.Text>}
+                  </Space>
+                </Tooltip>
+              )
+            },
+            {
+              title: '输入 ($/1M)',
+              sorter: priceSorter('input'),
+              render: (_, r) => r.cheapest.type === 'per_token'
+                ? <Typography.Text strong>{formatPrice(r.cheapest.input)}</Typography.Text>
+                : '-'
+            },
+            {
+              title: '输出 ($/1M)',
+              sorter: priceSorter('output'),
+              render: (_, r) => r.cheapest.type === 'per_token'
+                ? <Typography.Text strong>{formatPrice(r.cheapest.output)}</Typography.Text>
+                : '-'
+            },
+            {
+              title: '按次 ($/次)',
+              render: (_, r) => r.cheapest.type === 'per_call' ? formatPrice(r.cheapest.call) : '-'
+            },
+            {
+              title: '健康状况',
+              render: (_, r) => (
+                <Space size={4}>
+                  <Tooltip title={r.healthReasons.length > 0 ? r.healthReasons.join('；') : null}>
+                    <Tag
+                      color={HEALTH[r.health]?.color}
+                      icon={r.health === 'unhealthy' ? <WarningOutlined /> : <HeartOutlined />}
+                    >
+                      {HEALTH[r.health]?.text || r.health}
+                    </Tag>
+                  </Tooltip>
+                  {r.probe?.success && r.probe.ttft !== null && (
+                    <Typography.Text type="secondary" style={{ fontSize: 12 }}>首字 {r.probe.ttft}ms</Typography.Text>
+                  )}
+                </Space>
+              )
+            },
+            {
+              title: '价格更新时间',
+              width: 170,
+              render: (_, r) => new Date(r.pricedAt).toLocaleString('zh-CN')
+            }
+          ]}
+          locale={{ emptyText: <Empty description="没有站点提供该模型" /> }}
+        />
+      )}
+    </Card>
+  )
+}
@@ -0,0 +1,226 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { Alert, Card, Col, Empty, Input, Row, Segmented, Select, Space, Statistic, Table, Tag, Tooltip, Typography, message } from 'antd'
+import { DiffOutlined, SearchOutlined, TrophyOutlined } from '@ant-design/icons'
+
+function authHeaders(includeJson = false) {
+  const t = localStorage.getItem('token');
+  const h = { 'Authorization': `Bearer ${t}` };
+  if (includeJson) h['Content-Type'] = 'application/json';
+  return h;
+}
+
+const MAX_SITES = 6
+
+const formatPrice = (v) => v === null || v === undefined ? '-' : `$${Number(v.toFixed(4))}`
+
+// 与最便宜站点的价格差（按量计费按输入价格，按次计费按每次价格）
+function priceGap(price, cheapest) {
+  const key = price.type === 'per_call' ? 'call' : 'input'
+  if (!cheapest || cheapest.type !== price.type || !cheapest[key]) return null
+  return (price[key] - cheapest[key]) / cheapest[key]
+}
+
+function PriceCell({ model, offer, cheapest, isCheapest }) {
+  const { price } = offer
+  const names = offer.ids.some(id => id !== model) ? `模型名：${offer.ids.join('、')}` : null
+  if (!price) {
+    return <Tooltip title={names}><Tag color="blue">提供</Tag></Tooltip>
+  }
+  const gap = isCheapest ? null : priceGap(price, cheapest)
+  return (
+    <Tooltip title={[names, `分组：${price.group ?? '不限'}（x${price.groupRatio}）`].filter(Boolean).join('；')}>
+      <Space direction="vertical" size={0}>
+        <Space size={4}>
+          {isCheapest && <TrophyOutlined style={{ color: '#faad14' }} />}
+          <Typography.Text strong type={isCheapest ? 'success' : undefined}>
+            {price.type === 'per_call'
+              ? `${formatPrice(price.call)} / 次`
+              : `${formatPrice(price.input)} / ${formatPrice(price.output)}`}
+          </Typography.Text>
+        </Space>
+        {gap !== null && gap > 0 && (
+          <Typography.Text type="danger" style={{ fontSize: 12 }}>贵 {Math.round(gap * 100)}%</Typography.Text>
+        )}
+      </Space>
+    </Tooltip>
+  )
+}
+
+export default function SiteCompare() {
+  const nav = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const ids = useMemo(() => (searchParams.get('ids') || '').split(',').filter(Boolean), [searchParams])
+  const [siteOptions, setSiteOptions] = useState([])
+  const [data, setData] = useState({ sites: [], models: [] })
+  const [loading, setLoading] = useState(false)
+  const [search, setSearch] = useState('')
+  const [scope, setScope] = useState('all')
+
+  useEffect(() => {
+    fetch('/api/sites', { headers: authHeaders() })
+      .then(async (res) => {
+        if (!res.ok) throw new Error('加载站点列表失败')
+        const sites = await res.json()
+        setSiteOptions(sites.map(s => ({ value: s.id, label: s.name })))
+      })
+      .catch(e => message.error(e.message || '加载站点列表失败'))
+  }, [])
+
+  useEffect(() => {
+    setScope('all')
+    if (ids.length < 2) {
+      setData({ sites: [], models: [] })
+      return
+    }
+    setLoading(true)
+    fetch(`/api/sites/compare?${new URLSearchParams({ ids: ids.join(',') })}`, { headers: authHeaders() })
+      .then(async (res) => {
+        const body = await res.json().catch(() => ({}))
+        if (!res.ok) throw new Error(body.error || body.message || '加载站点对比失败')
+        setData(body)
+      })
+      .catch(e => message.error(e.message || '加载站点对比失败'))
+      .finally(() => setLoading(false))
+  }, [ids])
+
+  const models = useMemo(() => {
+    const keyword = search.trim().toLowerCase()
+    return data.models.filter(m => {
+      if (keyword && !m.model.toLowerCase().includes(keyword) && !m.offers.some(o => o.ids.some(id => id.toLowerCase().includes(keyword)))) {
+        return false
+      }
+      if (scope === 'common') return m.offers.length === data.sites.length
+      if (scope === 'cheaper') return m.cheapestSiteId !== null
+      if (scope !== 'all') return m.offers.length === 1 && m.offers[0].siteId === scope
+      return true
+    })
+  }, [data, search, scope])
+
+  const commonCount = data.models.filter(m => m.offers.length === data.sites.length).length
+  const missingSnapshots = data.sites.filter(s => !s.fetchedAt)
+
+  return (
+    <Card
+      title={
+        <Space>
+          <DiffOutlined style={{ color: '#722ed1' }} />
+          <Typography.Title level={3} style={{ margin: 0 }}>站点对比</Typography.Title>
+        </Space>
+      }
+      extra={
+        <Select
+          mode="multiple"
+          allowClear
+          showSearch
+          optionFilterProp="label"
+          size="large"
+          maxCount={MAX_SITES}
+          placeholder={`选择 2 到 ${MAX_SITES} 个站点`}
+          value={ids}
+          onChange={(value) => setSearchParams(value.length > 0 ? { ids: value.join(',') } : {})}
+          options={siteOptions}
+          style={{ minWidth: 360, maxWidth: 640 }}
+        />
+      }
+      style={{
+        borderRadius: 16,
+        boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+      }}
+    >
+      {ids.length < 2 ? (
+        <Empty description="选择至少两个站点，按最近一次成功检测的模型列表比较各站点独有和共有的模型" style={{ padding: '40px 0' }} />
+      ) : (
+        <Space direction="vertical" size={16} style={{ width: '100%' }}>
+          {missingSnapshots.length > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              message={`${missingSnapshots.map(s => s.siteName).join('、')} 还没有成功的模型检测，模型列表为空`}
+            />
+          )}
+          <Row gutter={[16, 16]}>
+            {data.sites.map(s => (
+              <Col key={s.siteId} xs={24} sm={12} lg={Math.max(6, Math.floor(24 / data.sites.length))}>
+                <Card size="small" style={{ borderRadius: 12, height: '100%' }}>
+                  <Space direction="vertical" size={8} style={{ width: '100%' }}>
+                    <Space size={4} wrap>
+                      <Typography.Link strong onClick={() => nav(`/sites/${s.siteId}`)}>{s.siteName}</Typography.Link>
+                      {s.categoryName && <Tag>{s.categoryName}</Tag>}
+                    </Space>
+                    <Row gutter={8}>
+                      <Col span={8}><Statistic title="模型" value={s.modelCount} valueStyle={{ fontSize: 20 }} /></Col>
+                      <Col span={8}><Statistic title="独有" value={s.uniqueCount} valueStyle={{ fontSize: 20 }} /></Col>
+                      <Col span={8}><Statistic title="最便宜" value={s.cheapestCount} valueStyle={{ fontSize: 20, color: '#52c41a' }} /></Col>
+                    </Row>
+                    <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+                      模型列表：{s.fetchedAt ? new Date(s.fetchedAt).toLocaleString('zh-CN') : '暂无'}
+                      <br />
+                      价格：{s.pricedAt ? new Date(s.pricedAt).toLocaleString('zh-CN') : '暂无'}
+                    </Typography.Text>
+                  </Space>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+          <Space size={10} wrap>
+            <Input
+              allowClear
+              prefix={<SearchOutlined />}
+              placeholder="搜索模型名"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              style={{ width: 240 }}
+            />
+            <Segmented
+              value={scope}
+              onChange={setScope}
+              options={[
+                { value: 'all', label: `全部（${data.models.length}）` },
+                { value: 'common', label: `共有（${commonCount}）` },
+                { value: 'cheaper', label: '有价格差' },
+                ...data.sites.map(s => ({ value: s.siteId, label: `仅 ${s.siteName}（${s.uniqueCount}）` }))
+              ]}
+            />
+          </Space>
+          <Table
+            rowKey="model"
+            size="small"
+            loading={loading}
+            dataSource={models}
+            scroll={{ x: 'max-content' }}
+            pagination={{ pageSize: 50, showSizeChanger: false, showTotal: (total) => `共 ${total} 个模型` }}
+            columns={[
+              {
+                title: '模型',
+                dataIndex: 'model',
+                fixed: 'left',
+                sorter: (a, b) => a.model.localeCompare(b.model),
+                render: (model, m) => (
+                  <Space direction="vertical" size={0}>
+                    <Typography.Text code>{model}</Typography.Text>
+                    <Typography.Text type="secondary" style={{ fontSize: 12 }}>{m.vendor}</Typography.Text>
+                  </Space>
+                )
+              },
+              ...data.sites.map(s => ({
+                key: s.siteId,
+                title: s.siteName,
+                render: (_, m) => {
+                  const offer = m.offers.find(o => o.siteId === s.siteId)
+                  if (!offer) return <Typography.Text type="secondary">—</Typography.Text>
+                  const cheapest = m.offers.find(o => o.siteId === m.cheapestSiteId)?.price
+                  return <PriceCell model={m.model} offer={offer} cheapest={cheapest} isCheapest={m.cheapestSiteId === s.siteId} />
+                }
+              }))
+            ]}
+            locale={{ emptyText: <Empty description="没有符合条件的模型" /> }}
+          />
+          <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+            按规范名称比较，已去掉被忽略的模型；价格为各站点可用分组中的最低价格（含分组倍率），按量计费显示输入 / 输出（$/1M tokens）。
+          </Typography.Text>
+        </Space>
+      )}
+    </Card>
+  )
+}
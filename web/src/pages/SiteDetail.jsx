@@ -1,6 +1,6 @@
 import { useEffect, useState, useMemo, useCallback, memo } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
-import { Card, Collapse, List, Space, Tag, Typography, message, Button, Row, Col, Statistic, Empty, Modal, Form, Input, Switch, Select, Table, Popconfirm, InputNumber, DatePicker } from 'antd'
+import { Card, Collapse, List, Space, Tag, Typography, message, Button, Row, Col, Statistic, Empty, Modal, Form, Input, Switch, Select, Table, Popconfirm, InputNumber, DatePicker, Tooltip, Progress, Segmented } from 'antd'
 import { 
   ThunderboltOutlined, 
   PlusCircleOutlined, 
@@ -14,10 +14,52 @@ import {
   KeyOutlined,
   EditOutlined,
   DeleteOutlined,
-  GiftOutlined
+  GiftOutlined,
+  ClusterOutlined,
+  WarningOutlined,
+  HeartOutlined,
+  SafetyCertificateOutlined,
+  RiseOutlined,
+  FallOutlined,
+  LineChartOutlined,
+  SwapOutlined,
+  HistoryOutlined
 } from '@ant-design/icons'
 import dayjs from 'dayjs'
 
+// 渠道状态：1 启用，2 手动禁用，3 自动禁用
+const CHANNEL_STATUS = {
+  1: { text: '启用', color: 'green' },
+  2: { text: '手动禁用', color: 'default' },
+  3: { text: '自动禁用', color: 'red' }
+}
+
+// 变更记录中对比的模型属性
+const MODEL_ATTRIBUTES = {
+  owned_by: '提供者',
+  object: '对象类型',
+  type: '类型',
+  root: 'root',
+  parent: 'parent'
+}
+
+// 指纹校验项
+const FINGERPRINT_CHECKS = {
+  reportedModel: '返回模型名',
+  vendor: '自称厂商',
+  cutoff: '知识截止',
+  tokenizer: '分词器'
+}
+
+const CHECK_RESULT_COLOR = { pass: 'success', fail: 'error', unknown: 'default' }
+
+// 价格变化方向
+const PRICE_DIRECTION = {
+  up: { text: '上涨', color: 'red' },
+  down: { text: '下降', color: 'green' },
+  mixed: { text: '有涨有降', color: 'orange' }
+}
+
 function authHeaders(includeJson = false) {
   const t = localStorage.getItem('token');
   const h = { 'Authorization': `Bearer ${t}` };
@@ -30,9 +72,19 @@ export default function SiteDetail() {
   const nav = useNavigate()
   const [diffs, setDiffs] = useState([])
   const [snapshot, setSnapshot] = useState([])
+  const [ignoredModels, setIgnoredModels] = useState([])
   const [loading, setLoading] = useState(false)
   const [modelsExpanded, setModelsExpanded] = useState(true)
   const [siteInfo, setSiteInfo] = useState(null)
+  const [capabilities, setCapabilities] = useState({})
+  const [channelData, setChannelData] = useState(null)
+  const [probeMap, setProbeMap] = useState({})
+  const [fingerprints, setFingerprints] = useState([])
+  const [presence, setPresence] = useState([])
+  const [presenceFilter, setPresenceFilter] = useState('all')
+  const [pricingDiffs, setPricingDiffs] = useState([])
+  const [balanceHistory, setBalanceHistory] = useState(null)
+  const [balanceDays, setBalanceDays] = useState(30)
   
   const [tokenModalVisible, setTokenModalVisible] = useState(false)
   const [tokens, setTokens] = useState([])
@@ -182,6 +234,11 @@ export default function SiteDetail() {
       return groupList
     }
 
+    if (!capabilities.listGroups) {
+      setGroups([])
+      return []
+    }
+
     try {
       const res = await fetch(`/api/sites/${id}/groups`, { 
         headers: authHeaders() 
@@ -314,15 +371,6 @@ export default function SiteDetail() {
         allowIps: values.allowIps || ''
       }
       
-      // VOAPI需要groups参数
-      if (siteInfo?.apiType === 'voapi') {
-        if (groupValue && groupValue !== '') {
-          payload.groups = [parseInt(groupValue)]
-        } else {
-          payload.groups = [1]
-        }
-      }
-      
       const res = await fetch(`/api/sites/${id}/tokens`, {
         method: 'POST',
         headers: authHeaders(true),
@@ -496,131 +544,19 @@ export default function SiteDetail() {
     return null
   }
 
-  const loadPricing = async (apiType) => {
-    if (apiType !== 'newapi' && apiType !== 'veloera' && apiType !== 'donehub' && apiType !== 'voapi') {
-      if (apiType === 'other') {
-        setPricingData({ notSupported: true })
-      }
-      return
-    }
+  // 价格数据由后端适配器统一转换为 { data, usable_group, group_ratio } 格式
+  const loadPricing = async () => {
     try {
       const res = await fetch(`/api/sites/${id}/pricing`, { headers: authHeaders() })
       if (res.ok) {
         const data = await res.json()
-        if (data.code === 0 && apiType === 'voapi' && data.data) {
-          const { models = [], groups = [] } = data.data
-          const allGroups = new Set()
-          const groupMap = {}
-          groups.forEach(g => {
-            allGroups.add(g.id)
-            groupMap[g.id] = {
-              name: g.name || `分组${g.id}`,
-              ratio: g.ratio || 1
-            }
-          })
-          const normalizedModels = models.map(model => {
-            const modelGroups = model.ac || []
-            modelGroups.forEach(gid => allGroups.add(gid))
-            return {
-              model_name: model.idKey,
-              quota_type: model.chargingType === 1 ? 0 : 1,
-              model_price: model.chargingType !== 1 ? parseFloat(model.singlePrice || 0) : null,
-              model_ratio: model.chargingType === 1 ? parseFloat(model.inputPrice || 0) / 2 : null,
-              completion_ratio: model.chargingType === 1 && parseFloat(model.inputPrice || 0) > 0 
-                ? parseFloat(model.outputPrice || 0) / parseFloat(model.inputPrice || 0) 
-                : 1,
-              enable_groups: modelGroups.map(String)
-            }
-          })
-          const usableGroup = {}
-          const groupRatio = {}
-          allGroups.forEach(gid => {
-            const gInfo = groupMap[gid]
-            if (gInfo) {
-              usableGroup[gid] = gInfo.name
-              groupRatio[gid] = gInfo.ratio
-            } else {
-              usableGroup[gid] = `分组${gid}`
-              groupRatio[gid] = 1
-            }
-          })
-          const normalizedData = {
-            success: true,
-            data: normalizedModels,
-            usable_group: usableGroup,
-            group_ratio: groupRatio
-          }
-          setPricingData(normalizedData)
-          const groupList = Array.from(allGroups).map(String)
+        if (data.success && data.usable_group) {
+          setPricingData(data)
+          const groupList = Object.keys(data.usable_group || {}).filter(key => key !== '')
           setAvailableGroups(groupList)
-          const defaultGroup = groupList.includes('1') ? '1' : groupList[0]
-          setSelectedGroup(defaultGroup)
-          } else if (data.success) {
-            if (apiType === 'donehub' && data.data) {
-              const allGroups = new Set()
-              const normalizedModels = Object.entries(data.data).map(([modelName, info]) => {
-                const groups = info.groups || ['default']
-                groups.forEach(g => allGroups.add(g))
-                const priceType = info.price?.type || 'tokens'
-                const isPerToken = priceType === 'tokens'
-                const isPerTimes = priceType === 'times'
-                
-                if (isPerToken) {
-                  // 按量计费：价格*2，有输入输出两个价格
-                  const inputPrice = (info.price.input || 0) * 2
-                  const outputPrice = (info.price.output || 0) * 2
-                  return {
-                    model_name: modelName,
-                    quota_type: 0, // 按量计费
-                    model_price: null,
-                    model_ratio: inputPrice / 2, // 存储时需要除以2，因为getModelPricing会*2
-                    completion_ratio: inputPrice > 0 ? outputPrice / inputPrice : 1,
-                    enable_groups: groups
-                  }
-                } else {
-                  // 按次计费：价格*0.002，也有输入输出两个价格，使用平均值或输入价格
-                  const inputPrice = (info.price.input || 0) * 0.002
-                  const outputPrice = (info.price.output || 0) * 0.002
-                  // 使用输入输出的平均值作为按次价格
-                  const avgPrice = (inputPrice + outputPrice) / 2
-                  return {
-                    model_name: modelName,
-                    quota_type: 1, // 按次计费
-                    model_price: avgPrice,
-                    model_ratio: null,
-                    completion_ratio: 1,
-                    enable_groups: groups,
-                    // 保存原始输入输出价格以便显示
-                    _donehub_input_price: inputPrice,
-                    _donehub_output_price: outputPrice
-                  }
-                }
-              })
-            const usableGroup = {}
-            const groupRatio = {}
-            allGroups.forEach(g => {
-              usableGroup[g] = g === 'default' ? '默认分组' : g
-              groupRatio[g] = 1
-            })
-            const normalizedData = {
-              success: true,
-              data: normalizedModels,
-              usable_group: usableGroup,
-              group_ratio: groupRatio
-            }
-            setPricingData(normalizedData)
-            const groupList = Array.from(allGroups)
-            setAvailableGroups(groupList)
-            const defaultGroup = groupList.includes('default') ? 'default' : groupList[0]
+          if (groupList.length > 0) {
+            const defaultGroup = groupList.includes('default') ? 'default' : groupList.includes('1') ? '1' : groupList[0]
             setSelectedGroup(defaultGroup)
-          } else if (data.usable_group) {
-            setPricingData(data)
-            const groupList = Object.keys(data.usable_group || {}).filter(key => key !== '')
-            setAvailableGroups(groupList)
-            if (groupList.length > 0) {
-              const defaultGroup = groupList.includes('default') ? 'default' : groupList[0]
-              setSelectedGroup(defaultGroup)
-            }
           }
         }
       }
@@ -628,6 +564,96 @@ export default function SiteDetail() {
     }
   }
 
+  // 加载站点类型支持的能力
+  const loadCapabilities = async (apiType) => {
+    try {
+      const res = await fetch('/api/adapters', { headers: authHeaders() })
+      if (res.ok) {
+        const data = await res.json()
+        const adapter = data.find(a => a.type === apiType) || data.find(a => a.type === 'other')
+        const caps = adapter?.capabilities || {}
+        setCapabilities(caps)
+        return caps
+      }
+    } catch (e) {
+      console.error('加载站点能力失败:', e)
+    }
+    return {}
+  }
+
+  // 管理员模式：加载最近一次的渠道快照
+  const loadChannels = async () => {
+    try {
+      const res = await fetch(`/api/sites/${id}/channels`, { headers: authHeaders() })
+      if (res.ok) {
+        setChannelData(await res.json())
+      }
+    } catch (e) {
+      console.error('加载渠道列表失败:', e)
+    }
+  }
+
+  // 模型可用性：每个探测模型最近一次的探测结果
+  const loadProbes = async () => {
+    try {
+      const res = await fetch(`/api/sites/${id}/probes`, { headers: authHeaders() })
+      if (res.ok) {
+        const data = await res.json()
+        setProbeMap(Object.fromEntries(data.map(p => [p.model, p])))
+      }
+    } catch (e) {
+      console.error('加载探测结果失败:', e)
+    }
+  }
+
+  // 模型指纹：最近一次校验结果和置信度历史
+  const loadFingerprints = async () => {
+    try {
+      const res = await fetch(`/api/sites/${id}/fingerprints`, { headers: authHeaders() })
+      if (res.ok) {
+        setFingerprints(await res.json())
+      }
+    } catch (e) {
+      console.error('加载指纹校验结果失败:', e)
+    }
+  }
+
+  // 模型出现记录：首次/最近出现时间和反复增删
+  const loadPresence = async () => {
+    try {
+      const res = await fetch(`/api/sites/${id}/presence`, { headers: authHeaders() })
+      if (res.ok) {
+        setPresence(await res.json())
+      }
+    } catch (e) {
+      console.error('加载模型出现记录失败:', e)
+    }
+  }
+
+  // 价格变更历史（检测时保存的价格快照之间的对比）
+  const loadPricingDiffs = async () => {
+    try {
+      const res = await fetch(`/api/sites/${id}/pricing-diffs?limit=20`, { headers: authHeaders() })
+      if (res.ok) {
+        setPricingDiffs(await res.json())
+      }
+    } catch (e) {
+      console.error('加载价格变更历史失败:', e)
+    }
+  }
+
+  // 余额历史和消耗预测
+  const loadBalanceHistory = async (days = balanceDays) => {
+    try {
+      const res = await fetch(`/api/sites/${id}/balance-history?days=${days}`, { headers: authHeaders() })
+      if (res.ok) {
+        setBalanceHistory(await res.json())
+      }
+    } catch (e) {
+      console.error('加载余额历史失败:', e)
+    }
+  }
+
   const load = async () => {
     setInitialLoading(true)
     try {
@@ -662,6 +688,7 @@ export default function SiteDetail() {
             }
             const data = await res.json()
             let items = Array.isArray(data) && data.length ? (data[0].modelsJson || []) : []
+            setIgnoredModels(Array.isArray(data) && data.length ? (data[0].ignoredModels || []) : [])
             items = items.filter(m => !String(m.id || '').toLowerCase().includes('custom'))
             return items
           })
@@ -672,11 +699,36 @@ export default function SiteDetail() {
           })
       ])
       
-      // 如果有站点信息且需要价格数据，等待价格加载完成
-      if (site && site.type && (site.type === 'newapi' || site.type === 'veloera' || site.type === 'donehub' || site.type === 'voapi')) {
-        await loadPricing(site.type)
-      } else if (site && site.type === 'other') {
-        setPricingData({ notSupported: true })
+      // 如果有站点信息且支持价格接口，等待价格加载完成
+      if (site) {
+        const caps = await loadCapabilities(site.type)
+        if (caps.pricing) {
+          await Promise.all([loadPricing(), loadPricingDiffs()])
+        } else {
+          setPricingData({ notSupported: true })
+          setPricingDiffs([])
+        }
+        if (!site.unlimitedQuota && caps.fetchBalance) {
+          await loadBalanceHistory()
+        } else {
+          setBalanceHistory(null)
+        }
+        if (site.adminMode && caps.listChannels) {
+          await loadChannels()
+        } else {
+          setChannelData(null)
+        }
+        if (site.probeEnabled) {
+          await loadProbes()
+        } else {
+          setProbeMap({})
+        }
+        if (site.fingerprintEnabled) {
+          await loadFingerprints()
+        } else {
+          setFingerprints([])
+        }
+        await loadPresence()
       }
       
       // 价格数据加载完成后再设置模型列表
@@ -716,6 +768,18 @@ export default function SiteDetail() {
     )
   }, [snapshot, modelSearchText])
 
+  const flaggedModels = useMemo(() =>
+    new Set(fingerprints.filter(f => f.latest.flagged).map(f => f.model))
+  , [fingerprints])
+
+  const flappingCount = useMemo(() => presence.filter(p => p.flapping).length, [presence])
+
+  const filteredPresence = useMemo(() => {
+    if (presenceFilter === 'flapping') return presence.filter(p => p.flapping)
+    if (presenceFilter === 'gone') return presence.filter(p => !p.present)
+    return presence
+  }, [presence, presenceFilter])
+
   const totalAdded = useMemo(() => 
     diffs.reduce((sum, d) => sum + (d.addedJson?.length || 0), 0)
   , [diffs])
@@ -853,8 +917,10 @@ export default function SiteDetail() {
       </Card>
 
       {/* 功能气泡区域 */}
+      {(capabilities.listTokens || capabilities.redeem) && (
       <Row gutter={16} style={{ marginBottom: 24 }} className="slide-in-right">
-        <Col span={12}>
+        {capabilities.listTokens && (
+        <Col span={capabilities.redeem ? 12 : 24}>
           <Card
             hoverable
             onClick={openTokenModal}
@@ -917,7 +983,9 @@ export default function SiteDetail() {
             </Typography.Text>
           </Card>
         </Col>
-        <Col span={12}>
+        )}
+        {capabilities.redeem && (
+        <Col span={capabilities.listTokens ? 12 : 24}>
           <Card
             hoverable
             onClick={openRedeemModal}
@@ -980,7 +1048,9 @@ export default function SiteDetail() {
             </Typography.Text>
           </Card>
         </Col>
+        )}
       </Row>
+      )}
 
       <Card 
         className="fade-in-up"
@@ -988,6 +1058,11 @@ export default function SiteDetail() {
           <div style={{ display: 'flex', alignItems: 'center' }}>
             <ApiOutlined style={{ marginRight: 12, fontSize: 24, color: '#1890ff' }} />
             <Typography.Title level={4} style={{ margin: 0, fontWeight: 700 }}>当前模型列表</Typography.Title>
+            {ignoredModels.length > 0 && (
+              <Tooltip title={`被忽略规则匹配，不参与变更检测：${ignoredModels.join('、')}`}>
+                <Tag style={{ marginLeft: 12 }}>已忽略 {ignoredModels.length} 个</Tag>
+              </Tooltip>
+            )}
           </div>
         }
           extra={
@@ -1112,12 +1187,339 @@ export default function SiteDetail() {
                 position: 'bottom',
                 style: { marginTop: 16, textAlign: 'center' }
               } : false}
-              renderItem={(m) => <ModelCard key={m.id} model={m} onCopy={copyToClipboard} pricing={getModelPricing(m.id)} />}
+              renderItem={(m) => <ModelCard key={m.id} model={m} onCopy={copyToClipboard} pricing={getModelPricing(m.id)} health={probeMap[m.id]} suspicious={flaggedModels.has(m.id)} />}
             />
           )
         )}
       </Card>
 
+      {balanceHistory && (
+        <Card
+          title={
+            <Space>
+              <LineChartOutlined style={{ color: '#1890ff' }} />
+              <Typography.Title level={4} style={{ margin: 0 }}>余额趋势</Typography.Title>
+            </Space>
+          }
+          extra={
+            <Segmented
+              value={balanceDays}
+              onChange={(days) => { setBalanceDays(days); loadBalanceHistory(days) }}
+              options={[
+                { value: 7, label: '7天' },
+                { value: 30, label: '30天' },
+                { value: 90, label: '90天' }
+              ]}
+            />
+          }
+          style={{
+            marginBottom: 24,
+            borderRadius: 16,
+            boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+          }}
+        >
+          <Row gutter={24} style={{ marginBottom: 16 }}>
+            <Col span={6}>
+              <Statistic
+                title="当前剩余"
+                value={balanceHistory.forecast?.remaining ?? '-'}
+                precision={2}
+                prefix={balanceHistory.forecast?.remaining !== null && balanceHistory.forecast?.remaining !== undefined ? '$' : null}
+              />
+            </Col>
+            <Col span={6}>
+              <Statistic
+                title={`日均消耗（近${balanceHistory.forecastWindowDays}天）`}
+                value={balanceHistory.forecast?.burnRate ?? '-'}
+                precision={2}
+                prefix={balanceHistory.forecast?.burnRate !== null && balanceHistory.forecast?.burnRate !== undefined ? '$' : null}
+              />
+            </Col>
+            <Col span={6}>
+              <Statistic
+                title="预计可用"
+                value={balanceHistory.forecast?.daysLeft ?? (balanceHistory.forecast?.burnRate === 0 ? '无消耗' : '-')}
+                precision={1}
+                suffix={balanceHistory.forecast?.daysLeft !== null && balanceHistory.forecast?.daysLeft !== undefined ? '天' : null}
+                valueStyle={{ color: balanceHistory.forecast?.daysLeft < 3 ? '#ff4d4f' : balanceHistory.forecast?.daysLeft < 7 ? '#fa8c16' : undefined }}
+              />
+            </Col>
+            <Col span={6}>
+              <Statistic
+                title="预计耗尽"
+                value={balanceHistory.forecast?.runsOutAt ? dayjs(balanceHistory.forecast.runsOutAt).format('YYYY-MM-DD') : '-'}
+              />
+            </Col>
+          </Row>
+          {balanceHistory.points.length === 0 ? (
+            <Empty description="该时间范围内暂无余额数据" />
+          ) : (
+            <BalanceChart points={balanceHistory.points} />
+          )}
+        </Card>
+      )}
+
+      {channelData && (
+        <Card
+          title={
+            <Space>
+              <ClusterOutlined style={{ color: '#1890ff' }} />
+              <Typography.Title level={4} style={{ margin: 0 }}>渠道列表</Typography.Title>
+              <Tag color="blue">{channelData.channels.length} 个渠道</Tag>
+              {channelData.fetchedAt && (
+                <Typography.Text type="secondary" style={{ fontSize: 13 }}>
+                  {new Date(channelData.fetchedAt).toLocaleString('zh-CN')}
+                </Typography.Text>
+              )}
+            </Space>
+          }
+          style={{
+            marginBottom: 24,
+            borderRadius: 16,
+            boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+          }}
+        >
+          {channelData.channelError && (
+            <Typography.Paragraph type="danger" style={{ fontSize: 13 }}>
+              最近一次获取渠道失败：{channelData.channelError}
+            </Typography.Paragraph>
+          )}
+          <Table
+            size="small"
+            rowKey="channelId"
+            dataSource={channelData.channels}
+            pagination={channelData.channels.length > 20 ? { pageSize: 20, showSizeChanger: false } : false}
+            locale={{ emptyText: '暂无渠道数据，请先执行检测' }}
+            columns={[
+              { title: 'ID', dataIndex: 'channelId', width: 80, sorter: (a, b) => a.channelId - b.channelId },
+              { title: '名称', dataIndex: 'name' },
+              {
+                title: '状态',
+                dataIndex: 'status',
+                width: 110,
+                filters: Object.entries(CHANNEL_STATUS).map(([value, s]) => ({ text: s.text, value: Number(value) })),
+                onFilter: (value, record) => record.status === value,
+                render: (status) => {
+                  const s = CHANNEL_STATUS[status] || { text: `状态${status}`, color: 'default' }
+                  return <Tag color={s.color}>{s.text}</Tag>
+                }
+              },
+              {
+                title: '余额',
+                dataIndex: 'balance',
+                width: 120,
+                sorter: (a, b) => (a.balance ?? -1) - (b.balance ?? -1),
+                render: (balance) => balance === null || balance === undefined ? '-' : `$${balance.toFixed(2)}`
+              },
+              { title: '分组', dataIndex: 'group', width: 140, render: (group) => group || '-' },
+              {
+                title: '模型',
+                dataIndex: 'modelsJson',
+                width: 100,
+                render: (models) => (
+                  <Typography.Text title={(models || []).join(', ')}>{(models || []).length} 个</Typography.Text>
+                )
+              }
+            ]}
+          />
+        </Card>
+      )}
+
+      {fingerprints.length > 0 && (
+        <Card
+          title={
+            <Space>
+              <SafetyCertificateOutlined style={{ color: '#722ed1' }} />
+              <Typography.Title level={4} style={{ margin: 0 }}>模型指纹校验</Typography.Title>
+              {flaggedModels.size > 0 && <Tag color="red">{flaggedModels.size} 个疑似替换</Tag>}
+            </Space>
+          }
+          style={{
+            marginBottom: 24,
+            borderRadius: 16,
+            boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+          }}
+        >
+          <Table
+            size="small"
+            rowKey="model"
+            dataSource={fingerprints}
+            pagination={false}
+            columns={[
+              {
+                title: '模型',
+                dataIndex: 'model',
+                render: (model) => <Typography.Text code>{model}</Typography.Text>
+              },
+              {
+                title: '置信度',
+                width: 160,
+                render: (_, { latest }) => latest.confidence === null ? (
+                  <Tooltip title={latest.errorMessage || '所有校验项均无法判断'}>
+                    <Tag>未知</Tag>
+                  </Tooltip>
+                ) : (
+                  <Progress
+                    percent={Math.round(latest.confidence * 100)}
+                    size="small"
+                    status={latest.flagged ? 'exception' : 'normal'}
+                  />
+                )
+              },
+              {
+                title: '校验项',
+                render: (_, { latest }) => (
+                  <Space size={4} wrap>
+                    {latest.checksJson.map(c => (
+                      <Tooltip key={c.name} title={`期望：${c.expected ?? '-'}，实际：${c.actual ?? '-'}`}>
+                        <Tag color={CHECK_RESULT_COLOR[c.result]}>{FINGERPRINT_CHECKS[c.name] || c.name}</Tag>
+                      </Tooltip>
+                    ))}
+                  </Space>
+                )
+              },
+              {
+                title: '置信度趋势',
+                width: 200,
+                render: (_, { history }) => <ConfidenceTrend history={history} />
+              },
+              {
+                title: '校验时间',
+                width: 170,
+                render: (_, { latest }) => new Date(latest.checkedAt).toLocaleString('zh-CN')
+              }
+            ]}
+          />
+        </Card>
+      )}
+
+      {presence.length > 0 && (
+        <Card
+          title={
+            <Space>
+              <HistoryOutlined style={{ color: '#13c2c2' }} />
+              <Typography.Title level={4} style={{ margin: 0 }}>模型出现记录</Typography.Title>
+              {flappingCount > 0 && <Tag color="orange">{flappingCount} 个不稳定</Tag>}
+            </Space>
+          }
+          extra={
+            <Segmented
+              value={presenceFilter}
+              onChange={setPresenceFilter}
+              options={[
+                { label: '全部', value: 'all' },
+                { label: '不稳定', value: 'flapping' },
+                { label: '已消失', value: 'gone' }
+              ]}
+            />
+          }
+          style={{
+            marginBottom: 24,
+            borderRadius: 16,
+            boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+          }}
+        >
+          <Typography.Paragraph type="secondary">
+            7 天内出现和消失合计 4 次及以上的模型标记为不稳定，它们的增删仍记录在变更历史中，但不发送变更通知。
+          </Typography.Paragraph>
+          <Table
+            size="small"
+            rowKey="model"
+            dataSource={filteredPresence}
+            pagination={filteredPresence.length > 20 ? { pageSize: 20, showSizeChanger: false, size: 'small' } : false}
+            columns={[
+              {
+                title: '模型',
+                dataIndex: 'model',
+                render: (model, p) => (
+                  <Space size={4}>
+                    <Typography.Text code>{model}</Typography.Text>
+                    {p.flapping && (
+                      <Tooltip title={`最近变化：${p.changes.map(t => new Date(t).toLocaleString('zh-CN')).join('、')}`}>
+                        <Tag color="orange">不稳定</Tag>
+                      </Tooltip>
+                    )}
+                  </Space>
+                )
+              },
+              {
+                title: '状态',
+                width: 90,
+                render: (_, p) => p.present ? <Tag color="green">在列表中</Tag> : <Tag>已消失</Tag>
+              },
+              {
+                title: '首次出现',
+                width: 170,
+                sorter: (a, b) => new Date(a.firstSeenAt) - new Date(b.firstSeenAt),
+                render: (_, p) => new Date(p.firstSeenAt).toLocaleString('zh-CN')
+              },
+              {
+                title: '最近出现',
+                width: 170,
+                sorter: (a, b) => new Date(a.lastSeenAt) - new Date(b.lastSeenAt),
+                render: (_, p) => new Date(p.lastSeenAt).toLocaleString('zh-CN')
+              },
+              {
+                title: '出现 / 消失',
+                width: 110,
+                sorter: (a, b) => (a.appearCount + a.disappearCount) - (b.appearCount + b.disappearCount),
+                render: (_, p) => `${p.appearCount} / ${p.disappearCount}`
+              }
+            ]}
+          />
+        </Card>
+      )}
+
+      {pricingDiffs.length > 0 && (
+        <Card
+          title={
+            <Space>
+              <RiseOutlined style={{ color: '#fa541c' }} />
+              <Typography.Title level={4} style={{ margin: 0 }}>价格变更历史</Typography.Title>
+            </Space>
+          }
+          style={{
+            marginBottom: 24,
+            borderRadius: 16,
+            boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+          }}
+        >
+          <Collapse
+            accordion
+            style={{ background: 'transparent', border: 'none' }}
+          >
+            {pricingDiffs.map(d => {
+              const upCount = d.modelsJson.filter(m => m.direction !== 'down').length
+              const downCount = d.modelsJson.filter(m => m.direction === 'down').length
+              return (
+                <Collapse.Panel
+                  header={
+                    <Space>
+                      <ClockCircleOutlined style={{ color: '#1890ff' }} />
+                      <Typography.Text strong style={{ fontSize: 15 }}>
+                        {new Date(d.diffAt).toLocaleString('zh-CN')}
+                      </Typography.Text>
+                      {upCount > 0 && <Tag color="red">涨价 {upCount}</Tag>}
+                      {downCount > 0 && <Tag color="green">降价 {downCount}</Tag>}
+                      {d.groupsJson.length > 0 && <Tag color="orange">分组倍率 {d.groupsJson.length}</Tag>}
+                    </Space>
+                  }
+                  key={d.id}
+                  style={{
+                    marginBottom: 12,
+                    border: '1px solid #e8e8e8',
+                    borderRadius: 8,
+                    overflow: 'hidden'
+                  }}
+                >
+                  <PriceChanges models={d.modelsJson} groups={d.groupsJson} />
+                </Collapse.Panel>
+              )
+            })}
+          </Collapse>
+        </Card>
+      )}
+
       <Card 
         title={<Typography.Title level={4} style={{ margin: 0 }}>变更历史记录</Typography.Title>}
         style={{
@@ -1145,6 +1547,16 @@ export default function SiteDetail() {
                     </Typography.Text>
                     <Tag color="green">+{d.addedJson?.length || 0}</Tag>
                     <Tag color="red">-{d.removedJson?.length || 0}</Tag>
+                    {d.changedJson?.length > 0 && <Tag color="purple">属性 {d.changedJson.length}</Tag>}
+                    {d.renamedJson?.length > 0 && <Tag color="geekblue">改名 {d.renamedJson.length}</Tag>}
+                    {d.channelsJson?.length > 0 && <Tag color="blue">渠道 {d.channelsJson.length}</Tag>}
+                    {d.probesJson?.broken?.length > 0 && <Tag color="volcano">不可用 {d.probesJson.broken.length}</Tag>}
+                    {d.probesJson?.recovered?.length > 0 && <Tag color="cyan">恢复 {d.probesJson.recovered.length}</Tag>}
+                    {d.flaggedJson?.length > 0 && <Tag color="magenta">疑似替换 {d.flaggedJson.length}</Tag>}
+                    {d.priceHikesJson && <Tag color="orange">涨价 {d.priceHikesJson.models.length + d.priceHikesJson.groups.length}</Tag>}
+                    {d.watchedJson?.length > 0 && (
+                      <Tag color="gold" title={d.watchedJson.map(w => w.model).join('、')}>⭐ 关注 {d.watchedJson.length}</Tag>
+                    )}
                   </Space>
                 }
                 key={d.id}
@@ -1158,6 +1570,14 @@ export default function SiteDetail() {
                 <Space direction="vertical" style={{ width: '100%' }} size={16}>
                   <Section title="新增模型" items={d.addedJson} type="success" icon={<PlusCircleOutlined />} />
                   <Section title="移除模型" items={d.removedJson} type="error" icon={<MinusCircleOutlined />} />
+                  <RenamedModels pairs={d.renamedJson} />
+                  <AttributeChanges changes={d.changedJson} />
+                  <ChannelEvents events={d.channelsJson} />
+                  <ProbeChanges changes={d.probesJson} />
+                  <FlaggedEvents events={d.flaggedJson} />
+                  {d.priceHikesJson && (
+                    <PriceChanges title="价格上涨" models={d.priceHikesJson.models} groups={d.priceHikesJson.groups} />
+                  )}
                 </Space>
               </Collapse.Panel>
             ))}
@@ -1174,6 +1594,7 @@ export default function SiteDetail() {
         width={1200}
         style={{ top: 20 }}
       >
+        {capabilities.createToken && (
         <div style={{ marginBottom: 16 }}>
           <Button
             type="primary"
@@ -1189,6 +1610,7 @@ export default function SiteDetail() {
             创建令牌
           </Button>
         </div>
+        )}
         <Table
           dataSource={tokens}
           loading={tokenLoading}
@@ -1281,6 +1703,7 @@ export default function SiteDetail() {
               fixed: 'right',
               render: (_, record) => (
                 <Space>
+                  {capabilities.updateToken && (
                   <Button
                     type="primary"
                     size="small"
@@ -1289,6 +1712,8 @@ export default function SiteDetail() {
                   >
                     编辑
                   </Button>
+                  )}
+                  {capabilities.deleteToken && (
                   <Popconfirm
                     title="确认删除"
                     description="确定要删除这个令牌吗？"
@@ -1304,6 +1729,7 @@ export default function SiteDetail() {
                       删除
                     </Button>
                   </Popconfirm>
+                  )}
                 </Space>
               )
             }
@@ -1645,7 +2071,26 @@ export default function SiteDetail() {
   )
 }
 
-const ModelCard = memo(({ model, onCopy, pricing }) => (
+// 模型健康标记：最近一次探测结果
+const HealthBadge = ({ health }) => {
+  if (!health) return null
+  const time = new Date(health.probedAt).toLocaleString('zh-CN')
+  return health.success ? (
+    <Tooltip title={`探测于 ${time}，总耗时 ${health.latency}ms`}>
+      <Tag color="success" icon={<HeartOutlined />} style={{ fontSize: 11, marginBottom: 4 }}>
+        可用{health.ttft !== null && health.ttft !== undefined ? ` · 首字 ${health.ttft}ms` : ''}
+      </Tag>
+    </Tooltip>
+  ) : (
+    <Tooltip title={`探测于 ${time}：${health.errorMessage || '未知错误'}`}>
+      <Tag color="error" icon={<WarningOutlined />} style={{ fontSize: 11, marginBottom: 4 }}>
+        不可用{health.statusCode ? ` · ${health.statusCode}` : ''}
+      </Tag>
+    </Tooltip>
+  )
+}
+
+const ModelCard = memo(({ model, onCopy, pricing, health, suspicious }) => (
   <List.Item>
     <Card 
       size="small"
@@ -1683,6 +2128,11 @@ const ModelCard = memo(({ model, onCopy, pricing }) => (
       >
         {model.id}
       </Typography.Text>
+      {model.canonical && model.canonical !== model.id.toLowerCase() && (
+        <Typography.Text type="secondary" style={{ fontSize: 11, display: 'block', marginBottom: 4 }}>
+          规范名称：{model.canonical}
+        </Typography.Text>
+      )}
       <Typography.Text 
         type="secondary" 
         style={{ 
@@ -1693,6 +2143,12 @@ const ModelCard = memo(({ model, onCopy, pricing }) => (
       >
         {model.owned_by || model.ownedBy || '未知'}
       </Typography.Text>
+      <HealthBadge health={health} />
+      {suspicious && (
+        <Tag color="magenta" icon={<SafetyCertificateOutlined />} style={{ fontSize: 11, marginBottom: 4 }}>
+          疑似替换
+        </Tag>
+      )}
       {pricing && (
         pricing.available ? (
           pricing.type === 'per_call' ? (
@@ -1859,3 +2315,435 @@ const Section = memo(({ title, items, type, icon }) => {
 })
 
 Section.displayName = 'Section'
+
+// 模型属性变化
+const formatAttributeValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-'
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+const AttributeChanges = memo(({ changes }) => {
+  if (!changes || changes.length === 0) {
+    return null
+  }
+
+  return (
+    <div style={{
+      background: '#fafafa',
+      padding: 16,
+      borderRadius: 8,
+      border: '1px solid #e8e8e8'
+    }}>
+      <Typography.Title
+        level={5}
+        style={{ margin: '0 0 12px 0', display: 'flex', alignItems: 'center', gap: 8, color: '#722ed1' }}
+      >
+        <EditOutlined />
+        属性变化 ({changes.length})
+      </Typography.Title>
+      <List
+        size="small"
+        dataSource={changes}
+        pagination={changes.length > 30 ? { pageSize: 30, showSizeChanger: false, size: 'small' } : false}
+        renderItem={(c) => (
+          <List.Item key={c.id}>
+            <Space align="start" wrap>
+              <Typography.Text strong code>{c.id}</Typography.Text>
+              {(c.fields || []).map(f => (
+                <Typography.Text key={f.field} type="secondary" style={{ fontSize: 13 }}>
+                  {MODEL_ATTRIBUTES[f.field] || f.field}：{formatAttributeValue(f.from)} → {formatAttributeValue(f.to)}
+                </Typography.Text>
+              ))}
+            </Space>
+          </List.Item>
+        )}
+      />
+    </div>
+  )
+})
+
+AttributeChanges.displayName = 'AttributeChanges'
+
+// 疑似改名或版本更新（新增和移除中名称相近的模型）
+const RenamedModels = memo(({ pairs }) => {
+  if (!pairs || pairs.length === 0) {
+    return null
+  }
+
+  return (
+    <div style={{
+      background: '#fafafa',
+      padding: 16,
+      borderRadius: 8,
+      border: '1px solid #e8e8e8'
+    }}>
+      <Typography.Title
+        level={5}
+        style={{ margin: '0 0 12px 0', display: 'flex', alignItems: 'center', gap: 8, color: '#2f54eb' }}
+      >
+        <SwapOutlined />
+        疑似改名或版本更新 ({pairs.length})
+      </Typography.Title>
+      <List
+        size="small"
+        dataSource={pairs}
+        renderItem={(p) => (
+          <List.Item key={`${p.from}-${p.to}`}>
+            <Space wrap>
+              <Typography.Text code delete type="secondary">{p.from}</Typography.Text>
+              <Typography.Text>→</Typography.Text>
+              <Typography.Text code strong>{p.to}</Typography.Text>
+              <Tag color={p.reason === 'version' ? 'geekblue' : 'default'}>
+                {p.reason === 'version' ? '版本更新' : `名称相似 ${Math.round(p.similarity * 100)}%`}
+              </Tag>
+            </Space>
+          </List.Item>
+        )}
+      />
+    </div>
+  )
+})
+
+RenamedModels.displayName = 'RenamedModels'
+
+// 渠道变更事件（管理员模式）
+const CHANNEL_EVENT_TEXT = {
+  added: { text: '新增', color: 'green' },
+  removed: { text: '删除', color: 'red' },
+  disabled: { text: '禁用', color: 'red' },
+  enabled: { text: '启用', color: 'green' },
+  balance: { text: '余额', color: 'blue' }
+}
+
+const formatChannelValue = (event, value) => {
+  if (value === null || value === undefined) return '-'
+  if (event === 'balance') return `$${Number(value).toFixed(2)}`
+  return CHANNEL_STATUS[value]?.text || `状态${value}`
+}
+
+const ChannelEvents = memo(({ events }) => {
+  if (!events || events.length === 0) {
+    return null
+  }
+
+  return (
+    <div style={{
+      background: '#fafafa',
+      padding: 16,
+      borderRadius: 8,
+      border: '1px solid #e8e8e8'
+    }}>
+      <Typography.Title
+        level={5}
+        style={{ margin: '0 0 12px 0', display: 'flex', alignItems: 'center', gap: 8, color: '#1890ff' }}
+      >
+        <ClusterOutlined />
+        渠道变更 ({events.length})
+      </Typography.Title>
+      <List
+        size="small"
+        dataSource={events}
+        renderItem={(e) => {
+          const meta = CHANNEL_EVENT_TEXT[e.event] || { text: e.event, color: 'default' }
+          return (
+            <List.Item key={`${e.channelId}-${e.event}`}>
+              <Space>
+                <Tag color={meta.color}>{meta.text}</Tag>
+                <Typography.Text strong>{e.name}</Typography.Text>
+                <Typography.Text type="secondary">#{e.channelId}</Typography.Text>
+                {(e.event === 'balance' || e.event === 'disabled' || e.event === 'enabled') && (
+                  <Typography.Text>
+                    {formatChannelValue(e.event, e.from)} → {formatChannelValue(e.event, e.to)}
+                  </Typography.Text>
+                )}
+              </Space>
+            </List.Item>
+          )
+        }}
+      />
+    </div>
+  )
+})
+
+ChannelEvents.displayName = 'ChannelEvents'
+
+// 模型可用性变化（探测）
+const ProbeChanges = memo(({ changes }) => {
+  const broken = changes?.broken || []
+  const recovered = changes?.recovered || []
+  if (broken.length === 0 && recovered.length === 0) {
+    return null
+  }
+
+  return (
+    <div style={{
+      background: '#fafafa',
+      padding: 16,
+      borderRadius: 8,
+      border: '1px solid #e8e8e8'
+    }}>
+      {broken.length > 0 && (
+        <>
+          <Typography.Title
+            level={5}
+            style={{ margin: '0 0 12px 0', display: 'flex', alignItems: 'center', gap: 8, color: '#fa541c' }}
+          >
+            <WarningOutlined />
+            模型列出但不可用 ({broken.length})
+          </Typography.Title>
+          <List
+            size="small"
+            dataSource={broken}
+            renderItem={(item) => (
+              <List.Item key={item.model}>
+                <Space align="start">
+                  <Typography.Text strong code>{item.model}</Typography.Text>
+                  <Typography.Text type="secondary" style={{ wordBreak: 'break-all' }}>
+                    {item.errorMessage || '未知错误'}
+                  </Typography.Text>
+                </Space>
+              </List.Item>
+            )}
+          />
+        </>
+      )}
+      {recovered.length > 0 && (
+        <>
+          <Typography.Title
+            level={5}
+            style={{ margin: broken.length > 0 ? '12px 0' : '0 0 12px 0', display: 'flex', alignItems: 'center', gap: 8, color: '#13c2c2' }}
+          >
+            <HeartOutlined />
+            模型恢复可用 ({recovered.length})
+          </Typography.Title>
+          <Space wrap>
+            {recovered.map(item => <Tag key={item.model} color="cyan">{item.model}</Tag>)}
+          </Space>
+        </>
+      )}
+    </div>
+  )
+})
+
+ProbeChanges.displayName = 'ProbeChanges'
+
+// 置信度趋势：每次校验一根柱，疑似替换标红
+const ConfidenceTrend = ({ history }) => (
+  <div style={{ display: 'flex', alignItems: 'flex-end', gap: 2, height: 24 }}>
+    {history.slice(-20).map((h, i) => (
+      <Tooltip
+        key={i}
+        title={`${new Date(h.checkedAt).toLocaleString('zh-CN')}：${h.confidence === null ? (h.errorMessage || '未知') : `${Math.round(h.confidence * 100)}%`}`}
+      >
+        <div style={{
+          width: 6,
+          height: h.confidence === null ? 3 : Math.max(3, Math.round(h.confidence * 24)),
+          background: h.confidence === null ? '#d9d9d9' : h.flagged ? '#ff4d4f' : '#52c41a',
+          borderRadius: 1
+        }} />
+      </Tooltip>
+    ))}
+  </div>
+)
+
+// 余额折线图：剩余额度（蓝）和已用额度（橙，虚线）
+const BalanceChart = ({ points }) => {
+  const width = 800
+  const height = 200
+  const pad = { top: 12, right: 12, bottom: 24, left: 56 }
+  const series = [
+    { key: 'remaining', color: '#1890ff', dash: null, label: '剩余', value: p => p.remaining ?? p.limit },
+    { key: 'usage', color: '#fa8c16', dash: '4 3', label: '已用', value: p => p.usage }
+  ]
+  const values = points.flatMap(p => series.map(s => s.value(p))).filter(v => v !== null && v !== undefined)
+  if (values.length === 0) return <Empty description="该时间范围内暂无余额数据" />
+
+  const t0 = new Date(points[0].at).getTime()
+  const t1 = new Date(points[points.length - 1].at).getTime()
+  const min = Math.min(0, ...values)
+  const max = Math.max(...values) || 1
+  const x = (at) => pad.left + (t1 === t0 ? 0.5 : (new Date(at).getTime() - t0) / (t1 - t0)) * (width - pad.left - pad.right)
+  const y = (v) => pad.top + (1 - (v - min) / (max - min || 1)) * (height - pad.top - pad.bottom)
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 220 }}>
+        {[max, (max + min) / 2, min].map(v => (
+          <g key={v}>
+            <line x1={pad.left} x2={width - pad.right} y1={y(v)} y2={y(v)} stroke="#f0f0f0" />
+            <text x={pad.left - 6} y={y(v) + 4} textAnchor="end" fontSize="11" fill="#8c8c8c">${v.toFixed(2)}</text>
+          </g>
+        ))}
+        <text x={pad.left} y={height - 6} fontSize="11" fill="#8c8c8c">{dayjs(points[0].at).format('MM-DD HH:mm')}</text>
+        <text x={width - pad.right} y={height - 6} textAnchor="end" fontSize="11" fill="#8c8c8c">{dayjs(points[points.length - 1].at).format('MM-DD HH:mm')}</text>
+        {series.map(s => {
+          const pts = points.filter(p => s.value(p) !== null && s.value(p) !== undefined)
+          if (pts.length === 0) return null
+          return (
+            <g key={s.key}>
+              <polyline
+                fill="none"
+                stroke={s.color}
+                strokeWidth="2"
+                strokeDasharray={s.dash || undefined}
+                points={pts.map(p => `${x(p.at)},${y(s.value(p))}`).join(' ')}
+              />
+              {pts.map((p, i) => (
+                <circle key={i} cx={x(p.at)} cy={y(s.value(p))} r="3" fill={s.color}>
+                  <title>{`${new Date(p.at).toLocaleString('zh-CN')} ${s.label} $${s.value(p).toFixed(2)}`}</title>
+                </circle>
+              ))}
+            </g>
+          )
+        })}
+      </svg>
+      <Space size={16} style={{ fontSize: 12, color: '#8c8c8c' }}>
+        {series.map(s => (
+          <span key={s.key}>
+            <span style={{ display: 'inline-block', width: 16, height: 2, background: s.color, verticalAlign: 'middle', marginRight: 6 }} />
+            {s.label}
+          </span>
+        ))}
+      </Space>
+    </div>
+  )
+}
+
+// 疑似模型替换事件（指纹校验）
+const FlaggedEvents = memo(({ events }) => {
+  if (!events || events.length === 0) {
+    return null
+  }
+
+  return (
+    <div style={{
+      background: '#fafafa',
+      padding: 16,
+      borderRadius: 8,
+      border: '1px solid #e8e8e8'
+    }}>
+      <Typography.Title
+        level={5}
+        style={{ margin: '0 0 12px 0', display: 'flex', alignItems: 'center', gap: 8, color: '#c41d7f' }}
+      >
+        <SafetyCertificateOutlined />
+        疑似模型替换 ({events.length})
+      </Typography.Title>
+      <List
+        size="small"
+        dataSource={events}
+        renderItem={(e) => (
+          <List.Item key={e.model}>
+            <Space direction="vertical" size={4}>
+              <Space>
+                <Typography.Text strong code>{e.model}</Typography.Text>
+                <Tag color="magenta">
+                  置信度 {e.confidence === null || e.confidence === undefined ? '未知' : `${Math.round(e.confidence * 100)}%`}
+                </Tag>
+              </Space>
+              {(e.reasons || []).map(r => (
+                <Typography.Text key={r.name} type="secondary" style={{ fontSize: 13 }}>
+                  {FINGERPRINT_CHECKS[r.name] || r.name}：期望 {r.expected ?? '-'}，实际 {r.actual ?? '-'}
+                </Typography.Text>
+              ))}
+            </Space>
+          </List.Item>
+        )}
+      />
+    </div>
+  )
+})
+
+FlaggedEvents.displayName = 'FlaggedEvents'
+
+// 价格变化：按量计费为 $/1M tokens，按次计费为 $/次（不含分组倍率）
+const formatPriceChange = (before, after, key) => {
+  const fmt = (v) => v === null || v === undefined ? '-' : `$${Number(v.toFixed(4))}`
+  if (before[key] === after[key]) return fmt(after[key])
+  const color = after[key] > before[key] ? '#cf1322' : '#389e0d'
+  return (
+    <span>
+      <Typography.Text type="secondary" delete>{fmt(before[key])}</Typography.Text>
+      <span style={{ margin: '0 4px' }}>→</span>
+      <span style={{ color, fontWeight: 600 }}>{fmt(after[key])}</span>
+    </span>
+  )
+}
+
+const PriceChanges = memo(({ models, groups, title }) => {
+  if ((!models || models.length === 0) && (!groups || groups.length === 0)) {
+    return null
+  }
+
+  return (
+    <div style={{
+      background: '#fafafa',
+      padding: 16,
+      borderRadius: 8,
+      border: '1px solid #e8e8e8'
+    }}>
+      {title && (
+        <Typography.Title
+          level={5}
+          style={{ margin: '0 0 12px 0', display: 'flex', alignItems: 'center', gap: 8, color: '#d4380d' }}
+        >
+          <RiseOutlined />
+          {title} ({models.length + groups.length})
+        </Typography.Title>
+      )}
+      {models.length > 0 && (
+        <Table
+          size="small"
+          rowKey="model"
+          dataSource={models}
+          pagination={models.length > 20 ? { pageSize: 20, showSizeChanger: false } : false}
+          columns={[
+            {
+              title: '模型',
+              dataIndex: 'model',
+              render: (model) => <Typography.Text code>{model}</Typography.Text>
+            },
+            {
+              title: '变化',
+              dataIndex: 'direction',
+              width: 100,
+              render: (direction) => (
+                <Tag color={PRICE_DIRECTION[direction]?.color} icon={direction === 'down' ? <FallOutlined /> : <RiseOutlined />}>
+                  {PRICE_DIRECTION[direction]?.text || direction}
+                </Tag>
+              )
+            },
+            {
+              title: '计费方式',
+              width: 90,
+              render: (_, { after }) => after.type === 'per_call' ? '按次' : '按量'
+            },
+            {
+              title: '输入 ($/1M)',
+              render: (_, { before, after }) => after.type === 'per_token' ? formatPriceChange(before, after, 'input') : '-'
+            },
+            {
+              title: '输出 ($/1M)',
+              render: (_, { before, after }) => after.type === 'per_token' ? formatPriceChange(before, after, 'output') : '-'
+            },
+            {
+              title: '每次',
+              render: (_, { before, after }) => after.type === 'per_call' ? formatPriceChange(before, after, 'call') : '-'
+            }
+          ]}
+        />
+      )}
+      {groups.length > 0 && (
+        <Space size={8} wrap style={{ marginTop: models.length > 0 ? 12 : 0 }}>
+          {groups.map(g => (
+            <Tag key={g.group} color={PRICE_DIRECTION[g.direction]?.color}>
+              分组 {g.group} 倍率：{g.from} → {g.to}
+            </Tag>
+          ))}
+        </Space>
+      )}
+    </div>
+  )
+})
+
+PriceChanges.displayName = 'PriceChanges'
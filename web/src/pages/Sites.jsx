@@ -16,6 +16,9 @@ function authHeaders(includeJson = false) {
   return h;
 }
 
+// 分类、站点的通知渠道以逗号分隔的 ID 保存
+const splitChannelIds = (value) => (value || '').split(',').filter(Boolean)
+
 export default function Sites() {
   const [list, setList] = useState([])
   const [loading, setLoading] = useState(false)
@@ -29,9 +32,8 @@ export default function Sites() {
   const [debugOpen, setDebugOpen] = useState(false)
   const [debugData, setDebugData] = useState(null)
   const [debugLoading, setDebugLoading] = useState(false)
-  const [emailConfigOpen, setEmailConfigOpen] = useState(false)
-  const [emailConfigForm] = Form.useForm()
-  const [emailConfigData, setEmailConfigData] = useState(null)
+  const [notificationEnabled, setNotificationEnabled] = useState(false)
+  const [notificationChannels, setNotificationChannels] = useState([])
   const [scheduleOpen, setScheduleOpen] = useState(false)
   const [scheduleForm] = Form.useForm()
   const [scheduleConfig, setScheduleConfig] = useState({ enabled: false, hour: 9, minute: 0, interval: 30 })
@@ -53,6 +55,7 @@ export default function Sites() {
   const [categoryForm] = Form.useForm()
   const [editingCategory, setEditingCategory] = useState(null)
   const [categoryCheckingId, setCategoryCheckingId] = useState(null)
+  const [adapters, setAdapters] = useState([])
   const [collapsedGroups, setCollapsedGroups] = useState(() => {
     const saved = sessionStorage.getItem('sitesCollapsedGroups')
     if (saved) {
@@ -100,6 +103,20 @@ export default function Sites() {
     }
   }
 
+  // 加载站点类型及其能力
+  const loadAdapters = async () => {
+    try {
+      const res = await fetch('/api/adapters', { headers: authHeaders() })
+      if (res.ok) {
+        setAdapters(await res.json())
+      }
+    } catch (e) {
+      console.error('加载站点类型失败:', e)
+    }
+  }
+
+  const getAdapter = (apiType) => adapters.find(a => a.type === (apiType || 'other'))
+
   const toggleGroupCollapse = (groupId) => {
     const newCollapsed = new Set(collapsedGroups)
     if (newCollapsed.has(groupId)) {
@@ -132,7 +149,8 @@ export default function Sites() {
       await Promise.all([
         load(searchKeyword),
         loadCategories(),
-        loadEmailConfig(),
+        loadAdapters(),
+        loadNotificationChannels(),
         loadScheduleConfig()
       ])
       
@@ -179,7 +197,8 @@ export default function Sites() {
       categoryForm.setFieldsValue({
         name: category.name,
         cnHour,
-        cnMinute
+        cnMinute,
+        notifyChannelIds: splitChannelIds(category.notifyChannelIds)
       })
     } else {
       categoryForm.resetFields()
@@ -200,7 +219,7 @@ export default function Sites() {
         scheduleCron = `${m} ${h} * * *`
       }
 
-      const data = { name: v.name, scheduleCron, timezone }
+      const data = { name: v.name, scheduleCron, timezone, notifyChannelIds: (v.notifyChannelIds || []).join(',') }
 
       if (editingCategory) {
         // 更新分类
@@ -414,53 +433,17 @@ export default function Sites() {
     }
   }
 
-  const loadEmailConfig = async () => {
+  // 通知渠道：用于按钮状态和分类、站点的通知渠道选择
+  const loadNotificationChannels = async () => {
     try {
-      const res = await fetch('/api/email-config', { headers: authHeaders() })
+      const res = await fetch('/api/notification-channels', { headers: authHeaders() })
       if (res.ok) {
         const data = await res.json()
-        setEmailConfigData(data)
+        setNotificationChannels(data)
+        setNotificationEnabled(data.some(c => c.enabled))
       }
     } catch (e) {
-      console.error('Failed to load email config:', e)
-    }
-  }
-
-  const openEmailConfigModal = () => {
-    if (emailConfigData) {
-      emailConfigForm.setFieldsValue({
-        resendApiKey: '',
-        notifyEmails: emailConfigData.notifyEmails || ''
-      })
-    }
-    setEmailConfigOpen(true)
-  }
-
-  const saveEmailConfig = async () => {
-    try {
-      const v = await emailConfigForm.validateFields()
-
-      const res = await fetch('/api/email-config', {
-        method: 'POST',
-        headers: authHeaders(true),
-        body: JSON.stringify({
-          resendApiKey: v.resendApiKey,
-          notifyEmails: v.notifyEmails,
-          enabled: true
-        })
-      })
-
-      if (!res.ok) {
-        const data = await res.json().catch(() => ({}))
-        throw new Error(data.error || '保存失败')
-      }
-
-      setEmailConfigOpen(false)
-      emailConfigForm.resetFields()
-      await loadEmailConfig()
-      message.success('邮件通知配置成功')
-    } catch (e) {
-      message.error(e.message || '保存失败，请重试')
+      console.error('Failed to load notification channels:', e)
     }
   }
 
@@ -474,6 +457,7 @@ export default function Sites() {
         v.timezone = 'Asia/Shanghai'
       }
       delete v.cnHour; delete v.cnMinute
+      v.notifyChannelIds = (v.notifyChannelIds || []).join(',')
       if (!v.apiType) v.apiType = 'other'
       if (v.enableCheckIn && !v.checkInMode) v.checkInMode = 'both'
       
@@ -482,6 +466,10 @@ export default function Sites() {
       v.excludeFromBatch = v.excludeFromBatch === true;
       v.unlimitedQuota = v.unlimitedQuota === true;
       v.enableCheckIn = v.enableCheckIn === true;
+      v.adminMode = v.adminMode === true;
+      v.probeEnabled = v.probeEnabled === true;
+      v.fingerprintEnabled = v.probeEnabled && v.fingerprintEnabled === true;
+      if (!v.probeKey) delete v.probeKey
       
       const res = await fetch('/api/sites', { method: 'POST', headers: authHeaders(true), body: JSON.stringify(v) })
       if (!res.ok) {
@@ -512,12 +500,14 @@ export default function Sites() {
       baseUrl: site.baseUrl,
       apiKey: '',
       apiType: site.apiType || 'other',
+      modelProtocol: site.modelProtocol || 'openai',
       userId: site.userId || '',
       cnHour,
       cnMinute,
       pinned: site.pinned !== undefined ? site.pinned : false,
       excludeFromBatch: site.excludeFromBatch !== undefined ? site.excludeFromBatch : false,
       categoryId: site.categoryId || null,
+      notifyChannelIds: splitChannelIds(site.notifyChannelIds),
       unlimitedQuota: site.unlimitedQuota !== undefined ? site.unlimitedQuota : false,
       billingUrl: site.billingUrl || '',
       billingAuthType: site.billingAuthType || 'token',
@@ -526,6 +516,12 @@ export default function Sites() {
       billingUsageField: site.billingUsageField || '',
       enableCheckIn: site.enableCheckIn !== undefined ? site.enableCheckIn : false,
       checkInMode: site.checkInMode || 'both',
+      adminMode: site.adminMode === true,
+      probeEnabled: site.probeEnabled === true,
+      probeModels: site.probeModels || '',
+      probeKey: '',
+      fingerprintEnabled: site.fingerprintEnabled === true,
+      priceAlertModels: site.priceAlertModels || '',
       extralink: site.extralink || '',
       remark: site.remark || ''
     })
@@ -541,18 +537,25 @@ export default function Sites() {
         name: v.name,
         baseUrl: v.baseUrl,
         apiType: v.apiType || 'other',
+        modelProtocol: v.modelProtocol || 'openai',
         userId: v.userId || null,
         // 布尔字段：使用严格的布尔转换，确保false值也被正确发送
         pinned: v.pinned === true,
         excludeFromBatch: v.excludeFromBatch === true,
         unlimitedQuota: v.unlimitedQuota === true,
         categoryId: v.categoryId || null,
+        notifyChannelIds: (v.notifyChannelIds || []).join(','),
         billingUrl: v.billingUrl || null,
         billingAuthType: v.billingAuthType || 'token',
         billingAuthValue: v.billingAuthValue || null,
         billingLimitField: v.billingLimitField || null,
         billingUsageField: v.billingUsageField || null,
         enableCheckIn: v.enableCheckIn === true,
+        adminMode: v.adminMode === true,
+        probeEnabled: v.probeEnabled === true,
+        probeModels: v.probeModels || null,
+        fingerprintEnabled: v.probeEnabled === true && v.fingerprintEnabled === true,
+        priceAlertModels: v.priceAlertModels || null,
         extralink: v.extralink || null,
         remark: v.remark || null
       }
@@ -567,6 +570,10 @@ export default function Sites() {
         updateData.apiKey = v.apiKey
       }
 
+      if (v.probeKey && v.probeKey.trim()) {
+        updateData.probeKey = v.probeKey
+      }
+
       if (v.cnHour !== undefined && v.cnMinute !== undefined && v.cnHour !== null && v.cnMinute !== null) {
         const h = Math.max(0, Math.min(23, Number(v.cnHour)))
         const m = Math.max(0, Math.min(59, Number(v.cnMinute)))
@@ -1063,6 +1070,27 @@ export default function Sites() {
         return <Typography.Text type="secondary" style={{ fontSize: 11 }}>-</Typography.Text>;
       }
     },
+    {
+      title: <span style={{ fontSize: 15, fontWeight: 600 }}>预计可用</span>,
+      dataIndex: 'daysLeft',
+      width: 110,
+      align: 'center',
+      // 无法预测（无限余额、无消耗、数据不足）的站点排在最后
+      sorter: (a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity),
+      render: (daysLeft, record) => {
+        if (daysLeft === null || daysLeft === undefined) {
+          return <Tooltip title={record.burnRate === 0 ? '近7天无消耗' : '余额数据不足，无法预测'}>
+            <Typography.Text type="secondary" style={{ fontSize: 11 }}>-</Typography.Text>
+          </Tooltip>;
+        }
+        const color = daysLeft < 3 ? 'red' : daysLeft < 7 ? 'orange' : 'green';
+        return <Tooltip title={`近7天日均消耗 $${record.burnRate.toFixed(2)}`}>
+          <Tag color={color} style={{ fontSize: 12, margin: 0, cursor: 'help' }}>
+            {daysLeft < 1 ? '不足1天' : `${Math.floor(daysLeft)} 天`}
+          </Tag>
+        </Tooltip>;
+      }
+    },
     {
       title: <span style={{ fontSize: 15, fontWeight: 600 }}>签到</span>,
       width: 80,
@@ -1070,8 +1098,8 @@ export default function Sites() {
       render: (_, record) => {
         const { apiType, enableCheckIn, checkInSuccess, checkInMessage, checkInError } = record;
 
-        // 只有Veloera类型才显示签到状态
-        if (apiType !== 'veloera') {
+        // 只有支持签到的站点类型才显示签到状态
+        if (!getAdapter(apiType)?.capabilities.checkIn) {
           return <Tooltip title="此站点类型不支持签到">
             <span style={{ fontSize: 32, color: '#d9d9d9', cursor: 'help', fontWeight: 'bold', lineHeight: 1 }}>●</span>
           </Tooltip>;
@@ -1340,17 +1368,17 @@ export default function Sites() {
           <Button
             icon={<MailOutlined />}
             size="large"
-            onClick={openEmailConfigModal}
+            onClick={() => nav('/notifications')}
             style={{
-              background: emailConfigData?.enabled ? 'linear-gradient(135deg, #52c41a 0%, #389e0d 100%)' : '#f0f0f0',
+              background: notificationEnabled ? 'linear-gradient(135deg, #52c41a 0%, #389e0d 100%)' : '#f0f0f0',
               border: 'none',
               height: 40,
               fontSize: 14,
               fontWeight: 600,
-              color: emailConfigData?.enabled ? 'white' : '#666'
+              color: notificationEnabled ? 'white' : '#666'
             }}
           >
-            邮件通知
+            通知渠道
           </Button>
           <Button
             icon={<ClockCircleOutlined />}
@@ -1860,15 +1888,30 @@ export default function Sites() {
               <Select
                 placeholder="选择API类型"
                 style={{ borderRadius: 8, fontSize: 15 }}
-                options={[
-                  { value: 'newapi', label: 'New API' },
-                  { value: 'veloera', label: 'Veloera' },
-                  { value: 'donehub', label: 'DoneHub' },
-                  { value: 'voapi', label: 'VOAPI' },
-                  { value: 'other', label: '其他 (OpenAI标准)' }
-                ]}
+                options={adapters.map(a => ({ value: a.type, label: a.label }))}
               />
             </Form.Item>
+            <Form.Item
+              noStyle
+              shouldUpdate={(prev, curr) => prev.apiType !== curr.apiType}
+            >
+              {({ getFieldValue }) => {
+                const modelProtocols = getAdapter(getFieldValue('apiType'))?.modelProtocols
+                return modelProtocols ? (
+                  <Form.Item
+                    name="modelProtocol"
+                    label={<span style={{ fontSize: 15, fontWeight: 500 }}>模型列表协议</span>}
+                    extra="Anthropic 使用 x-api-key 鉴权，Gemini 使用 ?key= 鉴权，均自动翻页获取全部模型"
+                    initialValue="openai"
+                  >
+                    <Select
+                      style={{ borderRadius: 8, fontSize: 15 }}
+                      options={modelProtocols}
+                    />
+                  </Form.Item>
+                ) : null
+              }}
+            </Form.Item>
             <Form.Item
               name="apiKey"
               label={<span style={{ fontSize: 15, fontWeight: 500 }}>API 密钥/系统访问令牌</span>}
@@ -1885,9 +1928,9 @@ export default function Sites() {
               shouldUpdate={(prev, curr) => prev.apiType !== curr.apiType}
             >
               {({ getFieldValue }) => {
-                const apiType = getFieldValue('apiType')
-                const needsUserId = apiType === 'newapi' || apiType === 'veloera'
-                const needsJwtToken = apiType === 'voapi'
+                const adapter = getAdapter(getFieldValue('apiType'))
+                const needsUserId = adapter?.requiresUserId
+                const needsJwtToken = adapter?.requiresJwtToken
                 
                 if (needsUserId) {
                   return (
@@ -1895,7 +1938,7 @@ export default function Sites() {
                       name="userId"
                       label={<span style={{ fontSize: 15, fontWeight: 500 }}>用户 ID</span>}
                       rules={[{ required: true, message: '请输入用户ID' }]}
-                      extra={`用于 ${apiType === 'newapi' ? 'New API' : 'Veloera'} 鉴权的用户ID`}
+                      extra={`用于 ${adapter.label} 鉴权的用户ID`}
                     >
                       <Input
                         placeholder="例如：1"
@@ -1909,7 +1952,7 @@ export default function Sites() {
                       name="billingAuthValue"
                       label={<span style={{ fontSize: 15, fontWeight: 500 }}>JWT Token</span>}
                       rules={[{ required: true, message: '请输入JWT Token' }]}
-                      extra="用于获取VOAPI用量信息的JWT认证令牌"
+                      extra={`用于获取${adapter.label}用量信息的JWT认证令牌`}
                     >
                       <Input.Password
                         placeholder="eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
@@ -1922,14 +1965,13 @@ export default function Sites() {
               }}
             </Form.Item>
 
-            {/* Billing配置 - 仅对"other"类型显示 */}
+            {/* Billing配置 - 仅对支持自定义billing的类型显示 */}
             <Form.Item
               noStyle
               shouldUpdate={(prev, curr) => prev.apiType !== curr.apiType}
             >
               {({ getFieldValue }) => {
-                const apiType = getFieldValue('apiType')
-                const showBillingConfig = apiType === 'other'
+                const showBillingConfig = getAdapter(getFieldValue('apiType'))?.customBilling
                 return showBillingConfig ? (
                   <div style={{
                     padding: 16,
@@ -2070,6 +2112,20 @@ export default function Sites() {
               />
             </Form.Item>
 
+            <Form.Item
+              name="notifyChannelIds"
+              label={<span style={{ fontSize: 15, fontWeight: 500 }}>通知渠道（可选）</span>}
+              extra="该站点的变更和检测失败只发送到这些渠道；不选择时使用所属分类的设置，分类也未设置时发送到默认渠道"
+            >
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="使用分类设置"
+                style={{ borderRadius: 8, fontSize: 15 }}
+                options={notificationChannels.map(c => ({ value: c.id, label: c.name }))}
+              />
+            </Form.Item>
+
             <Form.Item
               label={<span style={{ fontSize: 15, fontWeight: 500 }}>定时检测（可选）</span>}
               extra="设置每日自动检测的北京时间，不设置则使用系统默认计划"
@@ -2165,14 +2221,13 @@ export default function Sites() {
               </div>
             </div>
             
-            {/* 签到配置 - 仅Veloera类型显示 */}
+            {/* 签到配置 - 仅支持签到的类型显示 */}
             <Form.Item
               noStyle
               shouldUpdate={(prev, curr) => prev.apiType !== curr.apiType}
             >
               {({ getFieldValue }) => {
-                const apiType = getFieldValue('apiType')
-                const showCheckIn = apiType === 'veloera'
+                const showCheckIn = getAdapter(getFieldValue('apiType'))?.capabilities.checkIn
                 return showCheckIn ? (
                   <>
                     <Divider style={{ margin: '16px 0' }}>签到配置</Divider>
@@ -2180,7 +2235,7 @@ export default function Sites() {
                       name="enableCheckIn"
                       label={<span style={{ fontSize: 15, fontWeight: 500 }}>启用自动签到</span>}
                       valuePropName="checked"
-                      extra="仅Veloera类型支持自动签到功能"
+                      extra="每次检测时自动执行签到"
                       initialValue={false}
                     >
                       <Switch
@@ -2217,6 +2272,117 @@ export default function Sites() {
                 ) : null
               }}
             </Form.Item>
+
+            {/* 管理员模式 - 仅支持渠道列表的类型显示 */}
+            <Form.Item
+              noStyle
+              shouldUpdate={(prev, curr) => prev.apiType !== curr.apiType}
+            >
+              {({ getFieldValue }) => {
+                const showAdminMode = getAdapter(getFieldValue('apiType'))?.capabilities.listChannels
+                return showAdminMode ? (
+                  <>
+                    <Divider style={{ margin: '16px 0' }}>管理员模式</Divider>
+                    <Form.Item
+                      name="adminMode"
+                      label={<span style={{ fontSize: 15, fontWeight: 500 }}>监测渠道</span>}
+                      valuePropName="checked"
+                      extra="自建 One API / New API 使用：需填写管理员的系统访问令牌，检测时同时记录渠道状态、余额和模型，渠道禁用/启用和余额变化会发送通知"
+                      initialValue={false}
+                    >
+                      <Switch
+                        checkedChildren="已启用"
+                        unCheckedChildren="未启用"
+                      />
+                    </Form.Item>
+                  </>
+                ) : null
+              }}
+            </Form.Item>
+
+            {/* 涨价通知 - 仅支持价格接口的类型显示 */}
+            <Form.Item
+              noStyle
+              shouldUpdate={(prev, curr) => prev.apiType !== curr.apiType}
+            >
+              {({ getFieldValue }) => {
+                const showPricing = getAdapter(getFieldValue('apiType'))?.capabilities.pricing
+                return showPricing ? (
+                  <>
+                    <Divider style={{ margin: '16px 0' }}>价格监测</Divider>
+                    <Form.Item
+                      name="priceAlertModels"
+                      label={<span style={{ fontSize: 15, fontWeight: 500 }}>涨价通知模型（可选）</span>}
+                      extra="每次检测都会保存价格快照并记录全部模型的涨价/降价；这里填写的模型涨价时发送通知（逗号或换行分隔），留空表示任意模型涨价都通知，分组倍率上涨总是通知"
+                    >
+                      <Input.TextArea
+                        rows={2}
+                        placeholder={'gpt-4o\nclaude-3-5-sonnet-20241022'}
+                        style={{ borderRadius: 8, fontSize: 14, fontFamily: 'monospace' }}
+                      />
+                    </Form.Item>
+                  </>
+                ) : null
+              }}
+            </Form.Item>
+
+            {/* 模型可用性探测 */}
+            <Divider style={{ margin: '16px 0' }}>模型可用性探测</Divider>
+            <Form.Item
+              name="probeEnabled"
+              label={<span style={{ fontSize: 15, fontWeight: 500 }}>启用探测</span>}
+              valuePropName="checked"
+              extra="每次检测时向下方模型各发送一次最小对话请求（max_tokens=1），模型列出但不可用时发送通知"
+              initialValue={false}
+            >
+              <Switch
+                checkedChildren="已启用"
+                unCheckedChildren="未启用"
+              />
+            </Form.Item>
+            <Form.Item
+              noStyle
+              shouldUpdate={(prev, curr) => prev.probeEnabled !== curr.probeEnabled}
+            >
+              {({ getFieldValue }) => getFieldValue('probeEnabled') ? (
+                <>
+                  <Form.Item
+                    name="probeModels"
+                    label={<span style={{ fontSize: 15, fontWeight: 500 }}>探测模型</span>}
+                    rules={[{ required: true, message: '请输入要探测的模型' }]}
+                    extra="逗号或换行分隔，建议只填写常用模型，每个模型都会消耗少量额度"
+                  >
+                    <Input.TextArea
+                      rows={3}
+                      placeholder={'gpt-4o-mini\nclaude-3-5-haiku-20241022'}
+                      style={{ borderRadius: 8, fontSize: 14, fontFamily: 'monospace' }}
+                    />
+                  </Form.Item>
+                  <Form.Item
+                    name="probeKey"
+                    label={<span style={{ fontSize: 15, fontWeight: 500 }}>探测令牌（可选）</span>}
+                    extra={editMode ? '留空表示不修改；未配置时使用上方的 API 密钥' : '用于调用模型的令牌（如 sk-...），留空使用上方的 API 密钥'}
+                  >
+                    <Input.Password
+                      placeholder="sk-..."
+                      style={{ borderRadius: 8, fontSize: 15 }}
+                    />
+                  </Form.Item>
+                  <Form.Item
+                    name="fingerprintEnabled"
+                    label={<span style={{ fontSize: 15, fontWeight: 500 }}>模型指纹校验</span>}
+                    valuePropName="checked"
+                    extra="对探测成功的模型追加两次提问，比对返回模型名、自称厂商、知识截止时间和分词器token数，识别低价模型冒充"
+                    initialValue={false}
+                  >
+                    <Switch
+                      checkedChildren="已启用"
+                      unCheckedChildren="未启用"
+                    />
+                  </Form.Item>
+                </>
+              ) : null}
+            </Form.Item>
           </Form>
         </Modal>
       )}
@@ -2455,110 +2621,6 @@ export default function Sites() {
         </Modal>
       )}
 
-      {emailConfigOpen && (
-        <Modal
-          open={emailConfigOpen}
-          onCancel={() => { setEmailConfigOpen(false); emailConfigForm.resetFields() }}
-          onOk={saveEmailConfig}
-          title={<Typography.Title level={4} style={{ margin: 0 }}>📧 全局邮件通知配置</Typography.Title>}
-          okText="保存配置"
-          cancelText="取消"
-          width={600}
-          destroyOnClose
-          okButtonProps={{
-            style: {
-              background: 'linear-gradient(135deg, #52c41a 0%, #389e0d 100%)',
-              border: 'none',
-              height: 40,
-              fontSize: 15
-            }
-          }}
-        >
-          <div style={{ marginTop: 24 }}>
-            <Typography.Paragraph type="secondary" style={{ marginBottom: 20, fontSize: 14 }}>
-              配置全局邮件通知，任何站点检测到模型变更时都会自动发送邮件
-            </Typography.Paragraph>
-
-            {emailConfigData?.enabled && (
-              <div style={{
-                background: '#f6ffed',
-                border: '1px solid #b7eb8f',
-                borderRadius: 8,
-                padding: 12,
-                marginBottom: 20,
-                fontSize: 13,
-                color: '#389e0d'
-              }}>
-                ✅ 邮件通知已启用，当前收件人：{emailConfigData.notifyEmails}
-              </div>
-            )}
-
-            <Form layout="vertical" form={emailConfigForm} size="large">
-              <Form.Item
-                name="resendApiKey"
-                label={<span style={{ fontSize: 15, fontWeight: 500 }}>Resend API Key</span>}
-                rules={[{ required: true, message: '请输入 Resend API Key' }]}
-                extra="获取密钥：https://resend.com/api-keys"
-              >
-                <Input.Password
-                  placeholder="re_xxxxxxxxx"
-                  style={{ borderRadius: 8, fontSize: 15 }}
-                  prefix={<MailOutlined style={{ color: '#bbb' }} />}
-                />
-              </Form.Item>
-
-              <Form.Item
-                name="notifyEmails"
-                label={<span style={{ fontSize: 15, fontWeight: 500 }}>收件人邮箱</span>}
-                rules={[
-                  { required: true, message: '请输入至少一个收件人邮箱' },
-                  {
-                    validator: (_, value) => {
-                      if (!value || !value.trim()) {
-                        return Promise.reject(new Error('请输入至少一个收件人邮箱'))
-                      }
-                      const emails = value.split(',').map(e => e.trim()).filter(Boolean)
-                      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-                      for (const email of emails) {
-                        if (!emailRegex.test(email)) {
-                          return Promise.reject(new Error(`邮箱格式不正确：${email}`))
-                        }
-                      }
-                      return Promise.resolve()
-                    }
-                  }
-                ]}
-                extra="多个邮箱用英文逗号分隔，例如：user1@example.com,user2@example.com"
-              >
-                <Input.TextArea
-                  placeholder="user@example.com,admin@example.com"
-                  rows={3}
-                  style={{ borderRadius: 8, fontSize: 15 }}
-                />
-              </Form.Item>
-            </Form>
-
-            <div style={{
-              background: '#f0f7ff',
-              border: '1px solid #91d5ff',
-              borderRadius: 8,
-              padding: 16,
-              marginTop: 20
-            }}>
-              <Typography.Title level={5} style={{ margin: 0, marginBottom: 8, color: '#0050b3' }}>
-                ℹ️ 功能说明
-              </Typography.Title>
-              <ul style={{ margin: 0, paddingLeft: 20, fontSize: 13, color: '#666' }}>
-                <li>全局配置：所有站点共用一个邮件配置</li>
-                <li>智能通知：只有当任何站点检测到模型变更时才发送</li>
-                <li>详细内容：邮件包含站点名称、变更详情等信息</li>
-                <li>团队协作：支持配置多个收件人邮箱</li>
-              </ul>
-            </div>
-          </div>
-        </Modal>
-      )}
-
       {scheduleOpen && (
         <Modal
           title="一键定时检测设置"
@@ -3069,6 +3131,20 @@ export default function Sites() {
                   </Form.Item>
                 </Space>
               </Form.Item>
+
+              <Form.Item
+                name="notifyChannelIds"
+                label={<span style={{ fontSize: 15, fontWeight: 500 }}>通知渠道（可选）</span>}
+                extra="该分类站点的变更和检测失败只发送到这些渠道，聚合报告按渠道拆分；不选择时发送到默认渠道，站点可以单独设置"
+              >
+                <Select
+                  mode="multiple"
+                  allowClear
+                  placeholder="默认渠道"
+                  style={{ borderRadius: 8, fontSize: 15 }}
+                  options={notificationChannels.map(c => ({ value: c.id, label: c.name }))}
+                />
+              </Form.Item>
             </Form>
 
             {editingCategory && editingCategory.sites && editingCategory.sites.length > 0 && (
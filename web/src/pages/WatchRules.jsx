@@ -0,0 +1,296 @@
+import { useEffect, useState } from 'react'
+import { Alert, Button, Card, Empty, Form, Input, Modal, Popconfirm, Radio, Select, Space, Switch, Table, Tag, Typography, message } from 'antd'
+import { StarOutlined, PlusOutlined, EditOutlined, DeleteOutlined, SearchOutlined } from '@ant-design/icons'
+
+function authHeaders(includeJson = false) {
+  const t = localStorage.getItem('token');
+  const h = { 'Authorization': `Bearer ${t}` };
+  if (includeJson) h['Content-Type'] = 'application/json';
+  return h;
+}
+
+const MATCH_TYPES = {
+  glob: { label: '通配符', placeholder: 'gpt-5*', help: '匹配完整的模型名，* 匹配任意字符，? 匹配单个字符，不区分大小写' },
+  regex: { label: '正则表达式', placeholder: '^claude-.*-4', help: '匹配模型名的任意部分，不区分大小写；需要匹配完整名称时使用 ^ 和 $' }
+}
+
+const WATCH_EVENTS = {
+  any: { label: '新增或移除', color: 'gold' },
+  added: { label: '新增', color: 'green' },
+  removed: { label: '移除', color: 'red' }
+}
+
+export default function WatchRules() {
+  const [rules, setRules] = useState([])
+  const [sites, setSites] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [open, setOpen] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+  const [testResult, setTestResult] = useState(null)
+  const [testing, setTesting] = useState(false)
+  const [form] = Form.useForm()
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const res = await fetch('/api/watch-rules', { headers: authHeaders() })
+      if (!res.ok) throw new Error('加载关注规则失败')
+      setRules(await res.json())
+    } catch (e) {
+      message.error(e.message || '加载关注规则失败')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    load()
+    fetch('/api/sites', { headers: authHeaders() })
+      .then(res => res.ok ? res.json() : [])
+      .then(data => setSites(data))
+      .catch(() => {})
+  }, [])
+
+  const openModal = (rule = null) => {
+    setEditingRule(rule)
+    setTestResult(null)
+    form.resetFields()
+    if (rule) {
+      form.setFieldsValue({
+        name: rule.name,
+        pattern: rule.pattern,
+        matchType: rule.matchType,
+        event: rule.event,
+        siteId: rule.siteId || undefined,
+        enabled: rule.enabled
+      })
+    }
+    setOpen(true)
+  }
+
+  const onSave = async () => {
+    try {
+      const v = await form.validateFields()
+      const body = { ...v, siteId: v.siteId || null, enabled: v.enabled !== false }
+      const res = await fetch(editingRule ? `/api/watch-rules/${editingRule.id}` : '/api/watch-rules', {
+        method: editingRule ? 'PATCH' : 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify(body)
+      })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || '保存关注规则失败')
+      }
+      setOpen(false)
+      message.success('关注规则已保存')
+      await load()
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '保存关注规则失败')
+    }
+  }
+
+  // 用各站点最近一次检测到的模型试匹配
+  const onTest = async () => {
+    try {
+      const { pattern, matchType, siteId } = await form.validateFields(['pattern', 'matchType', 'siteId'])
+      setTesting(true)
+      const res = await fetch('/api/watch-rules/test', {
+        method: 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify({ pattern, matchType, siteId: siteId || null })
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || '试匹配失败')
+      setTestResult(data.matches)
+    } catch (e) {
+      if (e.errorFields) return
+      message.error(e.message || '试匹配失败')
+    } finally {
+      setTesting(false)
+    }
+  }
+
+  const toggleRule = async (rule, enabled) => {
+    try {
+      const res = await fetch(`/api/watch-rules/${rule.id}`, {
+        method: 'PATCH',
+        headers: authHeaders(true),
+        body: JSON.stringify({ enabled })
+      })
+      if (!res.ok) throw new Error('更新关注规则失败')
+      await load()
+    } catch (e) {
+      message.error(e.message || '更新关注规则失败')
+    }
+  }
+
+  const deleteRule = async (rule) => {
+    try {
+      const res = await fetch(`/api/watch-rules/${rule.id}`, { method: 'DELETE', headers: authHeaders() })
+      if (!res.ok) throw new Error('删除关注规则失败')
+      message.success('关注规则已删除')
+      await load()
+    } catch (e) {
+      message.error(e.message || '删除关注规则失败')
+    }
+  }
+
+  return (
+    <Card
+      title={
+        <Space>
+          <StarOutlined style={{ color: '#d48806' }} />
+          <Typography.Title level={3} style={{ margin: 0 }}>关注模型</Typography.Title>
+        </Space>
+      }
+      extra={
+        <Button type="primary" size="large" icon={<PlusOutlined />} onClick={() => openModal()}>
+          新建规则
+        </Button>
+      }
+      style={{
+        borderRadius: 16,
+        boxShadow: '0 4px 20px rgba(0,0,0,0.08)'
+      }}
+    >
+      <Typography.Paragraph type="secondary">
+        检测到新增或移除的模型名（原始名称或规范名称）与规则匹配时，立即发送高优先级通知：即使渠道没有订阅模型增删、开启了汇总模式或处于静默时段也会发送。
+      </Typography.Paragraph>
+      <Table
+        rowKey="id"
+        loading={loading}
+        dataSource={rules}
+        pagination={false}
+        columns={[
+          {
+            title: '名称',
+            dataIndex: 'name',
+            render: (name) => <Typography.Text strong>{name}</Typography.Text>
+          },
+          {
+            title: '匹配规则',
+            render: (_, r) => (
+              <Space size={4}>
+                <Tag>{MATCH_TYPES[r.matchType]?.label || r.matchType}</Tag>
+                <Typography.Text code>{r.pattern}</Typography.Text>
+              </Space>
+            )
+          },
+          {
+            title: '事件',
+            dataIndex: 'event',
+            render: (v) => <Tag color={WATCH_EVENTS[v]?.color}>{WATCH_EVENTS[v]?.label || v}</Tag>
+          },
+          {
+            title: '作用范围',
+            render: (_, r) => r.site
+              ? <Tag color="blue">站点：{r.site.name}</Tag>
+              : <Tag color="purple">所有站点</Tag>
+          },
+          {
+            title: '启用',
+            width: 80,
+            render: (_, r) => <Switch size="small" checked={r.enabled} onChange={(checked) => toggleRule(r, checked)} />
+          },
+          {
+            title: '操作',
+            width: 120,
+            render: (_, r) => (
+              <Space>
+                <Button size="small" icon={<EditOutlined />} onClick={() => openModal(r)} />
+                <Popconfirm
+                  title="确定删除该关注规则？"
+                  okText="删除"
+                  cancelText="取消"
+                  okButtonProps={{ danger: true }}
+                  onConfirm={() => deleteRule(r)}
+                >
+                  <Button size="small" danger icon={<DeleteOutlined />} />
+                </Popconfirm>
+              </Space>
+            )
+          }
+        ]}
+      />
+
+      {open && (
+        <Modal
+          open={open}
+          title={<Typography.Title level={4} style={{ margin: 0 }}>{editingRule ? '编辑关注规则' : '新建关注规则'}</Typography.Title>}
+          onCancel={() => setOpen(false)}
+          onOk={onSave}
+          okText="保存"
+          cancelText="取消"
+          destroyOnClose
+        >
+          <Form
+            form={form}
+            layout="vertical"
+            initialValues={{ matchType: 'glob', event: 'any', enabled: true }}
+            onValuesChange={(changed) => {
+              if ('pattern' in changed || 'matchType' in changed || 'siteId' in changed) setTestResult(null)
+            }}
+          >
+            <Form.Item name="name" label="规则名称" rules={[{ required: true, message: '请输入规则名称' }]}>
+              <Input placeholder="如：GPT-5 系列" />
+            </Form.Item>
+            <Form.Item name="matchType" label="匹配方式">
+              <Radio.Group>
+                {Object.entries(MATCH_TYPES).map(([value, t]) => <Radio key={value} value={value}>{t.label}</Radio>)}
+              </Radio.Group>
+            </Form.Item>
+            <Form.Item noStyle shouldUpdate={(prev, curr) => prev.matchType !== curr.matchType}>
+              {({ getFieldValue }) => {
+                const type = MATCH_TYPES[getFieldValue('matchType')]
+                return (
+                  <Form.Item label="匹配规则" extra={type?.help} required>
+                    <Space.Compact style={{ width: '100%' }}>
+                      <Form.Item name="pattern" noStyle rules={[{ required: true, whitespace: true, message: '请输入匹配规则' }]}>
+                        <Input placeholder={type?.placeholder} style={{ fontFamily: 'Menlo, Consolas, monospace' }} />
+                      </Form.Item>
+                      <Button icon={<SearchOutlined />} loading={testing} onClick={onTest}>试匹配</Button>
+                    </Space.Compact>
+                  </Form.Item>
+                )
+              }}
+            </Form.Item>
+            {testResult && (
+              testResult.length === 0 ? (
+                <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="当前模型列表中没有匹配的模型" style={{ marginBottom: 16 }} />
+              ) : (
+                <Alert
+                  type="info"
+                  style={{ marginBottom: 16, maxHeight: 200, overflow: 'auto' }}
+                  message={`当前有 ${testResult.length} 个站点提供匹配的模型`}
+                  description={testResult.map(m => (
+                    <div key={m.siteId}>
+                      <Typography.Text strong>{m.siteName}</Typography.Text>：{m.models.join('、')}
+                    </div>
+                  ))}
+                />
+              )
+            )}
+            <Form.Item name="event" label="触发事件">
+              <Radio.Group>
+                {Object.entries(WATCH_EVENTS).map(([value, e]) => <Radio key={value} value={value}>{e.label}</Radio>)}
+              </Radio.Group>
+            </Form.Item>
+            <Form.Item name="siteId" label="作用范围" extra="不选择表示所有站点">
+              <Select
+                allowClear
+                showSearch
+                optionFilterProp="label"
+                placeholder="所有站点"
+                options={sites.map(s => ({ value: s.id, label: s.name }))}
+              />
+            </Form.Item>
+            <Form.Item name="enabled" label="启用" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          </Form>
+        </Modal>
+      )}
+    </Card>
+  )
+}